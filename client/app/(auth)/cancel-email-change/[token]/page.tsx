@@ -0,0 +1,93 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+
+export default function CancelEmailChangePage() {
+  const [status, setStatus] = useState<'loading' | 'success' | 'error'>('loading');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+  const params = useParams();
+  const token = params.token as string;
+
+  useEffect(() => {
+    // The link only works once, so make sure it is only sent once
+    if (requested.current) return;
+    requested.current = true;
+
+    const cancelChange = async () => {
+      try {
+        const response = await fetch(`http://localhost:5000/api/auth/cancel-email-change/${token}`, {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to cancel email change');
+        }
+
+        // Every session was signed out, including this browser's
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        setStatus('success');
+      } catch (error: any) {
+        setMessage(error.message || 'Failed to cancel email change');
+        setStatus('error');
+      }
+    };
+
+    cancelChange();
+  }, [token]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background p-4">
+      <div className="w-full max-w-md space-y-8">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold tracking-tight text-primary">Cyber Hunter</h1>
+          <h2 className="mt-6 text-3xl font-bold tracking-tight">
+            {status === 'loading' && 'Cancelling the email change...'}
+            {status === 'success' && 'Email Change Cancelled'}
+            {status === 'error' && 'Email Change Not Cancelled'}
+          </h2>
+          <p className="mt-2 text-sm text-muted-foreground">
+            {status === 'success' &&
+              'Your email address stays the same and you have been signed out on all devices.'}
+            {status === 'error' && message}
+          </p>
+        </div>
+
+        {status !== 'loading' && (
+          <div className="mt-8">
+            <div className="rounded-lg border bg-card p-6 shadow-sm text-center">
+              {status === 'success' && (
+                <p className="mb-4">If you did not ask for this change, we recommend resetting your password.</p>
+              )}
+              {status === 'error' && (
+                <p className="mb-4">The link may have expired, or the change was already confirmed or cancelled.</p>
+              )}
+              <div className="flex justify-center gap-2">
+                <Button
+                  className="bg-primary text-primary-foreground hover:bg-primary/80"
+                  asChild
+                >
+                  <Link href="/login">Go to Login</Link>
+                </Button>
+                {status === 'success' && (
+                  <Button variant="outline" asChild>
+                    <Link href="/forgot-password">Reset Password</Link>
+                  </Button>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+
+export default function ConfirmEmailChangePage() {
+  const [status, setStatus] = useState<'loading' | 'success' | 'error'>('loading');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+  const params = useParams();
+  const token = params.token as string;
+
+  useEffect(() => {
+    // The link only works once, so make sure it is only sent once
+    if (requested.current) return;
+    requested.current = true;
+
+    const confirmChange = async () => {
+      try {
+        const response = await fetch(`http://localhost:5000/api/auth/confirm-email-change/${token}`, {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to confirm email change');
+        }
+
+        setStatus('success');
+      } catch (error: any) {
+        setMessage(error.message || 'Failed to confirm email change');
+        setStatus('error');
+      }
+    };
+
+    confirmChange();
+  }, [token]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background p-4">
+      <div className="w-full max-w-md space-y-8">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold tracking-tight text-primary">Cyber Hunter</h1>
+          <h2 className="mt-6 text-3xl font-bold tracking-tight">
+            {status === 'loading' && 'Confirming your new email...'}
+            {status === 'success' && 'Email Changed'}
+            {status === 'error' && 'Email Not Changed'}
+          </h2>
+          <p className="mt-2 text-sm text-muted-foreground">
+            {status === 'success' && 'Your account now uses this email address. Use it the next time you log in.'}
+            {status === 'error' && message}
+          </p>
+        </div>
+
+        {status !== 'loading' && (
+          <div className="mt-8">
+            <div className="rounded-lg border bg-card p-6 shadow-sm text-center">
+              {status === 'error' && (
+                <p className="mb-4">The link may have expired or already been used. You can request a new change in your settings.</p>
+              )}
+              <Button
+                className="bg-primary text-primary-foreground hover:bg-primary/80"
+                asChild
+              >
+                <Link href="/settings">Go to Settings</Link>
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
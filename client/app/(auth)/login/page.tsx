@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { Button } from '@/components/ui/button';
@@ -10,32 +10,68 @@ import { useToast } from '@/components/ui/use-toast';
 export default function LoginPage() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const router = useRouter();
   const { toast } = useToast();
 
+  useEffect(() => {
+    // Pick up a two-factor challenge from GitHub/Google sign-in
+    const pendingChallenge = sessionStorage.getItem('challengeToken');
+    if (pendingChallenge) {
+      sessionStorage.removeItem('challengeToken');
+      setChallengeToken(pendingChallenge);
+    }
+  }, []);
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsLoading(true);
 
     try {
-      const response = await fetch('http://localhost:5000/api/auth/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password }),
-        credentials: 'include',
-      });
+      // The second step sends the code from the authenticator app instead of the password
+      const response = challengeToken
+        ? await fetch('http://localhost:5000/api/auth/2fa/login', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(
+              useRecoveryCode
+                ? { challengeToken, recoveryCode: twoFactorCode }
+                : { challengeToken, code: twoFactorCode }
+            ),
+          })
+        : await fetch('http://localhost:5000/api/auth/login', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email, password }),
+            credentials: 'include',
+          });
 
       const data = await response.json();
 
       if (!response.ok) {
+        // A challenge can only be answered once, so start again with the password
+        if (challengeToken) {
+          setChallengeToken(null);
+          setTwoFactorCode('');
+        }
         throw new Error(data.message || 'Login failed');
       }
 
-      // Store token in localStorage
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
+
+      // Store tokens in localStorage
       localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
       
       toast({
         title: 'Success',
@@ -76,57 +112,123 @@ export default function LoginPage() {
 
         <div className="mt-8">
           <div className="rounded-lg border bg-card p-6 shadow-sm">
-            <form className="space-y-6" onSubmit={handleSubmit}>
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium">
-                  Email address
-                </label>
-                <Input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="mt-1"
-                  placeholder="you@example.com"
-                />
-              </div>
-
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium">
-                  Password
-                </label>
-                <Input
-                  id="password"
-                  name="password"
-                  type="password"
-                  autoComplete="current-password"
-                  required
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="mt-1"
-                />
-                <div className="flex items-center justify-end">
-                  <div className="text-sm">
-                    <Link href="/forgot-password" className="font-medium text-primary hover:text-primary/80">
-                      Forgot your password?
-                    </Link>
+            {challengeToken ? (
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                <div>
+                  <label htmlFor="twoFactorCode" className="block text-sm font-medium">
+                    {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                  </label>
+                  <Input
+                    id="twoFactorCode"
+                    name="twoFactorCode"
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    required
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    className="mt-1"
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  />
+                  <p className="mt-2 text-sm text-muted-foreground">
+                    {useRecoveryCode
+                      ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+                      : 'Enter the 6-digit code from your authenticator app.'}
+                  </p>
+                  <div className="flex items-center justify-end">
+                    <button
+                      type="button"
+                      className="text-sm font-medium text-primary hover:text-primary/80"
+                      onClick={() => {
+                        setUseRecoveryCode(!useRecoveryCode);
+                        setTwoFactorCode('');
+                      }}
+                    >
+                      {useRecoveryCode ? 'Use authentication code' : 'Use a recovery code'}
+                    </button>
                   </div>
                 </div>
-              </div>
-
-              <div>
-                <Button
-                  type="submit"
-                  className="w-full bg-primary text-primary-foreground hover:bg-primary/80"
-                  disabled={isLoading}
-                >
-                  {isLoading ? 'Signing in...' : 'Sign in'}
-                </Button>
-              </div>
-            </form>
+
+                <div>
+                  <Button
+                    type="submit"
+                    className="w-full bg-primary text-primary-foreground hover:bg-primary/80"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? 'Verifying...' : 'Verify'}
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium">
+                    Email address
+                  </label>
+                  <Input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="mt-1"
+                    placeholder="you@example.com"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium">
+                    Password
+                  </label>
+                  <Input
+                    id="password"
+                    name="password"
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="mt-1"
+                  />
+                  <div className="flex items-center justify-end">
+                    <div className="text-sm">
+                      <Link href="/forgot-password" className="font-medium text-primary hover:text-primary/80">
+                        Forgot your password?
+                      </Link>
+                    </div>
+                  </div>
+                </div>
+
+                <div>
+                  <Button
+                    type="submit"
+                    className="w-full bg-primary text-primary-foreground hover:bg-primary/80"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? 'Signing in...' : 'Sign in'}
+                  </Button>
+                </div>
+
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <span className="w-full border-t" />
+                  </div>
+                  <div className="relative flex justify-center text-xs uppercase">
+                    <span className="bg-card px-2 text-muted-foreground">Or continue with</span>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <Button variant="outline" asChild>
+                    <a href="http://localhost:5000/api/auth/oauth/github">GitHub</a>
+                  </Button>
+                  <Button variant="outline" asChild>
+                    <a href="http://localhost:5000/api/auth/oauth/google">Google</a>
+                  </Button>
+                </div>
+              </form>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,63 @@
+'use client';
+
+import { useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { useToast } from '@/components/ui/use-toast';
+
+export default function OAuthCallbackPage() {
+  const router = useRouter();
+  const { toast } = useToast();
+
+  useEffect(() => {
+    // The server puts the result of the GitHub/Google flow in the URL fragment
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const mode = params.get('mode');
+    const error = params.get('error');
+
+    if (error) {
+      toast({
+        title: 'Error',
+        description: error,
+        variant: 'destructive',
+      });
+      router.replace(mode === 'link' ? '/settings' : '/login');
+      return;
+    }
+
+    if (mode === 'link') {
+      toast({
+        title: 'Success',
+        description: `Your ${params.get('linked')} account has been linked.`,
+      });
+      router.replace('/settings');
+      return;
+    }
+
+    // Two-factor accounts finish signing in on the login page
+    const challengeToken = params.get('challengeToken');
+    if (challengeToken) {
+      sessionStorage.setItem('challengeToken', challengeToken);
+      router.replace('/login');
+      return;
+    }
+
+    localStorage.setItem('token', params.get('token') || '');
+    localStorage.setItem('refreshToken', params.get('refreshToken') || '');
+
+    toast({
+      title: 'Success',
+      description: 'Logged in successfully',
+      variant: 'default',
+    });
+
+    router.replace(params.get('role') === 'admin' ? '/admin/dashboard' : '/dashboard');
+  }, [router, toast]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background p-4">
+      <p className="text-muted-foreground">Signing you in...</p>
+    </div>
+  );
+}
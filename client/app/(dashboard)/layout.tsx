@@ -6,6 +6,7 @@ import { usePathname } from 'next/navigation';
 import { Button } from '@/components/ui/button';
 import { useToast } from '@/components/ui/use-toast';
 import ProtectedRoute from '@/components/auth/protected-route';
+import ImpersonationBanner from '@/components/auth/impersonation-banner';
 import { useAuth } from '@/components/providers/auth-provider';
 
 // Icons (you'll need to install an icon library like lucide-react)
@@ -148,6 +149,7 @@ export default function DashboardLayout({
 
       {/* Main content */}
       <main className="flex-1 overflow-y-auto pt-16 md:pt-0">
+        <ImpersonationBanner />
         <div className="container mx-auto p-4 md:p-6">
           {children}
         </div>
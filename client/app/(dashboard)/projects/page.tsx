@@ -8,6 +8,7 @@ import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Loading } from "@/components/ui/loading";
+import { formatCurrency } from "@/lib/utils";
 import { Calendar, Clock, DollarSign, Users } from "lucide-react";
 
 interface Project {
@@ -16,6 +17,7 @@ interface Project {
   description: string;
   status: string;
   budget: number;
+  currency: string;
   deadline: string;
   skills: string[];
   owner: {
@@ -170,7 +172,7 @@ export default function ProjectsPage() {
                       <div className="flex items-center">
                         <DollarSign size={16} className="mr-2 text-muted-foreground" />
                         <span className="text-sm">
-                          Budget: ${project.budget}
+                          Budget: {formatCurrency(project.budget, project.currency)}
                         </span>
                       </div>
                     </div>
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useAuth } from "@/components/providers/auth-provider";
 import { useToast } from "@/components/ui/use-toast";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
@@ -30,6 +30,22 @@ export default function SettingsPage() {
     confirmPassword: "",
   });
 
+  // Two-factor authentication state
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [twoFactorSetup, setTwoFactorSetup] = useState<{
+    secret: string;
+    otpauthUri: string;
+    recoveryCodes: string[];
+  } | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [disableTwoFactorForm, setDisableTwoFactorForm] = useState({
+    password: "",
+    code: "",
+  });
+
+  // Linked GitHub/Google accounts
+  const [linkedProviders, setLinkedProviders] = useState<string[]>([]);
+
   // Notification settings state
   const [notificationSettings, setNotificationSettings] = useState({
     emailNotifications: true,
@@ -40,6 +56,33 @@ export default function SettingsPage() {
     marketingEmails: false,
   });
 
+  useEffect(() => {
+    const fetchTwoFactorStatus = async () => {
+      try {
+        const token = localStorage.getItem("token");
+        if (!token) return;
+
+        const response = await fetch("http://localhost:5000/api/auth/me", {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        if (!response.ok) {
+          throw new Error("Failed to fetch two-factor status");
+        }
+
+        const data = await response.json();
+        setTwoFactorEnabled(Boolean(data.user?.twoFactor?.enabled));
+        setLinkedProviders((data.user?.oauthProviders || []).map((link: { provider: string }) => link.provider));
+      } catch (error) {
+        console.error("Error fetching two-factor status:", error);
+      }
+    };
+
+    fetchTwoFactorStatus();
+  }, []);
+
   const handleAccountFormChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
     setAccountForm(prev => ({ ...prev, [name]: value }));
@@ -149,6 +192,200 @@ export default function SettingsPage() {
     }
   };
 
+  const handleProviderLink = async (provider: string) => {
+    setIsLoading(true);
+
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      // Credentials let the server set the cookie that ties the flow to this browser
+      const response = await fetch(`http://localhost:5000/api/auth/oauth/${provider}/link`, {
+        method: "POST",
+        credentials: "include",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to link account");
+      }
+
+      // The provider sends the browser back through /oauth/callback
+      window.location.href = data.url;
+    } catch (error: any) {
+      console.error("Error linking account:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to link account. Please try again.",
+        variant: "destructive",
+      });
+      setIsLoading(false);
+    }
+  };
+
+  const handleProviderUnlink = async (provider: string) => {
+    setIsLoading(true);
+
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      const response = await fetch(`http://localhost:5000/api/auth/oauth/${provider}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to unlink account");
+      }
+
+      setLinkedProviders(data.oauthProviders.map((link: { provider: string }) => link.provider));
+      toast({
+        title: "Success",
+        description: "The account has been unlinked.",
+      });
+    } catch (error: any) {
+      console.error("Error unlinking account:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to unlink account. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTwoFactorSetup = async () => {
+    setIsLoading(true);
+
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      const response = await fetch("http://localhost:5000/api/auth/2fa/setup", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to start two-factor setup");
+      }
+
+      setTwoFactorSetup({
+        secret: data.secret,
+        otpauthUri: data.otpauthUri,
+        recoveryCodes: data.recoveryCodes,
+      });
+    } catch (error: any) {
+      console.error("Error starting two-factor setup:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to start two-factor setup. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTwoFactorVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      const response = await fetch("http://localhost:5000/api/auth/2fa/verify", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ code: twoFactorCode }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to verify code");
+      }
+
+      setTwoFactorEnabled(true);
+      setTwoFactorSetup(null);
+      setTwoFactorCode("");
+
+      toast({
+        title: "Success",
+        description: "Two-factor authentication has been enabled.",
+      });
+    } catch (error: any) {
+      console.error("Error verifying two-factor code:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to verify code. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTwoFactorDisable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      const response = await fetch("http://localhost:5000/api/auth/2fa/disable", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(disableTwoFactorForm),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to disable two-factor authentication");
+      }
+
+      setTwoFactorEnabled(false);
+      setDisableTwoFactorForm({ password: "", code: "" });
+
+      toast({
+        title: "Success",
+        description: "Two-factor authentication has been disabled.",
+      });
+    } catch (error: any) {
+      console.error("Error disabling two-factor authentication:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to disable two-factor authentication. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleNotificationSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsLoading(true);
@@ -196,9 +433,10 @@ export default function SettingsPage() {
       </div>
 
       <Tabs defaultValue="account" value={activeTab} onValueChange={setActiveTab}>
-        <TabsList className="grid grid-cols-3 w-full md:w-[400px]">
+        <TabsList className="grid grid-cols-4 w-full md:w-[520px]">
           <TabsTrigger value="account">Account</TabsTrigger>
           <TabsTrigger value="password">Password</TabsTrigger>
+          <TabsTrigger value="security">Security</TabsTrigger>
           <TabsTrigger value="notifications">Notifications</TabsTrigger>
         </TabsList>
 
@@ -306,6 +544,144 @@ export default function SettingsPage() {
           </Card>
         </TabsContent>
 
+        <TabsContent value="security" className="mt-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Two-Factor Authentication</CardTitle>
+              <CardDescription>
+                Require a code from an authenticator app in addition to your password when signing in.
+              </CardDescription>
+            </CardHeader>
+            {twoFactorEnabled ? (
+              <form onSubmit={handleTwoFactorDisable}>
+                <CardContent className="space-y-4">
+                  <p className="text-sm text-muted-foreground">
+                    Two-factor authentication is enabled. Enter your password and a code from your
+                    authenticator app (or a recovery code) to turn it off.
+                  </p>
+                  <div className="space-y-2">
+                    <Label htmlFor="disablePassword">Password</Label>
+                    <Input
+                      id="disablePassword"
+                      type="password"
+                      value={disableTwoFactorForm.password}
+                      onChange={(e) => setDisableTwoFactorForm(prev => ({ ...prev, password: e.target.value }))}
+                      placeholder="Enter your password"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="disableCode">Authentication Code</Label>
+                    <Input
+                      id="disableCode"
+                      autoComplete="one-time-code"
+                      value={disableTwoFactorForm.code}
+                      onChange={(e) => setDisableTwoFactorForm(prev => ({ ...prev, code: e.target.value }))}
+                      placeholder="123456"
+                    />
+                  </div>
+                </CardContent>
+                <CardFooter>
+                  <Button type="submit" variant="destructive" disabled={isLoading}>
+                    {isLoading ? "Disabling..." : "Disable Two-Factor Authentication"}
+                  </Button>
+                </CardFooter>
+              </form>
+            ) : twoFactorSetup ? (
+              <form onSubmit={handleTwoFactorVerify}>
+                <CardContent className="space-y-4">
+                  <div className="space-y-2">
+                    <Label>1. Add the account to your authenticator app</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Open the link below on your phone, or enter the secret key manually.
+                    </p>
+                    <a href={twoFactorSetup.otpauthUri} className="block break-all text-sm text-primary">
+                      {twoFactorSetup.otpauthUri}
+                    </a>
+                    <p className="font-mono text-sm break-all">{twoFactorSetup.secret}</p>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>2. Save your recovery codes</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Each code can be used once if you lose access to your authenticator app.
+                      They will not be shown again.
+                    </p>
+                    <div className="grid grid-cols-2 gap-2 rounded-md border p-4 font-mono text-sm">
+                      {twoFactorSetup.recoveryCodes.map((code) => (
+                        <span key={code}>{code}</span>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="twoFactorCode">3. Enter the code from the app</Label>
+                    <Input
+                      id="twoFactorCode"
+                      autoComplete="one-time-code"
+                      inputMode="numeric"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      placeholder="123456"
+                    />
+                  </div>
+                </CardContent>
+                <CardFooter>
+                  <Button type="submit" disabled={isLoading}>
+                    {isLoading ? "Verifying..." : "Verify and Enable"}
+                  </Button>
+                </CardFooter>
+              </form>
+            ) : (
+              <CardFooter>
+                <Button type="button" onClick={handleTwoFactorSetup} disabled={isLoading}>
+                  {isLoading ? "Starting..." : "Enable Two-Factor Authentication"}
+                </Button>
+              </CardFooter>
+            )}
+          </Card>
+
+          <Card className="mt-6">
+            <CardHeader>
+              <CardTitle>Connected Accounts</CardTitle>
+              <CardDescription>
+                Sign in with GitHub or Google instead of your password.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {[
+                { id: "github", name: "GitHub" },
+                { id: "google", name: "Google" },
+              ].map((provider) => (
+                <div key={provider.id} className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label>{provider.name}</Label>
+                    <p className="text-sm text-muted-foreground">
+                      {linkedProviders.includes(provider.id) ? "Connected" : "Not connected"}
+                    </p>
+                  </div>
+                  {linkedProviders.includes(provider.id) ? (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => handleProviderUnlink(provider.id)}
+                      disabled={isLoading}
+                    >
+                      Unlink
+                    </Button>
+                  ) : (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => handleProviderLink(provider.id)}
+                      disabled={isLoading}
+                    >
+                      Link
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        </TabsContent>
+
         <TabsContent value="notifications" className="mt-6">
           <Card>
             <form onSubmit={handleNotificationSubmit}>
@@ -0,0 +1,36 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { Button } from "@/components/ui/button";
+import { useAuth } from "@/components/providers/auth-provider";
+
+export default function ImpersonationBanner() {
+  const { impersonation, stopImpersonation } = useAuth();
+  const [isExiting, setIsExiting] = useState(false);
+  const router = useRouter();
+
+  if (!impersonation) return null;
+
+  const handleExit = async () => {
+    setIsExiting(true);
+    try {
+      await stopImpersonation();
+      router.push("/dashboard");
+    } finally {
+      setIsExiting(false);
+    }
+  };
+
+  return (
+    <div className="sticky top-0 z-30 flex flex-wrap items-center justify-between gap-2 bg-destructive px-4 py-2 text-sm text-destructive-foreground">
+      <span>
+        You are viewing the platform as <strong>{impersonation.name}</strong> ({impersonation.email}).
+        Every request is recorded in the audit log.
+      </span>
+      <Button variant="secondary" size="sm" onClick={handleExit} disabled={isExiting}>
+        {isExiting ? "Exiting..." : "Exit impersonation"}
+      </Button>
+    </div>
+  );
+}
@@ -16,25 +16,73 @@ type User = {
   updatedAt?: string;
 };
 
+type Impersonation = {
+  name: string;
+  email: string;
+  expiresAt: string;
+};
+
 type AuthContextType = {
   user: User | null;
   token: string | null;
   isLoading: boolean;
+  impersonation: Impersonation | null;
   login: (email: string, password: string) => Promise<void>;
   register: (name: string, email: string, password: string) => Promise<void>;
   logout: () => void;
   forgotPassword: (email: string) => Promise<void>;
   resetPassword: (token: string, password: string) => Promise<void>;
+  startImpersonation: (userId: string, reason?: string) => Promise<void>;
+  stopImpersonation: () => Promise<void>;
 };
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Access tokens live for 15 minutes, so refresh a little before they expire
+const TOKEN_REFRESH_INTERVAL = 10 * 60 * 1000;
+
+function storeTokens(token: string, refreshToken?: string) {
+  localStorage.setItem("token", token);
+  if (refreshToken) {
+    localStorage.setItem("refreshToken", refreshToken);
+  }
+}
+
+function clearTokens() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+}
+
+// While impersonating, the admin's own tokens are kept aside until they exit
+function storedImpersonation(): Impersonation | null {
+  const stored = localStorage.getItem("impersonation");
+  return stored ? JSON.parse(stored) : null;
+}
+
+function restoreImpersonatorTokens() {
+  const adminToken = localStorage.getItem("impersonatorToken");
+  const adminRefreshToken = localStorage.getItem("impersonatorRefreshToken");
+
+  clearTokens();
+  localStorage.removeItem("impersonation");
+  localStorage.removeItem("impersonatorToken");
+  localStorage.removeItem("impersonatorRefreshToken");
+
+  if (adminToken) {
+    storeTokens(adminToken, adminRefreshToken || undefined);
+  }
+  return adminToken;
+}
+
 export function AuthProvider({ children }: { children: ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [token, setToken] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [impersonation, setImpersonation] = useState<Impersonation | null>(null);
 
   useEffect(() => {
+    setImpersonation(storedImpersonation());
+
     // Check if we have a token in localStorage
     const storedToken = localStorage.getItem("token");
     if (storedToken) {
@@ -45,7 +93,47 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   }, []);
 
-  const fetchUser = async (authToken: string) => {
+  useEffect(() => {
+    // Impersonation tokens cannot be refreshed, they simply expire
+    if (!token || impersonation) return;
+
+    // Keep the access token fresh while the user is signed in
+    const interval = setInterval(() => {
+      refreshSession().catch(() => undefined);
+    }, TOKEN_REFRESH_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [token, impersonation]);
+
+  const refreshSession = async () => {
+    const storedRefreshToken = localStorage.getItem("refreshToken");
+    if (!storedRefreshToken) {
+      throw new Error("No refresh token");
+    }
+
+    const response = await fetch("http://localhost:5000/api/auth/refresh", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ refreshToken: storedRefreshToken }),
+    });
+
+    if (!response.ok) {
+      // The session was revoked or expired, so sign out locally
+      clearTokens();
+      setToken(null);
+      setUser(null);
+      throw new Error("Session expired");
+    }
+
+    const data = await response.json();
+    storeTokens(data.token, data.refreshToken);
+    setToken(data.token);
+    return data.token as string;
+  };
+
+  const fetchUser = async (authToken: string, retry = true) => {
     try {
       const response = await fetch("http://localhost:5000/api/auth/me", {
         headers: {
@@ -53,6 +141,12 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         },
       });
 
+      if (response.status === 401 && retry) {
+        // The access token may have expired, try once with a fresh one
+        const freshToken = await refreshSession();
+        return fetchUser(freshToken, false);
+      }
+
       if (!response.ok) {
         throw new Error("Failed to fetch user");
       }
@@ -61,8 +155,18 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       setUser(userData);
     } catch (error) {
       console.error("Error fetching user:", error);
-      // If there's an error fetching the user, clear the token
-      localStorage.removeItem("token");
+
+      // An expired impersonation falls back to the admin's own account
+      if (storedImpersonation()) {
+        const adminToken = restoreImpersonatorTokens();
+        setImpersonation(null);
+        setToken(adminToken);
+        if (adminToken) return fetchUser(adminToken);
+        return;
+      }
+
+      // If there's an error fetching the user, clear the tokens
+      clearTokens();
       setToken(null);
     } finally {
       setIsLoading(false);
@@ -86,7 +190,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       }
 
       const data = await response.json();
-      localStorage.setItem("token", data.token);
+      storeTokens(data.token, data.refreshToken);
       setToken(data.token);
       setUser(data.user);
     } catch (error: any) {
@@ -114,7 +218,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       }
 
       const data = await response.json();
-      localStorage.setItem("token", data.token);
+      storeTokens(data.token, data.refreshToken);
       setToken(data.token);
       setUser(data.user);
     } catch (error: any) {
@@ -125,8 +229,78 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  const startImpersonation = async (userId: string, reason?: string) => {
+    const response = await fetch(`http://localhost:5000/api/admin/users/${userId}/impersonate`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ reason }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to impersonate user");
+    }
+
+    const nextImpersonation = {
+      name: data.user.name,
+      email: data.user.email,
+      expiresAt: data.expiresAt,
+    };
+
+    localStorage.setItem("impersonatorToken", localStorage.getItem("token") || "");
+    localStorage.setItem("impersonatorRefreshToken", localStorage.getItem("refreshToken") || "");
+    localStorage.setItem("impersonation", JSON.stringify(nextImpersonation));
+    clearTokens();
+    storeTokens(data.token);
+
+    setImpersonation(nextImpersonation);
+    setToken(data.token);
+    setIsLoading(true);
+    await fetchUser(data.token, false);
+  };
+
+  const stopImpersonation = async () => {
+    // End the impersonation session on the server, but exit locally either way
+    if (token) {
+      await fetch("http://localhost:5000/api/auth/impersonation/exit", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }).catch((error) => console.error("Exit impersonation error:", error));
+    }
+
+    const adminToken = restoreImpersonatorTokens();
+    setImpersonation(null);
+    setToken(adminToken);
+    setUser(null);
+
+    if (adminToken) {
+      setIsLoading(true);
+      await fetchUser(adminToken);
+    }
+  };
+
   const logout = () => {
-    localStorage.removeItem("token");
+    if (impersonation) {
+      stopImpersonation();
+      return;
+    }
+
+    // Revoke the session on the server, but sign out locally either way
+    if (token) {
+      fetch("http://localhost:5000/api/auth/logout", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }).catch((error) => console.error("Logout error:", error));
+    }
+
+    clearTokens();
     setToken(null);
     setUser(null);
   };
@@ -180,6 +354,9 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     logout,
     forgotPassword,
     resetPassword,
+    impersonation,
+    startImpersonation,
+    stopImpersonation,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
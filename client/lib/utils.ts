@@ -13,11 +13,13 @@ export function formatDate(date: Date) {
   }).format(date);
 }
 
-export function formatCurrency(amount: number) {
-  return new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: "USD",
-  }).format(amount);
+// Amounts come from the API in minor units (cents for USD). Without a
+// locale the browser's is used, so users see their own number formatting.
+export function formatCurrency(amount: number, currency = "USD", locale?: string) {
+  const format = new Intl.NumberFormat(locale, { style: "currency", currency });
+  const { maximumFractionDigits = 2 } = format.resolvedOptions();
+
+  return format.format(amount / 10 ** maximumFractionDigits);
 }
 
 export function truncateText(text: string, maxLength: number) {
@@ -6,6 +6,8 @@ const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./config/db');
 const { errorHandler } = require('./utils/errorHandler');
+const config = require('./config/config');
+const { apiScope } = require('./middleware/auth.middleware');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -15,9 +17,20 @@ const teamRoutes = require('./routes/team.routes');
 const taskRoutes = require('./routes/task.routes');
 const chatRoutes = require('./routes/chat.routes');
 const adminRoutes = require('./routes/admin.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const coinRoutes = require('./routes/coin.routes');
+const disputeRoutes = require('./routes/dispute.routes');
+const timesheetRoutes = require('./routes/timesheet.routes');
+const savedSearchRoutes = require('./routes/savedSearch.routes');
 
 // Import socket handlers
 const { setupSocketHandlers } = require('./socket/socketHandlers');
+const { runAutoApprovals } = require('./utils/milestoneService');
+const { sendDigests } = require('./utils/savedSearchService');
+const { publishScheduledProjects, expireProjects } = require('./utils/projectLifecycle');
+const { settleStalledTransactions } = require('./utils/ledgerService');
+const { applyStalledTransactions } = require('./utils/coinService');
+const { registerJob, startJobs } = require('./utils/jobRunner');
 
 // Initialize Express app
 const app = express();
@@ -31,8 +44,17 @@ const io = socketIo(server, {
 });
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// OAuth routes keep a nonce cookie, so the client calls them with credentials
+app.use(cors((req, callback) => {
+  const oauth = req.path.startsWith('/api/auth/oauth/');
+  callback(null, oauth ? { origin: process.env.CLIENT_URL || 'http://localhost:3000', credentials: true } : {});
+}));
+// Keep the raw body, payment webhooks are signed over it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
@@ -40,13 +62,32 @@ app.use(morgan('dev'));
 setupSocketHandlers(io);
 
 // API Routes
+// apiScope names the personal API token scope each group needs; auth, admin,
+// payment, coin, dispute and timesheet routes have none, so API tokens are refused there
 app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/projects', projectRoutes);
-app.use('/api/teams', teamRoutes);
-app.use('/api/tasks', taskRoutes);
-app.use('/api/chats', chatRoutes);
+app.use('/api/users', apiScope('users'), userRoutes);
+app.use('/api/projects', apiScope('projects'), projectRoutes);
+app.use('/api/teams', apiScope('teams'), teamRoutes);
+app.use('/api/tasks', apiScope('tasks'), taskRoutes);
+app.use('/api/chats', apiScope('chat'), chatRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coins', coinRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/saved-searches', apiScope('projects'), savedSearchRoutes);
+
+// Local OAuth provider for development without GitHub or Google credentials
+if (config.oauth.mock && process.env.NODE_ENV !== 'production') {
+  const { createMockOAuthProvider } = require('./utils/mockOAuthProvider');
+  app.use('/api/mock-oauth', createMockOAuthProvider());
+}
+
+// Local payment provider for running the funding flow offline
+if (config.payments.provider === 'mock' && process.env.NODE_ENV !== 'production') {
+  const { createMockPaymentProvider } = require('./utils/mockPaymentProvider');
+  app.use('/api/mock-payments', createMockPaymentProvider());
+}
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -59,6 +100,20 @@ app.use(errorHandler);
 // Connect to MongoDB
 connectDB();
 
+// Background jobs
+// Approve milestone submissions the client left unanswered
+registerJob('milestone-auto-approvals', config.milestones.autoApproveCheckInterval, runAutoApprovals);
+// Send the daily and weekly digests of saved searches
+registerJob('saved-search-digests', config.savedSearches.digestCheckInterval, sendDigests);
+// Publish scheduled drafts and close open projects past their deadline
+registerJob('publish-scheduled-projects', config.projects.publishCheckInterval, publishScheduledProjects);
+registerJob('expire-projects', config.projects.expiryCheckInterval, expireProjects);
+// Finish ledger transactions left pending by an interrupted request
+registerJob('ledger-stalled-transactions', config.payments.stalledTransactionCheckInterval, settleStalledTransactions);
+// Apply coin transactions left pending by an interrupted request
+registerJob('coin-stalled-transactions', config.coins.stalledTransactionCheckInterval, applyStalledTransactions);
+startJobs();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -7,7 +7,108 @@ module.exports = {
   // JWT settings
   jwt: {
     secret: process.env.JWT_SECRET || 'cyber-hunter-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '30d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  },
+  
+  // Refresh tokens (one per login session, rotated on every use).
+  // REFRESH_TOKEN_EXPIRES_IN is milliseconds or a timespan like "30d".
+  refreshToken: {
+    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || 30 * 24 * 60 * 60 * 1000, // 30 days
+  },
+  
+  // Two-factor authentication
+  twoFactor: {
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: 10,
+  },
+  
+  // OAuth sign-in. Setting OAUTH_MOCK=true points both providers at the
+  // local mock provider in utils/mockOAuthProvider.js
+  oauth: {
+    serverUrl: process.env.SERVER_URL || 'http://localhost:5000',
+    stateExpiresIn: '10m',
+    mock: process.env.OAUTH_MOCK === 'true',
+    github: {
+      clientId: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    },
+    google: {
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    },
+  },
+  
+  // Admin impersonation ("view as user"), no refresh token is issued.
+  // IMPERSONATION_EXPIRES_IN is milliseconds or a timespan like "30m".
+  impersonation: {
+    expiresIn: process.env.IMPERSONATION_EXPIRES_IN || 30 * 60 * 1000, // 30 minutes
+  },
+  
+  // Personal API tokens for scripts, sent as "Authorization: Bearer <token>"
+  apiTokens: {
+    defaultExpiresInDays: process.env.API_TOKEN_DEFAULT_EXPIRES_IN_DAYS || 30,
+    maxExpiresInDays: process.env.API_TOKEN_MAX_EXPIRES_IN_DAYS || 365,
+    maxPerUser: process.env.API_TOKEN_MAX_PER_USER || 20,
+  },
+  
+  // Milestone payments. Ledger amounts are stored in minor units (cents)
+  payments: {
+    currency: process.env.PAYMENT_CURRENCY || 'USD',
+    platformFeePercent: process.env.PLATFORM_FEE_PERCENT || 10,
+    minimumPayout: process.env.MINIMUM_PAYOUT || 5000, // minor units of the platform currency, converted for others
+    provider: process.env.PAYMENT_PROVIDER || 'mock', // see utils/paymentProviders.js
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000', // checkout return pages
+    webhookTolerance: 5 * 60 * 1000, // reject webhooks signed more than 5 minutes ago
+    // Ledger transactions pending this long were interrupted and are settled by a job
+    pendingTransactionTimeout: process.env.LEDGER_PENDING_TIMEOUT || 5 * 60 * 1000, // 5 minutes
+    stalledTransactionCheckInterval: process.env.LEDGER_STALLED_CHECK_INTERVAL || 60 * 1000, // every minute
+    // Local mock provider (utils/mockPaymentProvider.js), not available in production
+    mock: {
+      serverUrl: process.env.SERVER_URL || 'http://localhost:5000',
+      webhookSecret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock-payment-webhook-secret',
+      webhookDelay: process.env.MOCK_PAYMENT_WEBHOOK_DELAY || 10 * 1000, // 10 seconds, for "delayed" outcomes
+    },
+  },
+  
+  // Milestone reviews: a submission the client leaves unanswered is approved after autoApproveDays
+  milestones: {
+    autoApproveDays: process.env.MILESTONE_AUTO_APPROVE_DAYS || 7,
+    autoApproveCheckInterval: process.env.MILESTONE_AUTO_APPROVE_CHECK_INTERVAL || 60 * 60 * 1000, // hourly
+  },
+
+  // Project lifecycle: scheduled drafts are published, and open projects
+  // nobody was hired for are closed once their deadline passes
+  projects: {
+    publishCheckInterval: process.env.PROJECT_PUBLISH_CHECK_INTERVAL || 60 * 1000, // every minute
+    expiryCheckInterval: process.env.PROJECT_EXPIRY_CHECK_INTERVAL || 60 * 60 * 1000, // hourly
+  },
+
+  // Saved project searches and their new-match alerts
+  savedSearches: {
+    maxPerUser: process.env.SAVED_SEARCH_MAX_PER_USER || 20,
+    digestCheckInterval: process.env.SAVED_SEARCH_DIGEST_CHECK_INTERVAL || 60 * 60 * 1000, // hourly
+  },
+  
+  // Invoices for released milestone payments. Amounts include tax at taxRate
+  invoices: {
+    prefix: process.env.INVOICE_PREFIX || 'INV',
+    taxLabel: process.env.INVOICE_TAX_LABEL || 'Tax',
+    taxRate: process.env.INVOICE_TAX_RATE || 0, // percent
+    issuer: {
+      name: process.env.INVOICE_ISSUER_NAME || 'Cyber Hunter',
+      address: process.env.INVOICE_ISSUER_ADDRESS || '',
+      taxId: process.env.INVOICE_ISSUER_TAX_ID || '',
+    },
+  },
+  
+  // Cyber Coins awarded by each earning rule
+  coins: {
+    projectCompleted: process.env.COINS_PROJECT_COMPLETED || 50,
+    fiveStarReview: process.env.COINS_FIVE_STAR_REVIEW || 20,
+    milestoneOnTime: process.env.COINS_MILESTONE_ON_TIME || 10,
+    // Transactions pending this long were interrupted and are applied by a job
+    pendingTransactionTimeout: process.env.COIN_PENDING_TIMEOUT || 5 * 60 * 1000, // 5 minutes
+    stalledTransactionCheckInterval: process.env.COIN_STALLED_CHECK_INTERVAL || 60 * 1000, // every minute
   },
   
   // Email verification
@@ -15,11 +116,28 @@ module.exports = {
     expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || 24 * 60 * 60 * 1000, // 24 hours
   },
   
+  // Email change (confirmation and cancel links)
+  emailChange: {
+    expiresIn: process.env.EMAIL_CHANGE_EXPIRES_IN || 24 * 60 * 60 * 1000, // 24 hours
+  },
+  
   // Password reset
   passwordReset: {
     expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || 60 * 60 * 1000, // 1 hour
   },
   
+  // Login brute-force protection
+  loginThrottle: {
+    freeAttempts: process.env.LOGIN_FREE_ATTEMPTS || 3, // failures allowed before backoff starts
+    baseDelay: process.env.LOGIN_BASE_DELAY || 1000, // 1 second, doubled for every further failure
+    maxDelay: process.env.LOGIN_MAX_DELAY || 60 * 1000, // 1 minute
+    maxAccountFailures: process.env.LOGIN_MAX_ACCOUNT_FAILURES || 10,
+    maxIpFailures: process.env.LOGIN_MAX_IP_FAILURES || 50,
+    lockoutDuration: process.env.LOGIN_LOCKOUT_DURATION || 15 * 60 * 1000, // 15 minutes
+    window: process.env.LOGIN_FAILURE_WINDOW || 60 * 60 * 1000, // failures are forgotten after 1 hour
+    maxResetRequests: process.env.MAX_RESET_REQUESTS || 5, // forgot-password requests per window
+  },
+  
   // Email service
   email: {
     from: process.env.EMAIL_FROM || 'noreply@cyberhunter.com',
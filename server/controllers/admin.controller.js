@@ -2,7 +2,25 @@ const User = require('../models/user.model');
 const Project = require('../models/project.model');
 const Team = require('../models/team.model');
 const Task = require('../models/task.model');
+const AuditLog = require('../models/auditLog.model');
+const Notification = require('../models/notification.model');
+const RewardItem = require('../models/rewardItem.model');
+const Redemption = require('../models/redemption.model');
+const Dispute = require('../models/dispute.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+const PayoutRequest = require('../models/payoutRequest.model');
+const config = require('../config/config');
 const { validationResult } = require('express-validator');
+const tokenService = require('../utils/tokenService');
+const loginThrottle = require('../utils/loginThrottle');
+const { recordAuditEvent } = require('../utils/auditLog');
+const ledgerService = require('../utils/ledgerService');
+const paymentService = require('../utils/paymentService');
+const coinService = require('../utils/coinService');
+const disputeService = require('../utils/disputeService');
+const { findResource } = require('../utils/permissions');
+const { getRates, sumConverted } = require('../utils/exchangeRates');
+const { formatMoney } = require('../utils/money');
 
 /**
  * @desc    Get dashboard statistics
@@ -38,15 +56,26 @@ exports.getDashboardStats = async (req, res, next) => {
     const recentProjects = await Project.find()
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('title client status budget createdAt')
+      .select('title client status budget currency createdAt')
       .populate('client', 'name avatar');
 
-    // Calculate total project value
-    const projects = await Project.find().select('budget status');
-    const totalProjectValue = projects.reduce((total, project) => total + project.budget, 0);
-    const completedProjectValue = projects
-      .filter(project => project.status === 'completed')
-      .reduce((total, project) => total + project.budget, 0);
+    // Calculate total project value, in the platform currency at current rates
+    const budgets = await Project.aggregate([
+      {
+        $group: {
+          _id: { currency: '$currency', status: '$status' },
+          amount: { $sum: '$budget' },
+        },
+      },
+    ]);
+    const amounts = budgets.map((item) => ({ ...item._id, amount: item.amount }));
+    const rates = await getRates();
+    const total = sumConverted(amounts, config.payments.currency, rates);
+    const completed = sumConverted(
+      amounts.filter((item) => item.status === 'completed'),
+      config.payments.currency,
+      rates
+    );
 
     res.status(200).json({
       success: true,
@@ -69,8 +98,11 @@ exports.getDashboardStats = async (req, res, next) => {
           cancelled: cancelledProjects,
         },
         financials: {
-          totalProjectValue,
-          completedProjectValue,
+          currency: config.payments.currency,
+          totalProjectValue: total.total,
+          completedProjectValue: completed.total,
+          // Currencies left out because they have no exchange rate
+          unconverted: total.unconverted,
         },
         recent: {
           users: recentUsers,
@@ -145,7 +177,7 @@ exports.getUserById = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire')
-      .populate('savedProjects', 'title description budget deadline status')
+      .populate('savedProjects', 'title description budget currency deadline status')
       .populate('teams', 'name description avatar');
 
     if (!user) {
@@ -158,7 +190,7 @@ exports.getUserById = async (req, res, next) => {
         { client: user._id },
         { assignedFreelancers: user._id },
       ],
-    }).select('title description budget deadline status');
+    }).select('title description budget currency deadline status');
 
     // Get user's tasks
     const tasks = await Task.find({
@@ -190,7 +222,7 @@ exports.updateUser = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, role, isVerified, isActive } = req.body;
+    const { name, email, role, isVerified, isActive, revokeSessions } = req.body;
 
     // Build user fields object
     const userFields = {};
@@ -211,6 +243,11 @@ exports.updateUser = async (req, res, next) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Sign the user out everywhere when suspending the account or when asked to
+    if (String(isActive) === 'false' || String(revokeSessions) === 'true') {
+      await tokenService.revokeUserSessions(user._id, 'admin');
+    }
+
     res.status(200).json({
       success: true,
       user,
@@ -221,6 +258,138 @@ exports.updateUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Unlock a user locked out by failed login attempts
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Clear the login and password reset counters of the account
+    await loginThrottle.reset(loginThrottle.counter('login_account', user.email));
+    await loginThrottle.reset(loginThrottle.counter('reset_account', user.email));
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start viewing the platform as a user
+ * @route   POST /api/admin/users/:id/impersonate
+ * @access  Private (Admin only)
+ */
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+
+    // Admin accounts would hand out admin access
+    if (user.role === 'admin') {
+      return res.status(400).json({ message: 'Cannot impersonate admin user' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'Cannot impersonate a deactivated user' });
+    }
+
+    const { session, accessToken } = await tokenService.createImpersonationSession(req.user, user, req);
+
+    await recordAuditEvent(
+      {
+        actor: req.user._id,
+        subject: user._id,
+        action: 'impersonation_start',
+        session: session._id,
+        reason: req.body.reason,
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      token: accessToken,
+      expiresAt: session.expiresAt,
+      impersonating: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the audit log
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (Admin only)
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const { actor, subject, action, session, page = 1, limit = 50 } = req.query;
+
+    // Build query
+    const query = {};
+    if (actor) query.actor = actor;
+    if (subject) query.subject = subject;
+    if (action) query.action = action;
+    if (session) query.session = session;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate('actor', 'name email')
+      .populate('subject', 'name email');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      pages: Math.ceil(total / Number(limit)),
+      currentPage: Number(page),
+      logs,
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Delete user
  * @route   DELETE /api/admin/users/:id
@@ -391,6 +560,11 @@ exports.updateProject = async (req, res, next) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Cancelling returns any funded milestones to the client
+    if (project.status === 'cancelled') {
+      await paymentService.refundProjectEscrow(project, req.user);
+    }
+
     res.status(200).json({
       success: true,
       project,
@@ -414,6 +588,9 @@ exports.deleteProject = async (req, res, next) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Return any funded milestones to the client
+    await paymentService.refundProjectEscrow(project, req.user);
+
     // Delete project tasks
     await Task.deleteMany({ project: project._id });
 
@@ -462,13 +639,15 @@ exports.getSystemStats = async (req, res, next) => {
       },
       {
         $group: {
-          _id: { month: { $month: '$createdAt' }, year: { $year: '$createdAt' } },
+          _id: { month: { $month: '$createdAt' }, year: { $year: '$createdAt' }, currency: '$currency' },
           count: { $sum: 1 },
           totalBudget: { $sum: '$budget' },
         },
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } },
     ]);
+    const rates = await getRates();
+    const unconverted = new Set();
 
     // Format the data for frontend charts
     const months = [];
@@ -491,12 +670,18 @@ exports.getSystemStats = async (req, res, next) => {
       );
       userCounts.push(userStat ? userStat.count : 0);
 
-      // Find project count and budget for this month
-      const projectStat = projectStats.find(
+      // Find project count and budget for this month, budgets in the platform currency
+      const monthStats = projectStats.filter(
         (stat) => stat._id.month === date.getMonth() + 1 && stat._id.year === date.getFullYear()
       );
-      projectCounts.push(projectStat ? projectStat.count : 0);
-      projectBudgets.push(projectStat ? projectStat.totalBudget : 0);
+      const budget = sumConverted(
+        monthStats.map((stat) => ({ currency: stat._id.currency, amount: stat.totalBudget })),
+        config.payments.currency,
+        rates
+      );
+      budget.unconverted.forEach((currency) => unconverted.add(currency));
+      projectCounts.push(monthStats.reduce((count, stat) => count + stat.count, 0));
+      projectBudgets.push(budget.total);
     }
 
     res.status(200).json({
@@ -506,10 +691,574 @@ exports.getSystemStats = async (req, res, next) => {
         users: userCounts,
         projects: projectCounts,
         budgets: projectBudgets,
+        currency: config.payments.currency,
+        unconverted: [...unconverted],
       },
     });
   } catch (error) {
     console.error('Get system stats error:', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get payout requests
+ * @route   GET /api/admin/payout-requests
+ * @access  Private (Admin only)
+ */
+exports.getPayoutRequests = async (req, res, next) => {
+  try {
+    const { status, user, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // Oldest requests first, so the queue is worked in order
+    const requests = await PayoutRequest.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate('user', 'name email')
+      .populate('reviewedBy', 'name')
+      .populate('paidBy', 'name');
+
+    const total = await PayoutRequest.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      total,
+      pages: Math.ceil(total / Number(limit)),
+      currentPage: Number(page),
+      requests,
+    });
+  } catch (error) {
+    console.error('Get payout requests error:', error);
+    next(error);
+  }
+};
+
+const notifyPayout = async (request, admin, title, content) => {
+  const notification = new Notification({
+    recipient: request.user,
+    type: 'payment',
+    title,
+    content,
+    createdBy: admin._id,
+    link: '/payments',
+  });
+
+  await notification.save();
+
+  // Add notification to user's notifications
+  await User.findByIdAndUpdate(request.user, {
+    $push: { notifications: notification._id },
+  });
+};
+
+/**
+ * Approve or reject a payout request and tell the user
+ * @param {String} status - approved or rejected
+ * @returns {Function} Express handler
+ */
+const reviewPayoutRequest = (status) => async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await paymentService.reviewPayoutRequest(req.params.id, status, req.user, req.body.note);
+    const amount = formatMoney(request.amount, request.currency);
+
+    await notifyPayout(
+      request,
+      req.user,
+      status === 'approved' ? 'Payout Approved' : 'Payout Rejected',
+      status === 'approved'
+        ? `Your payout of ${amount} has been approved and will be sent shortly.`
+        : `Your payout of ${amount} has been rejected and the amount was returned to your balance.${request.note ? ` ${request.note}` : ''}`
+    );
+
+    res.status(200).json({
+      success: true,
+      request,
+    });
+  } catch (error) {
+    console.error(`Review payout request (${status}) error:`, error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a payout request
+ * @route   PUT /api/admin/payout-requests/:id/approve
+ * @access  Private (Admin only)
+ */
+exports.approvePayoutRequest = reviewPayoutRequest('approved');
+
+/**
+ * @desc    Reject a payout request and return the amount to the user's balance
+ * @route   PUT /api/admin/payout-requests/:id/reject
+ * @access  Private (Admin only)
+ */
+exports.rejectPayoutRequest = reviewPayoutRequest('rejected');
+
+/**
+ * @desc    Mark an approved payout request as paid
+ * @route   PUT /api/admin/payout-requests/:id/paid
+ * @access  Private (Admin only)
+ */
+exports.markPayoutRequestPaid = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await paymentService.markPayoutPaid(req.params.id, req.user, req.body.reference);
+
+    await notifyPayout(
+      request,
+      req.user,
+      'Payout Sent',
+      `Your payout of ${formatMoney(request.amount, request.currency)} has been sent${
+        request.destination ? ` to ${request.destination}` : ''
+      }.`
+    );
+
+    res.status(200).json({
+      success: true,
+      request,
+    });
+  } catch (error) {
+    console.error('Mark payout request paid error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the exchange rates against the platform currency
+ * @route   GET /api/admin/exchange-rates
+ * @access  Private (Admin only)
+ */
+exports.getExchangeRates = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 }).populate('updatedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: config.payments.currency,
+      count: rates.length,
+      rates,
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add or change the exchange rate of a currency
+ * @route   PUT /api/admin/exchange-rates/:currency
+ * @access  Private (Admin only)
+ */
+exports.setExchangeRate = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currency } = req.params;
+
+    if (currency === config.payments.currency) {
+      return res.status(400).json({ message: 'The platform currency always has a rate of 1' });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate: req.body.rate, updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      rate,
+    });
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the exchange rate of a currency, so new projects cannot use it
+ * @route   DELETE /api/admin/exchange-rates/:currency
+ * @access  Private (Admin only)
+ */
+exports.deleteExchangeRate = async (req, res, next) => {
+  try {
+    const { currency } = req.params;
+
+    // Running projects still need the rate, e.g. to convert bids
+    const inUse = await Project.exists({ currency, status: { $nin: ['completed', 'cancelled'] } });
+    if (inUse) {
+      return res.status(400).json({ message: `Currency ${currency} is still used by active projects` });
+    }
+
+    const rate = await ExchangeRate.findOneAndDelete({ currency });
+
+    if (!rate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate removed',
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    next(error);
+  }
+};
+/**
+ * @desc    Get the reward catalog, including inactive rewards
+ * @route   GET /api/admin/coins/catalog
+ * @access  Private (Admin only)
+ */
+exports.getRewardItems = async (req, res, next) => {
+  try {
+    const items = await RewardItem.find().sort({ active: -1, cost: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      items,
+    });
+  } catch (error) {
+    console.error('Get reward items error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a reward to the catalog
+ * @route   POST /api/admin/coins/catalog
+ * @access  Private (Admin only)
+ */
+exports.createRewardItem = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, image, cost, stock, active } = req.body;
+
+    const item = await RewardItem.create({
+      name,
+      description,
+      image,
+      cost,
+      stock,
+      active,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      item,
+    });
+  } catch (error) {
+    console.error('Create reward item error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a reward in the catalog
+ * @route   PUT /api/admin/coins/catalog/:id
+ * @access  Private (Admin only)
+ */
+exports.updateRewardItem = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, image, cost, stock, active } = req.body;
+
+    // Build reward fields object
+    const itemFields = {};
+    if (name) itemFields.name = name;
+    if (description !== undefined) itemFields.description = description;
+    if (image !== undefined) itemFields.image = image;
+    if (cost) itemFields.cost = cost;
+    if (active !== undefined) itemFields.active = active;
+
+    // A null stock makes the reward unlimited
+    const update = { $set: itemFields };
+    if (stock === null) {
+      update.$unset = { stock: 1 };
+    } else if (stock !== undefined) {
+      itemFields.stock = stock;
+    }
+
+    const item = await RewardItem.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Reward not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      item,
+    });
+  } catch (error) {
+    console.error('Update reward item error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a reward from the catalog (it is kept for past redemptions)
+ * @route   DELETE /api/admin/coins/catalog/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteRewardItem = async (req, res, next) => {
+  try {
+    const item = await RewardItem.findByIdAndUpdate(req.params.id, { $set: { active: false } }, { new: true });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Reward not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reward removed from the catalog',
+    });
+  } catch (error) {
+    console.error('Delete reward item error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get redemption requests
+ * @route   GET /api/admin/coins/redemptions
+ * @access  Private (Admin only)
+ */
+exports.getRedemptions = async (req, res, next) => {
+  try {
+    const { status, user, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // Oldest requests first, so the queue is worked in order
+    const redemptions = await Redemption.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate('user', 'name email points')
+      .populate('item', 'name image stock')
+      .populate('reviewedBy', 'name');
+
+    const total = await Redemption.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: redemptions.length,
+      total,
+      pages: Math.ceil(total / Number(limit)),
+      currentPage: Number(page),
+      redemptions,
+    });
+  } catch (error) {
+    console.error('Get redemptions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a redemption and tell the user
+ * @param {String} status - approved or rejected
+ * @returns {Function} Express handler
+ */
+const reviewRedemption = (status) => async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const redemption = await coinService.reviewRedemption(req.params.id, status, req.user, req.body.note);
+
+    const notification = new Notification({
+      recipient: redemption.user,
+      type: 'system',
+      title: status === 'approved' ? 'Redemption Approved' : 'Redemption Rejected',
+      content: status === 'approved'
+        ? `Your redemption of "${redemption.itemName}" has been approved.`
+        : `Your redemption of "${redemption.itemName}" has been rejected and ${redemption.cost} Cyber Coins were returned.${redemption.note ? ` ${redemption.note}` : ''}`,
+      createdBy: req.user.id,
+      link: '/profile',
+    });
+
+    await notification.save();
+
+    // Add notification to user's notifications
+    await User.findByIdAndUpdate(redemption.user, {
+      $push: { notifications: notification._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      redemption,
+    });
+  } catch (error) {
+    console.error(`Review redemption (${status}) error:`, error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a redemption request
+ * @route   PUT /api/admin/coins/redemptions/:id/approve
+ * @access  Private (Admin only)
+ */
+exports.approveRedemption = reviewRedemption('approved');
+
+/**
+ * @desc    Reject a redemption request and return the coins
+ * @route   PUT /api/admin/coins/redemptions/:id/reject
+ * @access  Private (Admin only)
+ */
+exports.rejectRedemption = reviewRedemption('rejected');
+
+/**
+ * @desc    Get the dispute queue
+ * @route   GET /api/admin/disputes
+ * @access  Private (Admin only)
+ */
+exports.getDisputes = async (req, res, next) => {
+  try {
+    const { status, assignedTo, page = 1, limit = 20 } = req.query;
+
+    // Active disputes by default
+    const query = { status: status || { $in: Dispute.ACTIVE_STATUSES } };
+    if (assignedTo) query.assignedTo = assignedTo === 'me' ? req.user.id : assignedTo;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // Oldest cases first
+    const disputes = await Dispute.find(query)
+      .select('-messages')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate('project', 'title client paymentStatus')
+      .populate('openedBy', 'name email role')
+      .populate('assignedTo', 'name');
+
+    const total = await Dispute.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      total,
+      pages: Math.ceil(total / Number(limit)),
+      currentPage: Number(page),
+      disputes,
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a dispute to another stage
+ * @route   PUT /api/admin/disputes/:id/status
+ * @access  Private (Admin only)
+ */
+exports.updateDisputeStatus = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await findResource('dispute', req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    await disputeService.updateStatus(dispute, req.user, req.body.status, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Update dispute status error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resolve a dispute and settle its escrow
+ * @route   POST /api/admin/disputes/:id/resolve
+ * @access  Private (Admin only)
+ */
+exports.resolveDispute = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await findResource('dispute', req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const { outcome, refundAmount, clientPercent, note } = req.body;
+
+    const resolved = await disputeService.resolveDispute(dispute, req.user, {
+      outcome,
+      refundAmount,
+      clientPercent,
+      note,
+    });
+
+    res.status(200).json({
+      success: true,
+      dispute: resolved,
+    });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    next(error);
+  }
+};
@@ -1,8 +1,17 @@
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 const { validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const tokenService = require('../utils/tokenService');
+const verificationTokenService = require('../utils/verificationTokenService');
+const totp = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
+const oauthService = require('../utils/oauthService');
+const apiTokenService = require('../utils/apiTokenService');
+const ApiToken = require('../models/apiToken.model');
+const { recordAuditEvent } = require('../utils/auditLog');
+const config = require('../config/config');
 
 /**
  * @desc    Register a new user
@@ -25,21 +34,21 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create verification token
-    const verificationToken = crypto.randomBytes(20).toString('hex');
-
     // Create new user
     user = new User({
       name,
       email,
       password,
       role: role || 'student',
-      resetPasswordToken: verificationToken,
-      resetPasswordExpire: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
     });
 
     await user.save();
 
+    // Create verification token
+    const verificationToken = await verificationTokenService.issueToken(user._id, 'verify_email', {
+      expiresIn: config.emailVerification.expiresIn,
+    });
+
     // Send verification email
     try {
       const emailService = require('../utils/emailService');
@@ -49,14 +58,13 @@ exports.register = async (req, res, next) => {
       // Don't fail registration if email fails
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '30d',
-    });
+    // Start a new session
+    const { accessToken, refreshToken } = await tokenService.createSession(user, req);
 
     res.status(201).json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -72,6 +80,52 @@ exports.register = async (req, res, next) => {
   }
 };
 
+/**
+ * Reply with 429 when an attempt is throttled
+ * @param {Object} res - Express response object
+ * @param {Object} status - Result of loginThrottle.check
+ * @param {String} message - Error message
+ * @returns {Object} Express response
+ */
+const sendThrottled = (res, status, message) => {
+  const retryAfter = Math.ceil(status.retryAfter / 1000);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, locked: status.locked, retryAfter });
+};
+
+/**
+ * Count a failed login for the account and IP, and warn the account
+ * owner by email when the failure locks the account
+ * @param {Object} user - User document, or null for an unknown email
+ * @param {Object} accountCounter - Account counter
+ * @param {Object} ipCounter - IP counter (optional)
+ */
+const recordLoginFailure = async (user, accountCounter, ipCounter) => {
+  if (ipCounter) {
+    await loginThrottle.recordFailure(ipCounter);
+  }
+
+  const { locked } = await loginThrottle.recordFailure(accountCounter);
+
+  if (locked && user) {
+    try {
+      const emailService = require('../utils/emailService');
+      const minutes = Math.round(Number(config.loginThrottle.lockoutDuration) / 60000);
+      await emailService.sendNotificationEmail(
+        user.email,
+        user.name,
+        'Account Temporarily Locked',
+        `We locked sign-in to your account for ${minutes} minutes after too many failed login attempts. If this wasn't you, we recommend resetting your password.`,
+        `${process.env.CLIENT_URL}/forgot-password`,
+        'Reset Password'
+      );
+    } catch (emailError) {
+      console.error('Failed to send lockout email:', emailError);
+    }
+  }
+};
+
 /**
  * @desc    Login user
  * @route   POST /api/auth/login
@@ -87,30 +141,52 @@ exports.login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
+    // Refuse attempts while the account or IP is backing off or locked
+    const accountCounter = loginThrottle.counter('login_account', email);
+    const ipCounter = loginThrottle.counter('login_ip', req.ip);
+    const throttle = await loginThrottle.check([accountCounter, ipCounter]);
+    if (throttle.blocked) {
+      return sendThrottled(res, throttle, 'Too many failed login attempts, please try again later');
+    }
+
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginFailure(null, accountCounter, ipCounter);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(user, accountCounter, ipCounter);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Ask for a second factor before starting a session. Failures are only
+    // cleared once the code is right too, or codes could be guessed without
+    // limit by entering the password again.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: await tokenService.signTwoFactorChallenge(user),
+      });
+    }
+
+    await loginThrottle.reset(accountCounter);
+
     // Update last active
     user.lastActive = Date.now();
     await user.save({ validateBeforeSave: false });
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '30d',
-    });
+    // Start a new session
+    const { accessToken, refreshToken } = await tokenService.createSession(user, req);
 
     res.status(200).json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -126,6 +202,36 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Rotate the refresh token
+    const { accessToken, refreshToken } = await tokenService.rotateSession(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -142,9 +248,16 @@ exports.getMe = async (req, res, next) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Admins viewing the platform as this user
+    let impersonator;
+    if (req.impersonator) {
+      impersonator = await User.findById(req.impersonator).select('name email');
+    }
+
     res.status(200).json({
       success: true,
       user,
+      impersonator,
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -170,8 +283,16 @@ exports.updateProfile = async (req, res, next) => {
       companyName,
       companySize,
       industry,
+      email,
     } = req.body;
 
+    // Email changes must be confirmed from both addresses
+    if (email && email.toLowerCase() !== req.user.email) {
+      return res.status(400).json({
+        message: 'Email cannot be changed here, use /api/auth/change-email instead',
+      });
+    }
+
     // Build profile object
     const profileFields = {};
     if (name) profileFields.name = name;
@@ -234,9 +355,18 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Pending reset links are no longer needed
+    await verificationTokenService.revokeTokens(user._id, 'reset_password');
+
+    // Sign out every session, then start a fresh one for this device
+    await tokenService.revokeUserSessions(user._id, 'password_change');
+    const { accessToken, refreshToken } = await tokenService.createSession(user, req);
+
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
+      token: accessToken,
+      refreshToken,
     });
   } catch (error) {
     console.error('Update password error:', error);
@@ -259,6 +389,17 @@ exports.forgotPassword = async (req, res, next) => {
 
     const { email } = req.body;
 
+    // Every request counts, so reset emails cannot be used to flood an inbox
+    const accountCounter = loginThrottle.counter('reset_account', email);
+    const ipCounter = loginThrottle.counter('reset_ip', req.ip);
+    const throttle = await loginThrottle.check([accountCounter, ipCounter]);
+    if (throttle.blocked) {
+      return sendThrottled(res, throttle, 'Too many password reset requests, please try again later');
+    }
+
+    await loginThrottle.recordFailure(accountCounter);
+    await loginThrottle.recordFailure(ipCounter);
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
@@ -266,13 +407,9 @@ exports.forgotPassword = async (req, res, next) => {
     }
 
     // Generate reset token
-    const resetToken = crypto.randomBytes(20).toString('hex');
-
-    // Set reset token and expiry
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpire = Date.now() + 30 * 60 * 1000; // 30 minutes
-
-    await user.save({ validateBeforeSave: false });
+    const resetToken = await verificationTokenService.issueToken(user._id, 'reset_password', {
+      expiresIn: config.passwordReset.expiresIn,
+    });
 
     // Send reset email
     try {
@@ -309,32 +446,31 @@ exports.resetPassword = async (req, res, next) => {
     const { password } = req.body;
     const { resetToken } = req.params;
 
-    // Find user by reset token and check if token is still valid
-    const user = await User.findOne({
-      resetPasswordToken: resetToken,
-      resetPasswordExpire: { $gt: Date.now() },
-    });
+    // Consume reset token and check if it is still valid
+    const storedToken = await verificationTokenService.consumeToken(resetToken, 'reset_password');
+    const user = storedToken && (await User.findById(storedToken.user));
 
     if (!user) {
       return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
-    // Update password and clear reset token fields
+    // Update password
     user.password = password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
 
     await user.save();
 
-    // Generate new JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '30d',
-    });
+    // Proving access to the mailbox lifts any login lockout
+    await loginThrottle.reset(loginThrottle.counter('login_account', user.email));
+
+    // Sign out every session, then start a fresh one
+    await tokenService.revokeUserSessions(user._id, 'password_reset');
+    const { accessToken, refreshToken } = await tokenService.createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
-      token,
+      token: accessToken,
+      refreshToken,
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -351,11 +487,9 @@ exports.verifyEmail = async (req, res, next) => {
   try {
     const { token } = req.params;
 
-    // Find user by verification token
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpire: { $gt: Date.now() },
-    });
+    // Consume verification token
+    const storedToken = await verificationTokenService.consumeToken(token, 'verify_email');
+    const user = storedToken && (await User.findById(storedToken.user));
 
     if (!user) {
       return res.status(400).json({ message: 'Invalid or expired verification token' });
@@ -363,8 +497,6 @@ exports.verifyEmail = async (req, res, next) => {
 
     // Update user verification status
     user.isVerified = true;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
 
     await user.save({ validateBeforeSave: false });
 
@@ -391,14 +523,10 @@ exports.resendVerification = async (req, res, next) => {
       return res.status(400).json({ message: 'Email already verified' });
     }
 
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(20).toString('hex');
-
-    // Set verification token and expiry
-    user.resetPasswordToken = verificationToken;
-    user.resetPasswordExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-
-    await user.save({ validateBeforeSave: false });
+    // Generate verification token, replacing any earlier one
+    const verificationToken = await verificationTokenService.issueToken(user._id, 'verify_email', {
+      expiresIn: config.emailVerification.expiresIn,
+    });
 
     // Send verification email
     try {
@@ -420,12 +548,168 @@ exports.resendVerification = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user / Clear cookie
+ * @desc    Request an email change
+ * @route   POST /api/auth/change-email
+ * @access  Private
+ */
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password } = req.body;
+    const newEmail = req.body.newEmail.toLowerCase();
+
+    // Get user with password
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Check current password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'New email is the same as the current email' });
+    }
+
+    // Check if the new email is already taken
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+
+    // Replace any earlier request, then issue the confirm and cancel links
+    await verificationTokenService.revokeTokens(user._id, 'change_email');
+
+    const tokenOptions = { expiresIn: config.emailChange.expiresIn, keepExisting: true };
+    const confirmToken = await verificationTokenService.issueToken(user._id, 'change_email', {
+      ...tokenOptions,
+      data: { action: 'confirm', newEmail },
+    });
+    const cancelToken = await verificationTokenService.issueToken(user._id, 'change_email', {
+      ...tokenOptions,
+      data: { action: 'cancel', newEmail },
+    });
+
+    user.pendingEmail = { email: newEmail, requestedAt: Date.now() };
+    await user.save({ validateBeforeSave: false });
+
+    // Send confirmation to the new address and a notice to the current one
+    try {
+      const emailService = require('../utils/emailService');
+      await emailService.sendEmailChangeConfirmation(newEmail, user.name, confirmToken);
+      await emailService.sendEmailChangeNotice(user.email, user.name, newEmail, cancelToken);
+    } catch (emailError) {
+      console.error('Failed to send email change emails:', emailError);
+      // Don't fail the request if email fails
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Confirmation email sent to ${newEmail}`,
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm an email change from the new address
+ * @route   GET /api/auth/confirm-email-change/:token
+ * @access  Public
+ */
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    // Consume confirmation token
+    const storedToken = await verificationTokenService.consumeToken(token, 'change_email');
+    const isConfirm = storedToken && storedToken.data && storedToken.data.action === 'confirm';
+    const user = isConfirm && (await User.findById(storedToken.user));
+
+    if (!user || !user.pendingEmail || user.pendingEmail.email !== storedToken.data.newEmail) {
+      return res.status(400).json({ message: 'Invalid or expired email change token' });
+    }
+
+    const { newEmail } = storedToken.data;
+
+    // The address may have been registered since the request was made
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+
+    // Clicking the link proves the new address, so it counts as verified
+    user.email = newEmail;
+    user.isVerified = true;
+    user.pendingEmail = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // The cancel link and any verification link for the old address are void now
+    await verificationTokenService.revokeTokens(user._id, 'change_email');
+    await verificationTokenService.revokeTokens(user._id, 'verify_email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Email changed successfully',
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel an email change from the current address
+ * @route   GET /api/auth/cancel-email-change/:token
+ * @access  Public
+ */
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    // Consume cancel token
+    const storedToken = await verificationTokenService.consumeToken(token, 'change_email');
+    const isCancel = storedToken && storedToken.data && storedToken.data.action === 'cancel';
+    const user = isCancel && (await User.findById(storedToken.user));
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired email change token' });
+    }
+
+    user.pendingEmail = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Void the confirmation link and sign out everywhere, in case the
+    // request came from someone else
+    await verificationTokenService.revokeTokens(user._id, 'change_email');
+    await tokenService.revokeUserSessions(user._id, 'user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Email change cancelled and all sessions signed out',
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user and revoke all of their refresh tokens
  * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
+    // Revoke all sessions
+    await tokenService.revokeUserSessions(req.user.id, 'logout');
+
     // Update last active
     await User.findByIdAndUpdate(req.user.id, { lastActive: Date.now() });
 
@@ -437,4 +721,684 @@ exports.logout = async (req, res, next) => {
     console.error('Logout error:', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    End an impersonation session
+ * @route   POST /api/auth/impersonation/exit
+ * @access  Private (Impersonating admin)
+ */
+exports.exitImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ message: 'You are not impersonating a user' });
+    }
+
+    await tokenService.revokeSession(req.session._id, 'impersonation_end');
+    await recordAuditEvent(
+      {
+        actor: req.impersonator,
+        subject: req.user._id,
+        action: 'impersonation_end',
+        session: req.session._id,
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  } catch (error) {
+    console.error('Exit impersonation error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get active sessions (devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: tokenService.describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.toString() === req.session.id,
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await tokenService.revokeSession(session._id, 'user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Public details of a personal API token
+ * @param {Object} apiToken - Token document
+ * @returns {Object} Token details without the hash
+ */
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  lastFour: apiToken.lastFour,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  createdAt: apiToken.createdAt,
+});
+
+/**
+ * @desc    Get the current user's personal API tokens
+ * @route   GET /api/auth/tokens
+ * @access  Private
+ */
+exports.getApiTokens = async (req, res, next) => {
+  try {
+    const apiTokens = await ApiToken.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiTokens.length,
+      tokens: apiTokens.map(formatApiToken),
+      scopes: apiTokenService.SCOPES,
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a personal API token
+ * @route   POST /api/auth/tokens
+ * @access  Private
+ */
+exports.createApiToken = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const activeCount = await ApiToken.countDocuments({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() },
+    });
+
+    if (activeCount >= Number(config.apiTokens.maxPerUser)) {
+      return res.status(400).json({
+        message: 'You have reached the maximum number of API tokens. Revoke one to create another.',
+      });
+    }
+
+    const { apiToken, token } = await apiTokenService.createApiToken(req.user, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy the token now, it will not be shown again',
+      token,
+      apiToken: formatApiToken(apiToken),
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a personal API token
+ * @route   DELETE /api/auth/tokens/:id
+ * @access  Private
+ */
+exports.revokeApiToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: { $exists: false },
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({ message: 'API token not found' });
+    }
+
+    apiToken.revokedAt = Date.now();
+    await apiToken.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign out everywhere else (revoke all sessions except the current one)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await tokenService.revokeUserSessions(req.user.id, 'user', {
+      except: req.session._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} other sessions revoked successfully`,
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    next(error);
+  }
+};
+
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Array} Plain recovery codes, formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * @desc    Start two-factor enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    // Generate secret and recovery codes
+    const secret = totp.generateSecret();
+    const recoveryCodes = generateRecoveryCodes();
+
+    // Hash recovery codes like passwords
+    const recoveryCodeHashes = [];
+    for (const code of recoveryCodes) {
+      const salt = await bcrypt.genSalt(10);
+      recoveryCodeHashes.push({ codeHash: await bcrypt.hash(code.replace('-', ''), salt) });
+    }
+
+    // Nothing is enforced until the first code is verified
+    user.twoFactor.pendingSecret = secret;
+    user.twoFactor.recoveryCodes = recoveryCodeHashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email),
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm two-factor enrollment with a code from the authenticator app
+ * @route   POST /api/auth/2fa/verify
+ * @access  Private
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Two-factor setup has not been started' });
+    }
+
+    if (!(await user.useAuthenticationCode(req.body.code, user.twoFactor.pendingSecret))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    // Enable two-factor authentication
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+    });
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      '+password +twoFactor.secret +twoFactor.recoveryCodes'
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    // Check authentication or recovery code
+    const isValidCode = (await user.useAuthenticationCode(code)) || (await user.useRecoveryCode(code));
+    if (!isValidCode) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    // Disable two-factor authentication
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a two-factor login with an authentication or recovery code
+ * @route   POST /api/auth/2fa/login
+ * @access  Public
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // Check challenge token from the password step, which can only be used once
+    let userId;
+    try {
+      userId = await tokenService.consumeTwoFactorChallenge(challengeToken);
+    } catch (challengeError) {
+      return res.status(challengeError.statusCode).json({ message: challengeError.message });
+    }
+
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const accountCounter = loginThrottle.counter('login_account', user.email);
+    const throttle = await loginThrottle.check([accountCounter]);
+    if (throttle.blocked) {
+      return sendThrottled(res, throttle, 'Too many failed login attempts, please try again later');
+    }
+
+    // Check authentication code, or fall back to a single-use recovery code
+    let usedRecoveryCode = false;
+    if (recoveryCode) {
+      usedRecoveryCode = await user.useRecoveryCode(recoveryCode);
+      if (!usedRecoveryCode) {
+        await recordLoginFailure(user, accountCounter);
+        return res.status(401).json({ message: 'Invalid recovery code' });
+      }
+    } else if (!(await user.useAuthenticationCode(code))) {
+      await recordLoginFailure(user, accountCounter);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await loginThrottle.reset(accountCounter);
+
+    // Update last active (and persist a consumed recovery code)
+    user.lastActive = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    // Start a new session
+    const { accessToken, refreshToken } = await tokenService.createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      recoveryCodesRemaining: usedRecoveryCode
+        ? user.twoFactor.recoveryCodes.filter((recovery) => !recovery.usedAt).length
+        : undefined,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isVerified: user.isVerified,
+        avatar: user.avatar,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send the browser back to the client after an OAuth flow
+ * Values go in the URL fragment, so tokens never reach server logs.
+ * @param {Object} res - Express response object
+ * @param {Object} params - Values for the client callback page
+ */
+const redirectToClient = (res, params) => {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3000'}/oauth/callback#${fragment}`);
+};
+
+/**
+ * Find the user a provider account is linked to
+ * @param {String} provider - Provider name
+ * @param {String} providerId - Account ID at the provider
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserByProvider = (provider, providerId) => {
+  return User.findOne({ oauthProviders: { $elemMatch: { provider, providerId } } });
+};
+
+/**
+ * @desc    Start OAuth sign-in
+ * @route   GET /api/auth/oauth/:provider
+ * @access  Public
+ */
+exports.oauthLogin = async (req, res, next) => {
+  try {
+    res.redirect(oauthService.startFlow(res, req.params.provider, { mode: 'login' }));
+  } catch (error) {
+    if (error.isOperational) {
+      return redirectToClient(res, { mode: 'login', error: error.message });
+    }
+    console.error('OAuth login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start linking an OAuth provider to the current user
+ * @route   POST /api/auth/oauth/:provider/link
+ * @access  Private
+ */
+exports.oauthLink = async (req, res, next) => {
+  try {
+    // The client calls this with credentials, so the nonce cookie is set
+    const url = oauthService.startFlow(res, req.params.provider, {
+      mode: 'link',
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      url,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('OAuth link error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    OAuth provider callback for sign-in and linking
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @access  Public
+ */
+exports.oauthCallback = async (req, res, next) => {
+  const { provider } = req.params;
+  let mode = 'login';
+
+  try {
+    const { code, state, error } = req.query;
+
+    // The flow must have been started in this browser
+    const flow = oauthService.verifyState(state, provider, oauthService.takeNonce(req, res));
+    mode = flow.mode;
+
+    if (error || !code) {
+      return redirectToClient(res, { mode, error: 'Sign-in was cancelled' });
+    }
+
+    const profile = await oauthService.fetchProfile(provider, code);
+    const email = profile.email ? profile.email.toLowerCase() : null;
+    const linkedUser = await findUserByProvider(provider, profile.providerId);
+    const providerLink = { provider, providerId: profile.providerId, email };
+
+    // Link the provider account to the user who started the flow
+    if (mode === 'link') {
+      const user = await User.findById(flow.userId);
+
+      if (!user) {
+        return redirectToClient(res, { mode, error: 'User not found' });
+      }
+      if (linkedUser && !linkedUser._id.equals(user._id)) {
+        return redirectToClient(res, { mode, error: `This ${provider} account is linked to another user` });
+      }
+
+      if (!linkedUser) {
+        if (user.oauthProviders.some((link) => link.provider === provider)) {
+          return redirectToClient(res, { mode, error: `Unlink your current ${provider} account first` });
+        }
+        user.oauthProviders.push(providerLink);
+      }
+
+      // The provider vouches for the address, so it counts as verified
+      if (profile.emailVerified && email === user.email) {
+        user.isVerified = true;
+      }
+      if (provider === 'github' && profile.profileUrl && !(user.socialLinks && user.socialLinks.github)) {
+        user.set('socialLinks.github', profile.profileUrl);
+      }
+
+      await user.save({ validateBeforeSave: false });
+
+      return redirectToClient(res, { mode, linked: provider });
+    }
+
+    let user = linkedUser;
+
+    if (!user) {
+      if (!email) {
+        return redirectToClient(res, { mode, error: `Your ${provider} account has no email address` });
+      }
+
+      user = await User.findOne({ email }).select('+password');
+
+      if (user) {
+        // Only link to an existing account when the provider vouches for the address
+        if (!profile.emailVerified) {
+          return redirectToClient(res, {
+            mode,
+            error: 'An account with this email already exists. Sign in with your password and link the provider from settings.',
+          });
+        }
+
+        // A password on an unverified account was set by whoever registered the
+        // address, which may not be its owner, so drop it and its sessions
+        if (!user.isVerified && user.password) {
+          user.password = undefined;
+          await tokenService.revokeUserSessions(user._id, 'oauth_link');
+        }
+
+        user.isVerified = true;
+        user.oauthProviders.push(providerLink);
+        await user.save({ validateBeforeSave: false });
+      } else {
+        user = new User({
+          name: profile.name || email.split('@')[0],
+          email,
+          avatar: profile.avatar || '',
+          isVerified: profile.emailVerified,
+          oauthProviders: [providerLink],
+          socialLinks: provider === 'github' && profile.profileUrl ? { github: profile.profileUrl } : undefined,
+        });
+        await user.save();
+      }
+    }
+
+    if (!user.isActive) {
+      return redirectToClient(res, { mode, error: 'User account is deactivated' });
+    }
+
+    // Ask for a second factor before starting a session
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return redirectToClient(res, { mode, challengeToken: await tokenService.signTwoFactorChallenge(user) });
+    }
+
+    // Update last active
+    user.lastActive = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    // Start a new session
+    const { accessToken, refreshToken } = await tokenService.createSession(user, req);
+
+    redirectToClient(res, { mode, token: accessToken, refreshToken, role: user.role });
+  } catch (error) {
+    if (error.isOperational) {
+      return redirectToClient(res, { mode, error: error.message });
+    }
+    console.error('OAuth callback error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlink an OAuth provider from the current user
+ * @route   DELETE /api/auth/oauth/:provider
+ * @access  Private
+ */
+exports.oauthUnlink = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    // Get user with password
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user.oauthProviders.some((link) => link.provider === provider)) {
+      return res.status(404).json({ message: `No ${provider} account is linked` });
+    }
+
+    // Keep at least one way to sign in
+    if (!user.password && user.oauthProviders.length === 1) {
+      return res.status(400).json({
+        message: 'Set a password with "Forgot password" before unlinking your only sign-in method',
+      });
+    }
+
+    user.oauthProviders = user.oauthProviders.filter((link) => link.provider !== provider);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      oauthProviders: user.oauthProviders,
+    });
+  } catch (error) {
+    console.error('OAuth unlink error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,129 @@
+const CoinTransaction = require('../models/coinTransaction.model');
+const Redemption = require('../models/redemption.model');
+const RewardItem = require('../models/rewardItem.model');
+const User = require('../models/user.model');
+const { validationResult } = require('express-validator');
+const coinService = require('../utils/coinService');
+
+/**
+ * @desc    Get the current user's Cyber Coins balance
+ * @route   GET /api/coins/balance
+ * @access  Private
+ */
+exports.getBalance = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('points');
+
+    res.status(200).json({
+      success: true,
+      balance: user.points,
+    });
+  } catch (error) {
+    console.error('Get coin balance error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's Cyber Coins history
+ * @route   GET /api/coins/transactions
+ * @access  Private
+ */
+exports.getTransactions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    // Pending transactions are still being applied to the balance
+    const query = { user: req.user.id, status: { $ne: 'pending' } };
+    if (req.query.reason) query.reason = req.query.reason;
+
+    const transactions = await CoinTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .populate('project', 'title');
+
+    const total = await CoinTransaction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      transactions,
+    });
+  } catch (error) {
+    console.error('Get coin transactions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the rewards that can be redeemed
+ * @route   GET /api/coins/catalog
+ * @access  Private
+ */
+exports.getCatalog = async (req, res, next) => {
+  try {
+    const items = await RewardItem.find({ active: true }).sort({ cost: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      items,
+    });
+  } catch (error) {
+    console.error('Get reward catalog error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Redeem Cyber Coins for a reward
+ * @route   POST /api/coins/redemptions
+ * @access  Private
+ */
+exports.redeem = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const redemption = await coinService.requestRedemption(req.user, req.body.itemId);
+
+    res.status(201).json({
+      success: true,
+      redemption,
+    });
+  } catch (error) {
+    console.error('Redeem coins error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's redemption requests
+ * @route   GET /api/coins/redemptions
+ * @access  Private
+ */
+exports.getRedemptions = async (req, res, next) => {
+  try {
+    const redemptions = await Redemption.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate('item', 'name image');
+
+    res.status(200).json({
+      success: true,
+      count: redemptions.length,
+      redemptions,
+    });
+  } catch (error) {
+    console.error('Get redemptions error:', error);
+    next(error);
+  }
+};
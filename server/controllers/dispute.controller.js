@@ -0,0 +1,171 @@
+const Dispute = require('../models/dispute.model');
+const { validationResult } = require('express-validator');
+const { can, deniedMessage, findResource, findParticipatingProjectIds } = require('../utils/permissions');
+const disputeService = require('../utils/disputeService');
+
+/**
+ * @desc    Open a dispute on a project or milestone
+ * @route   POST /api/disputes
+ * @access  Private (Client or assigned freelancer)
+ */
+exports.openDispute = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { project: projectId, milestone, reason, description, evidence } = req.body;
+
+    // Check if project exists
+    const project = await findResource('project', projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    // Check if user is authorized to open a dispute on this project
+    if (!can(req.user, 'project:open_dispute', project)) {
+      return res.status(403).json({ message: deniedMessage('project:open_dispute') });
+    }
+
+    const dispute = await disputeService.openDispute(project, req.user, {
+      milestone,
+      reason,
+      description,
+      evidence,
+    });
+
+    res.status(201).json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get disputes on the current user's projects
+ * @route   GET /api/disputes
+ * @access  Private
+ */
+exports.getDisputes = async (req, res, next) => {
+  try {
+    const projectIds = await findParticipatingProjectIds(req.user.id);
+
+    const query = { project: { $in: projectIds } };
+    if (req.query.status) query.status = req.query.status;
+
+    const disputes = await Dispute.find(query)
+      .select('-messages')
+      .sort({ updatedAt: -1 })
+      .populate('project', 'title')
+      .populate('openedBy', 'name avatar');
+
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      disputes,
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get dispute by ID with its discussion
+ * @route   GET /api/disputes/:id
+ * @access  Private (Parties or Admin)
+ */
+exports.getDisputeById = async (req, res, next) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('project', 'title client assignedFreelancers milestones paymentStatus')
+      .populate('openedBy', 'name avatar')
+      .populate('assignedTo', 'name avatar')
+      .populate('messages.author', 'name avatar role')
+      .populate('history.changedBy', 'name role');
+
+    res.status(200).json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Post a message in a dispute
+ * @route   POST /api/disputes/:id/messages
+ * @access  Private (Parties or Admin)
+ */
+exports.addMessage = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { content, attachments, replyTo } = req.body;
+
+    const message = await disputeService.addMessage(req.dispute, req.user, { content, attachments, replyTo });
+
+    res.status(201).json({
+      success: true,
+      message,
+    });
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add evidence to a dispute
+ * @route   POST /api/disputes/:id/evidence
+ * @access  Private (Parties or Admin)
+ */
+exports.addEvidence = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await disputeService.addEvidence(req.dispute, req.user, req.body.evidence);
+
+    res.status(201).json({
+      success: true,
+      evidence: dispute.evidence,
+    });
+  } catch (error) {
+    console.error('Add dispute evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw a dispute
+ * @route   POST /api/disputes/:id/withdraw
+ * @access  Private (User who opened the dispute)
+ */
+exports.withdrawDispute = async (req, res, next) => {
+  try {
+    const dispute = await disputeService.withdrawDispute(req.dispute, req.user);
+
+    res.status(200).json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Withdraw dispute error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,407 @@
+const LedgerAccount = require('../models/ledgerAccount.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const PayoutRequest = require('../models/payoutRequest.model');
+const { validationResult } = require('express-validator');
+const config = require('../config/config');
+const ledgerService = require('../utils/ledgerService');
+const paymentService = require('../utils/paymentService');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { toCsv } = require('../utils/csv');
+const { toDecimalString } = require('../utils/money');
+
+/**
+ * Format a ledger transaction for the API, with amounts in minor units
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} Transaction details
+ */
+const formatTransaction = (transaction) => ({
+  _id: transaction._id,
+  type: transaction.type,
+  currency: transaction.currency,
+  project: transaction.project,
+  milestone: transaction.milestone,
+  description: transaction.description,
+  entries: transaction.entries.map((entry) => ({
+    account: entry.account,
+    amount: entry.amount,
+  })),
+  createdAt: transaction.createdAt,
+});
+
+/**
+ * Format a provider payment for the API, with the amount in minor units
+ * @param {Object} payment - Payment document
+ * @returns {Object} Payment details
+ */
+const formatPayment = (payment) => ({
+  _id: payment._id,
+  provider: payment.provider,
+  kind: payment.kind,
+  status: payment.status,
+  amount: payment.amount,
+  currency: payment.currency,
+  project: payment.project,
+  milestone: payment.milestone,
+  checkoutUrl: payment.kind === 'checkout' && payment.status === 'pending' ? payment.checkoutUrl : undefined,
+  failureReason: payment.failureReason,
+  createdAt: payment.createdAt,
+});
+
+// Ledger accounts of an owner, one per currency money moved in
+const findAccounts = (owner, types) => LedgerAccount.find({ owner, type: { $in: types } }).sort({ currency: 1 });
+
+const findMilestone = (project, milestoneId) => {
+  return project.milestones.find((milestone) => milestone._id.toString() === milestoneId);
+};
+
+/**
+ * @desc    Get the current user's balances
+ * @route   GET /api/payments/balance
+ * @access  Private
+ */
+exports.getBalance = async (req, res, next) => {
+  try {
+    const balances = new Map([[config.payments.currency, { currency: config.payments.currency, available: 0, paidIn: 0 }]]);
+
+    for (const account of await findAccounts(req.user._id, ['user', 'funding'])) {
+      if (!balances.has(account.currency)) {
+        balances.set(account.currency, { currency: account.currency, available: 0, paidIn: 0 });
+      }
+      const balance = balances.get(account.currency);
+      if (account.type === 'user') {
+        balance.available = account.balance;
+      } else {
+        // Funding accounts go negative by what has been paid in
+        balance.paidIn = -account.balance;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      balances: [...balances.values()],
+    });
+  } catch (error) {
+    console.error('Get balance error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get ledger transactions touching the current user's accounts
+ * @route   GET /api/payments/transactions
+ * @access  Private
+ */
+exports.getTransactions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const keys = (await findAccounts(req.user._id, ['user', 'funding'])).map((account) => account.key);
+    const query = { 'entries.account': { $in: keys } };
+
+    const transactions = await LedgerTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await LedgerTransaction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      transactions: transactions.map(formatTransaction),
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the payment summary of a project
+ * @route   GET /api/payments/projects/:id
+ * @access  Private (Project participants or Admin)
+ */
+exports.getProjectPayments = async (req, res, next) => {
+  try {
+    const summary = await ledgerService.getProjectSummary(req.project);
+
+    res.status(200).json({
+      success: true,
+      payments: summary,
+    });
+  } catch (error) {
+    console.error('Get project payments error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a checkout that funds a milestone into escrow
+ * @route   POST /api/payments/projects/:id/milestones/:milestoneId/fund
+ * @access  Private (Client who created the project)
+ */
+exports.fundMilestone = async (req, res, next) => {
+  try {
+    const { project } = req;
+
+    if (['completed', 'cancelled'].includes(project.status)) {
+      return res.status(400).json({
+        message: `Milestones cannot be funded when project status is ${project.status}`,
+      });
+    }
+
+    const milestone = findMilestone(project, req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    const payment = await paymentService.startMilestoneCheckout(project, milestone, req.user);
+
+    res.status(201).json({
+      success: true,
+      payment: formatPayment(payment),
+      checkoutUrl: payment.checkoutUrl,
+    });
+  } catch (error) {
+    console.error('Fund milestone error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refund the escrow of a milestone that has not been completed
+ * @route   POST /api/payments/projects/:id/milestones/:milestoneId/refund
+ * @access  Private (Client who created the project)
+ */
+exports.refundMilestone = async (req, res, next) => {
+  try {
+    const { project } = req;
+
+    const milestone = findMilestone(project, req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    if (milestone.status === 'completed') {
+      return res.status(400).json({ message: 'Completed milestones cannot be refunded' });
+    }
+
+    // Delivered work is paid or refunded through the review, or a dispute
+    if (['submitted', 'approved'].includes(milestone.status)) {
+      return res.status(400).json({
+        message: `Milestones cannot be refunded when they are ${milestone.status}, open a dispute instead`,
+      });
+    }
+
+    const transaction = await paymentService.refundMilestone(project, milestone, req.user);
+
+    res.status(200).json({
+      success: true,
+      transaction: formatTransaction(transaction),
+    });
+  } catch (error) {
+    console.error('Refund milestone error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's earnings statement, as JSON or CSV
+ * @route   GET /api/payments/earnings
+ * @access  Private
+ */
+exports.getEarnings = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, format } = req.query;
+    const statement = await ledgerService.getEarnings(req.user._id, { from, to });
+
+    if (format === 'csv') {
+      const csv = toCsv(
+        [
+          { header: 'Date', value: (entry) => entry.date.toISOString().slice(0, 10) },
+          { header: 'Type', value: (entry) => entry.type },
+          { header: 'Project', value: (entry) => entry.projectTitle },
+          { header: 'Description', value: (entry) => entry.description },
+          { header: 'Currency', value: (entry) => entry.currency },
+          { header: 'Amount', value: (entry) => toDecimalString(entry.amount, entry.currency) },
+          { header: 'Transaction', value: (entry) => String(entry.transaction) },
+        ],
+        statement.entries
+      );
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="earnings.csv"');
+      return res.status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      ...statement,
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a payout of the current user's balance
+ * @route   POST /api/payments/payout-requests
+ * @access  Private
+ */
+exports.createPayoutRequest = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await paymentService.requestPayout(
+      req.user,
+      req.body.amount,
+      req.body.currency || config.payments.currency,
+      req.body.destination
+    );
+
+    res.status(201).json({
+      success: true,
+      request,
+    });
+  } catch (error) {
+    console.error('Create payout request error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's payout requests
+ * @route   GET /api/payments/payout-requests
+ * @access  Private
+ */
+exports.getPayoutRequests = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const requests = await PayoutRequest.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      requests,
+    });
+  } catch (error) {
+    console.error('Get payout requests error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a payout request that has not been reviewed yet
+ * @route   POST /api/payments/payout-requests/:id/cancel
+ * @access  Private (User who made the request)
+ */
+exports.cancelPayoutRequest = async (req, res, next) => {
+  try {
+    if (!(await PayoutRequest.exists({ _id: req.params.id, user: req.user._id }))) {
+      return res.status(404).json({ message: 'Payout request not found' });
+    }
+
+    const request = await paymentService.cancelPayoutRequest(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      request,
+    });
+  } catch (error) {
+    console.error('Cancel payout request error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive a payment provider webhook
+ * @route   POST /api/payments/webhook/:provider
+ * @access  Public (signed by the provider)
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    const event = provider.verifyWebhook(req.rawBody, req.headers);
+
+    const result = await paymentService.processWebhookEvent(req.params.provider, event);
+
+    res.status(200).json({
+      received: true,
+      duplicate: result.duplicate,
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a team's balance and earnings
+ * @route   GET /api/payments/teams/:id
+ * @access  Private (Team members only)
+ */
+exports.getTeamPayments = async (req, res, next) => {
+  try {
+    const { team } = req;
+    const teamAccounts = await findAccounts(team._id, ['team']);
+
+    const transactions = await LedgerTransaction.find({
+      'entries.account': { $in: teamAccounts.map((account) => account.key) },
+    })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      payments: {
+        balances: teamAccounts.map((account) => ({ currency: account.currency, available: account.balance })),
+        // In the platform currency, converted at current rates
+        currency: config.payments.currency,
+        totalEarnings: team.totalEarnings,
+        transactions: transactions.map(formatTransaction),
+      },
+    });
+  } catch (error) {
+    console.error('Get team payments error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check the ledger for consistency
+ * @route   GET /api/payments/ledger/verify
+ * @access  Private (Admin only)
+ */
+exports.verifyLedger = async (req, res, next) => {
+  try {
+    const report = await ledgerService.verifyLedger();
+
+    res.status(200).json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    console.error('Verify ledger error:', error);
+    next(error);
+  }
+};
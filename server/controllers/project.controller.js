@@ -1,6 +1,20 @@
 const Project = require('../models/project.model');
 const User = require('../models/user.model');
 const Notification = require('../models/notification.model');
+const Invoice = require('../models/invoice.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const config = require('../config/config');
+const ledgerService = require('../utils/ledgerService');
+const paymentService = require('../utils/paymentService');
+const coinService = require('../utils/coinService');
+const invoiceService = require('../utils/invoiceService');
+const milestoneService = require('../utils/milestoneService');
+const recommendationService = require('../utils/recommendationService');
+const projectLifecycle = require('../utils/projectLifecycle');
+const projectInvitationService = require('../utils/projectInvitationService');
+const { can, canViewProject, deniedMessage, findInvitation } = require('../utils/permissions');
+const { assertSupportedCurrency, convert, getRates } = require('../utils/exchangeRates');
+const { buildProjectQuery, buildSort, parseSearch, highlight, facetPipeline, formatFacets } = require('../utils/projectSearch');
 const { validationResult } = require('express-validator');
 
 /**
@@ -27,8 +41,17 @@ exports.createProject = async (req, res, next) => {
       duration,
       visibility,
       attachments,
+      billingType,
+      weeklyHourCap,
+      currency = config.payments.currency,
+      publishAt,
     } = req.body;
 
+    // Projects are published right away unless saved as a draft or scheduled
+    const draft = req.body.status === 'draft' || Boolean(publishAt);
+
+    await assertSupportedCurrency(currency);
+
     // Create new project
     const project = new Project({
       title,
@@ -38,12 +61,22 @@ exports.createProject = async (req, res, next) => {
       category,
       skills,
       budget,
+      currency,
       deadline,
       duration,
       visibility: visibility || 'public',
       attachments: attachments || [],
+      billingType,
+      weeklyHourCap,
+      status: 'draft',
     });
 
+    if (draft) {
+      if (publishAt) projectLifecycle.publish(project, publishAt);
+    } else {
+      projectLifecycle.transition(project, 'open');
+    }
+
     await project.save();
 
     // Add project to user's projects
@@ -51,6 +84,10 @@ exports.createProject = async (req, res, next) => {
       $push: { projects: project._id },
     });
 
+    if (project.status === 'open') {
+      await projectLifecycle.announce(project);
+    }
+
     res.status(201).json({
       success: true,
       project,
@@ -74,96 +111,48 @@ exports.getProjects = async (req, res, next) => {
       skills,
       minBudget,
       maxBudget,
+      currency,
       status,
       sort,
       page = 1,
       limit = 10,
     } = req.query;
 
-    // Build query
-    const query = {};
-
-    // Search by title, description, or skills
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { skills: { $in: [new RegExp(search, 'i')] } },
-      ];
-    }
-
-    // Filter by category
-    if (category) {
-      query.category = category;
-    }
-
-    // Filter by skills
-    if (skills) {
-      const skillsArray = skills.split(',');
-      query.skills = { $in: skillsArray };
-    }
-
-    // Filter by budget range
-    if (minBudget || maxBudget) {
-      query.budget = {};
-      if (minBudget) query.budget.$gte = Number(minBudget);
-      if (maxBudget) query.budget.$lte = Number(maxBudget);
-    }
-
-    // Filter by status
-    if (status) {
-      query.status = status;
-    } else {
-      // By default, only show open projects
-      query.status = 'open';
-    }
-
-    // Only show public projects
-    query.visibility = 'public';
-
-    // Build sort options
-    let sortOptions = {};
-    switch (sort) {
-      case 'newest':
-        sortOptions = { createdAt: -1 };
-        break;
-      case 'oldest':
-        sortOptions = { createdAt: 1 };
-        break;
-      case 'budget_high':
-        sortOptions = { budget: -1 };
-        break;
-      case 'budget_low':
-        sortOptions = { budget: 1 };
-        break;
-      case 'deadline':
-        sortOptions = { deadline: 1 };
-        break;
-      default:
-        sortOptions = { createdAt: -1 };
-    }
+    const query = buildProjectQuery({ search, category, skills, minBudget, maxBudget, currency, status });
+    const searching = Boolean(query.$text);
 
     // Pagination
     const skip = (Number(page) - 1) * Number(limit);
 
     // Execute query
     const projects = await Project.find(query)
-      .sort(sortOptions)
+      .sort(buildSort(sort, searching))
       .skip(skip)
       .limit(Number(limit))
       .populate('client', 'name avatar')
-      .select('-proposals');
+      .select(searching ? { proposals: 0, score: { $meta: 'textScore' } } : '-proposals');
 
     // Get total count for pagination
     const total = await Project.countDocuments(query);
 
+    // Counts by category, skill, budget and duration for the same filters
+    const facetCurrency = query.currency || config.payments.currency;
+    const [facetResult] = await Project.aggregate(facetPipeline(query, facetCurrency));
+
+    // Mark where each project matches the search
+    const parsed = parseSearch(search);
+    const results = searching
+      ? projects.map((project) => ({ ...project.toJSON(), highlights: highlight(project, parsed) }))
+      : projects;
+
     res.status(200).json({
       success: true,
       count: projects.length,
       total,
       pages: Math.ceil(total / Number(limit)),
       currentPage: Number(page),
-      projects,
+      projects: results,
+      facets: formatFacets(facetResult, facetCurrency),
     });
   } catch (error) {
     console.error('Get projects error:', error);
@@ -171,6 +160,46 @@ exports.getProjects = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get open projects recommended for the current student
+ * @route   GET /api/projects/recommended
+ * @access  Private (Student only)
+ */
+exports.getRecommendedProjects = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    const ranked = await recommendationService.getRecommendations(req.user);
+
+    // Pagination
+    const skip = (Number(page) - 1) * Number(limit);
+    const items = ranked.slice(skip, skip + Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total: ranked.length,
+      pages: Math.ceil(ranked.length / Number(limit)),
+      currentPage: Number(page),
+      projects: items.map(({ project, score, reasons, explanation }) => ({
+        ...project.toJSON(),
+        score,
+        reasons,
+        explanation,
+      })),
+    });
+  } catch (error) {
+    console.error('Get recommended projects error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get project by ID
  * @route   GET /api/projects/:id
@@ -180,10 +209,11 @@ exports.getProjectById = async (req, res, next) => {
   try {
     const project = await Project.findById(req.params.id)
       .populate('client', 'name avatar companyName location')
-      .populate('assignedTeam', 'name avatar members')
+      .populate('assignedTeam', 'name avatar creator members')
       .populate('assignedFreelancers', 'name avatar skills');
 
-    if (!project) {
+    // Projects the user may not see are not found
+    if (!project || !canViewProject(req.user || null, project)) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
@@ -206,13 +236,19 @@ exports.getProjectById = async (req, res, next) => {
       }
     }
 
-    // If user is not the client, remove proposals from response
+    // If user is not the client, remove proposals and invitations from response
     const projectResponse = project.toObject();
     if (!userIsClient) {
       projectResponse.proposals = [];
       if (userProposal) {
         projectResponse.userProposal = userProposal;
       }
+
+      projectResponse.invitations = [];
+      const userInvitation = req.user && findInvitation(req.user, project);
+      if (userInvitation) {
+        projectResponse.userInvitation = userInvitation;
+      }
     }
 
     res.status(200).json({
@@ -233,16 +269,13 @@ exports.getProjectById = async (req, res, next) => {
  */
 exports.updateProject = async (req, res, next) => {
   try {
-    let project = await Project.findById(req.params.id);
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this project' });
-    }
+    let { project } = req;
 
     // Check if project can be updated (not in progress or completed)
     if (['in_progress', 'completed', 'cancelled'].includes(project.status)) {
@@ -251,13 +284,47 @@ exports.updateProject = async (req, res, next) => {
       });
     }
 
+    // Money already moved in the project's currency
+    if (req.body.currency && req.body.currency !== project.currency) {
+      if (await LedgerTransaction.exists({ project: project._id })) {
+        return res.status(400).json({
+          message: 'The currency of a project with payments cannot be changed',
+        });
+      }
+      await assertSupportedCurrency(req.body.currency);
+    }
+
+    // The lifecycle fields only change with the status or on publishing
+    const { status, publishAt, publishedAt, closedAt, closeReason, ...update } = req.body;
+    const previousStatus = project.status;
+
+    if (status !== undefined && status !== project.status) {
+      Object.assign(
+        update,
+        projectLifecycle.transitionUpdate(project, status, {
+          byClient: true,
+          deadline: update.deadline || project.deadline,
+        })
+      );
+    }
+
     // Update project
     project = await Project.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: update },
       { new: true, runValidators: true }
     );
 
+    // A draft or closed project going live is new to saved searches
+    if (previousStatus !== 'open' && project.status === 'open') {
+      await projectLifecycle.announce(project);
+    }
+
+    // Cancelling returns any funded milestones to the client
+    if (project.status === 'cancelled') {
+      await paymentService.refundProjectEscrow(project, req.user);
+    }
+
     res.status(200).json({
       success: true,
       project,
@@ -269,23 +336,76 @@ exports.updateProject = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete project
- * @route   DELETE /api/projects/:id
- * @access  Private (Client who created the project or Admin)
+ * @desc    Publish a draft now or at a scheduled time
+ * @route   POST /api/projects/:id/publish
+ * @access  Private (Client who created the project)
  */
-exports.deleteProject = async (req, res, next) => {
+exports.publishProject = async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id);
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const { project } = req;
+
+    projectLifecycle.publish(project, req.body.publishAt);
+    await project.save();
+
+    if (project.status === 'open') {
+      await projectLifecycle.announce(project);
     }
 
-    // Check if user is the project owner or admin
-    if (project.client.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to delete this project' });
+    res.status(200).json({
+      success: true,
+      message: project.status === 'open' ? 'Project published successfully' : 'Project scheduled for publishing',
+      project,
+    });
+  } catch (error) {
+    console.error('Publish project error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel the scheduled publishing of a draft
+ * @route   DELETE /api/projects/:id/publish
+ * @access  Private (Client who created the project)
+ */
+exports.cancelScheduledPublish = async (req, res, next) => {
+  try {
+    const { project } = req;
+
+    if (project.status !== 'draft' || !project.publishAt) {
+      return res.status(400).json({
+        message: 'This project is not scheduled for publishing',
+      });
     }
 
+    project.publishAt = undefined;
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled publishing cancelled',
+      project,
+    });
+  } catch (error) {
+    console.error('Cancel scheduled publish error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete project
+ * @route   DELETE /api/projects/:id
+ * @access  Private (Client who created the project or Admin)
+ */
+exports.deleteProject = async (req, res, next) => {
+  try {
+    const { project } = req;
+
     // Check if project can be deleted (not in progress)
     if (project.status === 'in_progress') {
       return res.status(400).json({
@@ -293,6 +413,9 @@ exports.deleteProject = async (req, res, next) => {
       });
     }
 
+    // Return any funded milestones to the client
+    await paymentService.refundProjectEscrow(project, req.user);
+
     // Remove project from user's projects
     await User.findByIdAndUpdate(project.client, {
       $pull: { projects: project._id },
@@ -328,12 +451,21 @@ exports.submitProposal = async (req, res, next) => {
 
     const project = await Project.findById(req.params.id);
 
-    if (!project) {
+    if (!project || !canViewProject(req.user, project)) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    // Check if project is open for proposals
-    if (project.status !== 'open') {
+    // Invite-only projects take proposals from invitees who accepted
+    if (!can(req.user, 'project:submit_proposal', project)) {
+      return res.status(403).json({ message: deniedMessage('project:submit_proposal') });
+    }
+
+    // Bids are in the project's currency unless the freelancer says otherwise
+    const currency = req.body.currency || project.currency;
+    await assertSupportedCurrency(currency);
+
+    // Check if project is open for proposals (a team may be about to start on it)
+    if (project.status !== 'open' || project.assignedTeam) {
       return res.status(400).json({
         message: 'This project is not accepting proposals',
       });
@@ -355,6 +487,7 @@ exports.submitProposal = async (req, res, next) => {
       freelancer: req.user.id,
       coverLetter,
       bidAmount,
+      currency,
       estimatedDuration,
     };
 
@@ -397,19 +530,10 @@ exports.submitProposal = async (req, res, next) => {
  */
 exports.getProjectProposals = async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id)
+    const project = await Project.findById(req.project._id)
       .select('proposals client title')
       .populate('proposals.freelancer', 'name avatar skills rating completedProjects');
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to view these proposals' });
-    }
-
     res.status(200).json({
       success: true,
       proposals: project.proposals,
@@ -434,18 +558,8 @@ exports.updateProposalStatus = async (req, res, next) => {
     }
 
     const { status } = req.body;
-    const { id, proposalId } = req.params;
-
-    const project = await Project.findById(id);
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this proposal' });
-    }
+    const { proposalId } = req.params;
+    const { project } = req;
 
     // Find the proposal
     const proposalIndex = project.proposals.findIndex(
@@ -456,18 +570,39 @@ exports.updateProposalStatus = async (req, res, next) => {
       return res.status(404).json({ message: 'Proposal not found' });
     }
 
+    if (status === 'accepted' && project.assignedTeam) {
+      return res.status(400).json({
+        message: 'A team is already assigned to this project',
+      });
+    }
+
     // Update proposal status
     project.proposals[proposalIndex].status = status;
 
     // If accepting proposal, update project status and assigned freelancer
     if (status === 'accepted') {
-      project.status = 'in_progress';
+      projectLifecycle.transition(project, 'in_progress');
       project.startDate = Date.now();
       
       // Add freelancer to assignedFreelancers
       const freelancerId = project.proposals[proposalIndex].freelancer;
       project.assignedFreelancers.push(freelancerId);
 
+      // On hourly projects the bid is the hourly rate, paid in the project's currency
+      if (project.billingType === 'hourly') {
+        const proposal = project.proposals[proposalIndex];
+        project.hourlyContracts.push({
+          freelancer: freelancerId,
+          hourlyRate: convert(
+            proposal.bidAmount,
+            proposal.currency || project.currency,
+            project.currency,
+            await getRates()
+          ),
+          weeklyHourCap: project.weeklyHourCap,
+        });
+      }
+
       // Add project to freelancer's projects
       await User.findByIdAndUpdate(freelancerId, {
         $push: { projects: project._id },
@@ -537,16 +672,7 @@ exports.addMilestone = async (req, res, next) => {
 
     const { title, description, dueDate, amount } = req.body;
 
-    const project = await Project.findById(req.params.id);
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to add milestones to this project' });
-    }
+    const { project } = req;
 
     // Create new milestone
     const milestone = {
@@ -599,18 +725,14 @@ exports.addMilestone = async (req, res, next) => {
  */
 exports.updateMilestone = async (req, res, next) => {
   try {
-    const { id, milestoneId } = req.params;
-
-    const project = await Project.findById(id);
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this milestone' });
-    }
+    const { milestoneId } = req.params;
+    const { project } = req;
 
     // Find the milestone
     const milestoneIndex = project.milestones.findIndex(
@@ -624,6 +746,16 @@ exports.updateMilestone = async (req, res, next) => {
     // Update milestone fields
     const { title, description, dueDate, amount } = req.body;
 
+    // The escrow holds the funded amount, so it has to be refunded first
+    if (amount && Number(amount) !== project.milestones[milestoneIndex].amount) {
+      const escrow = ledgerService.accounts.escrow(project, project.milestones[milestoneIndex]);
+      if ((await ledgerService.getBalance(escrow.key)) > 0 || project.milestones[milestoneIndex].status === 'completed') {
+        return res.status(400).json({
+          message: 'The amount of a funded or completed milestone cannot be changed',
+        });
+      }
+    }
+
     if (title) project.milestones[milestoneIndex].title = title;
     if (description) project.milestones[milestoneIndex].description = description;
     if (dueDate) project.milestones[milestoneIndex].dueDate = dueDate;
@@ -648,66 +780,165 @@ exports.updateMilestone = async (req, res, next) => {
  */
 exports.completeMilestone = async (req, res, next) => {
   try {
-    const { id, milestoneId } = req.params;
+    const { project } = req;
 
-    const project = await Project.findById(id);
+    // Find the milestone
+    const milestone = project.milestones.id(req.params.milestoneId);
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
     }
 
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to complete this milestone' });
+    await milestoneService.completeMilestone(project, milestone, req.user);
+
+    res.status(200).json({
+      success: true,
+      milestone,
+    });
+  } catch (error) {
+    console.error('Complete milestone error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit the work of a milestone for review
+ * @route   POST /api/projects/:id/milestones/:milestoneId/submissions
+ * @access  Private (Assigned freelancer or team manager)
+ */
+exports.submitMilestone = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { project } = req;
+
     // Find the milestone
-    const milestoneIndex = project.milestones.findIndex(
-      (milestone) => milestone._id.toString() === milestoneId
-    );
+    const milestone = project.milestones.id(req.params.milestoneId);
 
-    if (milestoneIndex === -1) {
+    if (!milestone) {
       return res.status(404).json({ message: 'Milestone not found' });
     }
 
-    // Update milestone status
-    project.milestones[milestoneIndex].status = 'completed';
-    project.milestones[milestoneIndex].completedAt = Date.now();
+    const { note, attachments } = req.body;
 
-    // Update payment status and total paid
-    project.paymentStatus = 'milestone_payment';
-    project.totalPaid += project.milestones[milestoneIndex].amount;
+    await milestoneService.submitMilestone(project, milestone, req.user, { note, attachments });
 
-    await project.save();
+    res.status(201).json({
+      success: true,
+      milestone,
+    });
+  } catch (error) {
+    console.error('Submit milestone error:', error);
+    next(error);
+  }
+};
 
-    // Create notification for assigned freelancers
-    if (project.assignedFreelancers.length > 0) {
-      for (const freelancerId of project.assignedFreelancers) {
-        const notification = new Notification({
-          recipient: freelancerId,
-          type: 'milestone',
-          title: 'Milestone Completed',
-          content: `The milestone "${project.milestones[milestoneIndex].title}" has been marked as completed for project: ${project.title}`,
-          project: project._id,
-          createdBy: req.user.id,
-          link: `/projects/${project._id}`,
-        });
+/**
+ * Approve the submitted work of a milestone or ask for changes
+ * @param {String} decision - approved or changes_requested
+ * @returns {Function} Controller
+ */
+const reviewMilestone = (decision) => async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-        await notification.save();
+    const { project } = req;
 
-        // Add notification to freelancer's notifications
-        await User.findByIdAndUpdate(freelancerId, {
-          $push: { notifications: notification._id },
-        });
+    // Find the milestone
+    const milestone = project.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    const { paymentPending } = await milestoneService.reviewSubmission(
+      project,
+      milestone,
+      req.user,
+      decision,
+      req.body.comment
+    );
+
+    res.status(200).json({
+      success: true,
+      milestone,
+      ...(paymentPending && { message: `Milestone approved. Its payment is pending: ${paymentPending}` }),
+    });
+  } catch (error) {
+    console.error('Review milestone error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve the submitted work of a milestone
+ * @route   PUT /api/projects/:id/milestones/:milestoneId/approve
+ * @access  Private (Client who created the project)
+ */
+exports.approveMilestone = reviewMilestone('approved');
+
+/**
+ * @desc    Ask for changes to the submitted work of a milestone
+ * @route   PUT /api/projects/:id/milestones/:milestoneId/request-changes
+ * @access  Private (Client who created the project)
+ */
+exports.requestMilestoneChanges = reviewMilestone('changes_requested');
+
+/**
+ * @desc    Change the hourly rate or weekly cap of a freelancer
+ * @route   PUT /api/projects/:id/hourly-contracts/:freelancerId
+ * @access  Private (Client who created the project)
+ */
+exports.updateHourlyContract = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { project } = req;
+
+    if (project.billingType !== 'hourly') {
+      return res.status(400).json({ message: 'Project is not billed hourly' });
+    }
+
+    const { freelancerId } = req.params;
+    if (!project.assignedFreelancers.some((freelancer) => freelancer.toString() === freelancerId)) {
+      return res.status(404).json({ message: 'Freelancer is not assigned to this project' });
+    }
+
+    let contract = project.hourlyContracts.find((item) => item.freelancer.toString() === freelancerId);
+    if (!contract) {
+      if (req.body.hourlyRate === undefined) {
+        return res.status(400).json({ message: 'Hourly rate is required' });
       }
+
+      project.hourlyContracts.push({ freelancer: freelancerId, hourlyRate: req.body.hourlyRate });
+      contract = project.hourlyContracts[project.hourlyContracts.length - 1];
     }
 
+    // Timesheets keep the terms of the week they started in
+    const { hourlyRate, weeklyHourCap } = req.body;
+    if (hourlyRate !== undefined) contract.hourlyRate = hourlyRate;
+    if (weeklyHourCap !== undefined) contract.weeklyHourCap = weeklyHourCap;
+
+    await project.save();
+
     res.status(200).json({
       success: true,
-      milestone: project.milestones[milestoneIndex],
+      contract,
     });
   } catch (error) {
-    console.error('Complete milestone error:', error);
+    console.error('Update hourly contract error:', error);
     next(error);
   }
 };
@@ -730,6 +961,11 @@ exports.toggleSaveProject = async (req, res, next) => {
     // Check if project is already saved
     const isSaved = user.savedProjects.includes(project._id);
 
+    // Only projects the user can see can be saved
+    if (!isSaved && !canViewProject(req.user, project)) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
     if (isSaved) {
       // Unsave project
       await User.findByIdAndUpdate(req.user.id, {
@@ -778,7 +1014,7 @@ exports.getSavedProjects = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id).populate({
       path: 'savedProjects',
-      select: 'title description category skills budget deadline status',
+      select: 'title description category skills budget currency deadline status',
       populate: {
         path: 'client',
         select: 'name avatar',
@@ -802,40 +1038,40 @@ exports.getSavedProjects = async (req, res, next) => {
  */
 exports.completeProject = async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id);
+    const { project } = req;
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check if user is the project owner
-    if (project.client.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to complete this project' });
-    }
+    // Completing again finishes the rewards of an attempt that failed half way
+    const isRetry = project.status === 'completed';
 
     // Check if project is in progress
-    if (project.status !== 'in_progress') {
+    if (!isRetry && project.status !== 'in_progress') {
       return res.status(400).json({
         message: `Project cannot be completed when status is ${project.status}`,
       });
     }
 
-    // Update project status
-    project.status = 'completed';
-    project.completedDate = Date.now();
-    project.paymentStatus = 'completed';
+    if (!isRetry) {
+      // Update project status
+      project.status = 'completed';
+      project.completedDate = Date.now();
 
-    await project.save();
+      await project.save();
+    }
 
-    // Update assigned freelancers' stats
-    for (const freelancerId of project.assignedFreelancers) {
-      await User.findByIdAndUpdate(freelancerId, {
-        $inc: { completedProjects: 1, points: 50 }, // Award 50 points for completing a project
-      });
+    // The payment status is derived from the ledger and the project status
+    await ledgerService.syncProjectTotals(project._id);
+
+    // Invoice the payments no milestone invoice covers yet
+    await invoiceService.invoiceProject(project);
+
+    // Award Cyber Coins and count the completion once per person
+    const awarded = await coinService.awardProjectCompletion(project);
+    if (awarded.length > 0) {
+      await User.updateMany({ _id: { $in: awarded } }, { $inc: { completedProjects: 1 } });
     }
 
     // Create notification for assigned freelancers
-    if (project.assignedFreelancers.length > 0) {
+    if (!isRetry && project.assignedFreelancers.length > 0) {
       for (const freelancerId of project.assignedFreelancers) {
         const notification = new Notification({
           recipient: freelancerId,
@@ -866,6 +1102,50 @@ exports.completeProject = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get invoices of a project
+ * @route   GET /api/projects/:id/invoices
+ * @access  Private (Project participants or Admin)
+ */
+exports.getProjectInvoices = async (req, res, next) => {
+  try {
+    const invoices = await Invoice.find({ project: req.project._id }).sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      invoices,
+    });
+  } catch (error) {
+    console.error('Get project invoices error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download an invoice as PDF
+ * @route   GET /api/projects/:id/invoices/:invoiceId/pdf
+ * @access  Private (Project participants or Admin)
+ */
+exports.downloadInvoice = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.invoiceId, project: req.project._id }).select('+pdf');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+    });
+    res.send(invoice.pdf);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Add review for project
  * @route   POST /api/projects/:id/review
@@ -881,11 +1161,7 @@ exports.addReview = async (req, res, next) => {
 
     const { rating, review } = req.body;
 
-    const project = await Project.findById(req.params.id);
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
+    const { project } = req;
 
     // Check if project is completed
     if (project.status !== 'completed') {
@@ -894,17 +1170,7 @@ exports.addReview = async (req, res, next) => {
       });
     }
 
-    // Check if user is the client or an assigned freelancer
     const isClient = project.client.toString() === req.user.id;
-    const isFreelancer = project.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isFreelancer) {
-      return res.status(403).json({
-        message: 'Not authorized to add a review for this project',
-      });
-    }
 
     // Add review based on user role
     if (isClient) {
@@ -921,6 +1187,8 @@ exports.addReview = async (req, res, next) => {
         createdAt: Date.now(),
       };
 
+      await coinService.awardFiveStarReview(project, rating);
+
       // Update freelancer ratings
       for (const freelancerId of project.assignedFreelancers) {
         const freelancer = await User.findById(freelancerId);
@@ -994,4 +1262,155 @@ exports.addReview = async (req, res, next) => {
     console.error('Add review error:', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+/**
+ * @desc    Get invitations of an invite-only project
+ * @route   GET /api/projects/:id/invitations
+ * @access  Private (Client who created the project)
+ */
+exports.getProjectInvitations = async (req, res, next) => {
+  try {
+    const project = await req.project.populate([
+      { path: 'invitations.user', select: 'name avatar skills' },
+      { path: 'invitations.team', select: 'name avatar' },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: project.invitations.length,
+      invitations: project.invitations,
+    });
+  } catch (error) {
+    console.error('Get project invitations error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Invite students and teams to an invite-only project
+ * @route   POST /api/projects/:id/invitations
+ * @access  Private (Client who created the project)
+ */
+exports.inviteToProject = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { users = [], teams = [], message } = req.body;
+
+    if (users.length === 0 && teams.length === 0) {
+      return res.status(400).json({ message: 'Invite at least one student or team' });
+    }
+
+    const invitations = await projectInvitationService.invite(req.project, req.user, { users, teams, message });
+
+    res.status(201).json({
+      success: true,
+      count: invitations.length,
+      invitations,
+    });
+  } catch (error) {
+    console.error('Invite to project error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw an invitation
+ * @route   DELETE /api/projects/:id/invitations/:invitationId
+ * @access  Private (Client who created the project)
+ */
+exports.revokeProjectInvitation = async (req, res, next) => {
+  try {
+    const invitation = await projectInvitationService.revoke(req.project, req.params.invitationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation withdrawn successfully',
+      invitation,
+    });
+  } catch (error) {
+    console.error('Revoke project invitation error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Accept or decline a project invitation
+ * @param {Boolean} accept - True to accept
+ * @returns {Function} Express handler
+ */
+const respondToInvitation = (accept) => async (req, res, next) => {
+  try {
+    const invitation = await projectInvitationService.respond(req.project, req.params.invitationId, req.user, accept);
+
+    res.status(200).json({
+      success: true,
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      invitation,
+    });
+  } catch (error) {
+    console.error(`${accept ? 'Accept' : 'Decline'} project invitation error:`, error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an invitation to a project
+ * @route   POST /api/projects/:id/invitations/:invitationId/accept
+ * @access  Private (Invited student, or team member who manages projects)
+ */
+exports.acceptProjectInvitation = respondToInvitation(true);
+
+/**
+ * @desc    Decline an invitation to a project
+ * @route   POST /api/projects/:id/invitations/:invitationId/decline
+ * @access  Private (Invited student, or team member who manages projects)
+ */
+exports.declineProjectInvitation = respondToInvitation(false);
+
+/**
+ * @desc    Get invitations of the current user and their teams
+ * @route   GET /api/projects/user/invitations
+ * @access  Private
+ */
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const teams = req.user.teams || [];
+    const { status } = req.query;
+
+    const projects = await Project.find({
+      $or: [{ 'invitations.user': req.user._id }, { 'invitations.team': { $in: teams } }],
+      status: { $in: ['draft', 'open'] },
+    })
+      .select('title shortDescription category skills budget currency deadline status client invitations')
+      .populate('client', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    const statuses = status ? [status] : ['pending', 'accepted', 'declined'];
+    const invitations = projects.flatMap((project) => {
+      const summary = project.toObject();
+      delete summary.invitations;
+
+      return project.invitations
+        .filter(
+          (invitation) =>
+            statuses.includes(invitation.status) &&
+            (String(invitation.user) === req.user.id || teams.some((team) => String(team) === String(invitation.team)))
+        )
+        .map((invitation) => ({ ...invitation.toObject(), project: summary }));
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations,
+    });
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,165 @@
+const SavedSearch = require('../models/savedSearch.model');
+const config = require('../config/config');
+const { validationResult } = require('express-validator');
+
+const FILTER_FIELDS = ['search', 'category', 'skills', 'minBudget', 'maxBudget', 'currency'];
+
+// Filters from the request body, skills as a list like GET /api/projects takes them
+const pickFilters = (filters = {}) => {
+  const picked = {};
+  FILTER_FIELDS.forEach((field) => {
+    if (filters[field] !== undefined && filters[field] !== '') picked[field] = filters[field];
+  });
+  if (typeof picked.skills === 'string') {
+    picked.skills = picked.skills.split(',').map((skill) => skill.trim()).filter(Boolean);
+  }
+  return picked;
+};
+
+/**
+ * @desc    Get saved searches of the current user
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+exports.getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id })
+      .select('-pendingMatches')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: savedSearches.length,
+      savedSearches,
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a saved search
+ * @route   GET /api/saved-searches/:id
+ * @access  Private (Owner)
+ */
+exports.getSavedSearchById = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id }).populate(
+      'pendingMatches',
+      'title budget currency status'
+    );
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      savedSearch,
+    });
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save a project search
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+exports.createSavedSearch = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= Number(config.savedSearches.maxPerUser)) {
+      return res.status(400).json({
+        message: `You can save up to ${config.savedSearches.maxPerUser} searches`,
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user.id,
+      name: req.body.name,
+      filters: pickFilters(req.body.filters),
+      frequency: req.body.frequency,
+    });
+
+    res.status(201).json({
+      success: true,
+      savedSearch,
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the name, filters or alert frequency of a saved search
+ * @route   PUT /api/saved-searches/:id
+ * @access  Private (Owner)
+ */
+exports.updateSavedSearch = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    if (req.body.name !== undefined) savedSearch.name = req.body.name;
+    if (req.body.frequency !== undefined) savedSearch.frequency = req.body.frequency;
+
+    // Matches of the old filters are not sent any more
+    if (req.body.filters !== undefined) {
+      savedSearch.filters = pickFilters(req.body.filters);
+      savedSearch.pendingMatches = [];
+    }
+
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      savedSearch,
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a saved search
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private (Owner)
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    next(error);
+  }
+};
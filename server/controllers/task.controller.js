@@ -3,10 +3,18 @@ const Project = require('../models/project.model');
 const User = require('../models/user.model');
 const Notification = require('../models/notification.model');
 const { validationResult } = require('express-validator');
+const {
+  can,
+  deniedMessage,
+  findResource,
+  findParticipatingProjectIds,
+  isProjectParticipant,
+} = require('../utils/permissions');
+const timesheetService = require('../utils/timesheetService');
 
 /**
  * @desc    Get all tasks for a project
- * @route   GET /api/projects/:projectId/tasks
+ * @route   GET /api/tasks/project/:projectId
  * @access  Private
  */
 exports.getProjectTasks = async (req, res, next) => {
@@ -22,21 +30,6 @@ exports.getProjectTasks = async (req, res, next) => {
       limit = 10
     } = req.query;
 
-    // Find project and check authorization
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    const isClient = project.client.toString() === req.user.id;
-    const isAssignedFreelancer = project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to view tasks for this project' });
-    }
-
     // Build query
     const query = { project: projectId };
 
@@ -159,32 +152,20 @@ exports.getUserTasks = async (req, res, next) => {
 
 /**
  * @desc    Add a dependency to a task
- * @route   POST /api/tasks/:taskId/dependencies
+ * @route   POST /api/tasks/:id/dependencies
  * @access  Private
  */
 exports.addDependency = async (req, res, next) => {
   try {
-    const { taskId } = req.params;
+    const { task } = req;
+    const taskId = task._id.toString();
     const { dependencyId } = req.body;
 
-    // Find both tasks
-    const task = await Task.findById(taskId).populate('project');
     const dependency = await Task.findById(dependencyId);
-
-    if (!task || !dependency) {
+    if (!dependency) {
       return res.status(404).json({ message: 'Task or dependency not found' });
     }
 
-    // Check if user is authorized to modify task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to modify this task' });
-    }
-
     // Check if dependency is from the same project
     if (task.project._id.toString() !== dependency.project.toString()) {
       return res.status(400).json({ message: 'Dependency must be from the same project' });
@@ -232,28 +213,13 @@ exports.addDependency = async (req, res, next) => {
 
 /**
  * @desc    Remove a dependency from a task
- * @route   DELETE /api/tasks/:taskId/dependencies/:dependencyId
+ * @route   DELETE /api/tasks/:id/dependencies/:dependencyId
  * @access  Private
  */
 exports.removeDependency = async (req, res, next) => {
   try {
-    const { taskId, dependencyId } = req.params;
-
-    // Find the task
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to modify task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to modify this task' });
-    }
+    const { task } = req;
+    const { dependencyId } = req.params;
 
     // Check if dependency exists
     if (!task.dependencies.includes(dependencyId)) {
@@ -277,7 +243,7 @@ exports.removeDependency = async (req, res, next) => {
 
 /**
  * @desc    Create a subtask
- * @route   POST /api/tasks/:taskId/subtasks
+ * @route   POST /api/tasks/:id/subtasks
  * @access  Private
  */
 exports.createSubtask = async (req, res, next) => {
@@ -287,7 +253,7 @@ exports.createSubtask = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { taskId } = req.params;
+    const parentTask = req.task;
     const {
       title,
       description,
@@ -299,22 +265,6 @@ exports.createSubtask = async (req, res, next) => {
       tags
     } = req.body;
 
-    // Find the parent task
-    const parentTask = await Task.findById(taskId).populate('project');
-    if (!parentTask) {
-      return res.status(404).json({ message: 'Parent task not found' });
-    }
-
-    // Check if user is authorized to create subtask
-    const isClient = parentTask.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = parentTask.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to create subtasks for this task' });
-    }
-
     // Create new subtask
     const subtask = new Task({
       title,
@@ -327,7 +277,7 @@ exports.createSubtask = async (req, res, next) => {
       dueDate,
       estimatedHours,
       tags: tags || [],
-      parentTask: taskId
+      parentTask: parentTask._id
     });
 
     await subtask.save();
@@ -369,164 +319,15 @@ exports.createSubtask = async (req, res, next) => {
   }
 };
 
-/**
- * @desc    Update task progress
- * @route   PUT /api/tasks/:taskId/progress
- * @access  Private
- */
-exports.updateProgress = async (req, res, next) => {
-  try {
-    const { taskId } = req.params;
-    const { progress, status } = req.body;
-
-    // Find the task
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to update progress
-    if (!task.assignedTo.includes(req.user.id)) {
-      return res.status(403).json({ message: 'Not authorized to update this task\'s progress' });
-    }
-
-    // Update progress
-    if (typeof progress === 'number' && progress >= 0 && progress <= 100) {
-      task.progress = progress;
-    }
-
-    // Update status if provided
-    if (status && ['todo', 'in_progress', 'review', 'completed'].includes(status)) {
-      const oldStatus = task.status;
-      task.status = status;
-
-      // If task is marked as completed
-      if (status === 'completed' && oldStatus !== 'completed') {
-        task.completedAt = new Date();
-        task.completedBy = req.user.id;
-
-        // Award points to the user who completed the task
-        const pointsEarned = Math.ceil(task.estimatedHours || 1) * 10; // 10 points per estimated hour
-        await User.findByIdAndUpdate(req.user.id, {
-          $inc: { points: pointsEarned }
-        });
-
-        // Create notification for project client
-        const notification = new Notification({
-          recipient: task.project.client,
-          type: 'task_completed',
-          title: 'Task Completed',
-          content: `Task "${task.title}" has been completed by ${req.user.name}`,
-          project: task.project._id,
-          task: task._id,
-          createdBy: req.user.id,
-          link: `/projects/${task.project._id}/tasks/${task._id}`
-        });
-
-        await notification.save();
-        await User.findByIdAndUpdate(task.project.client, {
-          $push: { notifications: notification._id }
-        });
-      }
-    }
-
-    await task.save();
-
-    res.json({
-      success: true,
-      task
-    });
-  } catch (error) {
-    console.error('Update progress error:', error);
-    next(error);
-  }
-};
-
-/**
- * @desc    Add an attachment to a task
- * @route   POST /api/tasks/:taskId/attachments
- * @access  Private
- */
-exports.addAttachment = async (req, res, next) => {
-  try {
-    const { taskId } = req.params;
-    const { fileName, fileUrl, fileSize, fileType } = req.body;
-
-    // Find the task
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to add attachment
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to add attachments to this task' });
-    }
-
-    // Add attachment
-    task.attachments.push({
-      fileName,
-      fileUrl,
-      fileSize,
-      fileType,
-      uploadedBy: req.user.id,
-      uploadedAt: new Date()
-    });
-
-    await task.save();
-
-    // Create notification for task assignees and creator
-    const notificationRecipients = new Set([...task.assignedTo, task.creator]);
-    notificationRecipients.delete(req.user.id); // Don't notify the uploader
-
-    for (const recipientId of notificationRecipients) {
-      const notification = new Notification({
-        recipient: recipientId,
-        type: 'attachment',
-        title: 'New Task Attachment',
-        content: `${req.user.name} added an attachment to task: ${task.title}`,
-        project: task.project._id,
-        task: task._id,
-        createdBy: req.user.id,
-        link: `/projects/${task.project._id}/tasks/${task._id}`
-      });
-
-      await notification.save();
-
-      await User.findByIdAndUpdate(recipientId, {
-        $push: { notifications: notification._id }
-      });
-    }
-
-    res.status(201).json({
-      success: true,
-      attachment: task.attachments[task.attachments.length - 1]
-    });
-  } catch (error) {
-    console.error('Add attachment error:', error);
-    next(error);
-  }
-};
-
 /**
  * @desc    Delete an attachment from a task
- * @route   DELETE /api/tasks/:taskId/attachments/:attachmentId
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
  * @access  Private
  */
 exports.deleteAttachment = async (req, res, next) => {
   try {
-    const { taskId, attachmentId } = req.params;
-
-    // Find the task
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+    const { task } = req;
+    const { attachmentId } = req.params;
 
     // Find the attachment
     const attachment = task.attachments.id(attachmentId);
@@ -534,15 +335,8 @@ exports.deleteAttachment = async (req, res, next) => {
       return res.status(404).json({ message: 'Attachment not found' });
     }
 
-    // Check if user is authorized to delete attachment
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-    const isUploader = attachment.uploadedBy.toString() === req.user.id;
-
-    if (!isClient && !isAssignedFreelancer && !isUploader) {
-      return res.status(403).json({ message: 'Not authorized to delete this attachment' });
+    if (!can(req.user, 'task:delete_attachment', task, { attachment })) {
+      return res.status(403).json({ message: deniedMessage('task:delete_attachment') });
     }
 
     // Remove attachment
@@ -559,140 +353,23 @@ exports.deleteAttachment = async (req, res, next) => {
   }
 };
 
-/**
- * @desc    Start time tracking for a task
- * @route   POST /api/tasks/:taskId/time-tracking/start
- * @access  Private
- */
-exports.startTimeTracking = async (req, res, next) => {
-  try {
-    const { taskId } = req.params;
-
-    // Find the task
-    const task = await Task.findById(taskId);
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is assigned to the task
-    if (!task.assignedTo.includes(req.user.id)) {
-      return res.status(403).json({ message: 'Not authorized to track time for this task' });
-    }
-
-    // Check if user already has an active time tracking session
-    const activeSession = task.timeTracking.find(
-      session => session.user.toString() === req.user.id && !session.endTime
-    );
-
-    if (activeSession) {
-      return res.status(400).json({ message: 'You already have an active time tracking session' });
-    }
-
-    // Start new time tracking session
-    task.timeTracking.push({
-      user: req.user.id,
-      startTime: new Date(),
-      description: req.body.description || ''
-    });
-
-    await task.save();
-
-    res.json({
-      success: true,
-      message: 'Time tracking started',
-      session: task.timeTracking[task.timeTracking.length - 1]
-    });
-  } catch (error) {
-    console.error('Start time tracking error:', error);
-    next(error);
-  }
-};
-
-/**
- * @desc    Stop time tracking for a task
- * @route   POST /api/tasks/:taskId/time-tracking/stop
- * @access  Private
- */
-exports.stopTimeTracking = async (req, res, next) => {
-  try {
-    const { taskId } = req.params;
-
-    // Find the task
-    const task = await Task.findById(taskId);
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Find active time tracking session for the user
-    const sessionIndex = task.timeTracking.findIndex(
-      session => session.user.toString() === req.user.id && !session.endTime
-    );
-
-    if (sessionIndex === -1) {
-      return res.status(400).json({ message: 'No active time tracking session found' });
-    }
-
-    // Stop time tracking session
-    const endTime = new Date();
-    task.timeTracking[sessionIndex].endTime = endTime;
-    task.timeTracking[sessionIndex].duration = 
-      (endTime - task.timeTracking[sessionIndex].startTime) / (1000 * 60 * 60); // Duration in hours
-
-    if (req.body.description) {
-      task.timeTracking[sessionIndex].description += 
-        (task.timeTracking[sessionIndex].description ? '\n' : '') + req.body.description;
-    }
-
-    await task.save();
-
-    res.json({
-      success: true,
-      message: 'Time tracking stopped',
-      session: task.timeTracking[sessionIndex]
-    });
-  } catch (error) {
-    console.error('Stop time tracking error:', error);
-    next(error);
-  }
-};
-
 /**
  * @desc    Assign a user to a task
- * @route   POST /api/tasks/:taskId/assign
+ * @route   POST /api/tasks/:id/assign
  * @access  Private
  */
 exports.assignTask = async (req, res, next) => {
   try {
-    const { taskId } = req.params;
+    const { task } = req;
     const { userId } = req.body;
 
-    // Find the task
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to assign task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to assign this task' });
-    }
-
     // Check if user to be assigned exists and is part of the project
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const isUserInProject = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === userId
-    ) || task.project.client.toString() === userId;
-
-    if (!isUserInProject) {
+    if (!isProjectParticipant(user, task.project)) {
       return res.status(400).json({ message: 'User is not part of the project' });
     }
 
@@ -737,28 +414,13 @@ exports.assignTask = async (req, res, next) => {
 
 /**
  * @desc    Unassign a user from a task
- * @route   DELETE /api/tasks/:taskId/assign/:userId
+ * @route   DELETE /api/tasks/:id/assign/:userId
  * @access  Private
  */
 exports.unassignTask = async (req, res, next) => {
   try {
-    const { taskId, userId } = req.params;
-
-    // Find the task
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to unassign task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      freelancer => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({ message: 'Not authorized to unassign from this task' });
-    }
+    const { task } = req;
+    const { userId } = req.params;
 
     // Check if user is assigned to the task
     if (!task.assignedTo.includes(userId)) {
@@ -799,83 +461,15 @@ exports.unassignTask = async (req, res, next) => {
   }
 };
 
-/**
- * @desc    Add a comment to a task
- * @route   POST /api/tasks/:taskId/comments
- * @access  Private
- */
-exports.addComment = async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { taskId } = req.params;
-    const { content } = req.body;
-
-    // Find the task
-    const task = await Task.findById(taskId);
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Add the comment
-    task.comments.push({
-      content,
-      user: req.user.id
-    });
-
-    await task.save();
-
-    // Create notification for task assignees and creator
-    const notificationRecipients = new Set([...task.assignedTo, task.creator]);
-    notificationRecipients.delete(req.user.id); // Don't notify the commenter
-
-    for (const recipientId of notificationRecipients) {
-      const notification = new Notification({
-        recipient: recipientId,
-        type: 'comment',
-        title: 'New Comment on Task',
-        content: `${req.user.name} commented on task: ${task.title}`,
-        project: task.project,
-        task: task._id,
-        createdBy: req.user.id,
-        link: `/projects/${task.project}/tasks/${task._id}`
-      });
-
-      await notification.save();
-
-      // Add notification to recipient's notifications
-      await User.findByIdAndUpdate(recipientId, {
-        $push: { notifications: notification._id }
-      });
-    }
-
-    res.status(201).json({
-      success: true,
-      comment: task.comments[task.comments.length - 1]
-    });
-  } catch (error) {
-    console.error('Add comment error:', error);
-    next(error);
-  }
-};
-
 /**
  * @desc    Delete a comment from a task
- * @route   DELETE /api/tasks/:taskId/comments/:commentId
+ * @route   DELETE /api/tasks/:id/comments/:commentId
  * @access  Private
  */
 exports.deleteComment = async (req, res, next) => {
   try {
-    const { taskId, commentId } = req.params;
-
-    // Find the task
-    const task = await Task.findById(taskId);
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+    const { task } = req;
+    const { commentId } = req.params;
 
     // Find the comment
     const comment = task.comments.id(commentId);
@@ -883,9 +477,8 @@ exports.deleteComment = async (req, res, next) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    // Check if user is authorized to delete the comment
-    if (comment.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    if (!can(req.user, 'task:delete_comment', task, { comment })) {
+      return res.status(403).json({ message: deniedMessage('task:delete_comment') });
     }
 
     // Remove the comment
@@ -929,21 +522,14 @@ exports.createTask = async (req, res, next) => {
     } = req.body;
 
     // Check if project exists
-    const projectExists = await Project.findById(project);
+    const projectExists = await findResource('project', project);
     if (!projectExists) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
     // Check if user is authorized to create task for this project
-    const isClient = projectExists.client.toString() === req.user.id;
-    const isAssignedFreelancer = projectExists.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer) {
-      return res.status(403).json({
-        message: 'Not authorized to create tasks for this project',
-      });
+    if (!can(req.user, 'project:create_task', projectExists)) {
+      return res.status(403).json({ message: deniedMessage('project:create_task') });
     }
 
     // Check if milestone exists if provided
@@ -1062,31 +648,17 @@ exports.getTasks = async (req, res, next) => {
       query.project = project;
 
       // Check if user is authorized to view tasks for this project
-      const projectDoc = await Project.findById(project);
+      const projectDoc = await findResource('project', project);
       if (!projectDoc) {
         return res.status(404).json({ message: 'Project not found' });
       }
 
-      const isClient = projectDoc.client.toString() === req.user.id;
-      const isAssignedFreelancer = projectDoc.assignedFreelancers.some(
-        (freelancer) => freelancer.toString() === req.user.id
-      );
-
-      if (!isClient && !isAssignedFreelancer) {
-        return res.status(403).json({
-          message: 'Not authorized to view tasks for this project',
-        });
+      if (!can(req.user, 'project:view_tasks', projectDoc)) {
+        return res.status(403).json({ message: deniedMessage('project:view_tasks') });
       }
     } else {
       // If no project specified, only show tasks from projects the user is involved in
-      const userProjects = await Project.find({
-        $or: [
-          { client: req.user.id },
-          { assignedFreelancers: req.user.id },
-        ],
-      }).select('_id');
-
-      query.project = { $in: userProjects.map((p) => p._id) };
+      query.project = { $in: await findParticipatingProjectIds(req.user.id) };
     }
 
     // Filter by milestone
@@ -1219,7 +791,7 @@ exports.getTasks = async (req, res, next) => {
  */
 exports.getTaskById = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id)
+    const task = await Task.findById(req.task._id)
       .populate('project', 'title client assignedFreelancers')
       .populate('milestone', 'title dueDate')
       .populate('assignedTo', 'name avatar')
@@ -1227,25 +799,6 @@ exports.getTaskById = async (req, res, next) => {
       .populate('parentTask', 'title')
       .populate('subtasks', 'title status');
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to view this task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-    const isAssignedToTask = task.assignedTo.some(
-      (user) => user._id.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer && !isAssignedToTask) {
-      return res.status(403).json({
-        message: 'Not authorized to view this task',
-      });
-    }
-
     res.status(200).json({
       success: true,
       task,
@@ -1269,30 +822,7 @@ exports.updateTask = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    let task = await Task.findById(req.params.id).populate(
-      'project',
-      'client assignedFreelancers'
-    );
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to update this task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-    const isCreator = task.creator.toString() === req.user.id;
-    const isAssignedToTask = task.assignedTo.some(
-      (user) => user.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer && !isCreator && !isAssignedToTask) {
-      return res.status(403).json({
-        message: 'Not authorized to update this task',
-      });
-    }
+    let { task } = req;
 
     // Handle status change separately to track progress
     const oldStatus = task.status;
@@ -1360,15 +890,6 @@ exports.updateTask = async (req, res, next) => {
         await Task.findByIdAndUpdate(req.params.id, {
           completedAt: Date.now(),
         });
-
-        // Award points to assigned users
-        if (task.assignedTo && task.assignedTo.length > 0) {
-          for (const userId of task.assignedTo) {
-            await User.findByIdAndUpdate(userId, {
-              $inc: { points: 10 }, // Award 10 points for completing a task
-            });
-          }
-        }
       }
     }
 
@@ -1426,24 +947,7 @@ exports.updateTask = async (req, res, next) => {
  */
 exports.deleteTask = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id).populate(
-      'project',
-      'client'
-    );
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to delete this task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isCreator = task.creator.toString() === req.user.id;
-
-    if (!isClient && !isCreator) {
-      return res.status(403).json({
-        message: 'Not authorized to delete this task',
-      });
-    }
+    const { task } = req;
 
     // Remove task from project's tasks
     await Project.findByIdAndUpdate(task.project._id, {
@@ -1490,29 +994,7 @@ exports.addComment = async (req, res, next) => {
 
     const { content } = req.body;
 
-    const task = await Task.findById(req.params.id).populate(
-      'project',
-      'client assignedFreelancers'
-    );
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to comment on this task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-    const isAssignedToTask = task.assignedTo.some(
-      (user) => user.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer && !isAssignedToTask) {
-      return res.status(403).json({
-        message: 'Not authorized to comment on this task',
-      });
-    }
+    const { task } = req;
 
     // Create new comment
     const comment = {
@@ -1581,30 +1063,12 @@ exports.addComment = async (req, res, next) => {
 
 /**
  * @desc    Start time tracking for a task
- * @route   POST /api/tasks/:id/track/start
+ * @route   POST /api/tasks/:id/time/start
  * @access  Private
  */
 exports.startTimeTracking = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id).populate(
-      'project',
-      'client assignedFreelancers'
-    );
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to track time for this task
-    const isAssignedToTask = task.assignedTo.some(
-      (user) => user.toString() === req.user.id
-    );
-
-    if (!isAssignedToTask) {
-      return res.status(403).json({
-        message: 'Not authorized to track time for this task',
-      });
-    }
+    const { task } = req;
 
     // Check if user already has an active time tracking session
     const activeSession = task.timeTracking.find(
@@ -1618,10 +1082,31 @@ exports.startTimeTracking = async (req, res, next) => {
       });
     }
 
+    const startTime = new Date();
+
+    // Time billed by the hour is tracked on one task of the project at a time
+    if (task.project && task.project.billingType === 'hourly') {
+      const overlapping = await Task.exists({
+        project: task.project._id,
+        timeTracking: {
+          $elemMatch: {
+            user: req.user.id,
+            $or: [{ endTime: null }, { endTime: { $gt: startTime } }],
+          },
+        },
+      });
+
+      if (overlapping) {
+        return res.status(400).json({
+          message: 'You already have a timer running or time tracked after now on this project',
+        });
+      }
+    }
+
     // Create new time tracking session
     const timeTrackingSession = {
       user: req.user.id,
-      startTime: Date.now(),
+      startTime,
       endTime: null,
     };
 
@@ -1642,16 +1127,12 @@ exports.startTimeTracking = async (req, res, next) => {
 
 /**
  * @desc    Stop time tracking for a task
- * @route   POST /api/tasks/:id/track/stop
+ * @route   POST /api/tasks/:id/time/stop
  * @access  Private
  */
 exports.stopTimeTracking = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id);
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+    const { task } = req;
 
     // Find active time tracking session for the user
     const sessionIndex = task.timeTracking.findIndex(
@@ -1665,27 +1146,52 @@ exports.stopTimeTracking = async (req, res, next) => {
       });
     }
 
-    // Update session end time
-    task.timeTracking[sessionIndex].endTime = Date.now();
-
-    // Calculate duration in milliseconds
-    const startTime = new Date(task.timeTracking[sessionIndex].startTime).getTime();
-    const endTime = new Date(task.timeTracking[sessionIndex].endTime).getTime();
-    const durationMs = endTime - startTime;
+    const session = task.timeTracking[sessionIndex];
+    const endTime = new Date();
 
     // Convert to hours and round to 2 decimal places
-    const durationHours = Math.round((durationMs / (1000 * 60 * 60)) * 100) / 100;
-    task.timeTracking[sessionIndex].duration = durationHours;
+    const durationHours = Math.round(((endTime - new Date(session.startTime)) / (1000 * 60 * 60)) * 100) / 100;
+
+    // Close the session only if it is still running, so two stop requests
+    // cannot both bill it
+    const closed = await Task.findOneAndUpdate(
+      { _id: task._id, timeTracking: { $elemMatch: { _id: session._id, endTime: null } } },
+      {
+        $set: { 'timeTracking.$.endTime': endTime, 'timeTracking.$.duration': durationHours },
+        $inc: { actualHours: durationHours },
+      },
+      { new: true }
+    );
 
-    // Update task's actual hours
-    task.actualHours = (task.actualHours || 0) + durationHours;
+    if (!closed) {
+      return res.status(400).json({
+        message: 'No active time tracking session found',
+      });
+    }
 
-    await task.save();
+    session.endTime = endTime;
+    session.duration = durationHours;
+    task.actualHours = closed.actualHours;
+
+    // Bill the session on hourly projects, and keep it running if that fails
+    try {
+      await timesheetService.recordSession(task, session);
+    } catch (error) {
+      await Task.updateOne(
+        { _id: task._id, 'timeTracking._id': session._id },
+        {
+          $set: { 'timeTracking.$.endTime': null },
+          $unset: { 'timeTracking.$.duration': 1 },
+          $inc: { actualHours: -durationHours },
+        }
+      );
+      throw error;
+    }
 
     res.status(200).json({
       success: true,
       message: 'Time tracking stopped',
-      session: task.timeTracking[sessionIndex],
+      session,
       totalHours: task.actualHours,
     });
   } catch (error) {
@@ -1695,11 +1201,11 @@ exports.stopTimeTracking = async (req, res, next) => {
 };
 
 /**
- * @desc    Add attachment to task
- * @route   POST /api/tasks/:id/attachments
- * @access  Private
+ * @desc    Add time worked on a task without the timer
+ * @route   POST /api/tasks/:id/time/manual
+ * @access  Private (Assigned user only)
  */
-exports.addAttachment = async (req, res, next) => {
+exports.addManualTime = async (req, res, next) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -1707,32 +1213,100 @@ exports.addAttachment = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, fileUrl, fileType, fileSize } = req.body;
+    const { task } = req;
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
 
-    const task = await Task.findById(req.params.id).populate(
-      'project',
-      'client assignedFreelancers'
-    );
+    if (endTime <= startTime || endTime > Date.now()) {
+      return res.status(400).json({
+        message: 'End time must be after the start time and not in the future',
+      });
+    }
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    // Convert to hours and round to 2 decimal places
+    const durationHours = Math.round(((endTime - startTime) / (1000 * 60 * 60)) * 100) / 100;
+
+    if (durationHours > 24) {
+      return res.status(400).json({
+        message: 'A manual entry cannot be longer than 24 hours',
+      });
     }
 
-    // Check if user is authorized to add attachments to this task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-    const isAssignedToTask = task.assignedTo.some(
-      (user) => user.toString() === req.user.id
-    );
+    // The same time cannot be counted twice, on this task or another task of
+    // the project, including a timer that is still running
+    const overlapping = await Task.exists({
+      project: task.project._id || task.project,
+      timeTracking: {
+        $elemMatch: {
+          user: req.user.id,
+          startTime: { $lt: endTime },
+          $or: [{ endTime: null }, { endTime: { $gt: startTime } }],
+        },
+      },
+    });
 
-    if (!isClient && !isAssignedFreelancer && !isAssignedToTask) {
-      return res.status(403).json({
-        message: 'Not authorized to add attachments to this task',
+    if (overlapping) {
+      return res.status(400).json({
+        message: 'This time overlaps time you already tracked on this project',
       });
     }
 
+    task.timeTracking.push({
+      user: req.user.id,
+      startTime,
+      endTime,
+      duration: durationHours,
+      notes: req.body.notes,
+      source: 'manual',
+    });
+    const session = task.timeTracking[task.timeTracking.length - 1];
+
+    // Update task's actual hours
+    task.actualHours = (task.actualHours || 0) + durationHours;
+
+    // Saved first, so a timesheet entry always points to a stored session
+    await task.save();
+
+    // Bill the session on hourly projects, and take it back if that fails
+    try {
+      await timesheetService.recordSession(task, session);
+    } catch (error) {
+      await Task.updateOne(
+        { _id: task._id },
+        { $pull: { timeTracking: { _id: session._id } }, $inc: { actualHours: -durationHours } }
+      );
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Time added',
+      session,
+      totalHours: task.actualHours,
+    });
+  } catch (error) {
+    console.error('Add manual time error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add attachment to task
+ * @route   POST /api/tasks/:id/attachments
+ * @access  Private
+ */
+exports.addAttachment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, fileUrl, fileType, fileSize } = req.body;
+
+    const { task } = req;
+
     // Create new attachment
     const attachment = {
       name,
@@ -1778,29 +1352,7 @@ exports.updateProgress = async (req, res, next) => {
       });
     }
 
-    const task = await Task.findById(req.params.id).populate(
-      'project',
-      'client assignedFreelancers'
-    );
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user is authorized to update progress for this task
-    const isClient = task.project.client.toString() === req.user.id;
-    const isAssignedFreelancer = task.project.assignedFreelancers.some(
-      (freelancer) => freelancer.toString() === req.user.id
-    );
-    const isAssignedToTask = task.assignedTo.some(
-      (user) => user.toString() === req.user.id
-    );
-
-    if (!isClient && !isAssignedFreelancer && !isAssignedToTask) {
-      return res.status(403).json({
-        message: 'Not authorized to update progress for this task',
-      });
-    }
+    const { task } = req;
 
     // Update task progress
     task.progress = progress;
@@ -1809,15 +1361,6 @@ exports.updateProgress = async (req, res, next) => {
     if (progress === 100 && task.status !== 'completed') {
       task.status = 'completed';
       task.completedAt = Date.now();
-
-      // Award points to assigned users
-      if (task.assignedTo && task.assignedTo.length > 0) {
-        for (const userId of task.assignedTo) {
-          await User.findByIdAndUpdate(userId, {
-            $inc: { points: 10 }, // Award 10 points for completing a task
-          });
-        }
-      }
     }
 
     await task.save();
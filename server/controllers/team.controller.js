@@ -2,7 +2,14 @@ const Team = require('../models/team.model');
 const User = require('../models/user.model');
 const Project = require('../models/project.model');
 const Notification = require('../models/notification.model');
+const revenueSplitService = require('../utils/revenueSplitService');
 const { validationResult } = require('express-validator');
+const {
+  can,
+  deniedMessage,
+  getTeamLeaders,
+  normalizeTeamPermissions,
+} = require('../utils/permissions');
 
 /**
  * @desc    Create a new team
@@ -27,8 +34,8 @@ exports.createTeam = async (req, res, next) => {
       members: [
         {
           user: req.user.id,
-          role: 'admin',
-          permissions: ['manage_team', 'manage_members', 'manage_projects', 'invite_members'],
+          role: 'leader',
+          permissions: normalizeTeamPermissions({}, true),
           joinedAt: Date.now(),
         },
       ],
@@ -195,27 +202,12 @@ exports.getTeamById = async (req, res, next) => {
 /**
  * @desc    Update team
  * @route   PUT /api/teams/:id
- * @access  Private (Team admin only)
+ * @access  Private (Members who can edit the team)
  */
 exports.updateTeam = async (req, res, next) => {
   try {
-    let team = await Team.findById(req.params.id);
-
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is a team admin
-    const memberInfo = team.members.find(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!memberInfo || memberInfo.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to update this team' });
-    }
-
     // Update team
-    team = await Team.findByIdAndUpdate(
+    const team = await Team.findByIdAndUpdate(
       req.params.id,
       { $set: req.body },
       { new: true, runValidators: true }
@@ -240,16 +232,7 @@ exports.updateTeam = async (req, res, next) => {
  */
 exports.deleteTeam = async (req, res, next) => {
   try {
-    const team = await Team.findById(req.params.id);
-
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is the team creator
-    if (team.creator.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this team' });
-    }
+    const { team } = req;
 
     // Remove team from all members' teams
     for (const member of team.members) {
@@ -280,7 +263,7 @@ exports.deleteTeam = async (req, res, next) => {
 /**
  * @desc    Invite user to team
  * @route   POST /api/teams/:id/invite
- * @access  Private (Team admin only)
+ * @access  Private (Members who can invite)
  */
 exports.inviteToTeam = async (req, res, next) => {
   try {
@@ -292,20 +275,7 @@ exports.inviteToTeam = async (req, res, next) => {
 
     const { email, role, permissions } = req.body;
 
-    const team = await Team.findById(req.params.id);
-
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is a team admin
-    const memberInfo = team.members.find(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!memberInfo || memberInfo.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to invite users to this team' });
-    }
+    const { team } = req;
 
     // Check if user exists
     const user = await User.findOne({ email });
@@ -336,7 +306,7 @@ exports.inviteToTeam = async (req, res, next) => {
     const invitation = {
       user: user._id,
       role: role || 'member',
-      permissions: permissions || ['view_projects'],
+      permissions: normalizeTeamPermissions(permissions),
       invitedBy: req.user.id,
       invitedAt: Date.now(),
     };
@@ -427,7 +397,7 @@ exports.acceptInvitation = async (req, res, next) => {
     });
 
     // Create notification for team admins
-    const teamAdmins = team.members.filter((member) => member.role === 'admin');
+    const teamAdmins = getTeamLeaders(team);
     for (const admin of teamAdmins) {
       // Skip notification for the user who accepted the invitation
       if (admin.user.toString() === req.user.id) continue;
@@ -487,7 +457,7 @@ exports.declineInvitation = async (req, res, next) => {
     await team.save();
 
     // Create notification for team admins
-    const teamAdmins = team.members.filter((member) => member.role === 'admin');
+    const teamAdmins = getTeamLeaders(team);
     for (const admin of teamAdmins) {
       const notification = new Notification({
         recipient: admin.user,
@@ -520,26 +490,12 @@ exports.declineInvitation = async (req, res, next) => {
 /**
  * @desc    Remove member from team
  * @route   DELETE /api/teams/:id/members/:userId
- * @access  Private (Team admin only)
+ * @access  Private (Members who can remove members)
  */
 exports.removeMember = async (req, res, next) => {
   try {
-    const { id, userId } = req.params;
-
-    const team = await Team.findById(id);
-
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is a team admin
-    const adminInfo = team.members.find(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!adminInfo || adminInfo.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to remove members from this team' });
-    }
+    const { userId } = req.params;
+    const { team } = req;
 
     // Check if member exists
     const memberIndex = team.members.findIndex(
@@ -593,7 +549,7 @@ exports.removeMember = async (req, res, next) => {
 /**
  * @desc    Update member role and permissions
  * @route   PUT /api/teams/:id/members/:userId
- * @access  Private (Team admin only)
+ * @access  Private (Team leaders only)
  */
 exports.updateMember = async (req, res, next) => {
   try {
@@ -612,13 +568,8 @@ exports.updateMember = async (req, res, next) => {
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check if user is a team admin
-    const adminInfo = team.members.find(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!adminInfo || adminInfo.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to update members in this team' });
+    if (!can(req.user, 'team:update_member', team)) {
+      return res.status(403).json({ message: deniedMessage('team:update_member') });
     }
 
     // Check if member exists
@@ -631,13 +582,13 @@ exports.updateMember = async (req, res, next) => {
     }
 
     // Check if trying to update the creator's role
-    if (team.creator.toString() === userId && role && role !== 'admin') {
+    if (team.creator.toString() === userId && role && role !== 'leader') {
       return res.status(400).json({ message: 'Cannot change the role of the team creator' });
     }
 
     // Update member role and permissions
     if (role) team.members[memberIndex].role = role;
-    if (permissions) team.members[memberIndex].permissions = permissions;
+    if (permissions) team.members[memberIndex].permissions = normalizeTeamPermissions(permissions);
 
     await team.save();
 
@@ -709,7 +660,7 @@ exports.leaveTeam = async (req, res, next) => {
     });
 
     // Create notification for team admins
-    const teamAdmins = team.members.filter((member) => member.role === 'admin');
+    const teamAdmins = getTeamLeaders(team);
     for (const admin of teamAdmins) {
       const notification = new Notification({
         recipient: admin.user,
@@ -760,9 +711,8 @@ exports.transferOwnership = async (req, res, next) => {
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check if user is the team creator
-    if (team.creator.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to transfer ownership of this team' });
+    if (!can(req.user, 'team:transfer', team)) {
+      return res.status(403).json({ message: deniedMessage('team:transfer') });
     }
 
     // Check if new owner is a member
@@ -777,14 +727,9 @@ exports.transferOwnership = async (req, res, next) => {
     // Update team creator
     team.creator = userId;
 
-    // Ensure new owner has admin role and full permissions
-    team.members[memberIndex].role = 'admin';
-    team.members[memberIndex].permissions = [
-      'manage_team',
-      'manage_members',
-      'manage_projects',
-      'invite_members',
-    ];
+    // Ensure new owner leads the team with full permissions
+    team.members[memberIndex].role = 'leader';
+    team.members[memberIndex].permissions = normalizeTeamPermissions({}, true);
 
     await team.save();
 
@@ -837,13 +782,8 @@ exports.addDocument = async (req, res, next) => {
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check if user is a team member
-    const isMember = team.members.some(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!isMember) {
-      return res.status(403).json({ message: 'Not authorized to add documents to this team' });
+    if (!can(req.user, 'team:add_document', team)) {
+      return res.status(403).json({ message: deniedMessage('team:add_document') });
     }
 
     // Create new document
@@ -972,16 +912,12 @@ exports.getUserInvitations = async (req, res, next) => {
 /**
  * @desc    Delete team document
  * @route   DELETE /api/teams/:id/documents/:documentId
- * @access  Private (Team creator, admin, or document uploader)
+ * @access  Private (Members who can edit the team, or the document uploader)
  */
 exports.deleteTeamDocument = async (req, res, next) => {
   try {
-    const { id, documentId } = req.params;
-
-    const team = await Team.findById(id);
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
+    const { documentId } = req.params;
+    const { team } = req;
 
     // Find the document
     const documentIndex = team.documents.findIndex(
@@ -994,17 +930,8 @@ exports.deleteTeamDocument = async (req, res, next) => {
 
     const document = team.documents[documentIndex];
 
-    // Check if user is authorized to delete the document
-    const isAdmin = team.members.some(
-      (member) => member.user.toString() === req.user.id && member.role === 'admin'
-    );
-    const isUploader = document.uploadedBy.toString() === req.user.id;
-    const isCreator = team.creator.toString() === req.user.id;
-
-    if (!isAdmin && !isUploader && !isCreator) {
-      return res.status(403).json({
-        message: 'Not authorized to delete this document',
-      });
+    if (!can(req.user, 'team:delete_document', team, { document })) {
+      return res.status(403).json({ message: deniedMessage('team:delete_document') });
     }
 
     // Remove document from team
@@ -1031,22 +958,6 @@ exports.getTeamProjects = async (req, res, next) => {
     const { id } = req.params;
     const { status, page = 1, limit = 10 } = req.query;
 
-    const team = await Team.findById(id);
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is a team member
-    const isMember = team.members.some(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!isMember) {
-      return res.status(403).json({
-        message: 'Not authorized to view team projects',
-      });
-    }
-
     // Build query for projects
     const query = { assignedTeam: id };
     if (status) {
@@ -1094,24 +1005,8 @@ exports.addTeamDocument = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { id } = req.params;
     const { title, fileUrl, fileType, description } = req.body;
-
-    const team = await Team.findById(id);
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is a team member
-    const isMember = team.members.some(
-      (member) => member.user.toString() === req.user.id
-    );
-
-    if (!isMember) {
-      return res.status(403).json({
-        message: 'Not authorized to add documents to this team',
-      });
-    }
+    const { team } = req;
 
     // Add document to team
     const newDocument = {
@@ -1162,7 +1057,7 @@ exports.addTeamDocument = async (req, res, next) => {
 /**
  * @desc    Update member role
  * @route   PUT /api/teams/:id/members/:userId
- * @access  Private (Team admin only)
+ * @access  Private (Team leaders only)
  */
 exports.updateMemberRole = async (req, res, next) => {
   try {
@@ -1172,24 +1067,9 @@ exports.updateMemberRole = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { id, userId } = req.params;
+    const { userId } = req.params;
     const { role, permissions } = req.body;
-
-    const team = await Team.findById(id);
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-
-    // Check if user is a team admin
-    const isAdmin = team.members.some(
-      (member) => member.user.toString() === req.user.id && member.role === 'admin'
-    );
-
-    if (!isAdmin) {
-      return res.status(403).json({
-        message: 'Not authorized to update member roles',
-      });
-    }
+    const { team } = req;
 
     // Find the member to update
     const memberIndex = team.members.findIndex(
@@ -1200,19 +1080,24 @@ exports.updateMemberRole = async (req, res, next) => {
       return res.status(404).json({ message: 'Member not found in team' });
     }
 
-    // Prevent admin from demoting themselves if they're the only admin
-    if (userId === req.user.id && role !== 'admin') {
-      const adminCount = team.members.filter(member => member.role === 'admin').length;
-      if (adminCount === 1) {
+    // Prevent a leader from demoting themselves if they're the only leader
+    if (userId === req.user.id && role !== 'leader') {
+      const leaderCount = getTeamLeaders(team).length;
+      if (leaderCount === 1) {
         return res.status(400).json({
-          message: 'Cannot demote yourself as the only admin',
+          message: 'Cannot demote yourself as the only leader',
         });
       }
     }
 
+    // The creator always leads the team
+    if (team.creator.toString() === userId && role !== 'leader') {
+      return res.status(400).json({ message: 'Cannot change the role of the team creator' });
+    }
+
     // Update member role and permissions
     team.members[memberIndex].role = role;
-    team.members[memberIndex].permissions = permissions || [];
+    team.members[memberIndex].permissions = normalizeTeamPermissions(permissions, role === 'leader');
 
     await team.save();
 
@@ -1250,34 +1135,44 @@ exports.updateMemberRole = async (req, res, next) => {
 /**
  * @desc    Assign team to project
  * @route   POST /api/teams/:id/projects/:projectId
- * @access  Private (Team admin and Project client only)
+ * @access  Private (Project client, or members who can manage projects once the team accepted an invitation)
  */
 exports.assignTeamToProject = async (req, res, next) => {
   try {
-    const { id, projectId } = req.params;
-
-    const team = await Team.findById(id);
-    if (!team) {
-      return res.status(404).json({ message: 'Team not found' });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { id, projectId } = req.params;
+    const { team } = req;
+
     const project = await Project.findById(projectId);
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    // Check if user is a team admin
-    const isTeamAdmin = team.members.some(
-      (member) => member.user.toString() === req.user.id && member.role === 'admin'
-    );
+    // The client assigns teams. A team manager can only take on a project
+    // the client invited the team to, once the team accepted the invitation.
+    const isProjectClient = can(req.user, 'project:assign_team', project);
 
-    // Check if user is the project client
-    const isProjectClient = project.client.toString() === req.user.id;
+    if (!isProjectClient) {
+      if (!can(req.user, 'team:manage_projects', team)) {
+        return res.status(403).json({
+          message: 'Not authorized to assign this team to the project',
+        });
+      }
 
-    if (!isTeamAdmin && !isProjectClient) {
-      return res.status(403).json({
-        message: 'Not authorized to assign this team to the project',
-      });
+      const invited = project.invitations.some(
+        (invitation) => invitation.team && invitation.team.toString() === team._id.toString() && invitation.status === 'accepted'
+      );
+
+      if (!invited) {
+        return res.status(403).json({
+          message: 'Only the client can assign a team to this project',
+        });
+      }
     }
 
     // Check if project is open for assignment
@@ -1286,12 +1181,18 @@ exports.assignTeamToProject = async (req, res, next) => {
         message: `Project cannot be assigned when status is ${project.status}`,
       });
     }
+    if (project.assignedTeam) {
+      return res.status(400).json({
+        message: 'A team is already assigned to this project',
+      });
+    }
 
-    // Assign team to project
+    // Assign team to project. Work starts once every member accepted how
+    // the payments are split (equally unless the request says otherwise).
     project.assignedTeam = team._id;
-    project.status = 'in_progress';
-    project.startDate = Date.now();
+    revenueSplitService.proposeSplit(project, team, req.user, req.body.split);
     await project.save();
+    const started = project.status === 'in_progress';
 
     // Add project to team's projects
     await Team.findByIdAndUpdate(id, {
@@ -1307,7 +1208,8 @@ exports.assignTeamToProject = async (req, res, next) => {
         recipient: member.user,
         type: 'project',
         title: 'Team Assigned to Project',
-        content: `Your team ${team.name} has been assigned to the project: ${project.title}`,
+        content: `Your team ${team.name} has been assigned to the project: ${project.title}. ` +
+          'Please review and accept the revenue split so work can start.',
         team: team._id,
         project: project._id,
         createdBy: req.user.id,
@@ -1345,10 +1247,93 @@ exports.assignTeamToProject = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: `Team ${team.name} assigned to project ${project.title}`,
+      message: started
+        ? `Team ${team.name} assigned to project ${project.title}`
+        : `Team ${team.name} assigned to project ${project.title}, waiting for the members to accept the revenue split`,
+      revenueSplit: project.revenueSplit,
     });
   } catch (error) {
     console.error('Assign team to project error:', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Load a project assigned to the team in the request
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Project document
+ */
+const findTeamProject = (req) => {
+  return Project.findOne({ _id: req.params.projectId, assignedTeam: req.team._id });
+};
+
+/**
+ * @desc    Propose a new revenue split for a team project
+ * @route   PUT /api/teams/:id/projects/:projectId/split
+ * @access  Private (Members who can manage projects)
+ */
+exports.proposeRevenueSplit = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await findTeamProject(req);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { method, roleWeights, shares } = req.body;
+    revenueSplitService.proposeSplit(project, req.team, req.user, { method, roleWeights, shares });
+    const revenueSplit = await revenueSplitService.announceSplit(project, req.team, req.user);
+
+    res.status(200).json({
+      success: true,
+      revenueSplit,
+    });
+  } catch (error) {
+    console.error('Propose revenue split error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Accept or decline the revenue split of a team project
+ * @param {Boolean} accept - True to accept
+ * @returns {Function} Express handler
+ */
+const respondToRevenueSplit = (accept) => async (req, res, next) => {
+  try {
+    const project = await findTeamProject(req);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const updated = await revenueSplitService.respondToSplit(project, req.team, req.user, accept);
+
+    res.status(200).json({
+      success: true,
+      revenueSplit: updated.revenueSplit,
+      projectStatus: updated.status,
+    });
+  } catch (error) {
+    console.error(`${accept ? 'Accept' : 'Decline'} revenue split error:`, error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept the revenue split of a team project
+ * @route   POST /api/teams/:id/projects/:projectId/split/accept
+ * @access  Private (Members in the split)
+ */
+exports.acceptRevenueSplit = respondToRevenueSplit(true);
+
+/**
+ * @desc    Decline the revenue split of a team project
+ * @route   POST /api/teams/:id/projects/:projectId/split/decline
+ * @access  Private (Members in the split)
+ */
+exports.declineRevenueSplit = respondToRevenueSplit(false);
\ No newline at end of file
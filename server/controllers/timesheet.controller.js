@@ -0,0 +1,149 @@
+const Timesheet = require('../models/timesheet.model');
+const Project = require('../models/project.model');
+const { validationResult } = require('express-validator');
+const timesheetService = require('../utils/timesheetService');
+
+/**
+ * @desc    Get timesheets of the current user: their own, and those on their projects as client
+ * @route   GET /api/timesheets
+ * @access  Private
+ */
+exports.getTimesheets = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const clientProjects = await Project.find({ client: req.user.id }).distinct('_id');
+
+    const query = { $or: [{ freelancer: req.user.id }, { project: { $in: clientProjects } }] };
+    if (req.query.project) query.project = req.query.project;
+    if (req.query.status) query.status = req.query.status;
+
+    const timesheets = await Timesheet.find(query)
+      .select('-entries -history')
+      .sort({ weekStart: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .populate('project', 'title')
+      .populate('freelancer', 'name avatar');
+
+    const total = await Timesheet.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      timesheets,
+    });
+  } catch (error) {
+    console.error('Get timesheets error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get timesheet by ID with its entries
+ * @route   GET /api/timesheets/:id
+ * @access  Private (Freelancer, project client or Admin)
+ */
+exports.getTimesheetById = async (req, res, next) => {
+  try {
+    const timesheet = await req.timesheet.populate([
+      { path: 'freelancer', select: 'name avatar' },
+      { path: 'history.changedBy', select: 'name role' },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      timesheet,
+    });
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit a timesheet to the client
+ * @route   POST /api/timesheets/:id/submit
+ * @access  Private (Freelancer of the timesheet)
+ */
+exports.submitTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await timesheetService.submitTimesheet(req.timesheet, req.user);
+
+    res.status(200).json({
+      success: true,
+      timesheet,
+    });
+  } catch (error) {
+    console.error('Submit timesheet error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a timesheet and charge its hours
+ * @route   POST /api/timesheets/:id/approve
+ * @access  Private (Client of the project)
+ */
+exports.approveTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await timesheetService.approveTimesheet(req.timesheet, req.user);
+
+    res.status(200).json({
+      success: true,
+      timesheet,
+    });
+  } catch (error) {
+    console.error('Approve timesheet error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dispute a timesheet
+ * @route   POST /api/timesheets/:id/dispute
+ * @access  Private (Client of the project)
+ */
+exports.disputeTimesheet = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const timesheet = await timesheetService.disputeTimesheet(req.timesheet, req.user, req.body.comment);
+
+    res.status(200).json({
+      success: true,
+      timesheet,
+    });
+  } catch (error) {
+    console.error('Dispute timesheet error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove an entry from a timesheet
+ * @route   DELETE /api/timesheets/:id/entries/:entryId
+ * @access  Private (Freelancer of the timesheet)
+ */
+exports.removeEntry = async (req, res, next) => {
+  try {
+    const timesheet = await timesheetService.removeEntry(req.timesheet, req.params.entryId);
+
+    res.status(200).json({
+      success: true,
+      timesheet,
+    });
+  } catch (error) {
+    console.error('Remove timesheet entry error:', error);
+    next(error);
+  }
+};
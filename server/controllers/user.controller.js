@@ -1,6 +1,8 @@
 const User = require('../models/user.model');
 const Project = require('../models/project.model');
 const Team = require('../models/team.model');
+const ledgerService = require('../utils/ledgerService');
+const config = require('../config/config');
 const { validationResult } = require('express-validator');
 
 /**
@@ -12,7 +14,7 @@ exports.getUserProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id)
       .select('-password')
-      .populate('savedProjects', 'title description budget deadline status')
+      .populate('savedProjects', 'title description budget currency deadline status')
       .populate('teams', 'name description avatar');
 
     if (!user) {
@@ -393,9 +395,9 @@ exports.getUserStats = async (req, res, next) => {
       completedProjects: userProjects.filter(p => p.status === 'completed').length,
       activeProjects: userProjects.filter(p => p.status === 'in-progress').length,
       totalTeams: userTeams.length,
-      totalEarnings: userProjects
-        .filter(p => p.status === 'completed' && p.assignedFreelancers.includes(req.user.id))
-        .reduce((total, project) => total + project.budget, 0),
+      // What was actually paid out to the user, see GET /api/payments/earnings
+      totalEarnings: await ledgerService.getTotalEarnings(req.user._id),
+      currency: config.payments.currency,
     };
 
     res.status(200).json({
@@ -1,9 +1,57 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/user.model');
+const { verifyAccessToken, touchSession } = require('../utils/tokenService');
+const { isApiToken, verifyApiToken, touchApiToken } = require('../utils/apiTokenService');
+const { auditImpersonatedRequest } = require('../utils/auditLog');
+
+const IMPERSONATION_DENIED_MESSAGE = 'This action is not allowed while impersonating a user';
+
+/**
+ * Authenticate a request made with a personal API token
+ * The token must hold the scope set by apiScope for the route; routes
+ * without one cannot be used with API tokens at all.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {String} token - Raw API token
+ */
+const protectWithApiToken = async (req, res, next, token) => {
+  const { user, apiToken } = await verifyApiToken(token);
+
+  if (!user) {
+    return res.status(401).json({
+      message: 'User not found',
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({
+      message: 'User account is deactivated',
+    });
+  }
+
+  if (!req.apiScope) {
+    return res.status(403).json({
+      message: 'API tokens cannot be used on this route',
+    });
+  }
+
+  if (!apiToken.scopes.includes(req.apiScope)) {
+    return res.status(403).json({
+      message: `API token is missing the ${req.apiScope} scope`,
+    });
+  }
+
+  await touchApiToken(apiToken, req.ip);
+
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
 
 /**
  * Middleware to protect routes that require authentication
- * Verifies JWT token and adds user to request object
+ * Verifies JWT token, checks its session has not been revoked
+ * and adds user and session to request object.
+ * Personal API tokens are accepted too, see protectWithApiToken.
  */
 exports.protect = async (req, res, next) => {
   try {
@@ -22,11 +70,12 @@ exports.protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (isApiToken(token)) {
+        return await protectWithApiToken(req, res, next, token);
+      }
 
-      // Get user from database
-      const user = await User.findById(decoded.id).select('-password');
+      // Verify token and session
+      const { user, session } = await verifyAccessToken(token);
 
       // Check if user exists
       if (!user) {
@@ -42,12 +91,28 @@ exports.protect = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Track when the session was last used
+      await touchSession(session);
+
+      // Add user and session to request object
       req.user = user;
+      req.session = session;
+
+      // Every request made while impersonating is audited, and nothing may
+      // be deleted on the user's behalf
+      if (session.impersonator) {
+        req.impersonator = session.impersonator;
+        auditImpersonatedRequest(req, res);
+
+        if (req.method === 'DELETE') {
+          return res.status(403).json({ message: IMPERSONATION_DENIED_MESSAGE });
+        }
+      }
+
       next();
     } catch (error) {
       return res.status(401).json({
-        message: 'Not authorized to access this route',
+        message: error.isOperational ? error.message : 'Not authorized to access this route',
       });
     }
   } catch (error) {
@@ -55,6 +120,21 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate the user when a token is sent, so public
+ * routes can tell who is asking. Requests without a token go on as visitors.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.optionalProtect = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return exports.protect(req, res, next);
+};
+
 /**
  * Middleware to restrict access to specific roles
  * @param {...String} roles - Roles allowed to access the route
@@ -90,6 +170,18 @@ exports.isVerified = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to refuse account and security changes (password, email,
+ * two-factor, tokens, ...) to admins impersonating the user
+ */
+exports.notWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({ message: IMPERSONATION_DENIED_MESSAGE });
+  }
+
+  next();
+};
+
 /**
  * Middleware to check if user is admin
  */
@@ -101,4 +193,16 @@ exports.isAdmin = (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to set the API token scope a route group needs: <area>:read
+ * for GET requests and <area>:write for everything else
+ * @param {String} area - API area, e.g. 'tasks'
+ */
+exports.apiScope = (area) => {
+  return (req, res, next) => {
+    req.apiScope = `${area}:${['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write'}`;
+    next();
+  };
+};
@@ -0,0 +1,60 @@
+const { can, deniedMessage, findResource } = require('../utils/permissions');
+
+const NOT_FOUND_MESSAGES = {
+  project: 'Project not found',
+  task: 'Task not found',
+  team: 'Team not found',
+  dispute: 'Dispute not found',
+  timesheet: 'Timesheet not found',
+};
+
+/**
+ * Load a resource from a route parameter into req[type]
+ * Use this when the policy needs details only the controller knows.
+ * @param {String} type - project, task, team, dispute or timesheet
+ * @param {String} param - Route parameter holding the ID
+ * @returns {Function} Express middleware
+ */
+const loadResource = (type, param = 'id') => async (req, res, next) => {
+  try {
+    const resource = await findResource(type, req.params[param]);
+
+    if (!resource) {
+      return res.status(404).json({ message: NOT_FOUND_MESSAGES[type] });
+    }
+
+    req[type] = resource;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a resource from a route parameter and make sure the user may
+ * perform the action on it
+ * @param {String} type - project, task, team, dispute or timesheet
+ * @param {String} action - Policy action, e.g. 'task:update'
+ * @param {String} param - Route parameter holding the ID
+ * @returns {Function} Express middleware
+ */
+const authorizeResource = (type, action, param = 'id') => {
+  const load = loadResource(type, param);
+
+  return (req, res, next) => {
+    load(req, res, (error) => {
+      if (error) return next(error);
+
+      if (!can(req.user, action, req[type])) {
+        return res.status(403).json({ message: deniedMessage(action) });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  loadResource,
+  authorizeResource,
+};
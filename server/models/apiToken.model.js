@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // SHA-256 hash of the secret part of the token, the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Last characters of the token, so users can tell their tokens apart
+    lastFour: String,
+    scopes: {
+      type: [String],
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Check whether the token can still be used to authenticate
+ * @returns {Boolean} True if the token is neither revoked nor expired
+ */
+apiTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
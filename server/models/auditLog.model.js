@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who did it (the admin when impersonating)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Whose account it was done as or to
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    action: {
+      type: String,
+      enum: ['impersonation_start', 'impersonated_request', 'impersonation_end'],
+      required: true,
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    reason: String,
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ session: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
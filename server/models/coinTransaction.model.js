@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * A change to a user's Cyber Coins balance. The balance itself is kept on
+ * the user (User.points) and moves with every transaction.
+ */
+const coinTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Positive when coins are earned, negative when they are spent
+    amount: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (value) => Number.isInteger(value) && value !== 0,
+        message: 'Coin amounts must be non-zero whole numbers',
+      },
+    },
+    reason: {
+      type: String,
+      enum: [
+        'project_completed',
+        'five_star_review',
+        'milestone_on_time',
+        // No longer awarded, kept so earlier transactions stay valid
+        'task_completed',
+        'redemption',
+        'redemption_rejected',
+      ],
+      required: true,
+    },
+    description: String,
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    milestone: mongoose.Schema.Types.ObjectId,
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+    redemption: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Redemption',
+    },
+    // Pending until the amount has been applied to User.points. Transactions
+    // recorded before statuses existed have none.
+    status: {
+      type: String,
+      enum: ['pending', 'applied'],
+      default: 'applied',
+    },
+    // The same award or refund is only ever recorded once
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+coinTransactionSchema.index({ user: 1, createdAt: -1 });
+coinTransactionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CoinTransaction', coinTransactionSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    fileType: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+/**
+ * A dispute over a project or one of its milestones. While it is active the
+ * escrow it covers can neither be released nor refunded, until an admin
+ * resolves it or the user who opened it withdraws it.
+ */
+const disputeSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    // Disputed milestone, the whole project when not set
+    milestone: mongoose.Schema.Types.ObjectId,
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['quality', 'non_delivery', 'missed_deadline', 'scope', 'payment', 'other'],
+      required: true,
+    },
+    description: {
+      type: String,
+      required: [true, 'Dispute description is required'],
+      maxlength: [5000, 'Dispute description cannot exceed 5000 characters'],
+    },
+    evidence: [attachmentSchema],
+    status: {
+      type: String,
+      enum: ['open', 'under_review', 'awaiting_information', 'resolved', 'withdrawn'],
+      default: 'open',
+    },
+    // Admin working the case
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Discussion between the parties and the admin. Replies point at the
+    // message they answer.
+    messages: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      content: {
+        type: String,
+        required: true,
+        maxlength: [5000, 'Message cannot exceed 5000 characters'],
+      },
+      attachments: [attachmentSchema],
+      replyTo: mongoose.Schema.Types.ObjectId,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Status changes, for the case history
+    history: [{
+      status: String,
+      note: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ['refund', 'partial_refund', 'release', 'split'],
+      },
+      // Amounts in minor units of the project currency
+      refunded: Number,
+      released: Number,
+      note: String,
+      // What happens to the escrow of each milestone, in minor units. Stored
+      // before any money moves, so an interrupted resolution can be finished.
+      plan: [{
+        _id: false,
+        milestone: mongoose.Schema.Types.ObjectId,
+        refund: Number,
+        release: Number,
+      }],
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      resolvedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Statuses in which the dispute freezes the escrow
+disputeSchema.statics.ACTIVE_STATUSES = ['open', 'under_review', 'awaiting_information'];
+
+// Create indexes for faster queries
+disputeSchema.index({ project: 1, status: 1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Exchange rate of a currency against the platform currency
+ * (config.payments.currency), maintained by admins. Projects can use the
+ * platform currency or any currency with a rate.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+    },
+    // Units of this currency per unit of the platform currency
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const DELETE_MESSAGE = 'Invoices cannot be deleted';
+
+/**
+ * Invoice for milestone payments released to the freelancers of a project.
+ * Numbers run per year without gaps (INV-2026-0001, INV-2026-0002, ...), so
+ * invoices are never deleted. Amounts are in minor units.
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    // A milestone invoice covers one release; a project invoice covers the
+    // releases of the project that had no invoice yet
+    kind: {
+      type: String,
+      enum: ['milestone', 'project'],
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    milestone: mongoose.Schema.Types.ObjectId,
+    projectTitle: String,
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Client details at the time the invoice was issued
+    billTo: {
+      name: String,
+      email: String,
+      companyName: String,
+      industry: String,
+    },
+    // Freelancers or team who did the work
+    payees: [{
+      _id: false,
+      name: String,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+      },
+    }],
+    lineItems: [{
+      _id: false,
+      description: String,
+      milestone: mongoose.Schema.Types.ObjectId,
+      amount: Number,
+    }],
+    // Amounts include tax: subtotal + tax = total
+    subtotal: Number,
+    platformFee: Number,
+    taxLabel: String,
+    taxRate: Number,
+    tax: Number,
+    total: Number,
+    currency: {
+      type: String,
+      required: true,
+    },
+    // The escrow was paid before the work was released, so invoices are issued paid
+    status: {
+      type: String,
+      enum: ['paid'],
+      default: 'paid',
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Release transactions this invoice covers, each is invoiced once
+    ledgerTransactions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+    }],
+    pdf: {
+      type: Buffer,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+invoiceSchema.index({ year: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ ledgerTransactions: 1 }, { unique: true });
+invoiceSchema.index({ project: 1, issuedAt: -1 });
+
+const rejectDelete = function (next) {
+  next(new Error(DELETE_MESSAGE));
+};
+
+invoiceSchema.pre(['deleteMany', 'findOneAndDelete'], rejectDelete);
+invoiceSchema.pre('deleteOne', { document: true, query: true }, rejectDelete);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * A ledger account holds a balance in minor units (e.g. cents). Balances are
+ * only changed by posting ledger transactions, see utils/ledgerService.js.
+ */
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    // Stable account name, e.g. escrow:<projectId>:<milestoneId>
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ['funding', 'escrow', 'user', 'team', 'platform', 'payout'],
+      required: true,
+    },
+    // User or team the account belongs to
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'ownerModel',
+    },
+    ownerModel: {
+      type: String,
+      enum: ['User', 'Team'],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    milestone: mongoose.Schema.Types.ObjectId,
+    currency: {
+      type: String,
+      required: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    // Pending transactions whose entry was applied to this account, so an
+    // interrupted transaction is never applied twice
+    pendingTransactions: [mongoose.Schema.Types.ObjectId],
+    // Funding accounts stand for money coming from outside the platform and
+    // go negative by the amount a client has paid in
+    allowNegative: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+ledgerAccountSchema.index({ owner: 1, type: 1 });
+ledgerAccountSchema.index({ project: 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const APPEND_ONLY_MESSAGE = 'Ledger transactions are append-only';
+
+/**
+ * A double-entry ledger transaction. The entries of a transaction always add
+ * up to zero, and posted transactions are never changed or deleted: mistakes
+ * are corrected by posting a new transaction.
+ *
+ * A transaction is stored as pending before its entries are applied to the
+ * account balances, and posted once they all are. A pending transaction that
+ * cannot be applied is removed.
+ */
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['milestone_funding', 'milestone_release', 'milestone_refund', 'timesheet_charge', 'team_distribution', 'payout', 'payout_reversal'],
+      required: true,
+    },
+    entries: {
+      type: [{
+        _id: false,
+        account: {
+          type: String, // LedgerAccount key
+          required: true,
+        },
+        // Signed amount in minor units, negative leaves the account
+        amount: {
+          type: Number,
+          required: true,
+        },
+      }],
+      validate: {
+        validator: (entries) => entries.length >= 2,
+        message: 'A ledger transaction needs at least two entries',
+      },
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    milestone: mongoose.Schema.Types.ObjectId,
+    timesheet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timesheet',
+    },
+    description: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Transactions posted before statuses existed have none
+    status: {
+      type: String,
+      enum: ['pending', 'posted'],
+      default: 'posted',
+    },
+    // Posting the same operation twice with the same key only records it once
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+ledgerTransactionSchema.index({ project: 1, milestone: 1, type: 1 });
+ledgerTransactionSchema.index({ status: 1, createdAt: 1 });
+ledgerTransactionSchema.index({ 'entries.account': 1, createdAt: -1 });
+
+// Check that the transaction balances before it is stored
+ledgerTransactionSchema.pre('validate', function (next) {
+  const invalid = this.entries.some((entry) => !Number.isInteger(entry.amount) || entry.amount === 0);
+  if (invalid) {
+    return next(new Error('Ledger entry amounts must be non-zero whole minor units'));
+  }
+
+  const total = this.entries.reduce((sum, entry) => sum + entry.amount, 0);
+  if (total !== 0) {
+    return next(new Error('Ledger transaction does not balance'));
+  }
+
+  next();
+});
+
+// Transactions can be inserted but never saved again
+ledgerTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error(APPEND_ONLY_MESSAGE));
+  }
+  next();
+});
+
+const rejectChange = function (next) {
+  next(new Error(APPEND_ONLY_MESSAGE));
+};
+
+// Only a pending transaction changes: it is marked posted, or removed
+const allowPendingChange = function (next) {
+  const update = this.getUpdate() || {};
+  const onlyStatus =
+    Object.keys(update).every((operator) => operator === '$set') &&
+    Object.keys(update.$set || {}).every((path) => ['status', 'updatedAt'].includes(path));
+
+  if (this.getFilter().status === 'pending' && onlyStatus) {
+    return next();
+  }
+  next(new Error(APPEND_ONLY_MESSAGE));
+};
+
+ledgerTransactionSchema.pre(
+  ['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+ledgerTransactionSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+ledgerTransactionSchema.pre(['updateOne', 'deleteOne'], { document: false, query: true }, allowPendingChange);
+
+// Pending transactions are still being applied, so queries only see them
+// when they ask for a status
+ledgerTransactionSchema.pre(['find', 'findOne', 'countDocuments'], function () {
+  if (this.getFilter().status === undefined) {
+    this.where({ status: { $ne: 'pending' } });
+  }
+});
+ledgerTransactionSchema.pre('aggregate', function () {
+  this.pipeline().unshift({ $match: { status: { $ne: 'pending' } } });
+});
+
+// Matches transactions in any status
+ledgerTransactionSchema.statics.ANY_STATUS = { $in: ['pending', 'posted', null] };
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Counter key, e.g. "login:account:jane@example.com" or "login:ip:10.0.0.1"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    // Failures are forgotten once the window passes without a new one
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up stale counters
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
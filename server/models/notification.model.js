@@ -22,6 +22,7 @@ const notificationSchema = new mongoose.Schema(
         'milestone', // Milestone completed
         'system', // System notifications
         'badge', // Badge earned
+        'dispute', // Dispute opened, discussed or resolved
       ],
       required: true,
     },
@@ -56,6 +57,10 @@ const notificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Chat',
     },
+    dispute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dispute',
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * A payment made through a payment provider: a checkout that funds a
+ * milestone, or a payout to a user. Amounts are in minor units.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['checkout', 'payout'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'authorized', 'succeeded', 'failed', 'refunded'],
+      default: 'pending',
+    },
+    // ID of the checkout, payment or payout at the provider
+    reference: String,
+    checkoutUrl: String,
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    // Client paying, or user being paid out
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    milestone: mongoose.Schema.Types.ObjectId,
+    // Bank or provider account a payout goes to
+    destination: String,
+    failureReason: String,
+    refunds: [{
+      reference: String,
+      amount: Number,
+      // Ledger refund the provider refund belongs to
+      ledgerTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerTransaction',
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending',
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    ledgerTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+paymentSchema.index({ provider: 1, reference: 1 });
+paymentSchema.index({ 'refunds.reference': 1 });
+paymentSchema.index({ milestone: 1, kind: 1, status: 1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
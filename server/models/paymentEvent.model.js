@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook events received from payment providers. Providers deliver events
+ * at least once, so an event is only processed the first time it arrives.
+ */
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    // Provider reference of the payment, refund or payout
+    reference: String,
+    payload: mongoose.Schema.Types.Mixed,
+    processedAt: Date,
+    // Error of the last failed processing attempt
+    error: String,
+  },
+  { timestamps: true }
+);
+
+// One record per provider event
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
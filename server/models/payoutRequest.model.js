@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Request to withdraw money from a user's balance. The amount leaves the
+ * balance when the request is made and is credited back if the request is
+ * cancelled or rejected. Admins approve the request and mark it paid once
+ * the money has been sent. A request whose amount could not be taken from
+ * the balance is failed.
+ */
+const payoutRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Amount in minor units
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    // Bank or provider account the money goes to
+    destination: String,
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'paid', 'rejected', 'cancelled', 'failed'],
+      default: 'requested',
+    },
+    // Note from the admin who reviewed the request
+    note: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    paidAt: Date,
+    // Reference of the transfer, e.g. the bank transaction ID
+    reference: String,
+    ledgerTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+    },
+    reversalTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+payoutRequestSchema.index({ status: 1, createdAt: 1 });
+payoutRequestSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutRequest', payoutRequestSchema);
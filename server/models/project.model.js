@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('../config/config');
 
 const projectSchema = new mongoose.Schema(
   {
@@ -42,10 +43,51 @@ const projectSchema = new mongoose.Schema(
       type: String,
       required: [true, 'At least one skill is required'],
     }],
+    // Amounts of the project (budget, bids, milestones, rates, totalPaid) are
+    // whole minor units of its currency, e.g. cents
+    currency: {
+      type: String,
+      uppercase: true,
+      default: () => config.payments.currency,
+    },
     budget: {
       type: Number,
       required: [true, 'Budget is required'],
     },
+    // Fixed price projects are paid by milestone, hourly projects from
+    // approved weekly timesheets
+    billingType: {
+      type: String,
+      enum: ['fixed', 'hourly'],
+      default: 'fixed',
+    },
+    // Default weekly cap for new hourly contracts
+    weeklyHourCap: {
+      type: Number,
+      min: 1,
+      max: 168,
+      default: 40,
+    },
+    // Rate and cap of each freelancer on an hourly project, starting from the accepted bid
+    hourlyContracts: [{
+      _id: false,
+      freelancer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      // Minor units per hour
+      hourlyRate: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      weeklyHourCap: {
+        type: Number,
+        min: 1,
+        max: 168,
+      },
+    }],
     deadline: {
       type: Date,
       required: [true, 'Deadline is required'],
@@ -55,11 +97,21 @@ const projectSchema = new mongoose.Schema(
       enum: ['Less than 1 week', '1-2 weeks', '2-4 weeks', '1-3 months', '3-6 months', '6+ months'],
       required: [true, 'Project duration is required'],
     },
+    // Changes only as utils/projectLifecycle.js allows
     status: {
       type: String,
-      enum: ['draft', 'open', 'in_progress', 'review', 'completed', 'cancelled'],
+      enum: ['draft', 'open', 'in_progress', 'review', 'completed', 'cancelled', 'closed'],
       default: 'open',
     },
+    // Scheduled publish time of a draft
+    publishAt: Date,
+    publishedAt: Date,
+    closedAt: Date,
+    // Why an open project closed without anybody hired
+    closeReason: {
+      type: String,
+      enum: ['expired', 'client'],
+    },
     visibility: {
       type: String,
       enum: ['public', 'private', 'invite_only'],
@@ -85,6 +137,11 @@ const projectSchema = new mongoose.Schema(
         type: String,
         required: true,
       },
+      // Freelancers may bid in another currency than the project's
+      currency: {
+        type: String,
+        uppercase: true,
+      },
       bidAmount: {
         type: Number,
         required: true,
@@ -100,10 +157,79 @@ const projectSchema = new mongoose.Schema(
         default: Date.now,
       },
     }],
+    // Students and teams invited to an invite_only project. Only they can
+    // see it, and they can send proposals once they accept.
+    invitations: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+      },
+      message: String,
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'revoked'],
+        default: 'pending',
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      invitedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      respondedAt: Date,
+    }],
     assignedTeam: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Team',
     },
+    // How the assigned team splits the milestone payments among its members.
+    // Every member listed has to accept before work starts.
+    revenueSplit: {
+      method: {
+        type: String,
+        enum: ['equal', 'role', 'custom', 'hours'],
+      },
+      // Weight of each team role, for the role method
+      roleWeights: [{
+        _id: false,
+        role: String,
+        weight: Number,
+      }],
+      members: [{
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        role: String, // Team role when the split was proposed
+        percent: Number, // For the custom method
+        accepted: {
+          type: Boolean,
+          default: false,
+        },
+        respondedAt: Date,
+      }],
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined'],
+      },
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      proposedAt: Date,
+      acceptedAt: Date,
+    },
     assignedFreelancers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -115,13 +241,60 @@ const projectSchema = new mongoose.Schema(
       },
       description: String,
       dueDate: Date,
+      // Freelancers submit the work, the client approves it or asks for
+      // changes; an approved milestone is completed once its payment is released
       status: {
         type: String,
-        enum: ['not_started', 'in_progress', 'completed'],
+        enum: ['not_started', 'in_progress', 'submitted', 'changes_requested', 'approved', 'completed'],
         default: 'not_started',
       },
       completedAt: Date,
-      amount: Number, // Payment amount for this milestone
+      amount: Number, // Payment amount for this milestone in minor units
+      // Deliverables, one entry per submission with the client's review
+      submissions: [{
+        note: String,
+        attachments: [{
+          name: String,
+          url: String,
+          fileType: String,
+        }],
+        submittedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        submittedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        review: {
+          decision: {
+            type: String,
+            enum: ['approved', 'changes_requested'],
+          },
+          comment: String,
+          reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          reviewedAt: Date,
+          automatic: Boolean, // approved because the client did not respond in time
+        },
+      }],
+      // When a submission the client has not reviewed is approved automatically
+      autoApproveAt: Date,
+      history: [{
+        _id: false,
+        status: String,
+        note: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
     }],
     tasks: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -172,5 +345,10 @@ const projectSchema = new mongoose.Schema(
 
 // Create index for search functionality
 projectSchema.index({ title: 'text', description: 'text', skills: 'text' });
+projectSchema.index({ 'milestones.autoApproveAt': 1 });
+projectSchema.index({ status: 1, publishAt: 1 });
+projectSchema.index({ status: 1, deadline: 1 });
+projectSchema.index({ 'invitations.user': 1 });
+projectSchema.index({ 'invitations.team': 1 });
 
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
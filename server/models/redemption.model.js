@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Request to redeem Cyber Coins for a catalog reward. The coins are taken
+ * when the request is made and given back if an admin rejects it.
+ */
+const redemptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RewardItem',
+      required: true,
+    },
+    // Name and cost at the time of the request
+    itemName: String,
+    cost: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    // Note from the admin who reviewed the request
+    note: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+redemptionSchema.index({ status: 1, createdAt: 1 });
+redemptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Redemption', redemptionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reward in the Cyber Coins redemption catalog, managed by admins
+ */
+const rewardItemSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Reward name is required'],
+      trim: true,
+      maxlength: [100, 'Reward name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Reward description cannot exceed 1000 characters'],
+    },
+    image: String,
+    cost: {
+      type: Number,
+      required: [true, 'Reward cost is required'],
+      min: [1, 'Reward cost must be at least 1 coin'],
+    },
+    // Number left, unlimited when not set
+    stock: {
+      type: Number,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('RewardItem', rewardItemSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Project search filters a user saved under a name. New open projects that
+ * match are announced right away (instant) or collected for a daily or
+ * weekly digest.
+ */
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // Filters of GET /api/projects, budgets in minor units
+    filters: {
+      search: String,
+      category: String,
+      skills: [String],
+      minBudget: Number,
+      maxBudget: Number,
+      currency: String,
+    },
+    frequency: {
+      type: String,
+      enum: ['instant', 'daily', 'weekly'],
+      default: 'daily',
+    },
+    // Matches waiting for the next digest
+    pendingMatches: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    }],
+    // The first digest goes out a day or week after the search was saved
+    lastDigestAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastMatchedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, lastDigestAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
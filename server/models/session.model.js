@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 hash of the current refresh token, the raw token is never stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hashes of the refresh tokens rotated out, to tell a reused token from a wrong one
+    previousRefreshTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Admin who started the session to view the platform as this user
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'password_change', 'password_reset', 'token_reuse', 'oauth_link', 'impersonation_end', 'admin', 'user'],
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Check whether the session can still be used to authenticate
+ * @returns {Boolean} True if the session is neither revoked nor expired
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -52,8 +52,14 @@ const taskSchema = new mongoose.Schema(
       },
       startTime: Date,
       endTime: Date,
-      duration: Number, // in minutes
+      duration: Number, // in hours
       notes: String,
+      // Sessions entered by hand instead of with the timer are shown as such on timesheets
+      source: {
+        type: String,
+        enum: ['timer', 'manual'],
+        default: 'timer',
+      },
     }],
     attachments: [{
       name: String,
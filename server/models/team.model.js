@@ -111,6 +111,7 @@ const teamSchema = new mongoose.Schema(
       max: 5,
       default: 0,
     },
+    // Minor units of the platform currency, converted at current exchange rates
     totalEarnings: {
       type: Number,
       default: 0,
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * Weekly timesheet of a freelancer on an hourly project. Time tracked on
+ * the project's tasks rolls up into the timesheet of the week it started in
+ * (weeks start on Monday, UTC). The client approves or disputes it once
+ * submitted, and an approved timesheet is charged through the ledger.
+ */
+const timesheetSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    freelancer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    weekStart: {
+      type: Date,
+      required: true,
+    },
+    // Contract terms when the week started, the rate in minor units per hour
+    hourlyRate: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    weeklyHourCap: Number,
+    entries: [{
+      task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+      },
+      taskTitle: String,
+      session: mongoose.Schema.Types.ObjectId, // Task.timeTracking entry
+      startTime: Date,
+      endTime: Date,
+      minutes: Number,
+      source: {
+        type: String,
+        enum: ['timer', 'manual'],
+        default: 'timer',
+      },
+      notes: String,
+    }],
+    totalMinutes: {
+      type: Number,
+      default: 0,
+    },
+    // Minutes that are billed, at most the weekly cap
+    billableMinutes: {
+      type: Number,
+      default: 0,
+    },
+    manualMinutes: {
+      type: Number,
+      default: 0,
+    },
+    // Billable amount in minor units
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'submitted', 'approved', 'disputed'],
+      default: 'open',
+    },
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    // Client's reason for disputing the timesheet
+    comment: String,
+    ledgerTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction',
+    },
+    history: [{
+      _id: false,
+      status: String,
+      note: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+  },
+  { timestamps: true }
+);
+
+// One timesheet per freelancer, project and week
+timesheetSchema.index({ project: 1, freelancer: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ freelancer: 1, weekStart: -1 });
+
+// A tracked session is billed once
+timesheetSchema.pre('validate', function (next) {
+  const sessions = this.entries.filter((entry) => entry.session).map((entry) => entry.session.toString());
+  if (new Set(sessions).size !== sessions.length) {
+    this.invalidate('entries', 'A session can only be added to a timesheet once');
+  }
+  next();
+});
+
+// Keep the totals in line with the entries
+timesheetSchema.pre('save', function (next) {
+  this.totalMinutes = this.entries.reduce((sum, entry) => sum + entry.minutes, 0);
+  this.manualMinutes = this.entries
+    .filter((entry) => entry.source === 'manual')
+    .reduce((sum, entry) => sum + entry.minutes, 0);
+
+  const cap = this.weeklyHourCap ? this.weeklyHourCap * 60 : Infinity;
+  this.billableMinutes = Math.min(this.totalMinutes, cap);
+  this.amount = Math.round((this.billableMinutes * this.hourlyRate) / 60);
+
+  next();
+});
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema(
   {
@@ -18,7 +19,13 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // Accounts created through OAuth sign-in have no password
+      required: [
+        function () {
+          return !this.oauthProviders || this.oauthProviders.length === 0;
+        },
+        'Password is required',
+      ],
       minlength: [8, 'Password must be at least 8 characters'],
       select: false,
     },
@@ -70,10 +77,16 @@ const userSchema = new mongoose.Schema(
       endDate: Date,
       current: Boolean,
     }],
-    // For students
+    // For students. Cyber Coins balance, only changed through utils/coinService.js
     points: {
       type: Number,
       default: 0,
+      min: 0,
+    },
+    // Coin transactions applied to points but not yet marked applied
+    pendingCoinTransactions: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false,
     },
     badges: [{
       name: String,
@@ -117,15 +130,77 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
-    resetPasswordToken: String,
-    resetPasswordExpire: Date,
+    // Linked OAuth sign-in providers
+    oauthProviders: [{
+      provider: {
+        type: String,
+        enum: ['github', 'google'],
+        required: true,
+      },
+      providerId: {
+        type: String,
+        required: true,
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Email change waiting for confirmation from the new address
+    pendingEmail: {
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      requestedAt: Date,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret waiting for the first code to confirm enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [{
+          codeHash: String,
+          usedAt: Date,
+        }],
+        select: false,
+      },
+      enabledAt: Date,
+      // ID of the two-factor login challenge that may still be answered
+      challengeId: {
+        type: String,
+        select: false,
+      },
+      // Time step of the last authentication code accepted. Codes from it or
+      // earlier steps are refused, so a code cannot be used twice.
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
   },
   { timestamps: true }
 );
 
+// Create indexes for faster queries
+userSchema.index({ 'oauthProviders.provider': 1, 'oauthProviders.providerId': 1 });
+
 // Encrypt password before saving
 userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) {
+  if (!this.isModified('password') || !this.password) {
     return next();
   }
   
@@ -140,7 +215,45 @@ userSchema.pre('save', async function (next) {
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Method to use a two-factor recovery code, each code only works once
+// Requires twoFactor.recoveryCodes to be selected
+userSchema.methods.useRecoveryCode = async function (enteredCode) {
+  const normalized = String(enteredCode || '').replace(/[\s-]/g, '').toLowerCase();
+  const codes = (this.twoFactor && this.twoFactor.recoveryCodes) || [];
+
+  for (const recoveryCode of codes) {
+    if (recoveryCode.usedAt) continue;
+
+    if (await bcrypt.compare(normalized, recoveryCode.codeHash)) {
+      recoveryCode.usedAt = Date.now();
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Method to use a code from the authenticator app, each code only works once
+// and codes from before the last one used are refused
+// Requires twoFactor.secret to be selected, unless another secret is passed
+userSchema.methods.useAuthenticationCode = async function (code, secret = this.twoFactor.secret) {
+  const step = totp.findCodeStep(secret, code);
+  if (step === null) return false;
+
+  // Atomic, so the same code sent twice at once is only accepted once
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
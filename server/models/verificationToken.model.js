@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const verificationTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    purpose: {
+      type: String,
+      enum: ['verify_email', 'reset_password', 'change_email', 'team_invite'],
+      required: true,
+    },
+    // SHA-256 hash of the token sent by email, the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    // Purpose specific details, e.g. the new address for change_email
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+verificationTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB clean up expired tokens
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, param } = require('express-validator');
 const adminController = require('../controllers/admin.controller');
 const { protect, isVerified, authorize } = require('../middleware/auth.middleware');
+const { isCurrencyCode } = require('../utils/money');
 
 // Apply admin middleware to all routes
 router.use(protect);
@@ -43,6 +44,7 @@ router.put(
     check('role', 'Role must be valid').optional().isIn(['client', 'freelancer', 'admin']),
     check('isVerified', 'isVerified must be a boolean').optional().isBoolean(),
     check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+    check('revokeSessions', 'revokeSessions must be a boolean').optional().isBoolean(),
   ],
   adminController.updateUser
 );
@@ -54,6 +56,33 @@ router.put(
  */
 router.delete('/users/:id', adminController.deleteUser);
 
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Unlock a user locked out by failed login attempts
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/unlock', adminController.unlockUser);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Get a short-lived token to view the platform as a user
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/users/:id/impersonate',
+  [
+    check('reason', 'Reason must be at most 500 characters').optional().isLength({ max: 500 }),
+  ],
+  adminController.impersonateUser
+);
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get the audit log (impersonation sessions and their requests)
+ * @access  Private (Admin only)
+ */
+router.get('/audit-logs', adminController.getAuditLogs);
+
 /**
  * @route   GET /api/admin/projects
  * @desc    Get all projects with pagination and filtering
@@ -80,7 +109,7 @@ router.put(
     check('description', 'Description is required').optional(),
     check('category', 'Category is required').optional(),
     check('skills', 'Skills must be an array').optional().isArray(),
-    check('budget', 'Budget must be a number').optional().isNumeric(),
+    check('budget', 'Budget must be in minor units').optional().isInt({ min: 0 }).toInt(),
     check('deadline', 'Deadline must be a valid date').optional().isISO8601(),
     check('status', 'Status must be valid').optional().isIn([
       'open',
@@ -107,4 +136,203 @@ router.delete('/projects/:id', adminController.deleteProject);
  */
 router.get('/system', adminController.getSystemStats);
 
+/**
+ * @route   GET /api/admin/payout-requests
+ * @desc    Get payout requests
+ * @access  Private (Admin only)
+ */
+router.get('/payout-requests', adminController.getPayoutRequests);
+
+/**
+ * @route   PUT /api/admin/payout-requests/:id/approve
+ * @desc    Approve a payout request
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/payout-requests/:id/approve',
+  [
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 }),
+  ],
+  adminController.approvePayoutRequest
+);
+
+/**
+ * @route   PUT /api/admin/payout-requests/:id/reject
+ * @desc    Reject a payout request and return the amount to the user's balance
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/payout-requests/:id/reject',
+  [
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 }),
+  ],
+  adminController.rejectPayoutRequest
+);
+
+/**
+ * @route   PUT /api/admin/payout-requests/:id/paid
+ * @desc    Mark an approved payout request as paid
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/payout-requests/:id/paid',
+  [
+    check('reference', 'Reference cannot exceed 200 characters').optional().isLength({ max: 200 }),
+  ],
+  adminController.markPayoutRequestPaid
+);
+
+/**
+ * @route   GET /api/admin/exchange-rates
+ * @desc    Get the exchange rates against the platform currency
+ * @access  Private (Admin only)
+ */
+router.get('/exchange-rates', adminController.getExchangeRates);
+
+/**
+ * @route   PUT /api/admin/exchange-rates/:currency
+ * @desc    Add or change the exchange rate of a currency
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/exchange-rates/:currency',
+  [
+    param('currency', 'Currency must be a currency code').toUpperCase().custom(isCurrencyCode),
+    check('rate', 'Rate must be a positive number').isFloat({ gt: 0 }).toFloat(),
+  ],
+  adminController.setExchangeRate
+);
+
+/**
+ * @route   DELETE /api/admin/exchange-rates/:currency
+ * @desc    Remove the exchange rate of a currency
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/exchange-rates/:currency',
+  param('currency').toUpperCase(),
+  adminController.deleteExchangeRate
+);
+
+/**
+ * @route   GET /api/admin/coins/catalog
+ * @desc    Get the Cyber Coins reward catalog
+ * @access  Private (Admin only)
+ */
+router.get('/coins/catalog', adminController.getRewardItems);
+
+/**
+ * @route   POST /api/admin/coins/catalog
+ * @desc    Add a reward to the catalog
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/coins/catalog',
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('cost', 'Cost must be a whole number of coins').isInt({ min: 1 }),
+    check('stock', 'Stock must be a whole number').optional().isInt({ min: 0 }),
+    check('active', 'Active must be a boolean').optional().isBoolean(),
+  ],
+  adminController.createRewardItem
+);
+
+/**
+ * @route   PUT /api/admin/coins/catalog/:id
+ * @desc    Update a reward in the catalog
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/coins/catalog/:id',
+  [
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('cost', 'Cost must be a whole number of coins').optional().isInt({ min: 1 }),
+    check('stock', 'Stock must be a whole number or null').optional({ values: 'null' }).isInt({ min: 0 }),
+    check('active', 'Active must be a boolean').optional().isBoolean(),
+  ],
+  adminController.updateRewardItem
+);
+
+/**
+ * @route   DELETE /api/admin/coins/catalog/:id
+ * @desc    Remove a reward from the catalog
+ * @access  Private (Admin only)
+ */
+router.delete('/coins/catalog/:id', adminController.deleteRewardItem);
+
+/**
+ * @route   GET /api/admin/coins/redemptions
+ * @desc    Get redemption requests
+ * @access  Private (Admin only)
+ */
+router.get('/coins/redemptions', adminController.getRedemptions);
+
+/**
+ * @route   PUT /api/admin/coins/redemptions/:id/approve
+ * @desc    Approve a redemption request
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/coins/redemptions/:id/approve',
+  [
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 }),
+  ],
+  adminController.approveRedemption
+);
+
+/**
+ * @route   PUT /api/admin/coins/redemptions/:id/reject
+ * @desc    Reject a redemption request and return the coins
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/coins/redemptions/:id/reject',
+  [
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 }),
+  ],
+  adminController.rejectRedemption
+);
+
+/**
+ * @route   GET /api/admin/disputes
+ * @desc    Get the dispute queue
+ * @access  Private (Admin only)
+ */
+router.get('/disputes', adminController.getDisputes);
+
+/**
+ * @route   PUT /api/admin/disputes/:id/status
+ * @desc    Move a dispute to another stage
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/disputes/:id/status',
+  [
+    check('status', 'Status must be valid').isIn(['open', 'under_review', 'awaiting_information']),
+    check('note', 'Note cannot exceed 1000 characters').optional().isLength({ max: 1000 }),
+  ],
+  adminController.updateDisputeStatus
+);
+
+/**
+ * @route   POST /api/admin/disputes/:id/resolve
+ * @desc    Resolve a dispute and settle its escrow
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/disputes/:id/resolve',
+  [
+    check('outcome', 'Outcome must be valid').isIn(['refund', 'partial_refund', 'release', 'split']),
+    check('refundAmount', 'Refund amount is required for a partial refund')
+      .if(check('outcome').equals('partial_refund'))
+      .isInt({ gt: 0 })
+      .toInt(),
+    check('clientPercent', 'Client share must be between 0 and 100 percent for a split')
+      .if(check('outcome').equals('split'))
+      .isFloat({ min: 0, max: 100 }),
+    check('note', 'Note cannot exceed 1000 characters').optional().isLength({ max: 1000 }),
+  ],
+  adminController.resolveDispute
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { SCOPES } = require('../utils/apiTokenService');
+const config = require('../config/config');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -30,6 +32,50 @@ router.post(
   authController.login
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token
+// @access  Public
+router.post(
+  '/refresh',
+  [body('refreshToken', 'Refresh token is required').not().isEmpty()],
+  authController.refreshToken
+);
+
+// @route   POST /api/auth/2fa/login
+// @desc    Complete a two-factor login
+// @access  Public
+router.post(
+  '/2fa/login',
+  [
+    body('challengeToken', 'Challenge token is required').not().isEmpty(),
+    body('code', 'Authentication code or recovery code is required')
+      .if(body('recoveryCode').not().exists())
+      .not()
+      .isEmpty(),
+  ],
+  authController.loginTwoFactor
+);
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Sign in with GitHub or Google
+// @access  Public
+router.get('/oauth/:provider', authController.oauthLogin);
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    OAuth provider callback
+// @access  Public
+router.get('/oauth/:provider/callback', authController.oauthCallback);
+
+// @route   POST /api/auth/oauth/:provider/link
+// @desc    Start linking GitHub or Google to the current user
+// @access  Private
+router.post('/oauth/:provider/link', protect, notWhileImpersonating, authController.oauthLink);
+
+// @route   DELETE /api/auth/oauth/:provider
+// @desc    Unlink GitHub or Google from the current user
+// @access  Private
+router.delete('/oauth/:provider', protect, authController.oauthUnlink);
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -50,6 +96,7 @@ router.put(
     body('newPassword', 'New password must be at least 8 characters').isLength({ min: 8 }),
   ],
   protect,
+  notWhileImpersonating,
   authController.updatePassword
 );
 
@@ -81,9 +128,111 @@ router.get('/verify-email/:token', authController.verifyEmail);
 // @access  Private
 router.post('/resend-verification', protect, authController.resendVerification);
 
+// @route   POST /api/auth/change-email
+// @desc    Request an email change
+// @access  Private
+router.post(
+  '/change-email',
+  [
+    body('newEmail', 'Please include a valid email').isEmail(),
+    body('password', 'Password is required').not().isEmpty(),
+  ],
+  protect,
+  notWhileImpersonating,
+  authController.requestEmailChange
+);
+
+// @route   GET /api/auth/confirm-email-change/:token
+// @desc    Confirm an email change from the new address
+// @access  Public
+router.get('/confirm-email-change/:token', authController.confirmEmailChange);
+
+// @route   GET /api/auth/cancel-email-change/:token
+// @desc    Cancel an email change from the current address
+// @access  Public
+router.get('/cancel-email-change/:token', authController.cancelEmailChange);
+
 // @route   POST /api/auth/logout
-// @desc    Logout user / Clear cookie
+// @desc    Logout user and revoke all of their refresh tokens
 // @access  Private
-router.post('/logout', protect, authController.logout);
+router.post('/logout', protect, notWhileImpersonating, authController.logout);
+
+// @route   POST /api/auth/impersonation/exit
+// @desc    End the impersonation session the request is made with
+// @access  Private (Impersonating admin)
+router.post('/impersonation/exit', protect, authController.exitImpersonation);
+
+// @route   GET /api/auth/sessions
+// @desc    Get active sessions (devices) of the current user
+// @access  Private
+router.get('/sessions', protect, authController.getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out everywhere else
+// @access  Private
+router.delete('/sessions', protect, authController.revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a session
+// @access  Private
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
+// @route   GET /api/auth/tokens
+// @desc    Get personal API tokens of the current user
+// @access  Private
+router.get('/tokens', protect, authController.getApiTokens);
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal API token
+// @access  Private
+router.post(
+  '/tokens',
+  [
+    body('name', 'Token name is required').trim().not().isEmpty(),
+    body('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    body('scopes.*', `Scopes must be one of: ${SCOPES.join(', ')}`).isIn(SCOPES),
+    body('expiresInDays', `Expiry must be between 1 and ${config.apiTokens.maxExpiresInDays} days`)
+      .optional()
+      .isInt({ min: 1, max: Number(config.apiTokens.maxExpiresInDays) }),
+  ],
+  protect,
+  notWhileImpersonating,
+  authController.createApiToken
+);
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal API token
+// @access  Private
+router.delete('/tokens/:id', protect, authController.revokeApiToken);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment
+// @access  Private
+router.post('/2fa/setup', protect, notWhileImpersonating, authController.setupTwoFactor);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm two-factor enrollment
+// @access  Private
+router.post(
+  '/2fa/verify',
+  [body('code', 'Authentication code is required').not().isEmpty()],
+  protect,
+  notWhileImpersonating,
+  authController.verifyTwoFactor
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [
+    body('password', 'Password is required').not().isEmpty(),
+    body('code', 'Authentication code or recovery code is required').not().isEmpty(),
+  ],
+  protect,
+  notWhileImpersonating,
+  authController.disableTwoFactor
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const express = require('express');
+const { check } = require('express-validator');
+const coinController = require('../controllers/coin.controller');
+const { protect, isVerified, notWhileImpersonating } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(isVerified);
+
+/**
+ * @route   GET /api/coins/balance
+ * @desc    Get the current user's Cyber Coins balance
+ * @access  Private
+ */
+router.get('/balance', coinController.getBalance);
+
+/**
+ * @route   GET /api/coins/transactions
+ * @desc    Get the current user's Cyber Coins history
+ * @access  Private
+ */
+router.get('/transactions', coinController.getTransactions);
+
+/**
+ * @route   GET /api/coins/catalog
+ * @desc    Get the rewards that can be redeemed
+ * @access  Private
+ */
+router.get('/catalog', coinController.getCatalog);
+
+/**
+ * @route   POST /api/coins/redemptions
+ * @desc    Redeem Cyber Coins for a reward
+ * @access  Private
+ */
+router.post(
+  '/redemptions',
+  [
+    check('itemId', 'Reward ID is required').isMongoId(),
+  ],
+  notWhileImpersonating,
+  coinController.redeem
+);
+
+/**
+ * @route   GET /api/coins/redemptions
+ * @desc    Get the current user's redemption requests
+ * @access  Private
+ */
+router.get('/redemptions', coinController.getRedemptions);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { check } = require('express-validator');
+const disputeController = require('../controllers/dispute.controller');
+const { protect, isVerified, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { authorizeResource } = require('../middleware/permission.middleware');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(isVerified);
+
+// Evidence and message attachments are links to uploaded files
+const attachmentChecks = (field) => [
+  check(`${field}.*.name`, 'Attachment name is required').not().isEmpty(),
+  check(`${field}.*.url`, 'Attachment URL must be a valid URL').isURL(),
+  check(`${field}.*.fileType`, 'Attachment type must be a string').optional().isString(),
+];
+
+/**
+ * @route   POST /api/disputes
+ * @desc    Open a dispute on a project or milestone
+ * @access  Private (Client or assigned freelancer)
+ */
+router.post(
+  '/',
+  [
+    check('project', 'Project ID is required').isMongoId(),
+    check('milestone', 'Milestone ID must be valid').optional().isMongoId(),
+    check('reason', 'Reason must be valid').isIn(['quality', 'non_delivery', 'missed_deadline', 'scope', 'payment', 'other']),
+    check('description', 'Description is required').not().isEmpty(),
+    check('evidence', 'Evidence must be an array').optional().isArray(),
+    ...attachmentChecks('evidence'),
+  ],
+  notWhileImpersonating,
+  disputeController.openDispute
+);
+
+/**
+ * @route   GET /api/disputes
+ * @desc    Get disputes on the current user's projects
+ * @access  Private
+ */
+router.get('/', disputeController.getDisputes);
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Get dispute by ID with its discussion
+ * @access  Private (Parties or Admin)
+ */
+router.get('/:id', authorizeResource('dispute', 'dispute:view'), disputeController.getDisputeById);
+
+/**
+ * @route   POST /api/disputes/:id/messages
+ * @desc    Post a message in a dispute
+ * @access  Private (Parties or Admin)
+ */
+router.post(
+  '/:id/messages',
+  [
+    check('content', 'Message content is required').not().isEmpty(),
+    check('replyTo', 'Reply must point at a message').optional().isMongoId(),
+    check('attachments', 'Attachments must be an array').optional().isArray(),
+    ...attachmentChecks('attachments'),
+  ],
+  authorizeResource('dispute', 'dispute:participate'),
+  disputeController.addMessage
+);
+
+/**
+ * @route   POST /api/disputes/:id/evidence
+ * @desc    Add evidence to a dispute
+ * @access  Private (Parties or Admin)
+ */
+router.post(
+  '/:id/evidence',
+  [
+    check('evidence', 'Evidence is required').isArray({ min: 1 }),
+    ...attachmentChecks('evidence'),
+  ],
+  authorizeResource('dispute', 'dispute:participate'),
+  disputeController.addEvidence
+);
+
+/**
+ * @route   POST /api/disputes/:id/withdraw
+ * @desc    Withdraw a dispute
+ * @access  Private (User who opened the dispute)
+ */
+router.post(
+  '/:id/withdraw',
+  notWhileImpersonating,
+  authorizeResource('dispute', 'dispute:withdraw'),
+  disputeController.withdrawDispute
+);
+
+module.exports = router;
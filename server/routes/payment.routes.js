@@ -0,0 +1,125 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const paymentController = require('../controllers/payment.controller');
+const { protect, isVerified, authorize, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { authorizeResource } = require('../middleware/permission.middleware');
+const { isCurrencyCode } = require('../utils/money');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Receive a payment provider webhook
+ * @access  Public (signed by the provider)
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+// Apply auth middleware to all other routes
+router.use(protect);
+router.use(isVerified);
+
+/**
+ * @route   GET /api/payments/balance
+ * @desc    Get the current user's balances
+ * @access  Private
+ */
+router.get('/balance', paymentController.getBalance);
+
+/**
+ * @route   GET /api/payments/transactions
+ * @desc    Get ledger transactions of the current user
+ * @access  Private
+ */
+router.get('/transactions', paymentController.getTransactions);
+
+/**
+ * @route   GET /api/payments/projects/:id
+ * @desc    Get the payment summary of a project
+ * @access  Private (Project participants or Admin)
+ */
+router.get('/projects/:id', authorizeResource('project', 'project:view_payments'), paymentController.getProjectPayments);
+
+/**
+ * @route   POST /api/payments/projects/:id/milestones/:milestoneId/fund
+ * @desc    Start a checkout that funds a milestone into escrow
+ * @access  Private (Client who created the project)
+ */
+router.post(
+  '/projects/:id/milestones/:milestoneId/fund',
+  notWhileImpersonating,
+  authorizeResource('project', 'project:fund'),
+  paymentController.fundMilestone
+);
+
+/**
+ * @route   POST /api/payments/projects/:id/milestones/:milestoneId/refund
+ * @desc    Refund the escrow of a milestone
+ * @access  Private (Client who created the project)
+ */
+router.post(
+  '/projects/:id/milestones/:milestoneId/refund',
+  notWhileImpersonating,
+  authorizeResource('project', 'project:fund'),
+  paymentController.refundMilestone
+);
+
+/**
+ * @route   GET /api/payments/earnings
+ * @desc    Get the current user's earnings statement (format=csv to download)
+ * @access  Private
+ */
+router.get(
+  '/earnings',
+  [
+    query('from', 'From must be a date').optional().isISO8601(),
+    query('to', 'To must be a date').optional().isISO8601(),
+    query('format', 'Format must be json or csv').optional().isIn(['json', 'csv']),
+  ],
+  paymentController.getEarnings
+);
+
+/**
+ * @route   POST /api/payments/payout-requests
+ * @desc    Request a payout of the current user's balance
+ * @access  Private
+ */
+router.post(
+  '/payout-requests',
+  [
+    check('amount', 'Amount must be a positive whole number of minor units').isInt({ gt: 0 }).toInt(),
+    check('currency', 'Currency must be a currency code').optional().isString().toUpperCase().custom(isCurrencyCode),
+    check('destination', 'Destination is required').isString().not().isEmpty(),
+  ],
+  notWhileImpersonating,
+  paymentController.createPayoutRequest
+);
+
+/**
+ * @route   GET /api/payments/payout-requests
+ * @desc    Get the current user's payout requests
+ * @access  Private
+ */
+router.get('/payout-requests', paymentController.getPayoutRequests);
+
+/**
+ * @route   POST /api/payments/payout-requests/:id/cancel
+ * @desc    Cancel a payout request that has not been reviewed yet
+ * @access  Private (User who made the request)
+ */
+router.post('/payout-requests/:id/cancel', notWhileImpersonating, paymentController.cancelPayoutRequest);
+
+/**
+ * @route   GET /api/payments/teams/:id
+ * @desc    Get a team's balance and earnings
+ * @access  Private (Team members only)
+ */
+router.get('/teams/:id', authorizeResource('team', 'team:view_private'), paymentController.getTeamPayments);
+
+/**
+ * @route   GET /api/payments/ledger/verify
+ * @desc    Check the ledger for consistency
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/verify', authorize('admin'), paymentController.verifyLedger);
+
+module.exports = router;
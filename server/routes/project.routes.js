@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const projectController = require('../controllers/project.controller');
-const { protect, authorize, isVerified } = require('../middleware/auth.middleware');
+const { protect, optionalProtect, authorize, isVerified, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { authorizeResource } = require('../middleware/permission.middleware');
+const { isCurrencyCode } = require('../utils/money');
+
+// Amounts are whole minor units of the currency (cents for USD)
+const currencyCheck = () =>
+  body('currency', 'Currency must be a currency code').optional().isString().toUpperCase().custom(isCurrencyCode);
 
 // @route   POST /api/projects
 // @desc    Create a new project
@@ -14,9 +20,17 @@ router.post(
     body('description', 'Description is required').not().isEmpty(),
     body('category', 'Category is required').not().isEmpty(),
     body('skills', 'At least one skill is required').isArray({ min: 1 }),
-    body('budget', 'Budget is required').isNumeric(),
+    body('budget', 'Budget is required in minor units').isInt({ min: 0 }).toInt(),
+    currencyCheck(),
     body('deadline', 'Deadline is required').isISO8601(),
     body('duration', 'Duration is required').not().isEmpty(),
+    body('billingType', 'Billing type must be fixed or hourly').optional().isIn(['fixed', 'hourly']),
+    body('weeklyHourCap', 'Weekly hour cap must be between 1 and 168').optional().isInt({ min: 1, max: 168 }),
+    body('status', 'Status must be draft or open').optional().isIn(['draft', 'open']),
+    body('visibility', 'Visibility must be public, private or invite_only')
+      .optional()
+      .isIn(['public', 'private', 'invite_only']),
+    body('publishAt', 'Publish time must be a date').optional().isISO8601(),
   ],
   protect,
   isVerified,
@@ -29,21 +43,65 @@ router.post(
 // @access  Public
 router.get('/', projectController.getProjects);
 
+// @route   GET /api/projects/recommended
+// @desc    Get open projects recommended for the current student
+// @access  Private (Student only)
+router.get(
+  '/recommended',
+  [
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 }),
+  ],
+  protect,
+  isVerified,
+  authorize('student'),
+  projectController.getRecommendedProjects
+);
+
 // @route   GET /api/projects/:id
 // @desc    Get project by ID
-// @access  Public
-router.get('/:id', projectController.getProjectById);
+// @access  Public (invite-only and private projects: invitees and participants)
+router.get('/:id', optionalProtect, projectController.getProjectById);
 
 // @route   PUT /api/projects/:id
 // @desc    Update project
 // @access  Private (Client who created the project)
 router.put(
   '/:id',
+  [
+    body('budget', 'Budget must be in minor units').optional().isInt({ min: 0 }).toInt(),
+    currencyCheck(),
+    body('deadline', 'Deadline must be a date').optional().isISO8601(),
+  ],
   protect,
   isVerified,
+  authorizeResource('project', 'project:update'),
   projectController.updateProject
 );
 
+// @route   POST /api/projects/:id/publish
+// @desc    Publish a draft now or at a scheduled time
+// @access  Private (Client who created the project)
+router.post(
+  '/:id/publish',
+  [body('publishAt', 'Publish time must be a date').optional({ values: 'null' }).isISO8601()],
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:update'),
+  projectController.publishProject
+);
+
+// @route   DELETE /api/projects/:id/publish
+// @desc    Cancel the scheduled publishing of a draft
+// @access  Private (Client who created the project)
+router.delete(
+  '/:id/publish',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:update'),
+  projectController.cancelScheduledPublish
+);
+
 // @route   DELETE /api/projects/:id
 // @desc    Delete project
 // @access  Private (Client who created the project or Admin)
@@ -51,6 +109,7 @@ router.delete(
   '/:id',
   protect,
   isVerified,
+  authorizeResource('project', 'project:delete'),
   projectController.deleteProject
 );
 
@@ -61,7 +120,8 @@ router.post(
   '/:id/proposals',
   [
     body('coverLetter', 'Cover letter is required').not().isEmpty(),
-    body('bidAmount', 'Bid amount is required').isNumeric(),
+    body('bidAmount', 'Bid amount is required in minor units').isInt({ min: 0 }).toInt(),
+    currencyCheck(),
     body('estimatedDuration', 'Estimated duration is required').not().isEmpty(),
   ],
   protect,
@@ -77,6 +137,7 @@ router.get(
   '/:id/proposals',
   protect,
   isVerified,
+  authorizeResource('project', 'project:manage_proposals'),
   projectController.getProjectProposals
 );
 
@@ -90,6 +151,7 @@ router.put(
   ],
   protect,
   isVerified,
+  authorizeResource('project', 'project:manage_proposals'),
   projectController.updateProposalStatus
 );
 
@@ -101,10 +163,11 @@ router.post(
   [
     body('title', 'Title is required').not().isEmpty(),
     body('dueDate', 'Due date is required').isISO8601(),
-    body('amount', 'Amount is required').isNumeric(),
+    body('amount', 'Amount is required in minor units').isInt({ min: 0 }).toInt(),
   ],
   protect,
   isVerified,
+  authorizeResource('project', 'project:manage_milestones'),
   projectController.addMilestone
 );
 
@@ -113,8 +176,12 @@ router.post(
 // @access  Private (Client who created the project)
 router.put(
   '/:id/milestones/:milestoneId',
+  [
+    body('amount', 'Amount must be in minor units').optional().isInt({ min: 0 }).toInt(),
+  ],
   protect,
   isVerified,
+  authorizeResource('project', 'project:manage_milestones'),
   projectController.updateMilestone
 );
 
@@ -125,9 +192,70 @@ router.put(
   '/:id/milestones/:milestoneId/complete',
   protect,
   isVerified,
+  notWhileImpersonating,
+  authorizeResource('project', 'project:manage_milestones'),
   projectController.completeMilestone
 );
 
+// @route   POST /api/projects/:id/milestones/:milestoneId/submissions
+// @desc    Submit the work of a milestone for review
+// @access  Private (Assigned freelancer or team manager)
+router.post(
+  '/:id/milestones/:milestoneId/submissions',
+  [
+    body('note', 'Note cannot exceed 2000 characters').optional().isLength({ max: 2000 }),
+    body('attachments', 'Attachments must be an array').optional().isArray(),
+    body('attachments.*.name', 'Attachment name is required').not().isEmpty(),
+    body('attachments.*.url', 'Attachment URL must be a valid URL').isURL(),
+  ],
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:submit_milestone'),
+  projectController.submitMilestone
+);
+
+// @route   PUT /api/projects/:id/milestones/:milestoneId/approve
+// @desc    Approve the submitted work of a milestone
+// @access  Private (Client who created the project)
+router.put(
+  '/:id/milestones/:milestoneId/approve',
+  [body('comment', 'Comment cannot exceed 2000 characters').optional().isLength({ max: 2000 })],
+  protect,
+  isVerified,
+  notWhileImpersonating,
+  authorizeResource('project', 'project:manage_milestones'),
+  projectController.approveMilestone
+);
+
+// @route   PUT /api/projects/:id/milestones/:milestoneId/request-changes
+// @desc    Ask for changes to the submitted work of a milestone
+// @access  Private (Client who created the project)
+router.put(
+  '/:id/milestones/:milestoneId/request-changes',
+  [body('comment', 'Comment describing the changes is required').not().isEmpty().isLength({ max: 2000 })],
+  protect,
+  isVerified,
+  notWhileImpersonating,
+  authorizeResource('project', 'project:manage_milestones'),
+  projectController.requestMilestoneChanges
+);
+
+// @route   PUT /api/projects/:id/hourly-contracts/:freelancerId
+// @desc    Change the hourly rate or weekly cap of a freelancer
+// @access  Private (Client who created the project)
+router.put(
+  '/:id/hourly-contracts/:freelancerId',
+  [
+    body('hourlyRate', 'Hourly rate must be a positive number of minor units').optional().isInt({ gt: 0 }).toInt(),
+    body('weeklyHourCap', 'Weekly hour cap must be between 1 and 168').optional().isInt({ min: 1, max: 168 }),
+  ],
+  protect,
+  isVerified,
+  notWhileImpersonating,
+  authorizeResource('project', 'project:manage_contracts'),
+  projectController.updateHourlyContract
+);
+
 // @route   POST /api/projects/:id/save
 // @desc    Save/unsave project
 // @access  Private
@@ -155,9 +283,33 @@ router.post(
   '/:id/complete',
   protect,
   isVerified,
+  notWhileImpersonating,
+  authorizeResource('project', 'project:complete'),
   projectController.completeProject
 );
 
+// @route   GET /api/projects/:id/invoices
+// @desc    Get invoices of a project
+// @access  Private (Project participants or Admin)
+router.get(
+  '/:id/invoices',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:view_invoices'),
+  projectController.getProjectInvoices
+);
+
+// @route   GET /api/projects/:id/invoices/:invoiceId/pdf
+// @desc    Download an invoice as PDF
+// @access  Private (Project participants or Admin)
+router.get(
+  '/:id/invoices/:invoiceId/pdf',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:view_invoices'),
+  projectController.downloadInvoice
+);
+
 // @route   POST /api/projects/:id/review
 // @desc    Add review for project
 // @access  Private (Client or assigned freelancer)
@@ -169,7 +321,81 @@ router.post(
   ],
   protect,
   isVerified,
+  authorizeResource('project', 'project:review'),
   projectController.addReview
 );
 
+// @route   GET /api/projects/user/invitations
+// @desc    Get invitations of the current user and their teams
+// @access  Private
+router.get(
+  '/user/invitations',
+  [query('status', 'Status must be pending, accepted or declined').optional().isIn(['pending', 'accepted', 'declined'])],
+  protect,
+  isVerified,
+  projectController.getMyInvitations
+);
+
+// @route   GET /api/projects/:id/invitations
+// @desc    Get invitations of an invite-only project
+// @access  Private (Client who created the project)
+router.get(
+  '/:id/invitations',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:invite'),
+  projectController.getProjectInvitations
+);
+
+// @route   POST /api/projects/:id/invitations
+// @desc    Invite students and teams to an invite-only project
+// @access  Private (Client who created the project)
+router.post(
+  '/:id/invitations',
+  [
+    body('users', 'Users must be a list').optional().isArray(),
+    body('users.*', 'Each user must be an ID').isMongoId(),
+    body('teams', 'Teams must be a list').optional().isArray(),
+    body('teams.*', 'Each team must be an ID').isMongoId(),
+    body('message', 'Message cannot exceed 1000 characters').optional().isString().isLength({ max: 1000 }),
+  ],
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:invite'),
+  projectController.inviteToProject
+);
+
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @desc    Withdraw an invitation
+// @access  Private (Client who created the project)
+router.delete(
+  '/:id/invitations/:invitationId',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:invite'),
+  projectController.revokeProjectInvitation
+);
+
+// @route   POST /api/projects/:id/invitations/:invitationId/accept
+// @desc    Accept an invitation to a project
+// @access  Private (Invited student, or team member who manages projects)
+router.post(
+  '/:id/invitations/:invitationId/accept',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:view'),
+  projectController.acceptProjectInvitation
+);
+
+// @route   POST /api/projects/:id/invitations/:invitationId/decline
+// @desc    Decline an invitation to a project
+// @access  Private (Invited student, or team member who manages projects)
+router.post(
+  '/:id/invitations/:invitationId/decline',
+  protect,
+  isVerified,
+  authorizeResource('project', 'project:view'),
+  projectController.declineProjectInvitation
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,62 @@
+const express = require('express');
+const { check } = require('express-validator');
+const savedSearchController = require('../controllers/savedSearch.controller');
+const { protect, isVerified } = require('../middleware/auth.middleware');
+const { FREQUENCIES } = require('../utils/savedSearchService');
+const { isCurrencyCode } = require('../utils/money');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(isVerified);
+
+// Filters are those of GET /api/projects, budgets in minor units
+const searchChecks = (optional) => [
+  optional
+    ? check('name', 'Name cannot exceed 100 characters').optional().trim().notEmpty().isLength({ max: 100 })
+    : check('name', 'Name is required').trim().notEmpty().isLength({ max: 100 }),
+  check('frequency', `Frequency must be one of ${FREQUENCIES.join(', ')}`).optional().isIn(FREQUENCIES),
+  check('filters', 'Filters must be an object').optional().isObject(),
+  check('filters.search', 'Search must be text').optional().isString().isLength({ max: 200 }),
+  check('filters.minBudget', 'Minimum budget must be in minor units').optional().isInt({ min: 0 }).toInt(),
+  check('filters.maxBudget', 'Maximum budget must be in minor units').optional().isInt({ min: 0 }).toInt(),
+  check('filters.currency', 'Currency must be a currency code').optional().isString().toUpperCase().custom(isCurrencyCode),
+];
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get saved searches of the current user
+ * @access  Private
+ */
+router.get('/', savedSearchController.getSavedSearches);
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a project search
+ * @access  Private
+ */
+router.post('/', searchChecks(false), savedSearchController.createSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches/:id
+ * @desc    Get a saved search with the matches waiting for its digest
+ * @access  Private (Owner)
+ */
+router.get('/:id', savedSearchController.getSavedSearchById);
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Update a saved search
+ * @access  Private (Owner)
+ */
+router.put('/:id', searchChecks(true), savedSearchController.updateSavedSearch);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private (Owner)
+ */
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+
+module.exports = router;
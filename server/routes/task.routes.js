@@ -1,7 +1,8 @@
 const express = require('express');
 const { check } = require('express-validator');
 const taskController = require('../controllers/task.controller');
-const { protect, isVerified } = require('../middleware/auth.middleware');
+const { protect, isVerified, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { authorizeResource, loadResource } = require('../middleware/permission.middleware');
 
 const router = express.Router();
 
@@ -39,7 +40,7 @@ router.get('/', taskController.getTasks);
  * @desc    Get task by ID
  * @access  Private
  */
-router.get('/:id', taskController.getTaskById);
+router.get('/:id', authorizeResource('task', 'task:view'), taskController.getTaskById);
 
 /**
  * @route   PUT /api/tasks/:id
@@ -55,6 +56,7 @@ router.put(
     check('priority', 'Task priority is required').not().isEmpty(),
     check('dueDate', 'Due date is required').not().isEmpty(),
   ],
+  authorizeResource('task', 'task:update'),
   taskController.updateTask
 );
 
@@ -63,7 +65,7 @@ router.put(
  * @desc    Delete task
  * @access  Private (Task creator only)
  */
-router.delete('/:id', taskController.deleteTask);
+router.delete('/:id', authorizeResource('task', 'task:delete'), taskController.deleteTask);
 
 /**
  * @route   POST /api/tasks/:id/comments
@@ -75,6 +77,7 @@ router.post(
   [
     check('content', 'Comment content is required').not().isEmpty(),
   ],
+  authorizeResource('task', 'task:comment'),
   taskController.addComment
 );
 
@@ -83,7 +86,7 @@ router.post(
  * @desc    Delete comment from task
  * @access  Private (Comment creator only)
  */
-router.delete('/:id/comments/:commentId', taskController.deleteComment);
+router.delete('/:id/comments/:commentId', loadResource('task'), taskController.deleteComment);
 
 /**
  * @route   POST /api/tasks/:id/assign
@@ -95,6 +98,7 @@ router.post(
   [
     check('userId', 'User ID is required').not().isEmpty(),
   ],
+  authorizeResource('task', 'task:assign'),
   taskController.assignTask
 );
 
@@ -103,21 +107,38 @@ router.post(
  * @desc    Unassign task from user
  * @access  Private (Task creator or project manager only)
  */
-router.delete('/:id/assign/:userId', taskController.unassignTask);
+router.delete('/:id/assign/:userId', authorizeResource('task', 'task:assign'), taskController.unassignTask);
 
 /**
  * @route   POST /api/tasks/:id/time/start
  * @desc    Start time tracking for task
  * @access  Private (Assigned user only)
  */
-router.post('/:id/time/start', taskController.startTimeTracking);
+router.post('/:id/time/start', authorizeResource('task', 'task:track_time'), taskController.startTimeTracking);
 
 /**
  * @route   POST /api/tasks/:id/time/stop
  * @desc    Stop time tracking for task
  * @access  Private (Assigned user only)
  */
-router.post('/:id/time/stop', taskController.stopTimeTracking);
+router.post('/:id/time/stop', loadResource('task'), taskController.stopTimeTracking);
+
+/**
+ * @route   POST /api/tasks/:id/time/manual
+ * @desc    Add time worked on a task without the timer
+ * @access  Private (Assigned user only)
+ */
+router.post(
+  '/:id/time/manual',
+  [
+    check('startTime', 'Start time must be a valid date').isISO8601(),
+    check('endTime', 'End time must be a valid date').isISO8601(),
+    check('notes', 'Notes cannot exceed 500 characters').optional().isLength({ max: 500 }),
+  ],
+  notWhileImpersonating,
+  authorizeResource('task', 'task:track_time'),
+  taskController.addManualTime
+);
 
 /**
  * @route   POST /api/tasks/:id/attachments
@@ -131,6 +152,7 @@ router.post(
     check('fileName', 'File name is required').not().isEmpty(),
     check('fileType', 'File type is required').not().isEmpty(),
   ],
+  authorizeResource('task', 'task:attach'),
   taskController.addAttachment
 );
 
@@ -139,7 +161,7 @@ router.post(
  * @desc    Delete attachment from task
  * @access  Private (Attachment uploader only)
  */
-router.delete('/:id/attachments/:attachmentId', taskController.deleteAttachment);
+router.delete('/:id/attachments/:attachmentId', loadResource('task'), taskController.deleteAttachment);
 
 /**
  * @route   PUT /api/tasks/:id/progress
@@ -151,6 +173,7 @@ router.put(
   [
     check('progress', 'Progress percentage is required').isNumeric(),
   ],
+  authorizeResource('task', 'task:update_progress'),
   taskController.updateProgress
 );
 
@@ -165,6 +188,7 @@ router.post(
     check('title', 'Subtask title is required').not().isEmpty(),
     check('description', 'Subtask description is required').not().isEmpty(),
   ],
+  authorizeResource('task', 'task:manage'),
   taskController.createSubtask
 );
 
@@ -179,6 +203,7 @@ router.post(
     check('dependsOn', 'Dependency task ID is required').not().isEmpty(),
     check('type', 'Dependency type is required').not().isEmpty(),
   ],
+  authorizeResource('task', 'task:manage'),
   taskController.addDependency
 );
 
@@ -187,14 +212,22 @@ router.post(
  * @desc    Remove task dependency
  * @access  Private
  */
-router.delete('/:id/dependencies/:dependencyId', taskController.removeDependency);
+router.delete(
+  '/:id/dependencies/:dependencyId',
+  authorizeResource('task', 'task:manage'),
+  taskController.removeDependency
+);
 
 /**
  * @route   GET /api/tasks/project/:projectId
  * @desc    Get all tasks for a project
  * @access  Private
  */
-router.get('/project/:projectId', taskController.getProjectTasks);
+router.get(
+  '/project/:projectId',
+  authorizeResource('project', 'project:view_tasks', 'projectId'),
+  taskController.getProjectTasks
+);
 
 /**
  * @route   GET /api/tasks/user/assigned
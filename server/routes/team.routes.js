@@ -1,7 +1,8 @@
 const express = require('express');
 const { check } = require('express-validator');
 const teamController = require('../controllers/team.controller');
-const { protect, isVerified } = require('../middleware/auth.middleware');
+const { protect, isVerified, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { authorizeResource, loadResource } = require('../middleware/permission.middleware');
 
 const router = express.Router();
 
@@ -40,7 +41,7 @@ router.get('/:id', teamController.getTeamById);
 /**
  * @route   PUT /api/teams/:id
  * @desc    Update team
- * @access  Private (Team creator or admin only)
+ * @access  Private (Members who can edit the team)
  */
 router.put(
   '/:id',
@@ -48,6 +49,7 @@ router.put(
     check('name', 'Team name is required').not().isEmpty(),
     check('description', 'Team description is required').not().isEmpty(),
   ],
+  authorizeResource('team', 'team:update'),
   teamController.updateTeam
 );
 
@@ -56,12 +58,12 @@ router.put(
  * @desc    Delete team
  * @access  Private (Team creator only)
  */
-router.delete('/:id', teamController.deleteTeam);
+router.delete('/:id', authorizeResource('team', 'team:delete'), teamController.deleteTeam);
 
 /**
  * @route   POST /api/teams/:id/invite
  * @desc    Invite user to team
- * @access  Private (Team creator or admin only)
+ * @access  Private (Members who can invite)
  */
 router.post(
   '/:id/invite',
@@ -69,6 +71,7 @@ router.post(
     check('userId', 'User ID is required').not().isEmpty(),
     check('role', 'Role is required').not().isEmpty(),
   ],
+  authorizeResource('team', 'team:invite'),
   teamController.inviteToTeam
 );
 
@@ -89,21 +92,22 @@ router.put('/invites/:inviteId/decline', teamController.declineInvitation);
 /**
  * @route   DELETE /api/teams/:id/members/:userId
  * @desc    Remove member from team
- * @access  Private (Team creator or admin only)
+ * @access  Private (Members who can remove members)
  */
-router.delete('/:id/members/:userId', teamController.removeMember);
+router.delete('/:id/members/:userId', authorizeResource('team', 'team:remove_member'), teamController.removeMember);
 
 /**
  * @route   PUT /api/teams/:id/members/:userId
  * @desc    Update member role
- * @access  Private (Team creator or admin only)
+ * @access  Private (Team leaders only)
  */
 router.put(
   '/:id/members/:userId',
   [
     check('role', 'Role is required').not().isEmpty(),
-    check('permissions', 'Permissions must be an array').optional().isArray(),
+    check('permissions', 'Permissions must be an object').optional().isObject(),
   ],
+  authorizeResource('team', 'team:update_member'),
   teamController.updateMemberRole
 );
 
@@ -119,29 +123,86 @@ router.post(
     check('fileUrl', 'File URL is required').not().isEmpty(),
     check('fileType', 'File type is required').not().isEmpty(),
   ],
+  authorizeResource('team', 'team:add_document'),
   teamController.addTeamDocument
 );
 
 /**
  * @route   DELETE /api/teams/:id/documents/:documentId
  * @desc    Delete team document
- * @access  Private (Team creator, admin, or document uploader)
+ * @access  Private (Members who can edit the team, or the document uploader)
  */
-router.delete('/:id/documents/:documentId', teamController.deleteTeamDocument);
+router.delete('/:id/documents/:documentId', loadResource('team'), teamController.deleteTeamDocument);
 
 /**
  * @route   GET /api/teams/:id/projects
  * @desc    Get team projects
  * @access  Private (Team members only)
  */
-router.get('/:id/projects', teamController.getTeamProjects);
+router.get('/:id/projects', authorizeResource('team', 'team:view_private'), teamController.getTeamProjects);
 
 /**
  * @route   POST /api/teams/:id/projects/:projectId
  * @desc    Assign team to project
- * @access  Private (Team creator or admin only)
+ * @access  Private (Project client, or members who can manage projects once the team accepted an invitation)
  */
-router.post('/:id/projects/:projectId', teamController.assignTeamToProject);
+router.post(
+  '/:id/projects/:projectId',
+  [
+    check('split.method', 'Split method must be equal, role, custom or hours')
+      .optional()
+      .isIn(['equal', 'role', 'custom', 'hours']),
+    check('split.roleWeights', 'Role weights must be an array').optional().isArray(),
+    check('split.shares', 'Shares must be an array').optional().isArray(),
+  ],
+  notWhileImpersonating,
+  loadResource('team'),
+  teamController.assignTeamToProject
+);
+
+/**
+ * @route   PUT /api/teams/:id/projects/:projectId/split
+ * @desc    Propose a new revenue split for a team project
+ * @access  Private (Members who can manage projects)
+ */
+router.put(
+  '/:id/projects/:projectId/split',
+  [
+    check('method', 'Split method must be equal, role, custom or hours').isIn(['equal', 'role', 'custom', 'hours']),
+    check('roleWeights', 'Role weights must be an array').optional().isArray(),
+    check('roleWeights.*.weight', 'Role weights must be numbers of 0 or more').optional().isFloat({ min: 0 }),
+    check('shares', 'Shares must be an array').optional().isArray(),
+    check('shares.*.user', 'Each share needs a user').optional().isMongoId(),
+    check('shares.*.percent', 'Percentages must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+  ],
+  notWhileImpersonating,
+  authorizeResource('team', 'team:manage_projects'),
+  teamController.proposeRevenueSplit
+);
+
+/**
+ * @route   POST /api/teams/:id/projects/:projectId/split/accept
+ * @desc    Accept the revenue split of a team project
+ * @access  Private (Members in the split)
+ */
+router.post(
+  '/:id/projects/:projectId/split/accept',
+  notWhileImpersonating,
+  authorizeResource('team', 'team:view_private'),
+  teamController.acceptRevenueSplit
+);
+
+/**
+ * @route   POST /api/teams/:id/projects/:projectId/split/decline
+ * @desc    Decline the revenue split of a team project
+ * @access  Private (Members in the split)
+ */
+router.post(
+  '/:id/projects/:projectId/split/decline',
+  notWhileImpersonating,
+  authorizeResource('team', 'team:view_private'),
+  teamController.declineRevenueSplit
+);
 
 /**
  * @route   GET /api/teams/user/invitations
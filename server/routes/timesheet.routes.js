@@ -0,0 +1,75 @@
+const express = require('express');
+const { check } = require('express-validator');
+const timesheetController = require('../controllers/timesheet.controller');
+const { protect, isVerified, notWhileImpersonating } = require('../middleware/auth.middleware');
+const { authorizeResource } = require('../middleware/permission.middleware');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(isVerified);
+
+/**
+ * @route   GET /api/timesheets
+ * @desc    Get timesheets of the current user
+ * @access  Private
+ */
+router.get('/', timesheetController.getTimesheets);
+
+/**
+ * @route   GET /api/timesheets/:id
+ * @desc    Get timesheet by ID with its entries
+ * @access  Private (Freelancer, project client or Admin)
+ */
+router.get('/:id', authorizeResource('timesheet', 'timesheet:view'), timesheetController.getTimesheetById);
+
+/**
+ * @route   POST /api/timesheets/:id/submit
+ * @desc    Submit a timesheet to the client
+ * @access  Private (Freelancer of the timesheet)
+ */
+router.post(
+  '/:id/submit',
+  notWhileImpersonating,
+  authorizeResource('timesheet', 'timesheet:edit'),
+  timesheetController.submitTimesheet
+);
+
+/**
+ * @route   POST /api/timesheets/:id/approve
+ * @desc    Approve a timesheet and charge its hours
+ * @access  Private (Client of the project)
+ */
+router.post(
+  '/:id/approve',
+  notWhileImpersonating,
+  authorizeResource('timesheet', 'timesheet:review'),
+  timesheetController.approveTimesheet
+);
+
+/**
+ * @route   POST /api/timesheets/:id/dispute
+ * @desc    Dispute a timesheet
+ * @access  Private (Client of the project)
+ */
+router.post(
+  '/:id/dispute',
+  [check('comment', 'Say what is disputed').not().isEmpty().isLength({ max: 1000 })],
+  notWhileImpersonating,
+  authorizeResource('timesheet', 'timesheet:review'),
+  timesheetController.disputeTimesheet
+);
+
+/**
+ * @route   DELETE /api/timesheets/:id/entries/:entryId
+ * @desc    Remove an entry from a timesheet
+ * @access  Private (Freelancer of the timesheet)
+ */
+router.delete(
+  '/:id/entries/:entryId',
+  authorizeResource('timesheet', 'timesheet:edit'),
+  timesheetController.removeEntry
+);
+
+module.exports = router;
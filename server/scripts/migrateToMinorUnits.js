@@ -0,0 +1,112 @@
+/**
+ * One-off migration to projects with a currency and amounts in minor units.
+ * Projects, proposals, milestones and hourly contracts stored amounts in
+ * major units of the platform currency; the ledger, payments and invoices
+ * already used minor units. Projects without a currency have not been
+ * migrated yet, so running the script again does not convert twice.
+ *
+ * Usage: node scripts/migrateToMinorUnits.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const connectDB = require('../config/db');
+const Dispute = require('../models/dispute.model');
+const Project = require('../models/project.model');
+const Team = require('../models/team.model');
+const Timesheet = require('../models/timesheet.model');
+const ledgerService = require('../utils/ledgerService');
+const { toMinorUnits } = require('../utils/money');
+
+const currency = config.payments.currency;
+
+const migrateProjects = async () => {
+  // Read the raw documents, Mongoose would fill in the default currency
+  const projects = await Project.collection.find({ currency: { $exists: false } }).toArray();
+
+  for (const project of projects) {
+    const update = {
+      currency,
+      budget: toMinorUnits(project.budget, currency),
+      totalPaid: toMinorUnits(project.totalPaid, currency),
+      proposals: (project.proposals || []).map((proposal) => ({
+        ...proposal,
+        bidAmount: toMinorUnits(proposal.bidAmount, currency),
+        currency,
+      })),
+      milestones: (project.milestones || []).map((milestone) => ({
+        ...milestone,
+        amount: toMinorUnits(milestone.amount, currency),
+      })),
+      hourlyContracts: (project.hourlyContracts || []).map((contract) => ({
+        ...contract,
+        hourlyRate: toMinorUnits(contract.hourlyRate, currency),
+      })),
+    };
+
+    await Project.collection.updateOne({ _id: project._id, currency: { $exists: false } }, { $set: update });
+  }
+
+  return projects.length;
+};
+
+const migrateTimesheets = async () => {
+  // Timesheet amounts were already minor units, only the rate was not
+  const timesheets = await Timesheet.collection.find({ currency: { $exists: false } }).toArray();
+
+  for (const timesheet of timesheets) {
+    await Timesheet.collection.updateOne(
+      { _id: timesheet._id, currency: { $exists: false } },
+      { $set: { currency, hourlyRate: toMinorUnits(timesheet.hourlyRate, currency) } }
+    );
+  }
+
+  return timesheets.length;
+};
+
+const migrateDisputes = async () => {
+  // The stored plan is in minor units, so the totals can be taken from it
+  const disputes = await Dispute.find({ 'resolution.plan.0': { $exists: true } });
+
+  for (const dispute of disputes) {
+    const { plan } = dispute.resolution;
+    await Dispute.updateOne(
+      { _id: dispute._id },
+      {
+        $set: {
+          'resolution.refunded': plan.reduce((sum, item) => sum + item.refund, 0),
+          'resolution.released': plan.reduce((sum, item) => sum + item.release, 0),
+        },
+      }
+    );
+  }
+
+  return disputes.length;
+};
+
+const migrateTeams = async () => {
+  const teams = await Team.find().select('_id');
+
+  for (const team of teams) {
+    await ledgerService.syncTeamEarnings(team._id);
+  }
+
+  return teams.length;
+};
+
+const run = async () => {
+  await connectDB();
+
+  console.log(`Projects migrated: ${await migrateProjects()}`);
+  console.log(`Timesheets migrated: ${await migrateTimesheets()}`);
+  console.log(`Dispute resolutions recalculated: ${await migrateDisputes()}`);
+  console.log(`Team earnings recalculated: ${await migrateTeams()}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Migration error:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
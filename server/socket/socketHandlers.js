@@ -1,13 +1,17 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/user.model');
 const Chat = require('../models/chat.model');
 const Notification = require('../models/notification.model');
+const { verifyAccessToken } = require('../utils/tokenService');
+
+// Socket.io instance, kept so other modules can reach live connections
+let ioInstance = null;
 
 /**
  * Setup socket handlers for real-time communication
  * @param {Object} io - Socket.io instance
  */
 const setupSocketHandlers = (io) => {
+  ioInstance = io;
+
   // Middleware for authentication
   io.use(async (socket, next) => {
     try {
@@ -16,14 +20,24 @@ const setupSocketHandlers = (io) => {
         return next(new Error('Authentication error: Token not provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      // Rejects tokens whose session has been revoked
+      const { user, session } = await verifyAccessToken(token);
 
       if (!user) {
         return next(new Error('Authentication error: User not found'));
       }
 
+      if (!user.isActive) {
+        return next(new Error('Authentication error: User account is deactivated'));
+      }
+
+      // Socket events bypass the request audit log, so impersonation stays on HTTP
+      if (session.impersonator) {
+        return next(new Error('Authentication error: Not available while impersonating a user'));
+      }
+
       socket.user = user;
+      socket.sessionId = session._id.toString();
       next();
     } catch (error) {
       return next(new Error('Authentication error: ' + error.message));
@@ -37,6 +51,9 @@ const setupSocketHandlers = (io) => {
     // Join user to their personal room
     socket.join(socket.user._id.toString());
 
+    // Join session room so the connection can be dropped when the session is revoked
+    socket.join(`session:${socket.sessionId}`);
+
     // Join team rooms
     if (socket.user.teams && socket.user.teams.length > 0) {
       socket.user.teams.forEach(team => {
@@ -171,4 +188,15 @@ const setupSocketHandlers = (io) => {
   });
 };
 
-module.exports = { setupSocketHandlers };
\ No newline at end of file
+/**
+ * Disconnect every socket that authenticated with the given session
+ * @param {String} sessionId - Session ID
+ */
+const disconnectSession = (sessionId) => {
+  if (!ioInstance) return;
+
+  ioInstance.in(`session:${sessionId}`).emit('session-revoked', { sessionId });
+  ioInstance.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+module.exports = { setupSocketHandlers, disconnectSession };
\ No newline at end of file
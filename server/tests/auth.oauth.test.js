@@ -0,0 +1,215 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../config/config');
+const User = require('../models/user.model');
+const loginThrottle = require('../utils/loginThrottle');
+const totp = require('../utils/totp');
+const { createMockOAuthProvider } = require('../utils/mockOAuthProvider');
+const { errorHandler } = require('../utils/errorHandler');
+const { fakeModel } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+  createSession: jest.fn(),
+  revokeUserSessions: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const authRoutes = require('../routes/auth.routes');
+
+describe('OAuth sign-in with the mock provider', () => {
+  const oauthSettings = { ...config.oauth };
+  let server;
+  let users;
+
+  // The callback fetches the profile over HTTP, so the app really listens
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/auth', authRoutes);
+    app.use('/api/mock-oauth', createMockOAuthProvider());
+    app.use(errorHandler);
+
+    server = app.listen(0, '127.0.0.1', () => {
+      config.oauth.mock = true;
+      config.oauth.serverUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    Object.assign(config.oauth, oauthSettings);
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    users = fakeModel(User, []);
+    loginThrottle.setStore(loginThrottle.createMemoryStore());
+    tokenService.createSession.mockResolvedValue({ accessToken: 'access-token', refreshToken: 'refresh-token' });
+    tokenService.revokeUserSessions.mockResolvedValue();
+    tokenService.touchSession.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    loginThrottle.setStore(loginThrottle.mongoStore);
+  });
+
+  const pathOf = (url) => {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  };
+
+  const nonceCookie = (res) => {
+    const cookie = (res.headers['set-cookie'] || []).find((value) => value.startsWith('oauth_nonce='));
+    return cookie.split(';')[0];
+  };
+
+  // Sign in at the mock provider and return the result the client is sent
+  const completeFlow = async (authorizeUrl, cookie, account) => {
+    const url = new URL(authorizeUrl);
+    Object.entries(account).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const authorized = await request(server).get(pathOf(url.toString()));
+    expect(authorized.status).toBe(302);
+
+    const callback = request(server).get(pathOf(authorized.headers.location));
+    const res = await (cookie ? callback.set('Cookie', cookie) : callback);
+    expect(res.status).toBe(302);
+
+    const location = new URL(res.headers.location);
+    expect(location.origin + location.pathname).toBe(`${process.env.CLIENT_URL}/oauth/callback`);
+    return Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+  };
+
+  const signIn = async (account, { withCookie = true } = {}) => {
+    const started = await request(server).get('/api/auth/oauth/github');
+    expect(started.status).toBe(302);
+
+    return completeFlow(started.headers.location, withCookie ? nonceCookie(started) : null, account);
+  };
+
+  const addUser = (fields) => {
+    const user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', ...fields });
+    users.push(user);
+    return user;
+  };
+
+  it('creates an account for a new provider account', async () => {
+    const result = await signIn({ email: 'new@example.com', name: 'New User', verified: 'true' });
+
+    expect(result).toMatchObject({ mode: 'login', token: 'access-token', refreshToken: 'refresh-token' });
+    expect(users).toHaveLength(1);
+    expect(users[0]).toMatchObject({ email: 'new@example.com', name: 'New User', isVerified: true });
+    expect(users[0].oauthProviders[0]).toMatchObject({ provider: 'github', email: 'new@example.com' });
+  });
+
+  it('signs in the user the provider account is linked to', async () => {
+    await signIn({ email: 'new@example.com', verified: 'true' });
+    const result = await signIn({ email: 'new@example.com', verified: 'true' });
+
+    expect(result.token).toBe('access-token');
+    expect(users).toHaveLength(1);
+    expect(users[0].oauthProviders).toHaveLength(1);
+  });
+
+  it('links an existing account with the same verified email', async () => {
+    const user = addUser({ isVerified: true });
+
+    const result = await signIn({ email: 'ada@example.com', verified: 'true' });
+
+    expect(result.token).toBe('access-token');
+    expect(users).toHaveLength(1);
+    expect(user.oauthProviders.map((link) => link.provider)).toEqual(['github']);
+  });
+
+  it('drops the password of an unverified account it takes over', async () => {
+    const user = addUser({ isVerified: false, password: 'set-by-someone-else' });
+
+    await signIn({ email: 'ada@example.com', verified: 'true' });
+
+    expect(user.password).toBeUndefined();
+    expect(user.isVerified).toBe(true);
+    expect(tokenService.revokeUserSessions).toHaveBeenCalledWith(user._id, 'oauth_link');
+  });
+
+  it('does not link an existing account when the provider has not verified the email', async () => {
+    const user = addUser({ isVerified: true });
+
+    const result = await signIn({ email: 'ada@example.com', verified: 'false' });
+
+    expect(result.error).toMatch(/already exists/);
+    expect(result.token).toBeUndefined();
+    expect(user.oauthProviders).toHaveLength(0);
+  });
+
+  it('hands off to the second factor when two-factor is on', async () => {
+    const user = addUser({ isVerified: true, twoFactor: { enabled: true, secret: totp.generateSecret() } });
+
+    const result = await signIn({ email: 'ada@example.com', verified: 'true' });
+    expect(result.token).toBeUndefined();
+    expect(result.challengeToken).toBeDefined();
+
+    const code = totp.generateCode(user.twoFactor.secret, Math.floor(Date.now() / 30000));
+    const res = await request(server)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: result.challengeToken, code });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBe('access-token');
+  });
+
+  it('links the provider to the signed-in user who started the flow', async () => {
+    const user = addUser({ isVerified: true });
+    tokenService.verifyAccessToken.mockResolvedValue({ user, session: { _id: 'session' } });
+
+    const started = await request(server).post('/api/auth/oauth/github/link').set('Authorization', 'Bearer access');
+    expect(started.status).toBe(200);
+
+    const result = await completeFlow(started.body.url, nonceCookie(started), {
+      email: 'ada.work@example.com',
+      verified: 'true',
+    });
+
+    expect(result).toMatchObject({ mode: 'link', linked: 'github' });
+    expect(user.oauthProviders[0]).toMatchObject({ provider: 'github', email: 'ada.work@example.com' });
+  });
+
+  it('refuses a callback from a browser that did not start the flow', async () => {
+    const user = addUser({ isVerified: true });
+    tokenService.verifyAccessToken.mockResolvedValue({ user, session: { _id: 'session' } });
+
+    // The link URL of one user, opened in someone else's browser
+    const started = await request(server).post('/api/auth/oauth/github/link').set('Authorization', 'Bearer access');
+    const result = await completeFlow(started.body.url, null, { email: 'victim@example.com', verified: 'true' });
+
+    expect(result.error).toBe('Invalid or expired sign-in request');
+    expect(user.oauthProviders).toHaveLength(0);
+  });
+
+  it('refuses a callback with the nonce of another flow', async () => {
+    const other = await request(server).get('/api/auth/oauth/github');
+
+    const started = await request(server).get('/api/auth/oauth/github');
+    const result = await completeFlow(started.headers.location, nonceCookie(other), {
+      email: 'new@example.com',
+      verified: 'true',
+    });
+
+    expect(result.error).toBe('Invalid or expired sign-in request');
+    expect(users).toHaveLength(0);
+  });
+
+  it('clears the nonce cookie in the callback', async () => {
+    const started = await request(server).get('/api/auth/oauth/github');
+    const url = new URL(started.headers.location);
+    url.searchParams.set('email', 'new@example.com');
+
+    const authorized = await request(server).get(pathOf(url.toString()));
+    const res = await request(server).get(pathOf(authorized.headers.location)).set('Cookie', nonceCookie(started));
+
+    expect(res.headers['set-cookie'].join(';')).toMatch(/oauth_nonce=;/);
+  });
+});
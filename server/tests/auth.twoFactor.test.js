@@ -0,0 +1,170 @@
+const request = require('supertest');
+const config = require('../config/config');
+const User = require('../models/user.model');
+const loginThrottle = require('../utils/loginThrottle');
+const totp = require('../utils/totp');
+const { createApp, fakeModel } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const authRoutes = require('../routes/auth.routes');
+
+const PASSWORD = 'correct horse battery staple';
+
+describe('two-factor login', () => {
+  const app = createApp({ '/api/auth': authRoutes });
+  const accountKey = 'login_account:ada@example.com';
+  let store;
+  let user;
+
+  const login = (password = PASSWORD) =>
+    request(app).post('/api/auth/login').send({ email: 'ada@example.com', password });
+
+  const answer = (challengeToken, code) =>
+    request(app).post('/api/auth/2fa/login').send({ challengeToken, code });
+
+  // Code for the current time step, or one offset steps away
+  const currentCode = (offset = 0, secret = user.twoFactor.secret) =>
+    totp.generateCode(secret, Math.floor(Date.now() / 30000) + offset);
+
+  const wrongCode = () => String((Number(currentCode()) + 500000) % 1000000).padStart(6, '0');
+
+  beforeEach(() => {
+    store = loginThrottle.createMemoryStore();
+    loginThrottle.setStore(store);
+
+    user = new User({
+      name: 'Ada',
+      email: 'ada@example.com',
+      role: 'student',
+      isVerified: true,
+      twoFactor: { enabled: true, secret: totp.generateSecret() },
+    });
+    fakeModel(User, [user]);
+    jest.spyOn(user, 'comparePassword').mockImplementation(async (password) => password === PASSWORD);
+    tokenService.verifyAccessToken.mockResolvedValue({ user, session: {} });
+    tokenService.touchSession.mockResolvedValue();
+    jest
+      .spyOn(tokenService, 'createSession')
+      .mockResolvedValue({ accessToken: 'access-token', refreshToken: 'refresh-token' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    loginThrottle.setStore(loginThrottle.mongoStore);
+  });
+
+  it('asks for a code after the password, then starts a session', async () => {
+    const first = await login();
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ twoFactorRequired: true });
+    expect(first.body.token).toBeUndefined();
+
+    const second = await answer(first.body.challengeToken, currentCode());
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ token: 'access-token', refreshToken: 'refresh-token' });
+  });
+
+  it('keeps failures until the code is right too', async () => {
+    await login('wrong password');
+    await login('wrong password');
+
+    const first = await login();
+    expect(first.status).toBe(200);
+    expect((await store.get(accountKey)).failures).toBe(2);
+
+    await answer(first.body.challengeToken, currentCode());
+    expect(await store.get(accountKey)).toBeNull();
+  });
+
+  it('takes one answer per challenge', async () => {
+    const { body } = await login();
+
+    const wrong = await answer(body.challengeToken, wrongCode());
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.message).toBe('Invalid authentication code');
+
+    const retry = await answer(body.challengeToken, currentCode());
+    expect(retry.status).toBe(401);
+    expect(retry.body.message).toBe('Invalid or expired two-factor challenge');
+  });
+
+  it('replaces older challenges with a new one', async () => {
+    const older = await login();
+    const newer = await login();
+
+    const stale = await answer(older.body.challengeToken, currentCode());
+    expect(stale.status).toBe(401);
+
+    const current = await answer(newer.body.challengeToken, currentCode());
+    expect(current.status).toBe(200);
+  });
+
+  it('refuses a code that was already used', async () => {
+    const code = currentCode();
+
+    const first = await login();
+    expect((await answer(first.body.challengeToken, code)).status).toBe(200);
+
+    const second = await login();
+    const replayed = await answer(second.body.challengeToken, code);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.message).toBe('Invalid authentication code');
+  });
+
+  it('refuses codes from before the last one used', async () => {
+    const first = await login();
+    expect((await answer(first.body.challengeToken, currentCode())).status).toBe(200);
+
+    const second = await login();
+    expect((await answer(second.body.challengeToken, currentCode(-1))).status).toBe(401);
+  });
+
+  it('refuses a code used at login to turn two-factor off', async () => {
+    const code = currentCode();
+    const { body } = await login();
+    await answer(body.challengeToken, code);
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', 'Bearer access-token')
+      .send({ password: PASSWORD, code });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid authentication code');
+    expect(user.twoFactor.enabled).toBe(true);
+  });
+
+  it('refuses the code that turned two-factor on at login', async () => {
+    const secret = totp.generateSecret();
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+    const code = currentCode(0, secret);
+
+    const enabled = await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', 'Bearer access-token')
+      .send({ code });
+    expect(enabled.status).toBe(200);
+    expect(user.twoFactor.enabled).toBe(true);
+
+    const { body } = await login();
+    expect((await answer(body.challengeToken, code)).status).toBe(401);
+  });
+
+  it('throttles guessing codes with the password', async () => {
+    const freeAttempts = Number(config.loginThrottle.freeAttempts);
+
+    for (let attempt = 0; attempt <= freeAttempts; attempt += 1) {
+      const { body } = await login();
+      expect((await answer(body.challengeToken, wrongCode())).status).toBe(401);
+    }
+
+    const blocked = await login();
+    expect(blocked.status).toBe(429);
+  });
+});
@@ -0,0 +1,176 @@
+const config = require('../config/config');
+const CoinTransaction = require('../models/coinTransaction.model');
+const Redemption = require('../models/redemption.model');
+const RewardItem = require('../models/rewardItem.model');
+const User = require('../models/user.model');
+const coinService = require('../utils/coinService');
+const { fakeModel } = require('./helpers');
+
+describe('coinService.recordTransaction', () => {
+  let user;
+  let transactions;
+
+  const award = (idempotencyKey = 'milestone_on_time:1') =>
+    coinService.recordTransaction({ user: user._id, amount: 10, reason: 'milestone_on_time', idempotencyKey });
+
+  const spend = (amount, idempotencyKey = 'redemption:1') =>
+    coinService.recordTransaction({ user: user._id, amount: -amount, reason: 'redemption', idempotencyKey });
+
+  // State left by a request that stopped after creating the transaction,
+  // and optionally after moving the balance too
+  const interruptedAward = async ({ applied, createdAt }) => {
+    const transaction = new CoinTransaction({
+      user: user._id,
+      amount: 10,
+      reason: 'milestone_on_time',
+      idempotencyKey: 'milestone_on_time:interrupted',
+      status: 'pending',
+      createdAt,
+    });
+    await transaction.save();
+
+    if (applied) {
+      await User.updateOne(
+        { _id: user._id },
+        { $inc: { points: 10 }, $push: { pendingCoinTransactions: transaction._id } }
+      );
+    }
+
+    return transaction;
+  };
+
+  const stalled = () => new Date(Date.now() - Number(config.coins.pendingTransactionTimeout) - 1000);
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', points: 0 });
+    fakeModel(User, [user]);
+    transactions = fakeModel(CoinTransaction, []);
+  });
+
+  it('applies an award to the balance and marks it applied', async () => {
+    const { transaction, created } = await award();
+
+    expect(created).toBe(true);
+    expect(transaction.status).toBe('applied');
+    expect(user.points).toBe(10);
+    expect(user.pendingCoinTransactions).toHaveLength(0);
+  });
+
+  it('makes an award once per idempotency key', async () => {
+    const first = await award();
+    const second = await award();
+
+    expect(second.created).toBe(false);
+    expect(second.transaction._id).toEqual(first.transaction._id);
+    expect(user.points).toBe(10);
+  });
+
+  it('stores the transaction as pending before the balance moves', async () => {
+    const statuses = [];
+    const updateOne = User.updateOne.getMockImplementation();
+    jest.spyOn(User, 'updateOne').mockImplementation((filter, update, options) => {
+      statuses.push(transactions.map((transaction) => transaction.status));
+      return updateOne(filter, update, options);
+    });
+
+    await award();
+
+    expect(statuses[0]).toEqual(['pending']);
+  });
+
+  it('refuses a spend the balance does not cover and keeps no transaction', async () => {
+    await award();
+
+    await expect(spend(15)).rejects.toThrow('Not enough Cyber Coins');
+
+    expect(user.points).toBe(10);
+    expect(transactions.map((transaction) => transaction.reason)).toEqual(['milestone_on_time']);
+  });
+
+  it('takes a spend the balance covers', async () => {
+    await award();
+    await spend(4);
+
+    expect(user.points).toBe(6);
+  });
+
+  it('leaves an award another request is still applying to that request', async () => {
+    await interruptedAward({ applied: false, createdAt: new Date() });
+
+    const { created } = await award('milestone_on_time:interrupted');
+
+    expect(created).toBe(false);
+    expect(user.points).toBe(0);
+  });
+
+  it('finishes a stalled award when it is made again', async () => {
+    await interruptedAward({ applied: false, createdAt: stalled() });
+
+    const { transaction, created } = await award('milestone_on_time:interrupted');
+
+    expect(created).toBe(false);
+    expect(transaction.status).toBe('applied');
+    expect(user.points).toBe(10);
+  });
+
+  it('applies stalled transactions in the background without moving a balance twice', async () => {
+    await interruptedAward({ applied: true, createdAt: stalled() });
+
+    await expect(coinService.applyStalledTransactions()).resolves.toBe(1);
+
+    expect(transactions[0].status).toBe('applied');
+    expect(user.points).toBe(10);
+    expect(user.pendingCoinTransactions).toHaveLength(0);
+  });
+
+  it('leaves recent pending transactions to the request applying them', async () => {
+    await interruptedAward({ applied: false, createdAt: new Date() });
+
+    await expect(coinService.applyStalledTransactions()).resolves.toBe(0);
+    expect(user.points).toBe(0);
+  });
+});
+
+describe('coinService.requestRedemption', () => {
+  let user;
+  let item;
+  let redemptions;
+  let transactions;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', points: 30 });
+    item = new RewardItem({ name: 'Sticker pack', cost: 20, stock: 2, active: true });
+    fakeModel(User, [user]);
+    fakeModel(RewardItem, [item]);
+    redemptions = fakeModel(Redemption, []);
+    transactions = fakeModel(CoinTransaction, []);
+  });
+
+  it('stores the request before the coins are spent', async () => {
+    const stored = [];
+    const updateOne = User.updateOne.getMockImplementation();
+    jest.spyOn(User, 'updateOne').mockImplementation((filter, update, options) => {
+      stored.push(redemptions.length);
+      return updateOne(filter, update, options);
+    });
+
+    const redemption = await coinService.requestRedemption(user, item._id);
+
+    expect(stored[0]).toBe(1);
+    expect(redemption.status).toBe('pending');
+    expect(transactions[0].redemption).toEqual(redemption._id);
+    expect(user.points).toBe(10);
+    expect(item.stock).toBe(1);
+  });
+
+  it('removes the request and gives the stock back when the coins do not cover it', async () => {
+    user.points = 15;
+
+    await expect(coinService.requestRedemption(user, item._id)).rejects.toThrow('Not enough Cyber Coins');
+
+    expect(redemptions).toHaveLength(0);
+    expect(transactions).toHaveLength(0);
+    expect(item.stock).toBe(2);
+    expect(user.points).toBe(15);
+  });
+});
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+const emailService = require('../utils/emailService');
+
+jest.mock('nodemailer');
+
+describe('email change emails', () => {
+  const name = '<b>Ada</b>';
+  let sendMail;
+
+  beforeEach(() => {
+    sendMail = jest.fn().mockResolvedValue({});
+    nodemailer.createTransport.mockReturnValue({ sendMail });
+  });
+
+  const sentHtml = () => sendMail.mock.calls[0][0].html;
+
+  it('links the new address to the client confirmation page', async () => {
+    await emailService.sendEmailChangeConfirmation('new@example.com', name, 'confirm-token');
+
+    expect(sentHtml()).toContain(`href="${process.env.CLIENT_URL}/confirm-email-change/confirm-token"`);
+    expect(sentHtml()).toContain('Hello &#60;b&#62;Ada&#60;/b&#62;,');
+    expect(sentHtml()).not.toContain('<b>Ada</b>');
+  });
+
+  it('links the current address to the client cancel page and escapes the new address', async () => {
+    await emailService.sendEmailChangeNotice('ada@example.com', name, '"><img src=x>@example.com', 'cancel-token');
+
+    expect(sentHtml()).toContain(`href="${process.env.CLIENT_URL}/cancel-email-change/cancel-token"`);
+    expect(sentHtml()).toContain('<strong>&#34;&#62;&#60;img src=x&#62;@example.com</strong>');
+    expect(sentHtml()).not.toContain('<img');
+  });
+});
@@ -0,0 +1,215 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { errorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Express app with the given routers mounted, as app.js mounts them
+ * @param {Object} routes - Routers by mount path
+ * @returns {Object} Express app
+ */
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Stand-in for a Mongoose query resolving to a value
+ * @param {*} value - Result
+ * @returns {Object} Chainable thenable
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const isId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isOperators = (value) =>
+  value !== null && typeof value === 'object' && !isId(value) && !(value instanceof Date) && !Array.isArray(value);
+
+const equals = (actual, expected) => {
+  if (expected === null) return actual === undefined || actual === null;
+  if (Array.isArray(actual)) return actual.some((item) => equals(item, expected));
+  if (actual === undefined || actual === null) return false;
+  // Populated references match their ID
+  if (actual instanceof mongoose.Document && isId(expected)) return String(actual._id) === String(expected);
+  return String(actual) === String(expected);
+};
+
+const compare = (actual, expected) => {
+  if (!isOperators(expected)) return equals(actual, expected);
+
+  return Object.entries(expected).every(([operator, value]) => {
+    const present = actual !== undefined && actual !== null;
+    switch (operator) {
+      case '$lt':
+        return present && actual < value;
+      case '$lte':
+        return present && actual <= value;
+      case '$gt':
+        return present && actual > value;
+      case '$gte':
+        return present && actual >= value;
+      case '$ne':
+        return !equals(actual, value);
+      case '$in':
+        return value.some((item) => equals(actual, item));
+      case '$exists':
+        return present === value;
+      case '$elemMatch':
+        return Array.isArray(actual) && actual.some((item) => matches(item, value));
+      default:
+        throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const valueAt = (doc, path) => (typeof doc.get === 'function' ? doc.get(path) : doc[path]);
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, expected]) =>
+    path === '$or' ? expected.some((branch) => matches(doc, branch)) : compare(valueAt(doc, path), expected)
+  );
+
+// Replace the positional $ in a path with the index of the first array
+// element the filter matched, from an $elemMatch or dotted conditions
+const resolvePositional = (doc, filter, path) => {
+  if (!path.includes('.$')) return path;
+
+  const [arrayPath] = path.split('.$');
+  const conditions = {};
+  Object.entries(filter).forEach(([key, value]) => {
+    if (key === arrayPath && value && value.$elemMatch) Object.assign(conditions, value.$elemMatch);
+    if (key.startsWith(`${arrayPath}.`)) conditions[key.slice(arrayPath.length + 1)] = value;
+  });
+
+  const index = (doc.get(arrayPath) || []).findIndex((item) => matches(item, conditions));
+  return path.replace('.$', `.${index}`);
+};
+
+const applyUpdate = (doc, update, filter = {}) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => doc.set(resolvePositional(doc, filter, path), value));
+  Object.keys(update.$unset || {}).forEach((path) => doc.set(resolvePositional(doc, filter, path), undefined));
+  Object.entries(update.$inc || {}).forEach(([key, value]) => {
+    const path = resolvePositional(doc, filter, key);
+    doc.set(path, (doc.get(path) || 0) + value);
+  });
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const pushed = [...(doc.get(path) || []), ...(value && value.$each ? value.$each : [value])];
+    doc.set(path, value && value.$slice !== undefined ? pushed.slice(value.$slice) : pushed);
+  });
+  Object.entries(update.$addToSet || {}).forEach(([path, value]) => {
+    if (!equals(doc.get(path) || [], value)) doc.set(path, [...(doc.get(path) || []), value]);
+  });
+  Object.entries(update.$pull || {}).forEach(([path, value]) => {
+    const pulled = (item) => (isOperators(value) ? matches(item, value) : equals(item, value));
+    doc.set(path, (doc.get(path) || []).filter((item) => !pulled(item)));
+  });
+};
+
+/**
+ * Keep a model's documents in memory: the lookups and atomic updates the
+ * code under test uses are answered from the given documents, and saved
+ * new documents join them. Unique indexes are enforced on save.
+ * @param {Object} Model - Mongoose model
+ * @param {Array} docs - Documents of the model
+ * @returns {Array} The documents
+ */
+const fakeModel = (Model, docs) => {
+  const all = (filter = {}) => docs.filter((doc) => matches(doc, filter));
+  const find = (filter) => all(filter)[0] || null;
+  const uniqueKeys = Model.schema
+    .indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields]) => Object.keys(fields));
+
+  const upsert = (filter, update) => {
+    const fields = Object.fromEntries(Object.entries(filter).filter(([, value]) => !isOperators(value)));
+    const doc = new Model({ ...fields, ...update.$setOnInsert });
+    docs.push(doc);
+    return doc;
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((filter) => query(all(filter)));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(find(filter)));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => query(find({ _id: id })));
+  jest.spyOn(Model, 'exists').mockImplementation((filter) => {
+    const doc = find(filter);
+    return query(doc ? { _id: doc._id } : null);
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation((filter) => query(all(filter).length));
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    let doc = find(filter);
+    if (!doc && options.upsert) doc = upsert(filter, update);
+    if (doc) applyUpdate(doc, update, filter);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+    const found = all(filter);
+    found.forEach((doc) => applyUpdate(doc, update, filter));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+    let doc = find(filter);
+    if (!doc && options.upsert) {
+      doc = upsert(filter, update);
+      applyUpdate(doc, update);
+      return query(options.new ? doc : null);
+    }
+    if (!doc) return query(null);
+
+    const before = doc.toObject();
+    applyUpdate(doc, update, filter);
+    return query(options.new ? doc : before);
+  });
+  jest
+    .spyOn(Model, 'findByIdAndUpdate')
+    .mockImplementation((id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async (filter) => {
+    const doc = find(filter);
+    if (doc) docs.splice(docs.indexOf(doc), 1);
+    return { deletedCount: doc ? 1 : 0 };
+  });
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function save() {
+    if (!docs.includes(this)) {
+      const duplicate = uniqueKeys.find((paths) => {
+        const values = paths.map((path) => this.get(path));
+        return (
+          values.every((value) => value !== undefined && value !== null) &&
+          docs.some((doc) => paths.every((path, i) => String(doc.get(path)) === String(values[i])))
+        );
+      });
+      if (duplicate) {
+        throw Object.assign(new Error(`E11000 duplicate key error: ${duplicate.join(', ')}`), { code: 11000 });
+      }
+
+      if (Model.schema.options.timestamps && !this.createdAt) {
+        this.set({ createdAt: new Date(), updatedAt: new Date() });
+      }
+      docs.push(this);
+    }
+    return this;
+  });
+  jest.spyOn(Model, 'create').mockImplementation((fields) => new Model(fields).save());
+
+  return docs;
+};
+
+module.exports = {
+  createApp,
+  query,
+  fakeModel,
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/user.model');
+const { createApp } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+}));
+jest.mock('../utils/auditLog', () => ({
+  ...jest.requireActual('../utils/auditLog'),
+  auditImpersonatedRequest: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const { auditImpersonatedRequest } = require('../utils/auditLog');
+
+const app = createApp({
+  '/api/projects': require('../routes/project.routes'),
+  '/api/teams': require('../routes/team.routes'),
+  '/api/tasks': require('../routes/task.routes'),
+  '/api/payments': require('../routes/payment.routes'),
+  '/api/coins': require('../routes/coin.routes'),
+  '/api/disputes': require('../routes/dispute.routes'),
+  '/api/timesheets': require('../routes/timesheet.routes'),
+});
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+// Every route that moves money or decides where it goes
+const MONEY_ROUTES = [
+  ['post', `/api/payments/projects/${id()}/milestones/${id()}/fund`],
+  ['post', `/api/payments/projects/${id()}/milestones/${id()}/refund`],
+  ['post', '/api/payments/payout-requests'],
+  ['post', `/api/payments/payout-requests/${id()}/cancel`],
+  ['put', `/api/projects/${id()}/milestones/${id()}/complete`],
+  ['put', `/api/projects/${id()}/milestones/${id()}/approve`],
+  ['put', `/api/projects/${id()}/milestones/${id()}/request-changes`],
+  ['put', `/api/projects/${id()}/hourly-contracts/${id()}`],
+  ['post', `/api/projects/${id()}/complete`],
+  ['post', `/api/tasks/${id()}/time/manual`],
+  ['post', `/api/timesheets/${id()}/submit`],
+  ['post', `/api/timesheets/${id()}/approve`],
+  ['post', `/api/timesheets/${id()}/dispute`],
+  ['post', `/api/teams/${id()}/projects/${id()}`],
+  ['put', `/api/teams/${id()}/projects/${id()}/split`],
+  ['post', `/api/teams/${id()}/projects/${id()}/split/accept`],
+  ['post', `/api/teams/${id()}/projects/${id()}/split/decline`],
+  ['post', '/api/disputes'],
+  ['post', `/api/disputes/${id()}/withdraw`],
+  ['post', '/api/coins/redemptions'],
+];
+
+describe('impersonation', () => {
+  beforeEach(() => {
+    const user = new User({ name: 'Ada', email: 'ada@example.com', role: 'client', isVerified: true });
+    const session = { _id: id(), impersonator: id() };
+
+    tokenService.verifyAccessToken.mockResolvedValue({ user, session });
+    tokenService.touchSession.mockResolvedValue();
+    auditImpersonatedRequest.mockImplementation(() => {});
+  });
+
+  it.each(MONEY_ROUTES)('refuses %s %s', async (method, path) => {
+    const res = await request(app)[method](path).set('Authorization', 'Bearer impersonation-token').send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This action is not allowed while impersonating a user');
+    expect(auditImpersonatedRequest).toHaveBeenCalled();
+  });
+});
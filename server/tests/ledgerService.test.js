@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const LedgerAccount = require('../models/ledgerAccount.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const ledgerService = require('../utils/ledgerService');
+const { fakeModel } = require('./helpers');
+
+const { accounts } = ledgerService;
+
+describe('ledgerService.postTransaction', () => {
+  const client = new mongoose.Types.ObjectId();
+  const freelancer = new mongoose.Types.ObjectId();
+  const funding = accounts.funding(client);
+  const wallet = accounts.user(freelancer);
+  const payout = accounts.payout(freelancer);
+  let ledgerAccounts;
+  let transactions;
+
+  const balance = (descriptor) => {
+    const account = ledgerAccounts.find((item) => item.key === descriptor.key);
+    return account ? account.balance : 0;
+  };
+
+  const pay = (amount, idempotencyKey) =>
+    ledgerService.postTransaction({
+      type: 'milestone_funding',
+      entries: [
+        { account: funding, amount: -amount },
+        { account: wallet, amount },
+      ],
+      idempotencyKey,
+    });
+
+  const withdraw = (amount, idempotencyKey) =>
+    ledgerService.postTransaction({
+      type: 'payout',
+      entries: [
+        { account: wallet, amount: -amount },
+        { account: payout, amount },
+      ],
+      idempotencyKey,
+    });
+
+  // State left by a request that stopped after the debit of a withdrawal
+  const interruptedWithdrawal = async (amount, createdAt) => {
+    const transaction = new LedgerTransaction({
+      type: 'payout',
+      entries: [
+        { account: wallet.key, amount: -amount },
+        { account: payout.key, amount },
+      ],
+      currency: config.payments.currency,
+      idempotencyKey: 'payout:interrupted',
+      status: 'pending',
+      createdAt,
+    });
+    await transaction.save();
+
+    await LedgerAccount.findOneAndUpdate(
+      { key: payout.key },
+      { $setOnInsert: { type: 'payout', currency: config.payments.currency } },
+      { upsert: true, new: true }
+    );
+    await LedgerAccount.updateOne(
+      { key: wallet.key },
+      { $inc: { balance: -amount }, $push: { pendingTransactions: transaction._id } }
+    );
+
+    return transaction;
+  };
+
+  const stalled = () => new Date(Date.now() - Number(config.payments.pendingTransactionTimeout) - 1000);
+
+  beforeEach(() => {
+    ledgerAccounts = fakeModel(LedgerAccount, []);
+    transactions = fakeModel(LedgerTransaction, []);
+  });
+
+  it('moves the balances and posts the transaction', async () => {
+    const transaction = await pay(10000, 'funding:1');
+
+    expect(transaction.status).toBe('posted');
+    expect(transactions).toHaveLength(1);
+    expect(balance(funding)).toBe(-10000);
+    expect(balance(wallet)).toBe(10000);
+    ledgerAccounts.forEach((account) => expect(account.pendingTransactions).toHaveLength(0));
+  });
+
+  it('records an operation once per idempotency key', async () => {
+    const first = await pay(10000, 'funding:1');
+    const second = await pay(10000, 'funding:1');
+
+    expect(second._id).toEqual(first._id);
+    expect(balance(wallet)).toBe(10000);
+  });
+
+  it('stores nothing when an account is short', async () => {
+    await pay(5000, 'funding:1');
+
+    await expect(withdraw(8000, 'payout:1')).rejects.toThrow('Insufficient funds');
+
+    expect(balance(wallet)).toBe(5000);
+    expect(balance(payout)).toBe(0);
+    expect(transactions.map((transaction) => transaction.type)).toEqual(['milestone_funding']);
+  });
+
+  it('stores the transaction as pending before any balance moves', async () => {
+    const statuses = [];
+    const updateOne = LedgerAccount.updateOne.getMockImplementation();
+    jest.spyOn(LedgerAccount, 'updateOne').mockImplementation((filter, update, options) => {
+      statuses.push(transactions.map((transaction) => transaction.status));
+      return updateOne(filter, update, options);
+    });
+
+    await pay(10000, 'funding:1');
+
+    expect(statuses[0]).toEqual(['pending']);
+  });
+
+  it('refuses to repeat an operation that is still being applied', async () => {
+    await pay(5000, 'funding:1');
+    await interruptedWithdrawal(2000, new Date());
+
+    await expect(withdraw(2000, 'payout:interrupted')).rejects.toMatchObject({ statusCode: 409 });
+    expect(balance(wallet)).toBe(3000);
+  });
+
+  it('finishes a stalled transaction when the operation is repeated, without applying an entry twice', async () => {
+    await pay(5000, 'funding:1');
+    const interrupted = await interruptedWithdrawal(2000, stalled());
+
+    const transaction = await withdraw(2000, 'payout:interrupted');
+
+    expect(transaction._id).toEqual(interrupted._id);
+    expect(transaction.status).toBe('posted');
+    expect(balance(wallet)).toBe(3000);
+    expect(balance(payout)).toBe(2000);
+  });
+
+  it('settles stalled transactions in the background', async () => {
+    await pay(5000, 'funding:1');
+    await interruptedWithdrawal(2000, stalled());
+
+    await expect(ledgerService.settleStalledTransactions()).resolves.toBe(1);
+
+    expect(transactions.every((transaction) => transaction.status === 'posted')).toBe(true);
+    expect(balance(wallet)).toBe(3000);
+    expect(balance(payout)).toBe(2000);
+    ledgerAccounts.forEach((account) => expect(account.pendingTransactions).toHaveLength(0));
+  });
+
+  it('leaves recent pending transactions to the request applying them', async () => {
+    await pay(5000, 'funding:1');
+    await interruptedWithdrawal(2000, new Date());
+
+    await expect(ledgerService.settleStalledTransactions()).resolves.toBe(0);
+    expect(balance(payout)).toBe(0);
+  });
+
+  it('rolls back a stalled transaction that can no longer be applied', async () => {
+    await pay(5000, 'funding:1');
+    const interrupted = await interruptedWithdrawal(2000, stalled());
+    // The credit account was closed to new money in the meantime
+    ledgerAccounts.find((account) => account.key === payout.key).currency = 'EUR';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const updateOne = LedgerAccount.updateOne.getMockImplementation();
+    jest.spyOn(LedgerAccount, 'updateOne').mockImplementation((filter, update, options) =>
+      filter.key === payout.key && update.$push ? { modifiedCount: 0 } : updateOne(filter, update, options)
+    );
+
+    await expect(ledgerService.settleStalledTransactions()).resolves.toBe(0);
+
+    expect(transactions.find((transaction) => transaction._id.equals(interrupted._id))).toBeUndefined();
+    expect(balance(wallet)).toBe(5000);
+    expect(balance(payout)).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+const config = require('../config/config');
+const loginThrottle = require('../utils/loginThrottle');
+
+describe('loginThrottle', () => {
+  const account = loginThrottle.counter('login_account', 'Ada@Example.com');
+  let store;
+
+  beforeEach(() => {
+    store = loginThrottle.createMemoryStore();
+    loginThrottle.setStore(store);
+  });
+
+  afterEach(() => {
+    loginThrottle.setStore(loginThrottle.mongoStore);
+  });
+
+  it('keys counters by policy and lower-cased identifier', () => {
+    expect(account.key).toBe('login_account:ada@example.com');
+  });
+
+  it('allows the free attempts, then backs off', async () => {
+    const freeAttempts = Number(config.loginThrottle.freeAttempts);
+
+    for (let attempt = 0; attempt < freeAttempts; attempt += 1) {
+      await loginThrottle.recordFailure(account);
+      expect((await loginThrottle.check([account])).blocked).toBe(false);
+    }
+
+    await loginThrottle.recordFailure(account);
+    const status = await loginThrottle.check([account]);
+    expect(status.blocked).toBe(true);
+    expect(status.locked).toBe(false);
+    expect(status.retryAfter).toBeGreaterThan(0);
+    expect(status.retryAfter).toBeLessThanOrEqual(Number(config.loginThrottle.baseDelay));
+  });
+
+  it('locks the account once the limit is reached', async () => {
+    const limit = Number(config.loginThrottle.maxAccountFailures);
+
+    let result;
+    for (let attempt = 0; attempt < limit; attempt += 1) {
+      result = await loginThrottle.recordFailure(account);
+    }
+
+    expect(result.locked).toBe(true);
+    const status = await loginThrottle.check([account]);
+    expect(status).toMatchObject({ blocked: true, locked: true });
+    expect(status.retryAfter).toBeGreaterThan(Number(config.loginThrottle.lockoutDuration) - 1000);
+  });
+
+  it('does not back off IP counters', async () => {
+    const ip = loginThrottle.counter('login_ip', '203.0.113.7');
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await loginThrottle.recordFailure(ip);
+    }
+
+    expect((await loginThrottle.check([ip])).blocked).toBe(false);
+  });
+
+  it('clears a counter on reset', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await loginThrottle.recordFailure(account);
+    }
+
+    await loginThrottle.reset(account);
+
+    expect(await store.get(account.key)).toBeNull();
+    expect((await loginThrottle.check([account])).blocked).toBe(false);
+  });
+});
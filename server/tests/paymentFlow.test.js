@@ -0,0 +1,240 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../config/config');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const Payment = require('../models/payment.model');
+const PaymentEvent = require('../models/paymentEvent.model');
+const LedgerAccount = require('../models/ledgerAccount.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const Dispute = require('../models/dispute.model');
+const { accounts } = require('../utils/ledgerService');
+const { createMockPaymentProvider } = require('../utils/mockPaymentProvider');
+const { errorHandler } = require('../utils/errorHandler');
+const { fakeModel } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const paymentRoutes = require('../routes/payment.routes');
+
+describe('Milestone funding with the mock payment provider', () => {
+  const serverUrl = config.payments.mock.serverUrl;
+  let server;
+  let client;
+  let project;
+  let milestone;
+  let payments;
+  let events;
+  let ledgerAccounts;
+  let transactions;
+
+  // Webhooks are delivered over HTTP, so the app really listens
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }));
+    app.use('/api/payments', paymentRoutes);
+    app.use('/api/mock-payments', createMockPaymentProvider());
+    app.use(errorHandler);
+
+    server = app.listen(0, '127.0.0.1', () => {
+      config.payments.mock.serverUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    config.payments.mock.serverUrl = serverUrl;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    client = new User({ name: 'Client', email: 'client@example.com', role: 'client', isVerified: true });
+    project = new Project({
+      title: 'Website',
+      client: client._id,
+      currency: config.payments.currency,
+      status: 'in-progress',
+      milestones: [{ title: 'Design', amount: 25000 }],
+    });
+    [milestone] = project.milestones;
+
+    fakeModel(Project, [project]);
+    fakeModel(Dispute, []);
+    payments = fakeModel(Payment, []);
+    events = fakeModel(PaymentEvent, []);
+    ledgerAccounts = fakeModel(LedgerAccount, []);
+    transactions = fakeModel(LedgerTransaction, []);
+    // Only used for the amount paid out, which funding does not change
+    jest.spyOn(LedgerTransaction, 'aggregate').mockResolvedValue([]);
+
+    tokenService.verifyAccessToken.mockResolvedValue({ user: client, session: {} });
+    tokenService.touchSession.mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  const balance = (descriptor) => {
+    const account = ledgerAccounts.find((item) => item.key === descriptor.key);
+    return account ? account.balance : 0;
+  };
+
+  const pathOf = (url) => {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  };
+
+  // Wait for webhooks the mock provider sends in the background
+  const waitFor = async (condition, timeout = 4000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for webhooks');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  };
+
+  const startCheckout = async () => {
+    const res = await request(server)
+      .post(`/api/payments/projects/${project._id}/milestones/${milestone._id}/fund`)
+      .set('Authorization', 'Bearer access-token');
+
+    expect(res.status).toBe(201);
+    return res.body;
+  };
+
+  const pay = async (checkoutUrl, outcome) => {
+    const res = await request(server).get(`${pathOf(checkoutUrl)}?outcome=${outcome}`);
+    expect(res.status).toBe(302);
+    return res.headers.location;
+  };
+
+  it('funds the escrow once the payment is captured', async () => {
+    const { payment, checkoutUrl } = await startCheckout();
+    expect(payment).toMatchObject({ provider: 'mock', kind: 'checkout', status: 'pending', amount: 25000 });
+
+    const returnUrl = await pay(checkoutUrl, 'succeed');
+    expect(returnUrl).toBe(`${config.payments.clientUrl}/projects/${project._id}?payment=success`);
+
+    await waitFor(() => events.length === 2 && events.every((event) => event.processedAt));
+
+    const [transaction] = transactions;
+    expect(transactions).toHaveLength(1);
+    expect(transaction).toMatchObject({ type: 'milestone_funding', status: 'posted', idempotencyKey: `payment:${payments[0]._id}` });
+    expect(payments[0].ledgerTransaction).toEqual(transaction._id);
+    expect(balance(accounts.escrow(project, milestone))).toBe(25000);
+    expect(balance(accounts.funding(client._id, project.currency))).toBe(-25000);
+    expect(payments[0].status).toBe('succeeded');
+    expect(events.map((event) => event.type).sort()).toEqual(['payment.authorized', 'payment.captured']);
+  });
+
+  it('hands out the open checkout again instead of starting another', async () => {
+    const first = await startCheckout();
+    const second = await startCheckout();
+
+    expect(second.payment._id).toBe(first.payment._id);
+    expect(payments).toHaveLength(1);
+  });
+
+  it('funds once when every webhook is delivered twice', async () => {
+    const { checkoutUrl } = await startCheckout();
+    await pay(checkoutUrl, 'duplicate');
+
+    // Two deliveries each of payment.authorized and payment.captured
+    await waitFor(() => payments[0].status === 'succeeded');
+    // A repeated delivery looks up the event it repeats
+    await waitFor(() => PaymentEvent.findOne.mock.calls.length === 2);
+
+    expect(events).toHaveLength(2);
+    expect(transactions).toHaveLength(1);
+    expect(balance(accounts.escrow(project, milestone))).toBe(25000);
+  });
+
+  it('does not fund the escrow when the card is declined', async () => {
+    const { checkoutUrl } = await startCheckout();
+
+    const returnUrl = await pay(checkoutUrl, 'fail');
+    expect(returnUrl).toBe(`${config.payments.clientUrl}/projects/${project._id}?payment=cancelled`);
+
+    await waitFor(() => payments[0].status === 'failed');
+
+    expect(payments[0].failureReason).toBe('Card declined');
+    expect(transactions).toHaveLength(0);
+    expect(balance(accounts.escrow(project, milestone))).toBe(0);
+  });
+
+  it('refunds a payment for a milestone that can no longer be funded', async () => {
+    const { checkoutUrl } = await startCheckout();
+    milestone.status = 'completed';
+
+    await pay(checkoutUrl, 'succeed');
+    await waitFor(() => payments[0].refunds.length === 1 && payments[0].refunds[0].status === 'succeeded');
+
+    expect(payments[0].failureReason).toBe('Milestone is already completed');
+    expect(payments[0].status).toBe('refunded');
+    expect(transactions).toHaveLength(0);
+  });
+
+  describe('refunds', () => {
+    const refund = () =>
+      request(server)
+        .post(`/api/payments/projects/${project._id}/milestones/${milestone._id}/refund`)
+        .set('Authorization', 'Bearer access-token');
+
+    const fund = async () => {
+      const { checkoutUrl } = await startCheckout();
+      await pay(checkoutUrl, 'succeed');
+      await waitFor(() => events.length === 2 && events.every((event) => event.processedAt));
+    };
+
+    it('returns the escrow of a milestone that is still being worked on', async () => {
+      await fund();
+
+      const res = await refund();
+      await waitFor(() => payments[0].refunds.length === 1 && payments[0].refunds[0].status === 'succeeded');
+
+      expect(res.status).toBe(200);
+      expect(balance(accounts.escrow(project, milestone))).toBe(0);
+    });
+
+    it.each(['submitted', 'approved'])('refuses while the milestone is %s', async (status) => {
+      await fund();
+      milestone.status = status;
+
+      const res = await refund();
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(`Milestones cannot be refunded when they are ${status}, open a dispute instead`);
+      expect(balance(accounts.escrow(project, milestone))).toBe(25000);
+    });
+  });
+
+  it('rejects webhooks that are not signed by the provider', async () => {
+    const res = await request(server)
+      .post('/api/payments/webhook/mock')
+      .set('x-mock-signature', `t=${Math.floor(Date.now() / 1000)},v1=forged`)
+      .send({ id: 'evt_1', type: 'payment.captured', reference: 'chk_1' });
+
+    expect(res.status).toBe(400);
+    expect(events).toHaveLength(0);
+  });
+
+  it('does not let anyone else fund the milestone', async () => {
+    const other = new User({ name: 'Other', email: 'other@example.com', role: 'client', isVerified: true });
+    tokenService.verifyAccessToken.mockResolvedValue({ user: other, session: {} });
+
+    const res = await request(server)
+      .post(`/api/payments/projects/${project._id}/milestones/${milestone._id}/fund`)
+      .set('Authorization', 'Bearer access-token');
+
+    expect(res.status).toBe(403);
+    expect(payments).toHaveLength(0);
+  });
+});
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const ExchangeRate = require('../models/exchangeRate.model');
+const LedgerAccount = require('../models/ledgerAccount.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const PayoutRequest = require('../models/payoutRequest.model');
+const User = require('../models/user.model');
+const ledgerService = require('../utils/ledgerService');
+const paymentService = require('../utils/paymentService');
+const { fakeModel } = require('./helpers');
+
+const { accounts } = ledgerService;
+
+describe('paymentService.requestPayout', () => {
+  const amount = Number(config.payments.minimumPayout);
+  let user;
+  let requests;
+  let ledgerAccounts;
+
+  const balance = () => {
+    const account = ledgerAccounts.find((item) => item.key === accounts.user(user).key);
+    return account ? account.balance : 0;
+  };
+
+  const earn = (earned) =>
+    ledgerService.postTransaction({
+      type: 'milestone_funding',
+      entries: [
+        { account: accounts.funding(new mongoose.Types.ObjectId()), amount: -earned },
+        { account: accounts.user(user), amount: earned },
+      ],
+    });
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', isVerified: true });
+    fakeModel(ExchangeRate, []);
+    requests = fakeModel(PayoutRequest, []);
+    ledgerAccounts = fakeModel(LedgerAccount, []);
+    fakeModel(LedgerTransaction, []);
+  });
+
+  it('stores the request before the amount leaves the balance', async () => {
+    await earn(amount);
+    const stored = [];
+    const payOut = ledgerService.payOut;
+    jest.spyOn(ledgerService, 'payOut').mockImplementation((...args) => {
+      stored.push(requests.length);
+      return payOut(...args);
+    });
+
+    const request = await paymentService.requestPayout(user, amount, config.payments.currency, 'bank');
+
+    expect(stored).toEqual([1]);
+    expect(ledgerService.payOut.mock.calls[0][3]).toBe(`payout_request:${request._id}`);
+    expect(request.status).toBe('requested');
+    expect(request.ledgerTransaction).toBeDefined();
+    expect(balance()).toBe(0);
+  });
+
+  it('keeps a request the balance does not cover as failed', async () => {
+    await earn(amount - 1);
+
+    await expect(
+      paymentService.requestPayout(user, amount, config.payments.currency, 'bank')
+    ).rejects.toThrow('Insufficient funds');
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].status).toBe('failed');
+    expect(requests[0].ledgerTransaction).toBeUndefined();
+    expect(balance()).toBe(amount - 1);
+  });
+});
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const {
+  WEIGHTS,
+  buildProfile,
+  scoreProject,
+  rankProjects,
+  getRecommendations,
+} = require('../utils/recommendationService');
+const { query } = require('./helpers');
+
+const project = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  skills: [],
+  category: 'Web Development',
+  budget: 0,
+  currency: 'USD',
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...fields,
+});
+
+describe('recommendationService', () => {
+  describe('scoreProject', () => {
+    it('scores profile skills case-insensitively', () => {
+      const profile = buildProfile({ skills: ['React', 'node.js'] });
+
+      const result = scoreProject(project({ skills: ['react', 'Node.js', 'Go'] }), profile);
+
+      expect(result.score).toBe(2 * WEIGHTS.skill);
+      expect(result.reasons).toEqual(['matches react, Node.js']);
+    });
+
+    it('scores skills of past projects below profile skills', () => {
+      const profile = buildProfile({
+        skills: ['React'],
+        completed: [project({ skills: ['React', 'GraphQL'] })],
+      });
+
+      const result = scoreProject(project({ skills: ['graphql', 'React'], category: 'Other' }), profile);
+
+      expect(result.score).toBe(WEIGHTS.skill + WEIGHTS.historySkill);
+      expect(result.reasons).toContain('uses graphql from your past projects');
+    });
+
+    it('counts only the strongest category reason', () => {
+      const category = 'Security';
+      const completed = buildProfile({ completed: [project({ category })], accepted: [project({ category })] });
+      const accepted = buildProfile({ accepted: [project({ category })], saved: [project({ category })] });
+      const saved = buildProfile({ saved: [project({ category })] });
+      const candidate = project({ category });
+
+      expect(scoreProject(candidate, completed).score).toBe(WEIGHTS.completedCategory);
+      expect(scoreProject(candidate, accepted).score).toBe(WEIGHTS.acceptedCategory);
+      expect(scoreProject(candidate, saved).score).toBe(WEIGHTS.savedCategory);
+      expect(scoreProject(project({ category: 'Design' }), completed).score).toBe(0);
+    });
+
+    it('gives the same score and reasons every time', () => {
+      const profile = buildProfile({ skills: ['React'], saved: [project({ category: 'Web Development' })] });
+      const candidate = project({ skills: ['React'] });
+
+      expect(scoreProject(candidate, profile)).toEqual(scoreProject(candidate, profile));
+    });
+  });
+
+  describe('budget range', () => {
+    // Worked on projects of 1,000.00 to 2,000.00
+    const profile = buildProfile({
+      accepted: [project({ budget: 100000, category: 'Other' })],
+      completed: [project({ budget: 200000, category: 'Other' })],
+    });
+    const budgetScore = (budget, currency = 'USD') =>
+      scoreProject(project({ budget, currency, category: 'Design' }), profile).score;
+
+    it('counts budgets inside the range', () => {
+      expect(budgetScore(150000)).toBe(WEIGHTS.budget);
+    });
+
+    it('counts budgets up to half below or above the range', () => {
+      expect(budgetScore(50000)).toBe(WEIGHTS.budget);
+      expect(budgetScore(300000)).toBe(WEIGHTS.budget);
+    });
+
+    it('does not count budgets past the tolerance', () => {
+      expect(budgetScore(49999)).toBe(0);
+      expect(budgetScore(300001)).toBe(0);
+    });
+
+    it('only compares budgets in the same currency', () => {
+      expect(budgetScore(150000, 'EUR')).toBe(0);
+    });
+
+    it('ignores saved projects and projects without a budget', () => {
+      const fromSaved = buildProfile({ saved: [project({ budget: 100000 })], accepted: [project({ budget: 0 })] });
+
+      expect(fromSaved.budgets.size).toBe(0);
+    });
+  });
+
+  describe('rankProjects', () => {
+    const profile = buildProfile({ skills: ['React'] });
+
+    it('puts the best match first', () => {
+      const weak = project({ skills: [] });
+      const strong = project({ skills: ['React'] });
+
+      const ranked = rankProjects([weak, strong], profile);
+
+      expect(ranked.map((item) => item.project)).toEqual([strong, weak]);
+      expect(ranked[0]).toMatchObject({ score: WEIGHTS.skill, explanation: 'matches React' });
+    });
+
+    it('breaks ties by the newer project', () => {
+      const older = project({ skills: ['React'], createdAt: new Date('2026-01-01T00:00:00Z') });
+      const newer = project({ skills: ['React'], createdAt: new Date('2026-02-01T00:00:00Z') });
+
+      expect(rankProjects([older, newer], profile).map((item) => item.project)).toEqual([newer, older]);
+    });
+
+    it('breaks ties of the same age by ID', () => {
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      const first = project({ _id: new mongoose.Types.ObjectId('000000000000000000000001'), createdAt });
+      const second = project({ _id: new mongoose.Types.ObjectId('000000000000000000000002'), createdAt });
+
+      expect(rankProjects([second, first], profile).map((item) => item.project)).toEqual([first, second]);
+      expect(rankProjects([first, second], profile).map((item) => item.project)).toEqual([first, second]);
+    });
+  });
+
+  describe('getRecommendations', () => {
+    it('ranks open public projects the student has not bid on', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), skills: ['React'], savedProjects: [], teams: [] };
+      const match = project({ skills: ['React'] });
+      const other = project({ category: 'Design', createdAt: new Date('2026-03-01T00:00:00Z') });
+
+      const find = jest
+        .spyOn(Project, 'find')
+        .mockImplementation((filter) => query(filter.status === 'open' ? [other, match] : []));
+
+      const ranked = await getRecommendations(user);
+
+      expect(ranked.map((item) => item.project)).toEqual([match, other]);
+      const candidates = find.mock.calls.find(([filter]) => filter.status === 'open')[0];
+      expect(candidates).toMatchObject({
+        visibility: 'public',
+        'proposals.freelancer': { $ne: user._id },
+        assignedFreelancers: { $ne: user._id },
+      });
+      expect(candidates.$or[0].skills.$in[0].test('REACT')).toBe(true);
+    });
+  });
+});
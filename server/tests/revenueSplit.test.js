@@ -0,0 +1,94 @@
+const Project = require('../models/project.model');
+const Team = require('../models/team.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const revenueSplitService = require('../utils/revenueSplitService');
+const { fakeModel, query } = require('./helpers');
+
+describe('revenueSplitService.respondToSplit', () => {
+  let client;
+  let leader;
+  let designer;
+  let developer;
+  let team;
+  let project;
+  let notifications;
+
+  // The project as a request loaded it, before other members responded
+  const loaded = () => new Project(project.toObject());
+
+  const respond = (user, accept, copy = loaded()) => revenueSplitService.respondToSplit(copy, team, user, accept);
+
+  const acceptedBy = () =>
+    project.revenueSplit.members.filter((member) => member.accepted).map((member) => String(member.user));
+
+  beforeEach(() => {
+    client = new User({ name: 'Client', email: 'client@example.com', role: 'client' });
+    leader = new User({ name: 'Ada', email: 'ada@example.com', role: 'student' });
+    designer = new User({ name: 'Grace', email: 'grace@example.com', role: 'student' });
+    developer = new User({ name: 'Linus', email: 'linus@example.com', role: 'student' });
+    team = new Team({
+      name: 'Makers',
+      creator: leader._id,
+      members: [
+        { user: leader._id, role: 'leader' },
+        { user: designer._id, role: 'member' },
+        { user: developer._id, role: 'member' },
+      ],
+    });
+    project = new Project({ title: 'Website', client: client._id, status: 'open', assignedTeam: team._id });
+    revenueSplitService.proposeSplit(project, team, leader);
+
+    fakeModel(User, [client, leader, designer, developer]);
+    fakeModel(Project, [project]);
+    // Reads get their own copy, as they would from the database
+    Project.findById.mockImplementation(() => query(loaded()));
+    notifications = fakeModel(Notification, []);
+  });
+
+  it('keeps the responses of members answering at the same time', async () => {
+    const designerCopy = loaded();
+    const developerCopy = loaded();
+
+    await respond(designer, true, designerCopy);
+    const updated = await respond(developer, true, developerCopy);
+
+    expect(acceptedBy()).toEqual([leader, designer, developer].map((user) => String(user._id)));
+    expect(updated.status).toBe('in_progress');
+    expect(project.status).toBe('in_progress');
+    expect(project.revenueSplit.status).toBe('accepted');
+  });
+
+  it('waits for every member before work starts', async () => {
+    const updated = await respond(designer, true);
+
+    expect(updated.status).toBe('open');
+    expect(project.revenueSplit.status).toBe('pending');
+    expect(acceptedBy()).toEqual([leader, designer].map((user) => String(user._id)));
+  });
+
+  it('starts the work once when the last members accept together', async () => {
+    const [designerCopy, developerCopy] = [loaded(), loaded()];
+
+    await Promise.all([respond(designer, true, designerCopy), respond(developer, true, developerCopy)]);
+
+    // Both saw every member accepted, and only one started the work
+    expect(Project.updateOne).toHaveBeenCalledTimes(4);
+    expect(project.status).toBe('in_progress');
+    const started = notifications.filter((notification) => notification.title === 'Work Started');
+    expect(started).toHaveLength(3);
+  });
+
+  it('refuses to accept a split another member declined in the meantime', async () => {
+    const designerCopy = loaded();
+    await respond(developer, false);
+
+    await expect(respond(designer, true, designerCopy)).rejects.toThrow(
+      'There is no revenue split waiting for a response'
+    );
+
+    expect(project.revenueSplit.status).toBe('declined');
+    expect(project.status).toBe('open');
+    expect(acceptedBy()).toEqual([String(leader._id)]);
+  });
+});
@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.CLIENT_URL = 'http://client.test';
+
+// Tests run without a database: a query that is not faked fails right away
+// instead of waiting for a connection
+mongoose.set('bufferCommands', false);
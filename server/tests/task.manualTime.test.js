@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Task = require('../models/task.model');
+const User = require('../models/user.model');
+const timesheetService = require('../utils/timesheetService');
+const { ApiError } = require('../utils/errorHandler');
+const { createApp, fakeModel } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const taskRoutes = require('../routes/task.routes');
+
+describe('manual time entries', () => {
+  const app = createApp({ '/api/tasks': taskRoutes });
+  const project = new mongoose.Types.ObjectId();
+  const HOUR = 60 * 60 * 1000;
+  let user;
+  let task;
+  let otherTask;
+
+  // Hours ago, so every entry is in the past
+  const at = (hoursAgo) => new Date(Date.now() - hoursAgo * HOUR);
+
+  const addTime = (startTime, endTime, target = task) =>
+    request(app)
+      .post(`/api/tasks/${target._id}/time/manual`)
+      .set('Authorization', 'Bearer access-token')
+      .send({ startTime: startTime.toISOString(), endTime: endTime.toISOString() });
+
+  const newTask = (title) =>
+    new Task({ title, project, createdBy: user._id, assignedTo: [user._id], timeTracking: [] });
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', isVerified: true });
+    task = newTask('Build the page');
+    otherTask = newTask('Write the tests');
+    fakeModel(Task, [task, otherTask]);
+
+    tokenService.verifyAccessToken.mockResolvedValue({ user, session: {} });
+    tokenService.touchSession.mockResolvedValue();
+    jest.spyOn(timesheetService, 'recordSession').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('adds the entry and saves the task before billing it', async () => {
+    const res = await addTime(at(3), at(1));
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalHours).toBe(2);
+    expect(task.timeTracking).toHaveLength(1);
+    expect(task.timeTracking[0].source).toBe('manual');
+
+    const [saved] = Task.prototype.save.mock.invocationCallOrder;
+    const [billed] = timesheetService.recordSession.mock.invocationCallOrder;
+    expect(saved).toBeLessThan(billed);
+  });
+
+  it('refuses time that overlaps an entry on the same task', async () => {
+    await addTime(at(3), at(1));
+
+    const res = await addTime(at(2), at(0.5));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This time overlaps time you already tracked on this project');
+    expect(task.timeTracking).toHaveLength(1);
+  });
+
+  it('refuses time that overlaps another task of the project', async () => {
+    await addTime(at(3), at(1), otherTask);
+
+    const res = await addTime(at(4), at(2));
+
+    expect(res.status).toBe(400);
+    expect(task.timeTracking).toHaveLength(0);
+  });
+
+  it('refuses time that overlaps a timer still running', async () => {
+    otherTask.timeTracking.push({ user: user._id, startTime: at(2), endTime: null });
+
+    expect((await addTime(at(3), at(1))).status).toBe(400);
+    expect((await addTime(at(5), at(3))).status).toBe(201);
+  });
+
+  it('accepts time next to other entries and time other users tracked', async () => {
+    await addTime(at(3), at(2));
+    task.timeTracking.push({ user: new mongoose.Types.ObjectId(), startTime: at(2), endTime: at(1) });
+
+    const res = await addTime(at(2), at(1));
+
+    expect(res.status).toBe(201);
+  });
+
+  it('takes the entry back when it cannot be billed', async () => {
+    timesheetService.recordSession.mockRejectedValue(
+      new ApiError('The timesheet for the week of 2026-01-05 is already approved', 400)
+    );
+
+    const res = await addTime(at(3), at(1));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('The timesheet for the week of 2026-01-05 is already approved');
+    expect(task.timeTracking).toHaveLength(0);
+    expect(task.actualHours).toBe(0);
+  });
+});
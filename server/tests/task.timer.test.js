@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Project = require('../models/project.model');
+const Task = require('../models/task.model');
+const Timesheet = require('../models/timesheet.model');
+const User = require('../models/user.model');
+const timesheetService = require('../utils/timesheetService');
+const { ApiError } = require('../utils/errorHandler');
+const { createApp, fakeModel, query } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const taskRoutes = require('../routes/task.routes');
+
+describe('task timer', () => {
+  const app = createApp({ '/api/tasks': taskRoutes });
+  const project = new mongoose.Types.ObjectId();
+  const HOUR = 60 * 60 * 1000;
+  let user;
+  let task;
+
+  const stop = () =>
+    request(app).post(`/api/tasks/${task._id}/time/stop`).set('Authorization', 'Bearer access-token');
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', isVerified: true });
+    task = new Task({
+      title: 'Build the page',
+      project,
+      createdBy: user._id,
+      assignedTo: [user._id],
+      timeTracking: [{ user: user._id, startTime: new Date(Date.now() - 2 * HOUR), endTime: null }],
+    });
+    fakeModel(Task, [task]);
+
+    tokenService.verifyAccessToken.mockResolvedValue({ user, session: {} });
+    tokenService.touchSession.mockResolvedValue();
+    jest.spyOn(timesheetService, 'recordSession').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('starting', () => {
+    let otherTask;
+
+    const start = (target) =>
+      request(app).post(`/api/tasks/${target._id}/time/start`).set('Authorization', 'Bearer access-token');
+
+    const onProject = (billingType) => {
+      const client = new mongoose.Types.ObjectId();
+      const onlyProject = new Project({ title: 'Shop', client, billingType, assignedFreelancers: [user._id] });
+      otherTask = new Task({
+        title: 'Write the tests',
+        project: onlyProject,
+        createdBy: client,
+        assignedTo: [user._id],
+        timeTracking: [],
+      });
+      task.project = onlyProject;
+      fakeModel(Task, [task, otherTask]);
+    };
+
+    it('refuses a second timer on an hourly project', async () => {
+      onProject('hourly');
+
+      const res = await start(otherTask);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('You already have a timer running or time tracked after now on this project');
+      expect(otherTask.timeTracking).toHaveLength(0);
+    });
+
+    it('starts a timer once the other one stopped', async () => {
+      onProject('hourly');
+      task.timeTracking[0].endTime = new Date();
+
+      expect((await start(otherTask)).status).toBe(200);
+      expect(otherTask.timeTracking).toHaveLength(1);
+    });
+
+    it('ignores timers other users run', async () => {
+      onProject('hourly');
+      task.timeTracking[0].user = new mongoose.Types.ObjectId();
+
+      expect((await start(otherTask)).status).toBe(200);
+    });
+
+    it('keeps timers on fixed price projects per task', async () => {
+      onProject('fixed');
+
+      expect((await start(otherTask)).status).toBe(200);
+      expect((await start(task)).status).toBe(400);
+    });
+  });
+
+  describe('stopping', () => {
+    it('closes the session and bills it', async () => {
+      const res = await stop();
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalHours).toBe(2);
+      expect(task.timeTracking[0].endTime).toBeInstanceOf(Date);
+      expect(task.timeTracking[0].duration).toBe(2);
+      expect(timesheetService.recordSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('bills a session once when it is stopped twice', async () => {
+      // The second request loaded the task while the session was still running
+      const stale = new Task(task.toObject());
+
+      expect((await stop()).status).toBe(200);
+
+      Task.findById.mockReturnValueOnce(query(stale));
+      const res = await stop();
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('No active time tracking session found');
+      expect(timesheetService.recordSession).toHaveBeenCalledTimes(1);
+      expect(task.actualHours).toBe(2);
+    });
+
+    it('keeps the session running when it cannot be billed', async () => {
+      timesheetService.recordSession.mockRejectedValue(
+        new ApiError('The timesheet for the week of 2026-01-05 is already approved', 400)
+      );
+
+      const res = await stop();
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('The timesheet for the week of 2026-01-05 is already approved');
+      expect(task.timeTracking[0].endTime).toBeNull();
+      expect(task.timeTracking[0].duration).toBeUndefined();
+      expect(task.actualHours).toBe(0);
+    });
+  });
+});
+
+describe('timesheet sessions', () => {
+  const freelancer = new mongoose.Types.ObjectId();
+  const project = {
+    _id: new mongoose.Types.ObjectId(),
+    billingType: 'hourly',
+    currency: 'usd',
+    hourlyContracts: [{ freelancer, hourlyRate: 6000 }],
+  };
+  const task = { _id: new mongoose.Types.ObjectId(), title: 'Build the page', project };
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    user: freelancer,
+    startTime: new Date('2026-01-06T09:00:00Z'),
+    endTime: new Date('2026-01-06T11:00:00Z'),
+    source: 'timer',
+  };
+
+  beforeEach(() => {
+    fakeModel(Timesheet, []);
+  });
+
+  it('adds a session to the timesheet once', async () => {
+    await timesheetService.recordSession(task, session);
+    const timesheet = await timesheetService.recordSession(task, session);
+
+    expect(timesheet.entries).toHaveLength(1);
+    expect(timesheet.entries[0].minutes).toBe(120);
+  });
+
+  it('refuses timesheets that list a session twice', async () => {
+    const entry = {
+      task: task._id,
+      session: session._id,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      minutes: 120,
+    };
+    const timesheet = new Timesheet({
+      project: project._id,
+      freelancer,
+      weekStart: new Date('2026-01-05T00:00:00Z'),
+      hourlyRate: 6000,
+      currency: 'usd',
+      entries: [entry, entry],
+    });
+
+    await expect(timesheet.validate()).rejects.toThrow('A session can only be added to a timesheet once');
+  });
+});
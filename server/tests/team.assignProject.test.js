@@ -0,0 +1,86 @@
+const request = require('supertest');
+const Project = require('../models/project.model');
+const Team = require('../models/team.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const { createApp, fakeModel } = require('./helpers');
+
+jest.mock('../utils/tokenService', () => ({
+  ...jest.requireActual('../utils/tokenService'),
+  verifyAccessToken: jest.fn(),
+  touchSession: jest.fn(),
+}));
+
+const tokenService = require('../utils/tokenService');
+const teamRoutes = require('../routes/team.routes');
+
+describe('assigning a team to a project', () => {
+  const app = createApp({ '/api/teams': teamRoutes });
+  let client;
+  let leader;
+  let team;
+  let project;
+
+  const signIn = (user) => tokenService.verifyAccessToken.mockResolvedValue({ user, session: {} });
+
+  const assign = () =>
+    request(app).post(`/api/teams/${team._id}/projects/${project._id}`).set('Authorization', 'Bearer access-token');
+
+  beforeEach(() => {
+    client = new User({ name: 'Client', email: 'client@example.com', role: 'client', isVerified: true });
+    leader = new User({ name: 'Ada', email: 'ada@example.com', role: 'student', isVerified: true });
+    // A team of one starts work as soon as it is assigned
+    team = new Team({ name: 'Solo', creator: leader._id, members: [{ user: leader._id, role: 'leader' }] });
+    project = new Project({ title: 'Website', client: client._id, status: 'open', visibility: 'public' });
+
+    fakeModel(User, [client, leader]);
+    fakeModel(Team, [team]);
+    fakeModel(Project, [project]);
+    fakeModel(Notification, []);
+    tokenService.touchSession.mockResolvedValue();
+  });
+
+  it('lets the client assign a team', async () => {
+    signIn(client);
+
+    const res = await assign();
+
+    expect(res.status).toBe(200);
+    expect(project.assignedTeam).toEqual(team._id);
+  });
+
+  it('does not let a team manager take on a project the client did not invite the team to', async () => {
+    signIn(leader);
+
+    const res = await assign();
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Only the client can assign a team to this project');
+    expect(project.assignedTeam).toBeUndefined();
+    expect(project.status).toBe('open');
+  });
+
+  it('lets a team manager take on a project once the team accepted an invitation', async () => {
+    project.visibility = 'invite_only';
+    project.invitations.push({ team: team._id, status: 'accepted', invitedBy: client._id });
+    signIn(leader);
+
+    const res = await assign();
+
+    expect(res.status).toBe(200);
+    expect(project.assignedTeam).toEqual(team._id);
+  });
+
+  it('does not let members without the permission assign the team', async () => {
+    const member = new User({ name: 'Bob', email: 'bob@example.com', role: 'student', isVerified: true });
+    team.members.push({ user: member._id, role: 'developer' });
+    project.visibility = 'invite_only';
+    project.invitations.push({ team: team._id, status: 'accepted', invitedBy: client._id });
+    signIn(member);
+
+    const res = await assign();
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Not authorized to assign this team to the project');
+  });
+});
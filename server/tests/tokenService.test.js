@@ -0,0 +1,111 @@
+const config = require('../config/config');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const tokenService = require('../utils/tokenService');
+const { fakeModel } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('tokenService', () => {
+  const refreshSettings = { ...config.refreshToken };
+  let sessions;
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', isVerified: true });
+    fakeModel(User, [user]);
+    sessions = fakeModel(Session, []);
+  });
+
+  afterEach(() => {
+    Object.assign(config.refreshToken, refreshSettings);
+  });
+
+  describe('createSession', () => {
+    it.each([
+      [30 * DAY, 30 * DAY],
+      [String(7 * DAY), 7 * DAY],
+      ['30d', 30 * DAY],
+      ['12h', 12 * 60 * 60 * 1000],
+      ['90m', 90 * 60 * 1000],
+    ])('reads a refresh token lifetime of %p', async (expiresIn, expected) => {
+      config.refreshToken.expiresIn = expiresIn;
+
+      const before = Date.now();
+      const { session } = await tokenService.createSession(user);
+
+      expect(session.expiresAt.getTime()).toBeGreaterThanOrEqual(before + expected);
+      expect(session.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + expected);
+    });
+
+    it('refuses a lifetime it cannot read', async () => {
+      config.refreshToken.expiresIn = 'a month';
+
+      await expect(tokenService.createSession(user)).rejects.toThrow('Invalid duration setting: a month');
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('swaps the refresh token', async () => {
+      const { refreshToken } = await tokenService.createSession(user);
+
+      const rotated = await tokenService.rotateSession(refreshToken);
+
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(rotated.user).toBe(user);
+      await expect(tokenService.rotateSession(rotated.refreshToken)).resolves.toBeDefined();
+    });
+
+    it('revokes the session when a rotated token is used again', async () => {
+      const { refreshToken } = await tokenService.createSession(user);
+      const rotated = await tokenService.rotateSession(refreshToken);
+
+      await expect(tokenService.rotateSession(refreshToken)).rejects.toThrow('Refresh token has already been used');
+
+      expect(sessions[0].revokedReason).toBe('token_reuse');
+      await expect(tokenService.rotateSession(rotated.refreshToken)).rejects.toThrow(
+        'Session has expired or been revoked'
+      );
+    });
+
+    it('gives only one of two racing requests a new token', async () => {
+      const { refreshToken } = await tokenService.createSession(user);
+
+      const results = await Promise.allSettled([
+        tokenService.rotateSession(refreshToken),
+        tokenService.rotateSession(refreshToken),
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason.message).toBe(
+        'Refresh token has already been used'
+      );
+      expect(sessions[0].revokedAt).toBeDefined();
+    });
+
+    it('refuses a wrong token without revoking the session', async () => {
+      const { session, refreshToken } = await tokenService.createSession(user);
+
+      await expect(tokenService.rotateSession(`${session._id}.forged`)).rejects.toThrow('Invalid refresh token');
+
+      expect(sessions[0].revokedAt).toBeUndefined();
+      await expect(tokenService.rotateSession(refreshToken)).resolves.toBeDefined();
+    });
+
+    it('remembers the tokens rotated out', async () => {
+      const { refreshToken } = await tokenService.createSession(user);
+
+      const rotated = await tokenService.rotateSession(refreshToken);
+      await tokenService.rotateSession(rotated.refreshToken);
+
+      expect(sessions[0].previousRefreshTokenHashes).toEqual([
+        tokenService.hashToken(refreshToken),
+        tokenService.hashToken(rotated.refreshToken),
+      ]);
+    });
+
+    it('refuses malformed tokens', async () => {
+      await expect(tokenService.rotateSession('not-a-token')).rejects.toThrow('Invalid refresh token');
+    });
+  });
+});
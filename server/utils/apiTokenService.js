@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const ApiToken = require('../models/apiToken.model');
+const User = require('../models/user.model');
+const { hashToken } = require('./tokenService');
+const { ApiError } = require('./errorHandler');
+
+// Personal API tokens look like cht_<token id>_<secret>
+const TOKEN_PREFIX = 'cht_';
+const TOKEN_PATTERN = /^cht_([0-9a-f]{24})_([0-9a-f]{40})$/;
+
+/**
+ * Scopes a token can be granted. Each API area has a read scope for GET
+ * requests and a write scope for everything else.
+ */
+const SCOPES = [
+  'projects:read',
+  'projects:write',
+  'tasks:read',
+  'tasks:write',
+  'teams:read',
+  'teams:write',
+  'chat:read',
+  'chat:write',
+  'users:read',
+  'users:write',
+];
+
+/**
+ * Check whether a bearer token is a personal API token rather than a JWT
+ * @param {String} token - Bearer token
+ * @returns {Boolean} True for API tokens
+ */
+const isApiToken = (token) => {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+/**
+ * Create a personal API token for a user
+ * @param {Object} user - User document
+ * @param {Object} options - Token options
+ * @param {String} options.name - Name to recognise the token by
+ * @param {Array} options.scopes - Granted scopes
+ * @param {Number} options.expiresInDays - Days until the token expires
+ * @returns {Promise<Object>} Token document and the raw token, which is only shown once
+ */
+const createApiToken = async (user, { name, scopes, expiresInDays }) => {
+  const days = Number(expiresInDays || config.apiTokens.defaultExpiresInDays);
+  const apiToken = new ApiToken({
+    user: user._id,
+    name,
+    tokenHash: 'pending',
+    scopes: [...new Set(scopes)],
+    expiresAt: Date.now() + days * 24 * 60 * 60 * 1000,
+  });
+
+  const secret = crypto.randomBytes(20).toString('hex');
+  const token = `${TOKEN_PREFIX}${apiToken._id}_${secret}`;
+
+  apiToken.tokenHash = hashToken(secret);
+  apiToken.lastFour = secret.slice(-4);
+  await apiToken.save();
+
+  return { apiToken, token };
+};
+
+/**
+ * Verify a personal API token
+ * @param {String} token - Raw API token
+ * @returns {Promise<Object>} User (without password) and token document
+ */
+const verifyApiToken = async (token) => {
+  const match = TOKEN_PATTERN.exec(token);
+
+  if (!match) {
+    throw new ApiError('Invalid API token', 401);
+  }
+
+  const [, tokenId, secret] = match;
+  const apiToken = await ApiToken.findById(tokenId).select('+tokenHash');
+
+  if (!apiToken || !apiToken.isActive()) {
+    throw new ApiError('API token has expired or been revoked', 401);
+  }
+
+  const presentedHash = Buffer.from(hashToken(secret));
+  const storedHash = Buffer.from(apiToken.tokenHash);
+
+  if (presentedHash.length !== storedHash.length || !crypto.timingSafeEqual(presentedHash, storedHash)) {
+    throw new ApiError('Invalid API token', 401);
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+
+  return { user, apiToken };
+};
+
+/**
+ * Record that a token was used, at most once a minute
+ * @param {Object} apiToken - Token document
+ * @param {String} ip - Client IP
+ * @returns {Promise} Update result
+ */
+const touchApiToken = async (apiToken, ip) => {
+  if (apiToken.lastUsedAt && Date.now() - apiToken.lastUsedAt < 60 * 1000 && apiToken.lastUsedIp === ip) {
+    return null;
+  }
+
+  apiToken.lastUsedAt = Date.now();
+  apiToken.lastUsedIp = ip;
+  return ApiToken.updateOne(
+    { _id: apiToken._id },
+    { $set: { lastUsedAt: apiToken.lastUsedAt, lastUsedIp: ip } }
+  );
+};
+
+module.exports = {
+  SCOPES,
+  isApiToken,
+  createApiToken,
+  verifyApiToken,
+  touchApiToken,
+};
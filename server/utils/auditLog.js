@@ -0,0 +1,45 @@
+const AuditLog = require('../models/auditLog.model');
+
+/**
+ * Write an entry to the audit log
+ * @param {Object} entry - Audit log fields (actor, subject, action, ...)
+ * @param {Object} req - Express request object, for the client details
+ * @returns {Promise<Object>} Audit log entry
+ */
+const recordAuditEvent = (entry, req) => {
+  return AuditLog.create({
+    ...entry,
+    ...(req && {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    }),
+  });
+};
+
+/**
+ * Log an impersonated request once its response has been sent, so the
+ * entry includes the status code. Failures are logged, never thrown.
+ * @param {Object} req - Express request object (with user and session)
+ * @param {Object} res - Express response object
+ */
+const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    recordAuditEvent(
+      {
+        actor: req.impersonator,
+        subject: req.user._id,
+        action: 'impersonated_request',
+        session: req.session._id,
+        statusCode: res.statusCode,
+      },
+      req
+    ).catch((error) => console.error('Audit log error:', error));
+  });
+};
+
+module.exports = {
+  recordAuditEvent,
+  auditImpersonatedRequest,
+};
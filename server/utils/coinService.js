@@ -0,0 +1,304 @@
+const config = require('../config/config');
+const CoinTransaction = require('../models/coinTransaction.model');
+const Redemption = require('../models/redemption.model');
+const RewardItem = require('../models/rewardItem.model');
+const User = require('../models/user.model');
+const { ApiError } = require('./errorHandler');
+
+const idOf = (value) => String(value._id || value);
+
+/**
+ * Whether a pending transaction was left behind by an attempt that stopped,
+ * rather than one still running
+ * @param {Object} transaction - Pending transaction
+ * @param {Date} now - Current time
+ * @returns {Boolean} True when it has been pending too long
+ */
+const isStalled = (transaction, now = new Date()) =>
+  now - new Date(transaction.createdAt) >= Number(config.coins.pendingTransactionTimeout);
+
+/**
+ * Apply a pending transaction to the user's points and mark it applied. The
+ * user holds the transaction ID until then, so an attempt that was
+ * interrupted can be repeated without moving the balance twice. A spend the
+ * balance does not cover is removed.
+ * @param {Object} transaction - Pending transaction
+ * @returns {Promise<Object>} Applied transaction
+ */
+const applyTransaction = async (transaction) => {
+  const filter = { _id: transaction.user, pendingCoinTransactions: { $ne: transaction._id } };
+  if (transaction.amount < 0) {
+    filter.points = { $gte: -transaction.amount };
+  }
+
+  const result = await User.updateOne(filter, {
+    $inc: { points: transaction.amount },
+    $push: { pendingCoinTransactions: transaction._id },
+  });
+
+  // Not applied now nor by an earlier, interrupted attempt
+  if (
+    result.modifiedCount === 0 &&
+    !(await User.exists({ _id: transaction.user, pendingCoinTransactions: transaction._id }))
+  ) {
+    await CoinTransaction.deleteOne({ _id: transaction._id, status: 'pending' });
+    throw transaction.amount < 0 ? new ApiError('Not enough Cyber Coins', 400) : new ApiError('User not found', 404);
+  }
+
+  // Applied before the marker is cleared, so the amount can never move twice
+  await CoinTransaction.updateOne({ _id: transaction._id, status: 'pending' }, { $set: { status: 'applied' } });
+  await User.updateOne({ _id: transaction.user }, { $pull: { pendingCoinTransactions: transaction._id } });
+
+  transaction.status = 'applied';
+  return transaction;
+};
+
+/**
+ * Record a coin transaction and apply it to the user's balance (User.points).
+ * The transaction is stored as pending first, which reserves its idempotency
+ * key, so an award that was already made is not made twice. Spending only
+ * goes through when the balance covers it.
+ * @param {Object} details - Transaction details
+ * @param {String} details.user - User ID
+ * @param {Number} details.amount - Whole coins, negative to spend
+ * @param {String} details.reason - Earning rule or spending reason
+ * @param {String} details.idempotencyKey - Key identifying the award or refund
+ * @returns {Promise<Object>} { transaction, created }, created is false for repeats
+ */
+const recordTransaction = async ({ user, amount, reason, idempotencyKey, ...details }) => {
+  // The award or refund was recorded before; finish it if its attempt stopped
+  const resume = async () => {
+    const existing = await CoinTransaction.findOne({ idempotencyKey });
+    if (existing && existing.status === 'pending' && isStalled(existing)) {
+      await applyTransaction(existing);
+    }
+    return { transaction: existing, created: false };
+  };
+
+  if (idempotencyKey && (await CoinTransaction.exists({ idempotencyKey }))) {
+    return resume();
+  }
+
+  const transaction = new CoinTransaction({
+    user: idOf(user),
+    amount,
+    reason,
+    idempotencyKey,
+    ...details,
+    status: 'pending',
+  });
+
+  try {
+    await transaction.save();
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) return resume();
+    throw error;
+  }
+
+  return { transaction: await applyTransaction(transaction), created: true };
+};
+
+/**
+ * Apply the coin transactions that interrupted requests left pending
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of transactions applied
+ */
+const applyStalledTransactions = async (now = new Date()) => {
+  const pending = await CoinTransaction.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(now - Number(config.coins.pendingTransactionTimeout)) },
+  });
+
+  let applied = 0;
+  for (const transaction of pending) {
+    try {
+      await applyTransaction(transaction);
+      applied += 1;
+    } catch (error) {
+      console.error(`Stalled coin transaction ${transaction._id} was removed:`, error.message);
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * People who earn coins for work on a project: the assigned freelancers
+ * and, when the assigned team is populated, its members
+ * @param {Object} project - Project document
+ * @returns {Array} User IDs
+ */
+const getProjectWorkers = (project) => {
+  const workers = (project.assignedFreelancers || []).map(idOf);
+
+  if (project.assignedTeam && project.assignedTeam.members) {
+    project.assignedTeam.members.forEach((member) => workers.push(idOf(member.user)));
+  }
+
+  return [...new Set(workers)];
+};
+
+/**
+ * Award coins to everyone who worked on a completed project
+ * @param {Object} project - Project document
+ * @returns {Promise<Array>} IDs of the users awarded now (not before)
+ */
+const awardProjectCompletion = async (project) => {
+  const awarded = [];
+
+  for (const userId of getProjectWorkers(project)) {
+    const { created } = await recordTransaction({
+      user: userId,
+      amount: Number(config.coins.projectCompleted),
+      reason: 'project_completed',
+      description: `Completed project "${project.title}"`,
+      project: project._id,
+      idempotencyKey: `project_completed:${project._id}:${userId}`,
+    });
+
+    if (created) awarded.push(userId);
+  }
+
+  return awarded;
+};
+
+/**
+ * Award coins to the freelancers of a project the client rated 5 stars
+ * @param {Object} project - Project document
+ * @param {Number} rating - Rating given by the client
+ */
+const awardFiveStarReview = async (project, rating) => {
+  if (Number(rating) !== 5) return;
+
+  for (const userId of getProjectWorkers(project)) {
+    await recordTransaction({
+      user: userId,
+      amount: Number(config.coins.fiveStarReview),
+      reason: 'five_star_review',
+      description: `5-star review for project "${project.title}"`,
+      project: project._id,
+      idempotencyKey: `five_star_review:${project._id}:${userId}`,
+    });
+  }
+};
+
+/**
+ * Award coins for a milestone completed by its due date
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Completed milestone
+ */
+const awardMilestoneOnTime = async (project, milestone) => {
+  if (!milestone.dueDate || new Date(milestone.completedAt) > new Date(milestone.dueDate)) return;
+
+  for (const userId of getProjectWorkers(project)) {
+    await recordTransaction({
+      user: userId,
+      amount: Number(config.coins.milestoneOnTime),
+      reason: 'milestone_on_time',
+      description: `Milestone "${milestone.title}" completed on time`,
+      project: project._id,
+      milestone: milestone._id,
+      idempotencyKey: `milestone_on_time:${milestone._id}:${userId}`,
+    });
+  }
+};
+
+/**
+ * Request a catalog reward. The coins and one unit of stock are taken right
+ * away and given back if the request is rejected.
+ * @param {Object} user - User redeeming
+ * @param {String} itemId - Reward item ID
+ * @returns {Promise<Object>} Redemption document
+ */
+const requestRedemption = async (user, itemId) => {
+  const item = await RewardItem.findOne({ _id: itemId, active: true });
+  if (!item) {
+    throw new ApiError('Reward not found', 404);
+  }
+
+  const limited = item.stock !== undefined && item.stock !== null;
+  if (limited) {
+    const reserved = await RewardItem.findOneAndUpdate({ _id: item._id, stock: { $gt: 0 } }, { $inc: { stock: -1 } });
+    if (!reserved) {
+      throw new ApiError('This reward is out of stock', 400);
+    }
+  }
+
+  // Stored first, so the spend always belongs to a request the admins can see
+  const redemption = new Redemption({
+    user: user._id,
+    item: item._id,
+    itemName: item.name,
+    cost: item.cost,
+  });
+
+  try {
+    await redemption.save();
+    await recordTransaction({
+      user: user._id,
+      amount: -item.cost,
+      reason: 'redemption',
+      description: `Redeemed "${item.name}"`,
+      redemption: redemption._id,
+      idempotencyKey: `redemption:${redemption._id}`,
+    });
+  } catch (error) {
+    await Redemption.deleteOne({ _id: redemption._id });
+    if (limited) {
+      await RewardItem.updateOne({ _id: item._id }, { $inc: { stock: 1 } });
+    }
+    throw error;
+  }
+
+  return redemption;
+};
+
+/**
+ * Approve or reject a pending redemption. Rejecting gives the coins and the
+ * stock back.
+ * @param {String} redemptionId - Redemption ID
+ * @param {String} status - approved or rejected
+ * @param {Object} admin - Admin reviewing the request
+ * @param {String} note - Note for the user
+ * @returns {Promise<Object>} Redemption document
+ */
+const reviewRedemption = async (redemptionId, status, admin, note) => {
+  // Only one review can move the request out of pending
+  const redemption = await Redemption.findOneAndUpdate(
+    { _id: redemptionId, status: 'pending' },
+    { $set: { status, note, reviewedBy: admin._id, reviewedAt: Date.now() } },
+    { new: true }
+  );
+
+  if (!redemption) {
+    const exists = await Redemption.exists({ _id: redemptionId });
+    throw exists
+      ? new ApiError('This redemption has already been reviewed', 400)
+      : new ApiError('Redemption not found', 404);
+  }
+
+  if (status === 'rejected') {
+    await recordTransaction({
+      user: redemption.user,
+      amount: redemption.cost,
+      reason: 'redemption_rejected',
+      description: `Refund for "${redemption.itemName}"`,
+      redemption: redemption._id,
+      idempotencyKey: `redemption_refund:${redemption._id}`,
+    });
+
+    await RewardItem.updateOne({ _id: redemption.item, stock: { $ne: null } }, { $inc: { stock: 1 } });
+  }
+
+  return redemption;
+};
+
+module.exports = {
+  recordTransaction,
+  applyStalledTransactions,
+  awardProjectCompletion,
+  awardFiveStarReview,
+  awardMilestoneOnTime,
+  requestRedemption,
+  reviewRedemption,
+};
@@ -0,0 +1,33 @@
+/**
+ * Quote a value for a CSV cell. Text starting like a formula (other than a
+ * plain number) is prefixed with an apostrophe, so spreadsheets show it
+ * instead of evaluating it.
+ * @param {*} value - Cell value
+ * @returns {String} CSV cell
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV with a header line
+ * @param {Array} columns - Columns as { header, value(row) }
+ * @param {Array} rows - Rows
+ * @returns {String} CSV text
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => formatCell(column.header))];
+  rows.forEach((row) => lines.push(columns.map((column) => formatCell(column.value(row)))));
+
+  return `${lines.map((line) => line.join(',')).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv,
+};
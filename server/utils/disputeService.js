@@ -0,0 +1,400 @@
+const Dispute = require('../models/dispute.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const ledgerService = require('./ledgerService');
+const paymentService = require('./paymentService');
+const revenueSplitService = require('./revenueSplitService');
+const { recordTransition } = require('./milestoneService');
+const { getTeamLeaders } = require('./permissions');
+const { ApiError } = require('./errorHandler');
+const { formatMoney } = require('./money');
+
+const idOf = (value) => String(value._id || value);
+
+/**
+ * The two sides of a dispute: the client, and the assigned freelancers or
+ * the leaders of the assigned team (which must be populated)
+ * @param {Object} project - Project document
+ * @returns {Array} User IDs
+ */
+const getDisputeParties = (project) => {
+  const parties = [idOf(project.client), ...(project.assignedFreelancers || []).map(idOf)];
+
+  if (project.assignedTeam && project.assignedTeam.members) {
+    getTeamLeaders(project.assignedTeam).forEach((member) => parties.push(idOf(member.user)));
+  }
+
+  return [...new Set(parties)];
+};
+
+/**
+ * Notify both parties, and the admin working the case, of a step in the
+ * dispute. The user who took the step is left out.
+ * @param {Object} dispute - Dispute document
+ * @param {Object} project - Project document
+ * @param {String} actorId - User who took the step
+ * @param {String} title - Notification title
+ * @param {String} content - Notification content
+ */
+const notifyParties = async (dispute, project, actorId, title, content) => {
+  const recipients = getDisputeParties(project);
+  if (dispute.assignedTo) recipients.push(idOf(dispute.assignedTo));
+
+  for (const recipient of new Set(recipients)) {
+    if (recipient === idOf(actorId)) continue;
+
+    const notification = new Notification({
+      recipient,
+      type: 'dispute',
+      title,
+      content,
+      project: project._id,
+      dispute: dispute._id,
+      createdBy: actorId,
+      link: `/disputes/${dispute._id}`,
+      priority: 'high',
+    });
+
+    await notification.save();
+
+    // Add notification to the user's notifications
+    await User.findByIdAndUpdate(recipient, {
+      $push: { notifications: notification._id },
+    });
+  }
+};
+
+const describeSubject = (dispute, project) => {
+  if (!dispute.milestone) return `project "${project.title}"`;
+
+  const milestone = project.milestones.id(dispute.milestone);
+  return `milestone "${milestone ? milestone.title : 'removed'}" of project "${project.title}"`;
+};
+
+const assertActive = (dispute) => {
+  if (!Dispute.ACTIVE_STATUSES.includes(dispute.status)) {
+    throw new ApiError(`This dispute is ${dispute.status}`, 400);
+  }
+};
+
+/**
+ * Open a dispute on a project or one of its milestones. The escrow it
+ * covers is frozen until the dispute is resolved or withdrawn.
+ * @param {Object} project - Project document with its team populated
+ * @param {Object} user - User opening the dispute
+ * @param {Object} details - milestone, reason, description and evidence
+ * @returns {Promise<Object>} Dispute document
+ */
+const openDispute = async (project, user, { milestone: milestoneId, reason, description, evidence = [] }) => {
+  if (!['in_progress', 'review', 'completed'].includes(project.status)) {
+    throw new ApiError(`Disputes cannot be opened when project status is ${project.status}`, 400);
+  }
+
+  if (milestoneId && !project.milestones.id(milestoneId)) {
+    throw new ApiError('Milestone not found', 404);
+  }
+
+  // A project dispute covers every milestone, so it overlaps with any other
+  const overlapping = await Dispute.exists({
+    project: project._id,
+    status: { $in: Dispute.ACTIVE_STATUSES },
+    ...(milestoneId ? { $or: [{ milestone: null }, { milestone: milestoneId }] } : {}),
+  });
+  if (overlapping) {
+    throw new ApiError('A dispute covering this is already open', 400);
+  }
+
+  const dispute = await Dispute.create({
+    project: project._id,
+    milestone: milestoneId || undefined,
+    openedBy: user._id,
+    reason,
+    description,
+    evidence: evidence.map((item) => ({ ...item, uploadedBy: user._id })),
+    history: [{ status: 'open', changedBy: user._id }],
+  });
+
+  await ledgerService.syncProjectTotals(project._id);
+
+  await notifyParties(
+    dispute,
+    project,
+    user._id,
+    'Dispute Opened',
+    `${user.name} opened a dispute on the ${describeSubject(dispute, project)}. Payments for it are on hold until it is resolved.`
+  );
+
+  return dispute;
+};
+
+/**
+ * Add a message to the dispute discussion
+ * @param {Object} dispute - Dispute document with its project populated
+ * @param {Object} user - Author
+ * @param {Object} message - content, attachments and replyTo
+ * @returns {Promise<Object>} The new message
+ */
+const addMessage = async (dispute, user, { content, attachments = [], replyTo }) => {
+  assertActive(dispute);
+
+  if (replyTo && !dispute.messages.id(replyTo)) {
+    throw new ApiError('The message you are replying to was not found', 404);
+  }
+
+  dispute.messages.push({
+    author: user._id,
+    content,
+    attachments: attachments.map((item) => ({ ...item, uploadedBy: user._id })),
+    replyTo,
+  });
+  await dispute.save();
+
+  await notifyParties(
+    dispute,
+    dispute.project,
+    user._id,
+    'New Dispute Message',
+    `${user.name} posted in the dispute on the ${describeSubject(dispute, dispute.project)}.`
+  );
+
+  return dispute.messages[dispute.messages.length - 1];
+};
+
+/**
+ * Add evidence to a dispute
+ * @param {Object} dispute - Dispute document with its project populated
+ * @param {Object} user - User adding the evidence
+ * @param {Array} evidence - Attachments
+ * @returns {Promise<Object>} Dispute document
+ */
+const addEvidence = async (dispute, user, evidence) => {
+  assertActive(dispute);
+
+  evidence.forEach((item) => dispute.evidence.push({ ...item, uploadedBy: user._id }));
+  await dispute.save();
+
+  await notifyParties(
+    dispute,
+    dispute.project,
+    user._id,
+    'Dispute Evidence Added',
+    `${user.name} added evidence to the dispute on the ${describeSubject(dispute, dispute.project)}.`
+  );
+
+  return dispute;
+};
+
+/**
+ * Move an active dispute to another stage. The admin taking the step takes
+ * the case if nobody has.
+ * @param {Object} dispute - Dispute document with its project populated
+ * @param {Object} admin - Admin
+ * @param {String} status - open, under_review or awaiting_information
+ * @param {String} note - Note for the parties
+ * @returns {Promise<Object>} Dispute document
+ */
+const updateStatus = async (dispute, admin, status, note) => {
+  assertActive(dispute);
+
+  dispute.status = status;
+  if (!dispute.assignedTo) dispute.assignedTo = admin._id;
+  dispute.history.push({ status, note, changedBy: admin._id });
+  await dispute.save();
+
+  const labels = {
+    open: 'reopened',
+    under_review: 'under review',
+    awaiting_information: 'waiting for more information',
+  };
+
+  await notifyParties(
+    dispute,
+    dispute.project,
+    admin._id,
+    'Dispute Updated',
+    `The dispute on the ${describeSubject(dispute, dispute.project)} is ${labels[status]}.${note ? ` ${note}` : ''}`
+  );
+
+  return dispute;
+};
+
+/**
+ * Withdraw a dispute, which releases the freeze on its escrow
+ * @param {Object} dispute - Dispute document with its project populated
+ * @param {Object} user - User who opened it
+ * @returns {Promise<Object>} Dispute document
+ */
+const withdrawDispute = async (dispute, user) => {
+  assertActive(dispute);
+
+  dispute.status = 'withdrawn';
+  dispute.history.push({ status: 'withdrawn', changedBy: user._id });
+  await dispute.save();
+
+  await ledgerService.syncProjectTotals(dispute.project._id);
+
+  await notifyParties(
+    dispute,
+    dispute.project,
+    user._id,
+    'Dispute Withdrawn',
+    `${user.name} withdrew the dispute on the ${describeSubject(dispute, dispute.project)}.`
+  );
+
+  return dispute;
+};
+
+/**
+ * Work out what happens to the escrow of each disputed milestone. The
+ * client's share is refunded milestone by milestone, the rest is released.
+ * @param {Object} dispute - Dispute document with its project populated
+ * @param {Object} resolution - outcome, refundAmount in minor units (partial_refund) and clientPercent (split)
+ * @returns {Promise<Array>} Plan entries in minor units
+ */
+const planResolution = async (dispute, { outcome, refundAmount, clientPercent }) => {
+  const project = dispute.project;
+  const milestones = dispute.milestone
+    ? [project.milestones.id(dispute.milestone)].filter(Boolean)
+    : project.milestones;
+
+  const funded = [];
+  for (const milestone of milestones) {
+    const held = await ledgerService.getBalance(ledgerService.accounts.escrow(project, milestone).key);
+    if (held > 0) funded.push({ milestone: milestone._id, held });
+  }
+
+  const total = funded.reduce((sum, item) => sum + item.held, 0);
+
+  let refundTotal;
+  switch (outcome) {
+    case 'refund':
+      refundTotal = total;
+      break;
+    case 'release':
+      refundTotal = 0;
+      break;
+    case 'partial_refund':
+      refundTotal = Number(refundAmount);
+      if (!Number.isInteger(refundTotal) || refundTotal <= 0 || refundTotal > total) {
+        throw new ApiError(`Refund amount must be more than 0 and at most ${formatMoney(total, project.currency)}`, 400);
+      }
+      break;
+    case 'split':
+      refundTotal = Math.round((total * Number(clientPercent)) / 100);
+      break;
+    default:
+      throw new ApiError('Unknown resolution outcome', 400);
+  }
+
+  let remaining = refundTotal;
+  return funded.map(({ milestone, held }) => {
+    const refund = Math.min(held, remaining);
+    remaining -= refund;
+    return { milestone, refund, release: held - refund };
+  });
+};
+
+/**
+ * Resolve a dispute: refund and release the escrow it covers as decided,
+ * then lift the freeze. The plan is stored first and every money movement
+ * is idempotent, so resolving again finishes an interrupted resolution.
+ * @param {Object} dispute - Dispute document with its project populated
+ * @param {Object} admin - Admin resolving the dispute
+ * @param {Object} resolution - outcome, refundAmount, clientPercent and note
+ * @returns {Promise<Object>} Dispute document
+ */
+const resolveDispute = async (dispute, admin, resolution) => {
+  assertActive(dispute);
+
+  let claimed = dispute;
+  if (!dispute.resolution || !dispute.resolution.outcome) {
+    const plan = await planResolution(dispute, resolution);
+
+    // Only one admin can decide the outcome
+    claimed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $in: Dispute.ACTIVE_STATUSES }, 'resolution.outcome': { $exists: false } },
+      {
+        $set: {
+          resolution: {
+            outcome: resolution.outcome,
+            refunded: plan.reduce((sum, item) => sum + item.refund, 0),
+            released: plan.reduce((sum, item) => sum + item.release, 0),
+            note: resolution.note,
+            resolvedBy: admin._id,
+            plan,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new ApiError('This dispute is already being resolved', 409);
+    }
+  }
+
+  const project = dispute.project;
+
+  for (const step of claimed.resolution.plan) {
+    const milestone = project.milestones.id(step.milestone);
+
+    if (step.refund > 0) {
+      await paymentService.refundMilestone(project, milestone, admin, {
+        amount: step.refund,
+        settlingDispute: true,
+        idempotencyKey: `dispute_refund:${dispute._id}:${step.milestone}`,
+      });
+    }
+
+    if (step.release > 0) {
+      const release = await ledgerService.releaseMilestone(project, milestone, admin, { settlingDispute: true });
+      await revenueSplitService.payTeamMembers(project, release, admin);
+
+      // The freelancers have been paid for it
+      if (milestone.status !== 'completed') {
+        recordTransition(milestone, 'completed', admin, 'Completed by dispute resolution');
+        milestone.completedAt = Date.now();
+        milestone.autoApproveAt = undefined;
+      }
+    }
+  }
+
+  if (project.isModified()) {
+    await project.save();
+  }
+
+  claimed.status = 'resolved';
+  claimed.resolution.resolvedAt = Date.now();
+  claimed.history.push({ status: 'resolved', note: claimed.resolution.note, changedBy: admin._id });
+  await claimed.save();
+
+  await ledgerService.syncProjectTotals(project._id);
+
+  const { outcome, refunded, released, note } = claimed.resolution;
+  const outcomes = {
+    refund: 'fully refunded to the client',
+    partial_refund: 'partly refunded to the client',
+    release: 'released to the freelancers',
+    split: 'split between the client and the freelancers',
+  };
+
+  await notifyParties(
+    claimed,
+    project,
+    admin._id,
+    'Dispute Resolved',
+    `The dispute on the ${describeSubject(claimed, project)} has been resolved: the escrow was ${outcomes[outcome]} (${refunded} refunded, ${released} released).${note ? ` ${note}` : ''}`
+  );
+
+  return claimed;
+};
+
+module.exports = {
+  getDisputeParties,
+  openDispute,
+  addMessage,
+  addEvidence,
+  updateStatus,
+  withdrawDispute,
+  resolveDispute,
+};
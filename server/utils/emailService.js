@@ -18,6 +18,29 @@ const createTransporter = () => {
   });
 };
 
+/**
+ * Escape a value for use in email HTML
+ * @param {String} text - Raw text, e.g. a name the user entered
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Describe a token lifetime for email copy
+ * @param {Number} milliseconds - Lifetime in milliseconds
+ * @returns {String} Human readable duration, e.g. "24 hours"
+ */
+const describeExpiry = (milliseconds) => {
+  const minutes = Math.round(Number(milliseconds) / (60 * 1000));
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
 /**
  * Send an email
  * @param {Object} options - Email options
@@ -60,14 +83,14 @@ const sendVerificationEmail = async (email, name, token) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #333;">Verify Your Email</h2>
-      <p>Hello ${name},</p>
+      <p>Hello ${escapeHtml(name)},</p>
       <p>Thank you for registering with Cyber Hunter. Please verify your email address by clicking the button below:</p>
       <div style="text-align: center; margin: 30px 0;">
         <a href="${verificationUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Verify Email</a>
       </div>
       <p>If the button doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
       <p><a href="${verificationUrl}">${verificationUrl}</a></p>
-      <p>This link will expire in 24 hours.</p>
+      <p>This link will expire in ${describeExpiry(config.emailVerification.expiresIn)}.</p>
       <p>If you did not create an account, please ignore this email.</p>
       <p>Best regards,<br>The Cyber Hunter Team</p>
     </div>
@@ -93,7 +116,7 @@ const sendPasswordResetEmail = async (email, name, token) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #333;">Reset Your Password</h2>
-      <p>Hello ${name},</p>
+      <p>Hello ${escapeHtml(name)},</p>
       <p>You are receiving this email because you (or someone else) has requested to reset your password.</p>
       <p>Please click the button below to reset your password:</p>
       <div style="text-align: center; margin: 30px 0;">
@@ -101,7 +124,7 @@ const sendPasswordResetEmail = async (email, name, token) => {
       </div>
       <p>If the button doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
       <p><a href="${resetUrl}">${resetUrl}</a></p>
-      <p>This link will expire in 1 hour.</p>
+      <p>This link will expire in ${describeExpiry(config.passwordReset.expiresIn)}.</p>
       <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
       <p>Best regards,<br>The Cyber Hunter Team</p>
     </div>
@@ -114,12 +137,78 @@ const sendPasswordResetEmail = async (email, name, token) => {
   });
 };
 
+/**
+ * Send an email change confirmation to the new address
+ * @param {String} email - New email address
+ * @param {String} name - Recipient name
+ * @param {String} token - Confirmation token
+ * @returns {Promise} Email sending result
+ */
+const sendEmailChangeConfirmation = async (email, name, token) => {
+  const confirmUrl = `${process.env.CLIENT_URL}/confirm-email-change/${token}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Confirm Your New Email</h2>
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>You asked to change the email address of your Cyber Hunter account to this address. Please confirm the change by clicking the button below:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${confirmUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Confirm Email</a>
+      </div>
+      <p>If the button doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
+      <p><a href="${confirmUrl}">${confirmUrl}</a></p>
+      <p>This link will expire in ${describeExpiry(config.emailChange.expiresIn)}.</p>
+      <p>If you did not request this change, please ignore this email.</p>
+      <p>Best regards,<br>The Cyber Hunter Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Confirm Your New Email - Cyber Hunter',
+    html,
+  });
+};
+
+/**
+ * Notify the current address that an email change was requested
+ * @param {String} email - Current email address
+ * @param {String} name - Recipient name
+ * @param {String} newEmail - Requested new email address
+ * @param {String} token - Cancel token
+ * @returns {Promise} Email sending result
+ */
+const sendEmailChangeNotice = async (email, name, newEmail, token) => {
+  const cancelUrl = `${process.env.CLIENT_URL}/cancel-email-change/${token}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Email Change Requested</h2>
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>Someone asked to change the email address of your Cyber Hunter account to <strong>${escapeHtml(newEmail)}</strong>. The change will only happen once it is confirmed from the new address.</p>
+      <p>If this wasn't you, cancel the change by clicking the button below. This will also sign you out on all devices, and we recommend changing your password.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${cancelUrl}" style="background-color: #F44336; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Cancel Email Change</a>
+      </div>
+      <p>If the button doesn't work, you can also click on the link below or copy and paste it into your browser:</p>
+      <p><a href="${cancelUrl}">${cancelUrl}</a></p>
+      <p>Best regards,<br>The Cyber Hunter Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Email Change Requested - Cyber Hunter',
+    html,
+  });
+};
+
 /**
  * Send a notification email
  * @param {String} email - Recipient email
  * @param {String} name - Recipient name
  * @param {String} subject - Email subject
- * @param {String} message - Email message
+ * @param {String} message - Email message, HTML with user content escaped
  * @param {String} actionUrl - Action URL
  * @param {String} actionText - Action button text
  * @returns {Promise} Email sending result
@@ -127,8 +216,8 @@ const sendPasswordResetEmail = async (email, name, token) => {
 const sendNotificationEmail = async (email, name, subject, message, actionUrl, actionText) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #333;">${subject}</h2>
-      <p>Hello ${name},</p>
+      <h2 style="color: #333;">${escapeHtml(subject)}</h2>
+      <p>Hello ${escapeHtml(name)},</p>
       <p>${message}</p>
       ${actionUrl && actionText ? `
         <div style="text-align: center; margin: 30px 0;">
@@ -149,8 +238,11 @@ const sendNotificationEmail = async (email, name, subject, message, actionUrl, a
 };
 
 module.exports = {
+  escapeHtml,
   sendEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
   sendNotificationEmail,
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const config = require('../config/config');
+const ExchangeRate = require('../models/exchangeRate.model');
+const { ApiError } = require('./errorHandler');
+const { currencyExponent } = require('./money');
+
+/**
+ * Load the exchange rate table, including the platform currency itself
+ * @returns {Promise<Map>} Rates by currency, per unit of the platform currency
+ */
+const getRates = async () => {
+  const rates = new Map((await ExchangeRate.find()).map((item) => [item.currency, item.rate]));
+  rates.set(config.payments.currency, 1);
+  return rates;
+};
+
+/**
+ * Make sure projects can use a currency: the platform currency or one with
+ * an exchange rate
+ * @param {String} currency - Currency code
+ */
+const assertSupportedCurrency = async (currency) => {
+  if (currency === config.payments.currency) return;
+
+  if (!(await ExchangeRate.exists({ currency }))) {
+    throw new ApiError(`Currency ${currency} is not supported`, 400);
+  }
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {Number} amount - Amount in minor units of the source currency
+ * @param {String} from - Source currency
+ * @param {String} to - Target currency
+ * @param {Map} rates - Rates from getRates
+ * @returns {Number} Amount in minor units of the target currency
+ */
+const convert = (amount, from, to, rates) => {
+  if (from === to) return amount;
+
+  if (!rates.has(from) || !rates.has(to)) {
+    throw new ApiError(`No exchange rate for ${rates.has(from) ? to : from}`, 400);
+  }
+
+  const major = amount / 10 ** currencyExponent(from);
+  const converted = (major / rates.get(from)) * rates.get(to);
+
+  return Math.round(converted * 10 ** currencyExponent(to));
+};
+
+/**
+ * Add up amounts in several currencies in one currency. Currencies without
+ * a rate are left out and listed, so reports still work when one is removed.
+ * @param {Array} amounts - Items as { currency, amount } in minor units
+ * @param {String} to - Target currency
+ * @param {Map} rates - Rates from getRates
+ * @returns {Object} total in minor units of the target currency, and unconverted currencies
+ */
+const sumConverted = (amounts, to, rates) => {
+  const unconverted = new Set();
+
+  const total = amounts.reduce((sum, { currency, amount }) => {
+    const from = currency || config.payments.currency;
+    if (!rates.has(from)) {
+      unconverted.add(from);
+      return sum;
+    }
+    return sum + convert(amount || 0, from, to, rates);
+  }, 0);
+
+  return { total, unconverted: [...unconverted] };
+};
+
+module.exports = {
+  getRates,
+  assertSupportedCurrency,
+  convert,
+  sumConverted,
+};
@@ -0,0 +1,303 @@
+const config = require('../config/config');
+const Invoice = require('../models/invoice.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const Team = require('../models/team.model');
+const User = require('../models/user.model');
+const ledgerService = require('./ledgerService');
+const { createPdf } = require('./pdfDocument');
+const { formatMoney } = require('./money');
+
+const idOf = (value) => String(value._id || value);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Split a release transaction into what it paid the freelancers and what
+ * the platform kept
+ * @param {Object} transaction - milestone_release transaction
+ * @returns {Object} gross, fee and the payee account keys
+ */
+const summarizeRelease = (transaction) => {
+  const feeKey = ledgerService.accounts.platformFees(transaction.currency).key;
+  let gross = 0;
+  let fee = 0;
+  const payeeKeys = [];
+
+  transaction.entries.forEach((entry) => {
+    if (entry.amount < 0) {
+      gross -= entry.amount;
+    } else if (entry.account === feeKey) {
+      fee += entry.amount;
+    } else {
+      payeeKeys.push(entry.account);
+    }
+  });
+
+  return { gross, fee, payeeKeys };
+};
+
+/**
+ * Names of the users and teams behind payee account keys (user:<id>, team:<id>)
+ * @param {Array} keys - Account keys
+ * @returns {Promise<Array>} Payees as { name, user } or { name, team }
+ */
+const findPayees = async (keys) => {
+  const ids = { user: [], team: [] };
+  [...new Set(keys)].forEach((key) => {
+    const [type, id] = key.split(':');
+    if (ids[type]) ids[type].push(id);
+  });
+
+  const users = await User.find({ _id: { $in: ids.user } }).select('name');
+  const teams = await Team.find({ _id: { $in: ids.team } }).select('name');
+
+  return [
+    ...teams.map((team) => ({ name: team.name, team: team._id })),
+    ...users.map((user) => ({ name: user.name, user: user._id })),
+  ];
+};
+
+/**
+ * Cut a text into lines of at most the given number of characters
+ * @param {String} text - Text
+ * @param {Number} width - Characters per line
+ * @returns {Array} Lines
+ */
+const wrapText = (text, width) => {
+  const lines = [];
+  let line = '';
+
+  String(text || '').split(/\s+/).forEach((word) => {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = '';
+    }
+    line = line ? `${line} ${word}` : word.slice(0, width);
+  });
+
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document or attributes
+ * @returns {Buffer} PDF file
+ */
+const renderInvoicePdf = (invoice) => {
+  const pdf = createPdf();
+  const { issuer } = config.invoices;
+  const { currency } = invoice;
+  const left = 50;
+  const right = pdf.width - 50;
+  let y = 60;
+
+  pdf.text('INVOICE', left, y, { font: 'bold', size: 22 });
+  pdf.text('PAID', right, y, { font: 'monoBold', size: 16, align: 'right' });
+
+  y += 30;
+  pdf.text(`Invoice number: ${invoice.number}`, left, y);
+  pdf.text(`Date: ${formatDate(invoice.issuedAt)}`, left, (y += 14));
+  pdf.text(`Project: ${invoice.projectTitle}`, left, (y += 14));
+
+  // Issuer and client side by side
+  y += 30;
+  const column = left + 260;
+  pdf.text('From', left, y, { font: 'bold' });
+  pdf.text('Bill to', column, y, { font: 'bold' });
+
+  const from = [issuer.name, ...wrapText(issuer.address, 45)];
+  if (issuer.taxId) from.push(`Tax ID: ${issuer.taxId}`);
+  from.push(`On behalf of: ${invoice.payees.map((payee) => payee.name).join(', ')}`);
+
+  const billTo = [invoice.billTo.companyName, invoice.billTo.name, invoice.billTo.email].filter(Boolean);
+  if (invoice.billTo.industry) billTo.push(`Industry: ${invoice.billTo.industry}`);
+
+  const detailLines = Math.max(from.length, billTo.length);
+  for (let index = 0; index < detailLines; index += 1) {
+    y += 14;
+    if (from[index]) pdf.text(from[index], left, y);
+    if (billTo[index]) pdf.text(billTo[index], column, y);
+  }
+
+  // Line items
+  y += 36;
+  pdf.text('Description', left, y, { font: 'bold' });
+  pdf.text('Amount', right, y, { font: 'monoBold', align: 'right' });
+  pdf.line(left, y + 6, right, y + 6);
+  y += 8;
+
+  invoice.lineItems.forEach((item) => {
+    const lines = wrapText(item.description, 70);
+
+    if (y + lines.length * 14 > pdf.height - 150) {
+      pdf.addPage();
+      y = 60;
+    }
+
+    lines.forEach((line, index) => {
+      y += 14;
+      pdf.text(line, left, y);
+      if (index === 0) pdf.text(formatMoney(item.amount, currency), right, y, { font: 'mono', align: 'right' });
+    });
+  });
+
+  // Totals
+  y += 10;
+  pdf.line(left + 260, y, right, y);
+
+  const totals = [
+    ['Subtotal', invoice.subtotal],
+    [`${invoice.taxLabel} (${invoice.taxRate}%)`, invoice.tax],
+  ];
+  totals.forEach(([label, amount]) => {
+    pdf.text(label, left + 260, (y += 16));
+    pdf.text(formatMoney(amount, currency), right, y, { font: 'mono', align: 'right' });
+  });
+
+  pdf.text('Total', left + 260, (y += 20), { font: 'bold', size: 12 });
+  pdf.text(formatMoney(invoice.total, currency), right, y, { font: 'monoBold', size: 12, align: 'right' });
+
+  y += 30;
+  pdf.text(
+    `Paid from escrow. Amounts include ${invoice.taxLabel.toLowerCase()}. ` +
+      `The platform fee of ${formatMoney(invoice.platformFee, currency)} is included above.`,
+    left,
+    y,
+    { size: 8 }
+  );
+
+  return pdf.toBuffer();
+};
+
+/**
+ * Issue an invoice for release transactions that have none yet. The number
+ * is the next one of the year: it is taken only when the invoice is stored,
+ * and the unique index on year and sequence makes a concurrent invoice try
+ * the next one, so numbers never skip.
+ * @param {Object} project - Project document
+ * @param {String} kind - milestone or project
+ * @param {Array} transactions - Release transactions to invoice
+ * @param {Object} milestone - Milestone of a milestone invoice
+ * @returns {Promise<Object|null>} Invoice document, or null when there is nothing to invoice
+ */
+const issueInvoice = async (project, kind, transactions, milestone) => {
+  const invoiced = await Invoice.find({ ledgerTransactions: { $in: transactions.map((t) => t._id) } }).select(
+    'ledgerTransactions'
+  );
+  const invoicedIds = new Set(invoiced.flatMap((invoice) => invoice.ledgerTransactions.map(String)));
+  const pending = transactions.filter((transaction) => !invoicedIds.has(String(transaction._id)));
+
+  if (pending.length === 0) {
+    return kind === 'milestone' && invoiced.length > 0 ? Invoice.findById(invoiced[0]._id) : null;
+  }
+
+  const client = await User.findById(idOf(project.client)).select('name email companyName industry');
+
+  let total = 0;
+  let platformFee = 0;
+  const payeeKeys = [];
+  const lineItems = [];
+
+  pending.forEach((transaction) => {
+    const release = summarizeRelease(transaction);
+    const item = project.milestones.id(transaction.milestone);
+
+    total += release.gross;
+    platformFee += release.fee;
+    payeeKeys.push(...release.payeeKeys);
+
+    lineItems.push({
+      description: `Milestone "${item ? item.title : transaction.description}"`,
+      milestone: transaction.milestone,
+      amount: release.gross - release.fee,
+    });
+  });
+
+  if (platformFee > 0) {
+    lineItems.push({ description: 'Platform service fee', amount: platformFee });
+  }
+
+  const taxRate = Number(config.invoices.taxRate);
+  const tax = Math.round((total * taxRate) / (100 + taxRate));
+
+  const attributes = {
+    kind,
+    project: project._id,
+    milestone: milestone ? milestone._id : undefined,
+    projectTitle: project.title,
+    client: client ? client._id : idOf(project.client),
+    billTo: client
+      ? { name: client.name, email: client.email, companyName: client.companyName, industry: client.industry }
+      : {},
+    payees: await findPayees(payeeKeys),
+    lineItems,
+    subtotal: total - tax,
+    platformFee,
+    taxLabel: config.invoices.taxLabel,
+    taxRate,
+    tax,
+    total,
+    currency: pending[0].currency,
+    issuedAt: new Date(),
+    ledgerTransactions: pending.map((transaction) => transaction._id),
+  };
+
+  const year = attributes.issuedAt.getUTCFullYear();
+
+  for (;;) {
+    const last = await Invoice.findOne({ year }).sort({ sequence: -1 }).select('sequence');
+    const sequence = last ? last.sequence + 1 : 1;
+    const number = `${config.invoices.prefix}-${year}-${String(sequence).padStart(4, '0')}`;
+
+    const invoice = new Invoice({ ...attributes, year, sequence, number });
+    invoice.pdf = renderInvoicePdf(invoice);
+
+    try {
+      await invoice.save();
+      return invoice;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Someone else invoiced these releases in the meantime
+      if (error.keyPattern && error.keyPattern.ledgerTransactions) {
+        return Invoice.findOne({ ledgerTransactions: attributes.ledgerTransactions[0] });
+      }
+      // Otherwise the number was just taken: try the next one
+    }
+  }
+};
+
+/**
+ * Invoice the payment released for a completed milestone
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @returns {Promise<Object|null>} Invoice, or null when nothing was paid for the milestone
+ */
+const invoiceMilestone = async (project, milestone) => {
+  const transaction = await LedgerTransaction.findOne({ idempotencyKey: `milestone_release:${milestone._id}` });
+  if (!transaction) return null;
+
+  return issueInvoice(project, 'milestone', [transaction], milestone);
+};
+
+/**
+ * Invoice every payment released on a project that has no invoice yet,
+ * e.g. releases settled by a dispute or whose milestone invoice failed
+ * @param {Object} project - Project document
+ * @returns {Promise<Object|null>} Invoice, or null when everything was invoiced
+ */
+const invoiceProject = async (project) => {
+  const transactions = await LedgerTransaction.find({ project: project._id, type: 'milestone_release' }).sort({
+    createdAt: 1,
+  });
+  if (transactions.length === 0) return null;
+
+  return issueInvoice(project, 'project', transactions);
+};
+
+module.exports = {
+  renderInvoicePdf,
+  invoiceMilestone,
+  invoiceProject,
+};
@@ -0,0 +1,73 @@
+/**
+ * Runs background jobs of the server on fixed intervals. A job is skipped
+ * while its previous run is still going, and a failed run is logged and
+ * tried again at the next interval.
+ */
+const jobs = new Map();
+
+/**
+ * Add a job
+ * @param {String} name - Job name, used in logs
+ * @param {Number} interval - Milliseconds between runs
+ * @param {Function} run - Async function doing the work
+ */
+const registerJob = (name, interval, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  jobs.set(name, { name, interval: Number(interval), run, running: false, timer: null });
+};
+
+/**
+ * Run a job now, unless it is still running
+ * @param {String} name - Job name
+ * @returns {Promise<*>} Result of the job, undefined if skipped or failed
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+  if (job.running) return undefined;
+
+  job.running = true;
+  try {
+    return await job.run();
+  } catch (error) {
+    console.error(`Job ${name} error:`, error);
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start running every registered job on its interval
+ */
+const startJobs = () => {
+  jobs.forEach((job) => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => runJob(job.name), job.interval);
+    // Do not keep the process alive just for this
+    job.timer.unref();
+  });
+};
+
+/**
+ * Stop running the jobs. Runs in progress finish.
+ */
+const stopJobs = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,862 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Dispute = require('../models/dispute.model');
+const LedgerAccount = require('../models/ledgerAccount.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const Project = require('../models/project.model');
+const Team = require('../models/team.model');
+const { ApiError } = require('./errorHandler');
+const { splitEvenly } = require('./money');
+const { getRates, sumConverted } = require('./exchangeRates');
+
+const idOf = (value) => String(value._id || value);
+
+// Accounts hold one currency. Those in the platform currency keep the keys
+// they had before projects could use other currencies (user:<id>), the
+// others carry the currency (user:<id>:EUR).
+const suffix = (currency = config.payments.currency) => (currency === config.payments.currency ? '' : `:${currency}`);
+
+/**
+ * Ledger accounts by purpose. Each returns the key and the attributes the
+ * account is created with the first time money moves through it.
+ */
+const accounts = {
+  // Money a client pays in from outside the platform
+  funding: (clientId, currency) => ({
+    key: `funding:${idOf(clientId)}${suffix(currency)}`,
+    type: 'funding',
+    owner: idOf(clientId),
+    ownerModel: 'User',
+    allowNegative: true,
+  }),
+  // Money held for one milestone until it is released or refunded
+  escrow: (project, milestone) => ({
+    key: `escrow:${idOf(project)}:${idOf(milestone)}`,
+    type: 'escrow',
+    project: idOf(project),
+    milestone: idOf(milestone),
+  }),
+  user: (userId, currency) => ({
+    key: `user:${idOf(userId)}${suffix(currency)}`,
+    type: 'user',
+    owner: idOf(userId),
+    ownerModel: 'User',
+  }),
+  team: (teamId, currency) => ({
+    key: `team:${idOf(teamId)}${suffix(currency)}`,
+    type: 'team',
+    owner: idOf(teamId),
+    ownerModel: 'Team',
+  }),
+  // Money paid out of the platform to a user's bank or provider account
+  payout: (userId, currency) => ({
+    key: `payout:${idOf(userId)}${suffix(currency)}`,
+    type: 'payout',
+    owner: idOf(userId),
+    ownerModel: 'User',
+  }),
+  platformFees: (currency) => ({
+    key: `platform:fees${suffix(currency)}`,
+    type: 'platform',
+  }),
+};
+
+/**
+ * Get the balance of an account
+ * @param {String} key - Account key
+ * @returns {Promise<Number>} Balance in minor units
+ */
+const getBalance = async (key) => {
+  const account = await LedgerAccount.findOne({ key });
+  return account ? account.balance : 0;
+};
+
+/**
+ * Create the account of an entry the first time money moves through it, and
+ * check it holds the transaction currency
+ * @param {Object} descriptor - Account descriptor
+ * @param {String} currency - Transaction currency
+ */
+const ensureAccount = async ({ key, ...attributes }, currency) => {
+  const account = await LedgerAccount.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { ...attributes, currency } },
+    { upsert: true, new: true }
+  );
+
+  if (account.currency !== currency) {
+    throw new ApiError(`Ledger account ${key} is held in ${account.currency}`, 400);
+  }
+};
+
+/**
+ * Apply one entry of a pending transaction to its account. Debits only go
+ * through when the account holds enough, unless the account may go
+ * negative. An entry that was already applied is skipped.
+ * @param {Object} transaction - Pending transaction
+ * @param {Object} entry - Entry with the account key and signed amount
+ */
+const applyEntry = async (transaction, { account: key, amount }) => {
+  const account = await LedgerAccount.findOne({ key });
+
+  const filter = { key, pendingTransactions: { $ne: transaction._id } };
+  if (amount < 0 && !account.allowNegative) {
+    filter.balance = { $gte: -amount };
+  }
+
+  const result = await LedgerAccount.updateOne(filter, {
+    $inc: { balance: amount },
+    $push: { pendingTransactions: transaction._id },
+  });
+  if (result.modifiedCount > 0) return;
+
+  // Applied by an earlier, interrupted attempt
+  if (await LedgerAccount.exists({ key, pendingTransactions: transaction._id })) return;
+
+  throw new ApiError('Insufficient funds', 400);
+};
+
+/**
+ * Apply the entries of a pending transaction and mark it posted. When an
+ * entry cannot be applied, the entries applied so far are undone and the
+ * transaction is removed.
+ * @param {Object} transaction - Pending transaction
+ * @returns {Promise<Object>} Posted transaction
+ */
+const settleTransaction = async (transaction) => {
+  const keys = transaction.entries.map((entry) => entry.account);
+
+  // Debits first, so a short balance stops the transaction before anything is credited
+  const ordered = [...transaction.entries].sort((a, b) => a.amount - b.amount);
+
+  try {
+    for (const entry of ordered) {
+      await applyEntry(transaction, entry);
+    }
+  } catch (error) {
+    // Undo the entries that were applied, in this attempt or an earlier one
+    for (const entry of ordered) {
+      await LedgerAccount.updateOne(
+        { key: entry.account, pendingTransactions: transaction._id },
+        { $inc: { balance: -entry.amount }, $pull: { pendingTransactions: transaction._id } }
+      );
+    }
+    await LedgerTransaction.deleteOne({ _id: transaction._id, status: 'pending' });
+
+    throw error;
+  }
+
+  // Posted before the markers are cleared, so no entry can be applied twice
+  await LedgerTransaction.updateOne({ _id: transaction._id, status: 'pending' }, { $set: { status: 'posted' } });
+  await LedgerAccount.updateMany({ key: { $in: keys } }, { $pull: { pendingTransactions: transaction._id } });
+
+  transaction.status = 'posted';
+  return transaction;
+};
+
+/**
+ * Whether a pending transaction was left behind by an attempt that stopped,
+ * rather than one still running
+ * @param {Object} transaction - Pending transaction
+ * @param {Date} now - Current time
+ * @returns {Boolean} True if it can be settled by someone else
+ */
+const isStalled = (transaction, now = new Date()) =>
+  now - new Date(transaction.createdAt) >= Number(config.payments.pendingTransactionTimeout);
+
+/**
+ * Post a balanced transaction to the ledger. The transaction is stored as
+ * pending first, which reserves its idempotency key, then its entries are
+ * applied and it is marked posted. Posting again with an idempotency key
+ * that was already used returns the first transaction.
+ * @param {Object} options - Transaction details
+ * @param {String} options.type - Transaction type
+ * @param {Array} options.entries - Entries as { account: descriptor, amount } in minor units
+ * @param {String} options.idempotencyKey - Key identifying the operation
+ * @returns {Promise<Object>} Transaction document
+ */
+const postTransaction = async ({
+  type,
+  entries,
+  currency = config.payments.currency,
+  project,
+  milestone,
+  timesheet,
+  description,
+  createdBy,
+  idempotencyKey,
+}) => {
+  // The operation was recorded before; finish it if its attempt stopped
+  const resume = async () => {
+    const existing = await LedgerTransaction.findOne({ idempotencyKey, status: LedgerTransaction.ANY_STATUS });
+    if (!existing || existing.status !== 'pending') return existing;
+
+    if (!isStalled(existing)) {
+      throw new ApiError('This payment operation is already in progress', 409);
+    }
+    return settleTransaction(existing);
+  };
+
+  if (idempotencyKey) {
+    const existing = await resume();
+    if (existing) return existing;
+  }
+
+  const transaction = new LedgerTransaction({
+    type,
+    entries: entries.map(({ account, amount }) => ({ account: account.key, amount })),
+    currency,
+    project,
+    milestone,
+    timesheet,
+    description,
+    createdBy,
+    idempotencyKey,
+    status: 'pending',
+  });
+
+  // Reject unbalanced transactions before any balance moves
+  await transaction.validate();
+
+  for (const { account } of entries) {
+    await ensureAccount(account, currency);
+  }
+
+  try {
+    await transaction.save();
+  } catch (error) {
+    // Someone else recorded the same operation in the meantime
+    if (error.code === 11000 && idempotencyKey) {
+      return resume();
+    }
+    throw error;
+  }
+
+  return settleTransaction(transaction);
+};
+
+/**
+ * Settle the pending transactions whose attempt stopped, e.g. because the
+ * server restarted half way through
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of transactions posted
+ */
+const settleStalledTransactions = async (now = new Date()) => {
+  const pending = await LedgerTransaction.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(now - Number(config.payments.pendingTransactionTimeout)) },
+  });
+
+  let posted = 0;
+  for (const transaction of pending) {
+    try {
+      await settleTransaction(transaction);
+      posted += 1;
+    } catch (error) {
+      console.error(`Stalled ledger transaction ${transaction._id} was rolled back:`, error.message);
+    }
+  }
+
+  return posted;
+};
+
+/**
+ * Who gets paid when a milestone is released: the assigned team, or else
+ * the assigned freelancers in equal shares
+ * @param {Object} project - Project document
+ * @returns {Array} Account descriptors
+ */
+const getPayeeAccounts = (project) => {
+  if (project.assignedTeam) {
+    return [accounts.team(project.assignedTeam, project.currency)];
+  }
+
+  return (project.assignedFreelancers || []).map((freelancer) => accounts.user(freelancer, project.currency));
+};
+
+const countTransactions = (milestone, type) => {
+  return LedgerTransaction.countDocuments({ milestone: idOf(milestone), type });
+};
+
+/**
+ * Make sure no active dispute covers the escrow of a milestone, either a
+ * dispute on the milestone itself or on the whole project
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ */
+const assertEscrowNotFrozen = async (project, milestone) => {
+  const frozen = await Dispute.exists({
+    project: project._id,
+    status: { $in: Dispute.ACTIVE_STATUSES },
+    $or: [{ milestone: null }, { milestone: milestone._id }],
+  });
+
+  if (frozen) {
+    throw new ApiError('Payments for this milestone are on hold while a dispute is open', 409);
+  }
+};
+
+/**
+ * Recalculate the amount paid out on a project (milestone releases and
+ * timesheet charges) from the ledger, and its
+ * payment status from that and any active dispute
+ * @param {String} projectId - Project ID
+ * @returns {Promise<Object>} totalPaid (minor units) and paymentStatus
+ */
+const syncProjectTotals = async (projectId) => {
+  const project = await Project.findById(projectId).select('status');
+  if (!project) return null;
+
+  const [released] = await LedgerTransaction.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(idOf(projectId)),
+        type: { $in: ['milestone_release', 'timesheet_charge'] },
+      },
+    },
+    { $unwind: '$entries' },
+    { $match: { 'entries.amount': { $lt: 0 } } },
+    { $group: { _id: null, total: { $sum: '$entries.amount' } } },
+  ]);
+
+  const totalPaid = released ? -released.total : 0;
+
+  const disputed = await Dispute.exists({ project: project._id, status: { $in: Dispute.ACTIVE_STATUSES } });
+
+  let paymentStatus;
+  if (disputed) {
+    paymentStatus = 'disputed';
+  } else if (project.status === 'completed') {
+    paymentStatus = 'completed';
+  } else {
+    paymentStatus = totalPaid > 0 ? 'milestone_payment' : 'not_started';
+  }
+
+  await Project.updateOne({ _id: project._id }, { $set: { totalPaid, paymentStatus } });
+
+  return { totalPaid, paymentStatus };
+};
+
+/**
+ * Recalculate a team's total earnings from the milestone payments it
+ * received, in the platform currency
+ * @param {String} teamId - Team ID
+ * @returns {Promise<Number>} Total earnings in minor units
+ */
+const syncTeamEarnings = async (teamId) => {
+  const keys = await LedgerAccount.find({ type: 'team', owner: idOf(teamId) }).distinct('key');
+
+  const earned = await LedgerTransaction.aggregate([
+    { $match: { type: 'milestone_release', 'entries.account': { $in: keys } } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': { $in: keys }, 'entries.amount': { $gt: 0 } } },
+    { $group: { _id: '$currency', amount: { $sum: '$entries.amount' } } },
+  ]);
+
+  const { total: totalEarnings } = sumConverted(
+    earned.map((item) => ({ currency: item._id, amount: item.amount })),
+    config.payments.currency,
+    await getRates()
+  );
+  await Team.updateOne({ _id: idOf(teamId) }, { $set: { totalEarnings } });
+
+  return totalEarnings;
+};
+
+/**
+ * Move the amount of a milestone from the client into escrow
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - User funding the milestone
+ * @param {Object} options - Options
+ * @param {String} options.idempotencyKey - Key of the payment behind the funding
+ * @returns {Promise<Object>} Funding transaction
+ */
+const fundMilestone = async (project, milestone, user, { idempotencyKey } = {}) => {
+  // The same payment only ever funds once
+  if (idempotencyKey) {
+    const existing = await LedgerTransaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  const amount = milestone.amount || 0;
+
+  if (amount <= 0) {
+    throw new ApiError('Milestone has no amount to fund', 400);
+  }
+  if (milestone.status === 'completed') {
+    throw new ApiError('Milestone is already completed', 400);
+  }
+
+  const escrow = accounts.escrow(project, milestone);
+  if ((await getBalance(escrow.key)) > 0) {
+    throw new ApiError('Milestone is already funded', 400);
+  }
+
+  // A milestone can be funded again after a refund
+  const round = await countTransactions(milestone, 'milestone_funding');
+
+  const transaction = await postTransaction({
+    type: 'milestone_funding',
+    entries: [
+      { account: accounts.funding(project.client, project.currency), amount: -amount },
+      { account: escrow, amount },
+    ],
+    currency: project.currency,
+    project: project._id,
+    milestone: milestone._id,
+    description: `Funding for milestone "${milestone.title}"`,
+    createdBy: user._id,
+    idempotencyKey: idempotencyKey || `milestone_funding:${milestone._id}:${round}`,
+  });
+
+  await syncProjectTotals(project._id);
+
+  return transaction;
+};
+
+/**
+ * Release the escrow of a milestone to the assigned team or freelancers,
+ * less the platform fee
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - User releasing the payment
+ * @param {Object} options - Options
+ * @param {Boolean} options.settlingDispute - Release as part of a dispute resolution
+ * @returns {Promise<Object|null>} Release transaction, or null when the milestone was never funded
+ */
+const releaseMilestone = async (project, milestone, user, { settlingDispute = false } = {}) => {
+  const idempotencyKey = `milestone_release:${milestone._id}`;
+  const escrow = accounts.escrow(project, milestone);
+  const held = await getBalance(escrow.key);
+
+  // Nothing left to release: either it already was, or it was never funded
+  if (held <= 0) {
+    return LedgerTransaction.findOne({ idempotencyKey });
+  }
+
+  if (!settlingDispute) {
+    await assertEscrowNotFrozen(project, milestone);
+  }
+
+  const payees = getPayeeAccounts(project);
+  if (payees.length === 0) {
+    throw new ApiError('The project has no assigned freelancers or team to pay', 400);
+  }
+
+  const fee = Math.round((held * Number(config.payments.platformFeePercent)) / 100);
+  const shares = splitEvenly(held - fee, payees.length);
+
+  const entries = [
+    { account: escrow, amount: -held },
+    ...payees.map((account, index) => ({ account, amount: shares[index] })),
+    { account: accounts.platformFees(project.currency), amount: fee },
+  ].filter((entry) => entry.amount !== 0);
+
+  const transaction = await postTransaction({
+    type: 'milestone_release',
+    entries,
+    currency: project.currency,
+    project: project._id,
+    milestone: milestone._id,
+    description: `Payment for milestone "${milestone.title}"`,
+    createdBy: user._id,
+    idempotencyKey,
+  });
+
+  await syncProjectTotals(project._id);
+  if (project.assignedTeam) {
+    await syncTeamEarnings(project.assignedTeam);
+  }
+
+  return transaction;
+};
+
+/**
+ * Pass a milestone payment from the team's account on to its members
+ * @param {Object} project - Project document
+ * @param {Object} release - milestone_release transaction that paid the team
+ * @param {Array} shares - Shares as { user, amount } in minor units
+ * @param {Object} user - User releasing the payment
+ * @returns {Promise<Object>} Distribution transaction
+ */
+const distributeTeamPayment = (project, release, shares, user) => {
+  const total = shares.reduce((sum, share) => sum + share.amount, 0);
+
+  const entries = [
+    { account: accounts.team(project.assignedTeam, project.currency), amount: -total },
+    ...shares.map((share) => ({ account: accounts.user(share.user, project.currency), amount: share.amount })),
+  ].filter((entry) => entry.amount !== 0);
+
+  return postTransaction({
+    type: 'team_distribution',
+    entries,
+    currency: project.currency,
+    project: project._id,
+    milestone: release.milestone,
+    description: release.description,
+    createdBy: user._id,
+    idempotencyKey: `team_distribution:${release._id}`,
+  });
+};
+
+/**
+ * Charge the client for an approved timesheet and pay the freelancer, less
+ * the platform fee. Hourly work is not held in escrow.
+ * @param {Object} timesheet - Approved timesheet
+ * @param {Object} project - Project document
+ * @param {Object} user - User approving the timesheet
+ * @returns {Promise<Object|null>} Charge transaction, or null when nothing is billable
+ */
+const chargeTimesheet = async (timesheet, project, user) => {
+  if (timesheet.amount <= 0) return null;
+
+  const fee = Math.round((timesheet.amount * Number(config.payments.platformFeePercent)) / 100);
+
+  const entries = [
+    { account: accounts.funding(project.client, timesheet.currency), amount: -timesheet.amount },
+    { account: accounts.user(timesheet.freelancer, timesheet.currency), amount: timesheet.amount - fee },
+    { account: accounts.platformFees(timesheet.currency), amount: fee },
+  ].filter((entry) => entry.amount !== 0);
+
+  const transaction = await postTransaction({
+    type: 'timesheet_charge',
+    entries,
+    currency: timesheet.currency,
+    project: project._id,
+    timesheet: timesheet._id,
+    description: `Timesheet for the week of ${timesheet.weekStart.toISOString().slice(0, 10)}`,
+    createdBy: user._id,
+    idempotencyKey: `timesheet_charge:${timesheet._id}`,
+  });
+
+  await syncProjectTotals(project._id);
+
+  return transaction;
+};
+
+/**
+ * Return the escrow of a milestone to the client
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - User requesting the refund
+ * @param {Object} options - Options
+ * @param {Number} options.amount - Part of the escrow to refund in minor units, all of it by default
+ * @param {Boolean} options.settlingDispute - Refund as part of a dispute resolution
+ * @param {String} options.idempotencyKey - Key identifying the refund
+ * @returns {Promise<Object>} Refund transaction
+ */
+const refundMilestone = async (project, milestone, user, { amount, settlingDispute = false, idempotencyKey } = {}) => {
+  if (idempotencyKey) {
+    const existing = await LedgerTransaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  const escrow = accounts.escrow(project, milestone);
+  const held = await getBalance(escrow.key);
+
+  if (held <= 0) {
+    throw new ApiError('Nothing is held in escrow for this milestone', 400);
+  }
+  if (!settlingDispute) {
+    await assertEscrowNotFrozen(project, milestone);
+  }
+
+  const refund = amount === undefined ? held : amount;
+  if (!Number.isInteger(refund) || refund <= 0 || refund > held) {
+    throw new ApiError('Refund amount must be more than zero and at most what escrow holds', 400);
+  }
+
+  const round = await countTransactions(milestone, 'milestone_refund');
+
+  const transaction = await postTransaction({
+    type: 'milestone_refund',
+    entries: [
+      { account: escrow, amount: -refund },
+      { account: accounts.funding(project.client, project.currency), amount: refund },
+    ],
+    currency: project.currency,
+    project: project._id,
+    milestone: milestone._id,
+    description: `Refund for milestone "${milestone.title}"`,
+    createdBy: user._id,
+    idempotencyKey: idempotencyKey || `milestone_refund:${milestone._id}:${round}`,
+  });
+
+  await syncProjectTotals(project._id);
+
+  return transaction;
+};
+
+/**
+ * Refund every milestone of a project that still holds money in escrow,
+ * e.g. when the project is cancelled or deleted
+ * @param {Object} project - Project document
+ * @param {Object} user - User cancelling the project
+ * @returns {Promise<Array>} Refund transactions
+ */
+const refundProjectEscrow = async (project, user) => {
+  const transactions = [];
+
+  for (const milestone of project.milestones || []) {
+    if ((await getBalance(accounts.escrow(project, milestone).key)) > 0) {
+      transactions.push(await refundMilestone(project, milestone, user));
+    }
+  }
+
+  return transactions;
+};
+
+/**
+ * Move money from a user's account out of the platform
+ * @param {Object} user - User being paid out
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency of the account paid out from
+ * @param {String} idempotencyKey - Key of the payout
+ * @returns {Promise<Object>} Payout transaction
+ */
+const payOut = (user, amount, currency, idempotencyKey) => {
+  return postTransaction({
+    type: 'payout',
+    entries: [
+      { account: accounts.user(user, currency), amount: -amount },
+      { account: accounts.payout(user, currency), amount },
+    ],
+    currency,
+    description: 'Payout',
+    createdBy: user._id,
+    idempotencyKey,
+  });
+};
+
+/**
+ * Return a failed payout to the user's account
+ * @param {Object} user - User the payout was for
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency of the payout
+ * @param {String} idempotencyKey - Key of the reversal
+ * @returns {Promise<Object>} Reversal transaction
+ */
+const reversePayout = (user, amount, currency, idempotencyKey) => {
+  return postTransaction({
+    type: 'payout_reversal',
+    entries: [
+      { account: accounts.payout(user, currency), amount: -amount },
+      { account: accounts.user(user, currency), amount },
+    ],
+    currency,
+    description: 'Failed payout returned',
+    idempotencyKey,
+  });
+};
+
+/**
+ * Payment summary of a project: for each milestone the amount funded,
+ * released and refunded so far and what escrow still holds
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} Summary in minor units
+ */
+const getProjectSummary = async (project) => {
+  const transactions = await LedgerTransaction.find({ project: project._id });
+  let inEscrow = 0;
+
+  const milestones = project.milestones.map((milestone) => {
+    const escrowKey = accounts.escrow(project, milestone).key;
+    const totals = { milestone_funding: 0, milestone_release: 0, milestone_refund: 0 };
+
+    transactions
+      .filter((transaction) => String(transaction.milestone) === String(milestone._id))
+      .forEach((transaction) => {
+        transaction.entries
+          .filter((entry) => entry.account === escrowKey)
+          .forEach((entry) => {
+            totals[transaction.type] += Math.abs(entry.amount);
+          });
+      });
+
+    const held = totals.milestone_funding - totals.milestone_release - totals.milestone_refund;
+    inEscrow += held;
+
+    return {
+      _id: milestone._id,
+      title: milestone.title,
+      status: milestone.status,
+      amount: milestone.amount || 0,
+      funded: totals.milestone_funding,
+      released: totals.milestone_release,
+      refunded: totals.milestone_refund,
+      inEscrow: held,
+    };
+  });
+
+  return {
+    currency: project.currency,
+    totalPaid: project.totalPaid,
+    inEscrow,
+    paymentStatus: project.paymentStatus,
+    milestones,
+  };
+};
+
+// Transactions that pay a user for their work
+const EARNING_TYPES = ['milestone_release', 'timesheet_charge', 'team_distribution'];
+
+/**
+ * Earnings of a user from milestone releases and approved timesheets: what
+ * was credited to their own accounts, net of the platform fee
+ * @param {String} userId - User ID
+ * @param {Object} period - Optional from date and to date (exclusive)
+ * @returns {Promise<Object>} Entries, and totals by currency, project and month, in minor units
+ */
+const getEarnings = async (userId, { from, to } = {}) => {
+  const keys = await LedgerAccount.find({ type: 'user', owner: idOf(userId) }).distinct('key');
+
+  const query = { type: { $in: EARNING_TYPES }, 'entries.account': { $in: keys } };
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lt = new Date(to);
+  }
+
+  const transactions = await LedgerTransaction.find(query)
+    .sort({ createdAt: 1 })
+    .populate('project', 'title');
+
+  const entries = transactions.map((transaction) => ({
+    transaction: transaction._id,
+    date: transaction.createdAt,
+    type: transaction.type,
+    project: transaction.project ? transaction.project._id : undefined,
+    projectTitle: transaction.project ? transaction.project.title : undefined,
+    milestone: transaction.milestone,
+    timesheet: transaction.timesheet,
+    description: transaction.description,
+    currency: transaction.currency,
+    amount: transaction.entries
+      .filter((entry) => keys.includes(entry.account))
+      .reduce((sum, entry) => sum + entry.amount, 0),
+  }));
+
+  // Add up the entries by a key, keeping each currency apart
+  const group = (keyOf, attributesOf) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const key = `${keyOf(entry)}:${entry.currency}`;
+      if (!groups.has(key)) {
+        groups.set(key, { ...attributesOf(entry), currency: entry.currency, amount: 0, count: 0 });
+      }
+      const item = groups.get(key);
+      item.amount += entry.amount;
+      item.count += 1;
+    });
+    return [...groups.values()];
+  };
+
+  return {
+    totals: group(() => 'total', () => ({})),
+    byProject: group(
+      (entry) => entry.project,
+      (entry) => ({ project: entry.project, title: entry.projectTitle })
+    ),
+    byMonth: group(
+      (entry) => entry.date.toISOString().slice(0, 7),
+      (entry) => ({ month: entry.date.toISOString().slice(0, 7) })
+    ),
+    entries,
+  };
+};
+
+/**
+ * Total earnings of a user in the platform currency, at current rates
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} Total in minor units
+ */
+const getTotalEarnings = async (userId) => {
+  const { totals } = await getEarnings(userId);
+  return sumConverted(totals, config.payments.currency, await getRates()).total;
+};
+
+/**
+ * Check the ledger for consistency: every transaction balances, every
+ * account balance matches its entries, only funding accounts are negative
+ * @returns {Promise<Object>} Report with the problems found
+ */
+const verifyLedger = async () => {
+  const unbalanced = await LedgerTransaction.aggregate([
+    { $unwind: '$entries' },
+    { $group: { _id: '$_id', total: { $sum: '$entries.amount' } } },
+    { $match: { total: { $ne: 0 } } },
+  ]);
+
+  const entryTotals = await LedgerTransaction.aggregate([
+    { $unwind: '$entries' },
+    { $group: { _id: '$entries.account', total: { $sum: '$entries.amount' } } },
+  ]);
+  const expected = new Map(entryTotals.map((account) => [account._id, account.total]));
+
+  const ledgerAccounts = await LedgerAccount.find();
+
+  // Entries of pending transactions already applied to a balance count too
+  const pending = await LedgerTransaction.find({ status: 'pending' });
+  ledgerAccounts.forEach((account) => {
+    pending
+      .filter((transaction) => (account.pendingTransactions || []).some((id) => id.equals(transaction._id)))
+      .forEach((transaction) => {
+        transaction.entries
+          .filter((entry) => entry.account === account.key)
+          .forEach((entry) => expected.set(account.key, (expected.get(account.key) || 0) + entry.amount));
+      });
+  });
+
+  const mismatchedAccounts = ledgerAccounts
+    .filter((account) => account.balance !== (expected.get(account.key) || 0))
+    .map((account) => ({ key: account.key, balance: account.balance, expected: expected.get(account.key) || 0 }));
+  const negativeAccounts = ledgerAccounts
+    .filter((account) => account.balance < 0 && !account.allowNegative)
+    .map((account) => account.key);
+  // Money never converts inside the ledger, so each currency adds up to zero
+  const totals = ledgerAccounts.reduce((sums, account) => {
+    sums[account.currency] = (sums[account.currency] || 0) + account.balance;
+    return sums;
+  }, {});
+  const unbalancedCurrencies = Object.keys(totals).filter((currency) => totals[currency] !== 0);
+
+  return {
+    ok:
+      unbalanced.length === 0 &&
+      mismatchedAccounts.length === 0 &&
+      negativeAccounts.length === 0 &&
+      unbalancedCurrencies.length === 0,
+    transactions: await LedgerTransaction.countDocuments(),
+    pendingTransactions: pending.map((transaction) => transaction._id),
+    accounts: ledgerAccounts.length,
+    totals,
+    unbalancedCurrencies,
+    unbalancedTransactions: unbalanced.map((transaction) => transaction._id),
+    mismatchedAccounts,
+    negativeAccounts,
+  };
+};
+
+module.exports = {
+  EARNING_TYPES,
+  accounts,
+  getBalance,
+  assertEscrowNotFrozen,
+  postTransaction,
+  settleStalledTransactions,
+  fundMilestone,
+  releaseMilestone,
+  distributeTeamPayment,
+  chargeTimesheet,
+  refundMilestone,
+  refundProjectEscrow,
+  payOut,
+  reversePayout,
+  getProjectSummary,
+  syncProjectTotals,
+  syncTeamEarnings,
+  getEarnings,
+  getTotalEarnings,
+  verifyLedger,
+};
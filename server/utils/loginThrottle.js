@@ -0,0 +1,194 @@
+const config = require('../config/config');
+const LoginAttempt = require('../models/loginAttempt.model');
+
+/**
+ * Counter store backed by MongoDB, so throttling works across server
+ * instances without Redis. Any object with the same methods can be
+ * plugged in with setStore().
+ */
+const mongoStore = {
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: Date.now() } }).lean();
+  },
+
+  async increment(key, expiresAt) {
+    // Start over if the previous counter is stale but not yet removed by the TTL index
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: Date.now() } });
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: Date.now(), expiresAt } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  },
+
+  async lock(key, lockedUntil, expiresAt) {
+    return LoginAttempt.updateOne({ key }, { $set: { lockedUntil, failures: 0, expiresAt } });
+  },
+
+  async reset(key) {
+    return LoginAttempt.deleteOne({ key });
+  },
+};
+
+/**
+ * Create an in-memory counter store, useful for tests and single-process setups
+ * @returns {Object} Counter store
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      const record = records.get(key);
+      return record && record.expiresAt > Date.now() ? { ...record } : null;
+    },
+
+    async increment(key, expiresAt) {
+      const current = await this.get(key);
+      const record = {
+        ...current,
+        key,
+        failures: (current ? current.failures : 0) + 1,
+        lastFailureAt: new Date(),
+        expiresAt,
+      };
+      records.set(key, record);
+      return { ...record };
+    },
+
+    async lock(key, lockedUntil, expiresAt) {
+      const record = records.get(key) || { key };
+      records.set(key, { ...record, lockedUntil, failures: 0, expiresAt });
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
+
+let store = mongoStore;
+
+/**
+ * Replace the counter store
+ * @param {Object} newStore - Object implementing get, increment, lock and reset
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Limits per counter type. Account counters slow down repeated guesses
+ * with a growing delay, IP and reset counters only lock.
+ * @returns {Object} Policies by name
+ */
+const getPolicies = () => {
+  const settings = config.loginThrottle;
+
+  return {
+    login_account: { limit: Number(settings.maxAccountFailures), backoff: true },
+    login_ip: { limit: Number(settings.maxIpFailures), backoff: false },
+    reset_account: { limit: Number(settings.maxResetRequests), backoff: false },
+    reset_ip: { limit: Number(settings.maxIpFailures), backoff: false },
+  };
+};
+
+/**
+ * Build a counter for a policy and identifier
+ * @param {String} policy - Policy name, e.g. login_account
+ * @param {String} identifier - Email address or IP
+ * @returns {Object} Counter with its store key
+ */
+const counter = (policy, identifier) => {
+  return {
+    policy,
+    key: `${policy}:${String(identifier || 'unknown').toLowerCase()}`,
+  };
+};
+
+/**
+ * Delay required after a number of consecutive failures
+ * @param {Number} failures - Consecutive failures
+ * @returns {Number} Delay in milliseconds
+ */
+const backoffDelay = (failures) => {
+  const settings = config.loginThrottle;
+  const extraFailures = failures - Number(settings.freeAttempts) - 1;
+
+  if (extraFailures < 0) return 0;
+
+  return Math.min(Number(settings.baseDelay) * 2 ** extraFailures, Number(settings.maxDelay));
+};
+
+/**
+ * Check whether any of the counters currently blocks an attempt
+ * @param {Array} counters - Counters built with counter()
+ * @returns {Promise<Object>} { blocked, locked, retryAfter } with retryAfter in milliseconds
+ */
+const check = async (counters) => {
+  const policies = getPolicies();
+  const now = Date.now();
+  let status = { blocked: false, locked: false, retryAfter: 0 };
+
+  for (const { policy, key } of counters) {
+    const record = await store.get(key);
+    if (!record) continue;
+
+    let waitUntil = 0;
+    let locked = false;
+
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+      waitUntil = new Date(record.lockedUntil).getTime();
+      locked = true;
+    } else if (policies[policy].backoff && record.failures > 0) {
+      waitUntil = new Date(record.lastFailureAt).getTime() + backoffDelay(record.failures);
+    }
+
+    if (waitUntil > now && waitUntil - now > status.retryAfter) {
+      status = { blocked: true, locked, retryAfter: waitUntil - now };
+    }
+  }
+
+  return status;
+};
+
+/**
+ * Record a failed attempt, locking the counter once its limit is reached
+ * @param {Object} failedCounter - Counter built with counter()
+ * @returns {Promise<Object>} { failures, locked } where locked is true if this failure caused a lockout
+ */
+const recordFailure = async ({ policy, key }) => {
+  const settings = config.loginThrottle;
+  const { limit } = getPolicies()[policy];
+  const expiresAt = new Date(Date.now() + Number(settings.window));
+
+  const record = await store.increment(key, expiresAt);
+
+  if (record.failures >= limit) {
+    const lockedUntil = new Date(Date.now() + Number(settings.lockoutDuration));
+    await store.lock(key, lockedUntil, new Date(lockedUntil.getTime() + Number(settings.window)));
+    return { failures: record.failures, locked: true };
+  }
+
+  return { failures: record.failures, locked: false };
+};
+
+/**
+ * Clear a counter, e.g. after a successful login or an admin unlock
+ * @param {Object} clearedCounter - Counter built with counter()
+ * @returns {Promise} Store result
+ */
+const reset = async ({ key }) => {
+  return store.reset(key);
+};
+
+module.exports = {
+  mongoStore,
+  createMemoryStore,
+  setStore,
+  counter,
+  check,
+  recordFailure,
+  reset,
+};
@@ -0,0 +1,276 @@
+const config = require('../config/config');
+const Project = require('../models/project.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const ledgerService = require('./ledgerService');
+const coinService = require('./coinService');
+const invoiceService = require('./invoiceService');
+const revenueSplitService = require('./revenueSplitService');
+const { getTeamLeaders } = require('./permissions');
+const { ApiError } = require('./errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => String(value._id || value);
+
+// Statuses from which the freelancers can submit the work
+const SUBMITTABLE_STATUSES = ['not_started', 'in_progress', 'changes_requested'];
+
+/**
+ * Change the status of a milestone and record it in its history
+ * @param {Object} milestone - Milestone subdocument
+ * @param {String} status - New status
+ * @param {Object} user - User making the change, none for automatic changes
+ * @param {String} note - Note for the history
+ */
+const recordTransition = (milestone, status, user, note) => {
+  milestone.status = status;
+  milestone.history.push({ status, note, changedBy: user ? user._id : undefined });
+};
+
+/**
+ * The people doing the work: the assigned freelancers and, when the team is
+ * populated, the leaders of the assigned team
+ * @param {Object} project - Project document
+ * @returns {Array} User IDs
+ */
+const getWorkers = (project) => {
+  const workers = (project.assignedFreelancers || []).map(idOf);
+
+  if (project.assignedTeam && project.assignedTeam.members) {
+    getTeamLeaders(project.assignedTeam).forEach((member) => workers.push(idOf(member.user)));
+  }
+
+  return [...new Set(workers)];
+};
+
+const notify = async (recipients, project, actor, title, content) => {
+  for (const recipient of recipients) {
+    const notification = new Notification({
+      recipient,
+      type: 'milestone',
+      title,
+      content,
+      project: project._id,
+      createdBy: actor ? actor._id : undefined,
+      link: `/projects/${project._id}`,
+    });
+
+    await notification.save();
+
+    // Add notification to the user's notifications
+    await User.findByIdAndUpdate(recipient, {
+      $push: { notifications: notification._id },
+    });
+  }
+};
+
+/**
+ * Complete a milestone: release its escrow to the freelancers or team, then
+ * mark it completed, award coins and issue the invoice
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - User completing the milestone
+ * @param {String} note - Note for the history
+ * @returns {Promise<Object>} Milestone
+ */
+const completeMilestone = async (project, milestone, user, note) => {
+  if (milestone.status === 'completed') {
+    throw new ApiError('Milestone is already completed', 400);
+  }
+
+  revenueSplitService.assertSplitAccepted(project);
+
+  // Release the escrow first, so a failed payment leaves the milestone
+  // open. totalPaid follows from the ledger.
+  const payment = await ledgerService.releaseMilestone(project, milestone, user);
+
+  if (!payment && milestone.amount > 0) {
+    throw new ApiError('Milestone must be funded before it can be completed', 400);
+  }
+
+  // A team passes the payment on to its members
+  await revenueSplitService.payTeamMembers(project, payment, user);
+
+  recordTransition(milestone, 'completed', user, note);
+  milestone.completedAt = Date.now();
+  milestone.autoApproveAt = undefined;
+
+  await project.save();
+
+  await coinService.awardMilestoneOnTime(project, milestone);
+
+  // The payment is made either way; a release left without an invoice
+  // here is invoiced when the project is completed
+  try {
+    await invoiceService.invoiceMilestone(project, milestone);
+  } catch (error) {
+    console.error('Milestone invoice error:', error);
+  }
+
+  await notify(
+    getWorkers(project),
+    project,
+    user,
+    'Milestone Completed',
+    `The milestone "${milestone.title}" has been marked as completed for project: ${project.title}`
+  );
+
+  return milestone;
+};
+
+/**
+ * Submit the work of a milestone for the client to review. The client has
+ * milestones.autoApproveDays to respond before it is approved automatically.
+ * @param {Object} project - Project document with its team populated
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - Freelancer or team manager submitting
+ * @param {Object} submission - note and attachments
+ * @returns {Promise<Object>} Milestone
+ */
+const submitMilestone = async (project, milestone, user, { note, attachments = [] }) => {
+  if (project.status !== 'in_progress') {
+    throw new ApiError(`Work cannot be submitted when project status is ${project.status}`, 400);
+  }
+  if (!SUBMITTABLE_STATUSES.includes(milestone.status)) {
+    throw new ApiError(`Milestone cannot be submitted when its status is ${milestone.status}`, 400);
+  }
+
+  milestone.submissions.push({ note, attachments, submittedBy: user._id });
+  recordTransition(milestone, 'submitted', user, note);
+  milestone.autoApproveAt = new Date(Date.now() + Number(config.milestones.autoApproveDays) * DAY);
+
+  await project.save();
+
+  await notify(
+    [idOf(project.client)],
+    project,
+    user,
+    'Milestone Submitted',
+    `${user.name} submitted the milestone "${milestone.title}" of project "${project.title}" for review. ` +
+      `It will be approved automatically after ${Number(config.milestones.autoApproveDays)} days without a response.`
+  );
+
+  return milestone;
+};
+
+/**
+ * Approve the submitted work of a milestone or ask for changes. Approving
+ * completes the milestone and releases its payment; when the payment
+ * cannot be released yet (not funded, or on hold by a dispute) the
+ * milestone stays approved until it is completed.
+ * @param {Object} project - Project document with its team populated
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - Client reviewing, none when approved automatically
+ * @param {String} decision - approved or changes_requested
+ * @param {String} comment - Comment for the freelancers
+ * @returns {Promise<Object>} { milestone, paymentPending } with the reason the payment is pending
+ */
+const reviewSubmission = async (project, milestone, user, decision, comment) => {
+  if (milestone.status !== 'submitted') {
+    throw new ApiError('Milestone has no submission waiting for review', 400);
+  }
+
+  const automatic = !user;
+  const submission = milestone.submissions[milestone.submissions.length - 1];
+  submission.review = {
+    decision,
+    comment,
+    reviewedBy: user ? user._id : undefined,
+    reviewedAt: Date.now(),
+    automatic,
+  };
+
+  milestone.autoApproveAt = undefined;
+  recordTransition(milestone, decision, user, comment);
+
+  await project.save();
+
+  if (decision === 'changes_requested') {
+    await notify(
+      getWorkers(project),
+      project,
+      user,
+      'Milestone Changes Requested',
+      `The client asked for changes to the milestone "${milestone.title}" of project "${project.title}": ${comment}`
+    );
+
+    return { milestone };
+  }
+
+  if (automatic) {
+    await notify(
+      [idOf(project.client)],
+      project,
+      null,
+      'Milestone Approved Automatically',
+      `The milestone "${milestone.title}" of project "${project.title}" was approved automatically ` +
+        `because it was not reviewed within ${Number(config.milestones.autoApproveDays)} days.`
+    );
+  }
+
+  // Payments are released on behalf of the client
+  const actor = user || (await User.findById(idOf(project.client)));
+
+  try {
+    await completeMilestone(project, milestone, actor, automatic ? 'Approved automatically' : undefined);
+    return { milestone };
+  } catch (error) {
+    if (!(error instanceof ApiError)) throw error;
+
+    await notify(
+      getWorkers(project),
+      project,
+      user,
+      'Milestone Approved',
+      `The milestone "${milestone.title}" of project "${project.title}" was approved. ` +
+        `Its payment will be released later: ${error.message}`
+    );
+
+    return { milestone, paymentPending: error.message };
+  }
+};
+
+/**
+ * Approve every submission whose review period is over
+ * @returns {Promise<Number>} Number of milestones approved
+ */
+const runAutoApprovals = async () => {
+  const now = new Date();
+  const projects = await Project.find({
+    milestones: { $elemMatch: { status: 'submitted', autoApproveAt: { $lte: now } } },
+  }).populate('assignedTeam', 'name creator members');
+
+  let approved = 0;
+
+  for (const project of projects) {
+    const due = project.milestones.filter(
+      (milestone) => milestone.status === 'submitted' && milestone.autoApproveAt && milestone.autoApproveAt <= now
+    );
+
+    for (const milestone of due) {
+      try {
+        await reviewSubmission(
+          project,
+          milestone,
+          null,
+          'approved',
+          `The client did not respond within ${Number(config.milestones.autoApproveDays)} days`
+        );
+        approved += 1;
+      } catch (error) {
+        console.error(`Auto-approve milestone ${milestone._id} error:`, error);
+      }
+    }
+  }
+
+  return approved;
+};
+
+module.exports = {
+  recordTransition,
+  completeMilestone,
+  submitMilestone,
+  reviewSubmission,
+  runAutoApprovals,
+};
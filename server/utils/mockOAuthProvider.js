@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Escape a value for use in HTML
+ * @param {String} value - Raw value
+ * @returns {String} Escaped value
+ */
+const escapeHtml = (value) => {
+  return String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+};
+
+/**
+ * Stable fake account ID for an email address
+ * @param {String} email - Email address
+ * @returns {String} Account ID
+ */
+const accountId = (email) => {
+  return String(parseInt(crypto.createHash('sha1').update(email).digest('hex').slice(0, 8), 16));
+};
+
+/**
+ * Create a local stand-in for the GitHub and Google OAuth endpoints, so the
+ * sign-in flow can be run without real provider credentials.
+ * The authorize page asks for the account to sign in as.
+ * @returns {Object} Express router
+ */
+const createMockOAuthProvider = () => {
+  const router = express.Router();
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  router.get('/:provider/authorize', (req, res) => {
+    const { provider } = req.params;
+    const { redirect_uri: redirectUri, state, email, name, verified } = req.query;
+
+    if (!redirectUri) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is required' });
+    }
+
+    if (!email) {
+      return res.status(200).send(`
+        <form method="GET" style="font-family: Arial, sans-serif; max-width: 400px; margin: 40px auto;">
+          <h2>Mock ${escapeHtml(provider)} sign-in</h2>
+          <input type="hidden" name="redirect_uri" value="${escapeHtml(redirectUri)}">
+          <input type="hidden" name="state" value="${escapeHtml(state)}">
+          <p><label>Email <input name="email" type="email" required></label></p>
+          <p><label>Name <input name="name"></label></p>
+          <p><label><input name="verified" type="checkbox" value="true" checked> Email verified</label></p>
+          <button type="submit">Authorize</button>
+        </form>
+      `);
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      provider,
+      email: String(email).toLowerCase(),
+      name: name || String(email).split('@')[0],
+      verified: verified === 'true',
+    });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+
+    res.redirect(url.toString());
+  });
+
+  router.post('/:provider/token', (req, res) => {
+    const account = codes.get(req.body.code);
+
+    if (!account || account.provider !== req.params.provider) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code' });
+    }
+
+    // Codes are single use
+    codes.delete(req.body.code);
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, account);
+
+    res.status(200).json({ access_token: accessToken, token_type: 'bearer' });
+  });
+
+  // Resolve the account of the bearer token
+  const authenticate = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const account = accessTokens.get(token);
+
+    if (!account || account.provider !== req.params.provider) {
+      return res.status(401).json({ error: 'invalid_token', error_description: 'Invalid access token' });
+    }
+
+    req.account = account;
+    next();
+  };
+
+  router.get('/:provider/user', authenticate, (req, res) => {
+    const { email, name } = req.account;
+
+    res.status(200).json({
+      id: Number(accountId(email)),
+      login: email.split('@')[0],
+      name,
+      email,
+      avatar_url: '',
+      html_url: `https://github.com/${email.split('@')[0]}`,
+    });
+  });
+
+  router.get('/:provider/user/emails', authenticate, (req, res) => {
+    res.status(200).json([{ email: req.account.email, primary: true, verified: req.account.verified }]);
+  });
+
+  router.get('/:provider/userinfo', authenticate, (req, res) => {
+    const { email, name, verified } = req.account;
+
+    res.status(200).json({
+      sub: accountId(email),
+      email,
+      email_verified: verified,
+      name,
+      picture: '',
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createMockOAuthProvider };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config/config');
+const { ApiError } = require('./errorHandler');
+const { formatMoney } = require('./money');
+
+// Checkouts, refunds and payouts of the mock provider by reference. They only
+// live in memory, so they are lost when the server restarts.
+const records = new Map();
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+/**
+ * Escape a value for use in HTML
+ * @param {String} value - Raw value
+ * @returns {String} Escaped value
+ */
+const escapeHtml = (value) => {
+  return String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+};
+
+const newReference = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Sign a webhook body the way the mock provider does
+ * @param {String} body - Raw request body
+ * @param {Number} timestamp - Unix time in seconds
+ * @returns {String} Hex HMAC-SHA256 signature
+ */
+const sign = (body, timestamp) => {
+  return crypto
+    .createHmac('sha256', config.payments.mock.webhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+};
+
+/**
+ * Send a webhook event to the server, like a real provider would
+ * @param {String} type - Event type
+ * @param {String} reference - Reference of the checkout, refund or payout
+ * @param {Object} options - Delivery options
+ * @param {Boolean} options.delayed - Deliver after the configured webhook delay
+ * @param {Boolean} options.duplicate - Deliver the same event twice
+ * @param {String} options.failureReason - Reason for failure events
+ */
+const sendEvent = (type, reference, { delayed = false, duplicate = false, failureReason } = {}) => {
+  const record = records.get(reference);
+  const event = {
+    id: newReference('evt'),
+    type,
+    reference,
+    amount: record.amount,
+    currency: record.currency,
+    failureReason,
+  };
+  const url = `${config.payments.mock.serverUrl}/api/payments/webhook/mock`;
+
+  const deliver = async (attempt = 1) => {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(body, timestamp)}`,
+        },
+        body,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`Mock payment webhook ${type} attempt ${attempt} failed:`, error.message);
+
+      // Retry with backoff, as real providers do
+      if (attempt < MAX_DELIVERY_ATTEMPTS) {
+        setTimeout(() => deliver(attempt + 1), attempt * 5000);
+      }
+    }
+  };
+
+  const delay = delayed ? Number(config.payments.mock.webhookDelay) : 0;
+  setTimeout(deliver, delay);
+
+  if (duplicate) {
+    setTimeout(deliver, delay + 1000);
+  }
+};
+
+/**
+ * Payment provider adapter for the mock provider. Checkouts are paid on a
+ * local page that lets you pick the outcome; refunds always succeed and
+ * payouts succeed unless sent to the "mock_fail" destination ("mock_delay"
+ * delays the webhook).
+ */
+const mockPaymentAdapter = {
+  createCheckout: async ({ payment, successUrl, cancelUrl }) => {
+    const reference = newReference('chk');
+
+    records.set(reference, {
+      kind: 'checkout',
+      status: 'open',
+      amount: payment.amount,
+      currency: payment.currency,
+      successUrl,
+      cancelUrl,
+    });
+
+    return {
+      reference,
+      checkoutUrl: `${config.payments.mock.serverUrl}/api/mock-payments/checkout/${reference}`,
+    };
+  },
+
+  capture: async (payment) => {
+    const record = records.get(payment.reference);
+
+    if (!record || record.status !== 'authorized') {
+      throw new ApiError('Payment cannot be captured', 400);
+    }
+
+    record.status = 'captured';
+    sendEvent('payment.captured', payment.reference, record.options);
+
+    return { status: 'pending' };
+  },
+
+  refund: async (payment, amount) => {
+    const reference = newReference('re');
+
+    records.set(reference, {
+      kind: 'refund',
+      status: 'pending',
+      amount,
+      currency: payment.currency,
+    });
+    sendEvent('refund.succeeded', reference);
+
+    return { reference, status: 'pending' };
+  },
+
+  payout: async (payment) => {
+    const reference = newReference('po');
+
+    records.set(reference, {
+      kind: 'payout',
+      status: 'pending',
+      amount: payment.amount,
+      currency: payment.currency,
+    });
+
+    if (payment.destination === 'mock_fail') {
+      sendEvent('payout.failed', reference, { failureReason: 'Destination account rejected the payout' });
+    } else {
+      sendEvent('payout.succeeded', reference, { delayed: payment.destination === 'mock_delay' });
+    }
+
+    return { reference, status: 'pending' };
+  },
+
+  verifyWebhook: (rawBody, headers) => {
+    const parts = {};
+    String(headers[SIGNATURE_HEADER] || '').split(',').forEach((part) => {
+      const [key, value] = part.split('=');
+      parts[key] = value;
+    });
+
+    const timestamp = Number(parts.t);
+    if (!rawBody || !timestamp || !parts.v1) {
+      throw new ApiError('Invalid webhook signature', 400);
+    }
+    if (Math.abs(Date.now() - timestamp * 1000) > config.payments.webhookTolerance) {
+      throw new ApiError('Webhook signature has expired', 400);
+    }
+
+    const expected = Buffer.from(sign(rawBody.toString(), timestamp));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new ApiError('Invalid webhook signature', 400);
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+};
+
+/**
+ * Create the hosted checkout page of the mock provider, so the funding flow
+ * can be run without a real provider. Pass ?outcome= to skip the page.
+ * @returns {Object} Express router
+ */
+const createMockPaymentProvider = () => {
+  const router = express.Router();
+
+  router.get('/checkout/:reference', (req, res) => {
+    const { reference } = req.params;
+    const { outcome } = req.query;
+    const record = records.get(reference);
+
+    if (!record || record.kind !== 'checkout') {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+    if (record.status !== 'open') {
+      return res.redirect(record.status === 'failed' ? record.cancelUrl : record.successUrl);
+    }
+
+    if (!outcome) {
+      return res.status(200).send(`
+        <form method="GET" style="font-family: Arial, sans-serif; max-width: 400px; margin: 40px auto;">
+          <h2>Mock checkout</h2>
+          <p>Pay ${escapeHtml(formatMoney(record.amount, record.currency))}</p>
+          <p><label><input type="radio" name="outcome" value="succeed" checked> Payment succeeds</label></p>
+          <p><label><input type="radio" name="outcome" value="delay"> Payment succeeds, webhooks are delayed</label></p>
+          <p><label><input type="radio" name="outcome" value="duplicate"> Payment succeeds, webhooks are sent twice</label></p>
+          <p><label><input type="radio" name="outcome" value="fail"> Card is declined</label></p>
+          <button type="submit">Pay</button>
+          <a href="${escapeHtml(record.cancelUrl)}">Cancel</a>
+        </form>
+      `);
+    }
+
+    if (outcome === 'fail') {
+      record.status = 'failed';
+      sendEvent('payment.failed', reference, { failureReason: 'Card declined' });
+      return res.redirect(record.cancelUrl);
+    }
+
+    record.status = 'authorized';
+    record.options = { delayed: outcome === 'delay', duplicate: outcome === 'duplicate' };
+    sendEvent('payment.authorized', reference, record.options);
+
+    res.redirect(record.successUrl);
+  });
+
+  return router;
+};
+
+module.exports = {
+  mockPaymentAdapter,
+  createMockPaymentProvider,
+};
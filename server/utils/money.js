@@ -0,0 +1,120 @@
+const config = require('../config/config');
+
+/**
+ * Number of decimals of a currency's minor unit, e.g. 2 for USD (cents)
+ * and 0 for JPY
+ * @param {String} currency - ISO 4217 currency code
+ * @returns {Number} Number of decimals
+ */
+const currencyExponent = (currency = config.payments.currency) => {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+};
+
+/**
+ * Check whether a code is an ISO 4217 currency code
+ * @param {String} currency - Currency code
+ * @returns {Boolean} True for a known currency
+ */
+const isCurrencyCode = (currency) => {
+  if (!/^[A-Z]{3}$/.test(String(currency))) return false;
+
+  try {
+    currencyExponent(currency);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Convert an amount in major units (e.g. dollars) to whole minor units
+ * (e.g. cents), as amounts are stored
+ * @param {Number|String} amount - Amount in major units
+ * @param {String} currency - Currency code, the platform currency by default
+ * @returns {Number} Amount in minor units
+ */
+const toMinorUnits = (amount, currency) => {
+  return Math.round(Number(amount || 0) * 10 ** currencyExponent(currency));
+};
+
+/**
+ * Convert an amount in minor units back to major units
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency code, the platform currency by default
+ * @returns {Number} Amount in major units
+ */
+const fromMinorUnits = (amount, currency) => {
+  return (amount || 0) / 10 ** currencyExponent(currency);
+};
+
+/**
+ * Write an amount in minor units as a decimal in major units, e.g. "1234.50"
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency code
+ * @returns {String} Decimal amount
+ */
+const toDecimalString = (amount, currency) => {
+  return fromMinorUnits(amount, currency).toFixed(currencyExponent(currency));
+};
+
+/**
+ * Format an amount in minor units for documents, e.g. "1234.50 USD"
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency code
+ * @returns {String} Formatted amount
+ */
+const formatMoney = (amount, currency) => {
+  return `${toDecimalString(amount, currency)} ${currency}`;
+};
+
+/**
+ * Split an amount in minor units into equal shares. The cents that do not
+ * divide evenly go to the first shares, so the shares always add up.
+ * @param {Number} amount - Amount in minor units
+ * @param {Number} count - Number of shares
+ * @returns {Array} Shares in minor units
+ */
+const splitEvenly = (amount, count) => {
+  const share = Math.floor(amount / count);
+  const remainder = amount - share * count;
+
+  return Array.from({ length: count }, (value, index) => share + (index < remainder ? 1 : 0));
+};
+
+/**
+ * Split an amount in minor units in proportion to weights. The cents left
+ * over by rounding down go to the largest remainders, so the shares always
+ * add up.
+ * @param {Number} amount - Amount in minor units
+ * @param {Array} weights - Non-negative weights, at least one positive
+ * @returns {Array} Shares in minor units, in the order of the weights
+ */
+const splitByWeights = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map((weight) => (amount * weight) / totalWeight);
+  const shares = exact.map(Math.floor);
+
+  let remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+  exact
+    .map((value, index) => ({ index, fraction: value - shares[index] }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remainder > 0 && weights[index] > 0) {
+        shares[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return shares;
+};
+
+module.exports = {
+  currencyExponent,
+  isCurrencyCode,
+  toMinorUnits,
+  fromMinorUnits,
+  toDecimalString,
+  formatMoney,
+  splitEvenly,
+  splitByWeights,
+};
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const { ApiError } = require('./errorHandler');
+
+// Cookie holding the nonce of the flow the browser started
+const NONCE_COOKIE = 'oauth_nonce';
+
+/**
+ * Provider endpoints and profile mapping
+ * With config.oauth.mock every provider points at the local mock provider.
+ * @returns {Object} Providers by name
+ */
+const getProviders = () => {
+  const mockUrl = (provider, path) => `${config.oauth.serverUrl}/api/mock-oauth/${provider}/${path}`;
+  const { mock } = config.oauth;
+
+  return {
+    github: {
+      ...config.oauth.github,
+      authorizeUrl: mock ? mockUrl('github', 'authorize') : 'https://github.com/login/oauth/authorize',
+      tokenUrl: mock ? mockUrl('github', 'token') : 'https://github.com/login/oauth/access_token',
+      profileUrl: mock ? mockUrl('github', 'user') : 'https://api.github.com/user',
+      emailsUrl: mock ? mockUrl('github', 'user/emails') : 'https://api.github.com/user/emails',
+      scope: 'read:user user:email',
+    },
+    google: {
+      ...config.oauth.google,
+      authorizeUrl: mock ? mockUrl('google', 'authorize') : 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: mock ? mockUrl('google', 'token') : 'https://oauth2.googleapis.com/token',
+      profileUrl: mock ? mockUrl('google', 'userinfo') : 'https://openidconnect.googleapis.com/v1/userinfo',
+      scope: 'openid email profile',
+    },
+  };
+};
+
+/**
+ * Get a provider, making sure it is known and configured
+ * @param {String} name - Provider name
+ * @returns {Object} Provider settings
+ */
+const getProvider = (name) => {
+  const provider = getProviders()[name];
+
+  if (!provider) {
+    throw new ApiError('Unknown sign-in provider', 404);
+  }
+  if (!config.oauth.mock && (!provider.clientId || !provider.clientSecret)) {
+    throw new ApiError(`Sign-in with ${name} is not configured`, 503);
+  }
+
+  return provider;
+};
+
+/**
+ * Callback URL registered with the provider
+ * @param {String} name - Provider name
+ * @returns {String} Callback URL
+ */
+const getCallbackUrl = (name) => {
+  return `${config.oauth.serverUrl}/api/auth/oauth/${name}/callback`;
+};
+
+/**
+ * Sign the state parameter, so the callback can tell what the flow was
+ * started for and reject forged callbacks
+ * @param {Object} state - { provider, mode: 'login' | 'link', userId, nonce }
+ * @returns {String} Signed state
+ */
+const signState = (state) => {
+  return jwt.sign({ ...state, purpose: 'oauth_state' }, config.jwt.secret, {
+    expiresIn: config.oauth.stateExpiresIn,
+  });
+};
+
+/**
+ * Verify the state parameter returned by the provider. The state must carry
+ * the nonce of the browser's cookie, so a callback started in another
+ * browser (e.g. a link sent by an attacker) is rejected.
+ * @param {String} token - Signed state
+ * @param {String} provider - Provider the callback was received for
+ * @param {String} nonce - Nonce from the browser's cookie
+ * @returns {Object} State
+ */
+const verifyState = (token, provider, nonce) => {
+  try {
+    const state = jwt.verify(token, config.jwt.secret);
+    if (state.purpose !== 'oauth_state' || state.provider !== provider) {
+      throw new Error('State does not match');
+    }
+    if (
+      !nonce ||
+      typeof state.nonce !== 'string' ||
+      state.nonce.length !== nonce.length ||
+      !crypto.timingSafeEqual(Buffer.from(state.nonce), Buffer.from(nonce))
+    ) {
+      throw new Error('Nonce does not match');
+    }
+    return state;
+  } catch (error) {
+    throw new ApiError('Invalid or expired sign-in request', 400);
+  }
+};
+
+/**
+ * Build the provider URL the browser is sent to
+ * @param {String} name - Provider name
+ * @param {Object} state - State to carry through the flow
+ * @returns {String} Authorization URL
+ */
+const getAuthorizationUrl = (name, state) => {
+  const provider = getProvider(name);
+  const params = new URLSearchParams({
+    client_id: provider.clientId || 'mock-client',
+    redirect_uri: getCallbackUrl(name),
+    response_type: 'code',
+    scope: provider.scope,
+    state: signState({ ...state, provider: name }),
+  });
+
+  return `${provider.authorizeUrl}?${params.toString()}`;
+};
+
+/**
+ * Options of the nonce cookie. It is only sent to the OAuth routes, and in
+ * production it must be sent from the client's site too, for linking.
+ * @returns {Object} Cookie options
+ */
+const nonceCookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/auth/oauth',
+  };
+};
+
+/**
+ * Start a flow in the browser: set a fresh nonce cookie and build the
+ * provider URL with the nonce in its state
+ * @param {Object} res - Express response object
+ * @param {String} name - Provider name
+ * @param {Object} state - State to carry through the flow
+ * @returns {String} Authorization URL
+ */
+const startFlow = (res, name, state) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const url = getAuthorizationUrl(name, { ...state, nonce });
+
+  res.cookie(NONCE_COOKIE, nonce, nonceCookieOptions());
+
+  return url;
+};
+
+/**
+ * Read the nonce cookie of a callback and clear it, a nonce only serves one flow
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {String|null} Nonce
+ */
+const takeNonce = (req, res) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([name]) => name === NONCE_COOKIE);
+
+  res.clearCookie(NONCE_COOKIE, nonceCookieOptions());
+
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+};
+
+/**
+ * Call a provider endpoint and parse the JSON response
+ * @param {String} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Response body
+ */
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.error) {
+    throw new ApiError(data.error_description || 'Sign-in provider rejected the request', 401);
+  }
+
+  return data;
+};
+
+/**
+ * Exchange an authorization code for an access token
+ * @param {String} name - Provider name
+ * @param {String} code - Authorization code
+ * @returns {Promise<String>} Provider access token
+ */
+const exchangeCode = async (name, code) => {
+  const provider = getProvider(name);
+
+  const data = await requestJson(provider.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: provider.clientId || 'mock-client',
+      client_secret: provider.clientSecret || 'mock-secret',
+      code,
+      redirect_uri: getCallbackUrl(name),
+      grant_type: 'authorization_code',
+    }).toString(),
+  });
+
+  if (!data.access_token) {
+    throw new ApiError('Sign-in provider did not return an access token', 401);
+  }
+
+  return data.access_token;
+};
+
+/**
+ * Fetch the signed-in provider account for an authorization code
+ * @param {String} name - Provider name
+ * @param {String} code - Authorization code
+ * @returns {Promise<Object>} { providerId, email, emailVerified, name, avatar, profileUrl }
+ */
+const fetchProfile = async (name, code) => {
+  const provider = getProvider(name);
+  const accessToken = await exchangeCode(name, code);
+  const headers = { Authorization: `Bearer ${accessToken}` };
+
+  if (name === 'github') {
+    const profile = await requestJson(provider.profileUrl, { headers });
+    // The profile only shows a public email, the emails endpoint says which one is verified
+    const emails = await requestJson(provider.emailsUrl, { headers });
+    const primary = Array.isArray(emails) ? emails.find((entry) => entry.primary) : null;
+
+    return {
+      providerId: String(profile.id),
+      email: primary ? primary.email : profile.email,
+      emailVerified: Boolean(primary && primary.verified),
+      name: profile.name || profile.login,
+      avatar: profile.avatar_url,
+      profileUrl: profile.html_url,
+    };
+  }
+
+  const profile = await requestJson(provider.profileUrl, { headers });
+
+  return {
+    providerId: String(profile.sub),
+    email: profile.email,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name,
+    avatar: profile.picture,
+  };
+};
+
+module.exports = {
+  NONCE_COOKIE,
+  getProvider,
+  getAuthorizationUrl,
+  startFlow,
+  takeNonce,
+  verifyState,
+  fetchProfile,
+};
@@ -0,0 +1,50 @@
+const config = require('../config/config');
+const { ApiError } = require('./errorHandler');
+const { mockPaymentAdapter } = require('./mockPaymentProvider');
+
+/**
+ * Payment providers by name. A provider (Stripe, Razorpay, ...) is an
+ * adapter object with these methods, all amounts in minor units:
+ *
+ *   createCheckout({ payment, successUrl, cancelUrl })
+ *     -> { reference, checkoutUrl }   hosted page where the client pays
+ *   capture(payment)
+ *     -> { status }                   'succeeded', or 'pending' when a webhook follows
+ *   refund(payment, amount)
+ *     -> { reference, status }
+ *   payout(payment)
+ *     -> { reference, status }        pays payment.amount to payment.destination
+ *   verifyWebhook(rawBody, headers)
+ *     -> event                        throws when the signature is invalid
+ *
+ * Webhook events are translated to { id, type, reference, amount, currency,
+ * failureReason } where type is one of payment.authorized, payment.captured,
+ * payment.failed, refund.succeeded, refund.failed, payout.succeeded or
+ * payout.failed, and reference is the provider ID of the checkout, refund
+ * or payout the event is about.
+ */
+const providers = {
+  mock: mockPaymentAdapter,
+};
+
+/**
+ * Get a payment provider, making sure it is known and usable
+ * @param {String} name - Provider name, the configured provider by default
+ * @returns {Object} Provider adapter
+ */
+const getPaymentProvider = (name = config.payments.provider) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new ApiError('Unknown payment provider', 404);
+  }
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new ApiError('The mock payment provider is not available in production', 503);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,484 @@
+const config = require('../config/config');
+const Payment = require('../models/payment.model');
+const PaymentEvent = require('../models/paymentEvent.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const Project = require('../models/project.model');
+const PayoutRequest = require('../models/payoutRequest.model');
+const ledgerService = require('./ledgerService');
+const { getPaymentProvider } = require('./paymentProviders');
+const { ApiError } = require('./errorHandler');
+const { convert, getRates } = require('./exchangeRates');
+const { formatMoney } = require('./money');
+
+const CHECKOUT_REUSE_WINDOW = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Start a provider checkout for a milestone. The milestone is funded in the
+ * ledger once the provider reports the payment as captured.
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - Client paying
+ * @returns {Promise<Object>} Payment document with the checkout URL
+ */
+const startMilestoneCheckout = async (project, milestone, user) => {
+  const amount = milestone.amount || 0;
+
+  if (amount <= 0) {
+    throw new ApiError('Milestone has no amount to fund', 400);
+  }
+  if (milestone.status === 'completed') {
+    throw new ApiError('Milestone is already completed', 400);
+  }
+  if ((await ledgerService.getBalance(ledgerService.accounts.escrow(project, milestone).key)) > 0) {
+    throw new ApiError('Milestone is already funded', 400);
+  }
+
+  // Hand out a recent open checkout again rather than starting a second one.
+  // Should an older one still be paid, fundFromPayment refunds it.
+  const open = await Payment.findOne({
+    milestone: milestone._id,
+    kind: 'checkout',
+    status: { $in: ['pending', 'authorized'] },
+    amount,
+    createdAt: { $gt: new Date(Date.now() - CHECKOUT_REUSE_WINDOW) },
+  });
+  if (open) return open;
+
+  const providerName = config.payments.provider;
+  const provider = getPaymentProvider(providerName);
+
+  const payment = new Payment({
+    provider: providerName,
+    kind: 'checkout',
+    amount,
+    currency: project.currency,
+    user: user._id,
+    project: project._id,
+    milestone: milestone._id,
+  });
+
+  const returnUrl = `${config.payments.clientUrl}/projects/${project._id}`;
+  const checkout = await provider.createCheckout({
+    payment,
+    successUrl: `${returnUrl}?payment=success`,
+    cancelUrl: `${returnUrl}?payment=cancelled`,
+  });
+
+  payment.reference = checkout.reference;
+  payment.checkoutUrl = checkout.checkoutUrl;
+  await payment.save();
+
+  return payment;
+};
+
+/**
+ * Refund money from a provider checkout back to the client's card
+ * @param {Object} payment - Checkout payment
+ * @param {Number} amount - Amount in minor units
+ * @param {Object} transaction - Ledger refund transaction, if any
+ */
+const refundPayment = async (payment, amount, transaction) => {
+  const ledgerTransaction = transaction ? transaction._id : undefined;
+
+  try {
+    const refund = await getPaymentProvider(payment.provider).refund(payment, amount);
+    payment.refunds.push({ reference: refund.reference, amount, status: refund.status, ledgerTransaction });
+  } catch (error) {
+    // The ledger has already returned the money to the client, so keep
+    // going and leave the failed refund for an admin to follow up
+    console.error('Provider refund error:', error);
+    payment.refunds.push({ amount, status: 'failed', ledgerTransaction });
+  }
+
+  payment.status = 'refunded';
+  await payment.save();
+};
+
+/**
+ * Refund the checkout that funded a milestone, if it was paid through a provider
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} transaction - Ledger refund transaction
+ */
+const refundMilestoneCheckout = async (milestone, transaction) => {
+  const payment = await Payment.findOne({
+    milestone: milestone._id,
+    kind: 'checkout',
+    status: { $in: ['succeeded', 'refunded'] },
+    ledgerTransaction: { $exists: true },
+  }).sort({ createdAt: -1 });
+
+  if (!payment) return;
+
+  // A repeated ledger refund has already been sent to the provider
+  const handled = payment.refunds.some((refund) => String(refund.ledgerTransaction) === String(transaction._id));
+  if (handled) return;
+
+  const amount = transaction.entries.find((entry) => entry.amount > 0).amount;
+  await refundPayment(payment, amount, transaction);
+};
+
+/**
+ * Return the escrow of a milestone to the client, through the provider
+ * when the milestone was paid through one
+ * @param {Object} project - Project document
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} user - User requesting the refund
+ * @param {Object} options - Passed on to ledgerService.refundMilestone
+ * @returns {Promise<Object>} Ledger refund transaction
+ */
+const refundMilestone = async (project, milestone, user, options) => {
+  const transaction = await ledgerService.refundMilestone(project, milestone, user, options);
+  await refundMilestoneCheckout(milestone, transaction);
+
+  return transaction;
+};
+
+/**
+ * Refund every funded milestone of a project, e.g. when it is cancelled
+ * @param {Object} project - Project document
+ * @param {Object} user - User cancelling the project
+ * @returns {Promise<Array>} Ledger refund transactions
+ */
+const refundProjectEscrow = async (project, user) => {
+  const transactions = await ledgerService.refundProjectEscrow(project, user);
+
+  for (const transaction of transactions) {
+    const milestone = project.milestones.find((item) => String(item._id) === String(transaction.milestone));
+    await refundMilestoneCheckout(milestone, transaction);
+  }
+
+  return transactions;
+};
+
+/**
+ * Make sure a payout is at least the minimum (payments.minimumPayout),
+ * converted to the payout's currency
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency of the payout
+ */
+const assertPayoutMinimum = async (amount, currency) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ApiError('Payout amount must be positive', 400);
+  }
+
+  const minimum = convert(Number(config.payments.minimumPayout), config.payments.currency, currency, await getRates());
+  if (amount < minimum) {
+    throw new ApiError(`Payouts must be at least ${formatMoney(minimum, currency)}`, 400);
+  }
+};
+
+/**
+ * Fund the milestone a captured checkout was for. When the milestone can no
+ * longer take the money, the payment is refunded instead.
+ * @param {Object} payment - Checkout payment
+ */
+const fundFromPayment = async (payment) => {
+  const idempotencyKey = `payment:${payment._id}`;
+
+  const existing = await LedgerTransaction.findOne({ idempotencyKey });
+  if (existing || payment.status === 'refunded') {
+    if (existing && !payment.ledgerTransaction) {
+      payment.status = 'succeeded';
+      payment.ledgerTransaction = existing._id;
+      await payment.save();
+    }
+    return;
+  }
+
+  const project = await Project.findById(payment.project);
+  const milestone = project && project.milestones.id(payment.milestone);
+
+  let transaction;
+  try {
+    if (!milestone || ['completed', 'cancelled'].includes(project.status)) {
+      throw new ApiError('Project can no longer be funded', 400);
+    }
+    if (milestone.amount !== payment.amount || project.currency !== payment.currency) {
+      throw new ApiError('Milestone amount has changed since the checkout', 400);
+    }
+
+    transaction = await ledgerService.fundMilestone(project, milestone, { _id: payment.user }, { idempotencyKey });
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    payment.failureReason = error.message;
+    await refundPayment(payment, payment.amount);
+    return;
+  }
+
+  payment.status = 'succeeded';
+  payment.ledgerTransaction = transaction._id;
+  await payment.save();
+};
+
+/**
+ * Find the payment a provider event is about
+ * @param {String} provider - Provider name
+ * @param {Object} event - Normalized event
+ * @returns {Promise<Object>} Payment document
+ */
+const findEventPayment = async (provider, event) => {
+  const query = event.type.startsWith('refund.')
+    ? { provider, 'refunds.reference': event.reference }
+    : { provider, reference: event.reference };
+
+  const payment = await Payment.findOne(query);
+
+  // Providers retry failed deliveries, so the event is processed once the payment is stored
+  if (!payment) {
+    throw new ApiError('Payment not found', 404);
+  }
+
+  return payment;
+};
+
+/**
+ * Apply a provider event to the payment it is about and to the ledger
+ * @param {String} providerName - Provider name
+ * @param {Object} event - Normalized event
+ */
+const reconcileEvent = async (providerName, event) => {
+  const payment = await findEventPayment(providerName, event);
+
+  switch (event.type) {
+    case 'payment.authorized': {
+      if (payment.status !== 'pending') return;
+
+      payment.status = 'authorized';
+      await payment.save();
+
+      const result = await getPaymentProvider(providerName).capture(payment);
+      if (result.status === 'succeeded') {
+        await fundFromPayment(payment);
+      }
+      return;
+    }
+
+    case 'payment.captured':
+      await fundFromPayment(payment);
+      return;
+
+    case 'payment.failed':
+      if (['pending', 'authorized'].includes(payment.status)) {
+        payment.status = 'failed';
+        payment.failureReason = event.failureReason;
+        await payment.save();
+      }
+      return;
+
+    case 'refund.succeeded':
+    case 'refund.failed': {
+      const refund = payment.refunds.find((item) => item.reference === event.reference);
+      refund.status = event.type === 'refund.succeeded' ? 'succeeded' : 'failed';
+      await payment.save();
+      return;
+    }
+
+    case 'payout.succeeded':
+      if (payment.status === 'pending') {
+        payment.status = 'succeeded';
+        await payment.save();
+      }
+      return;
+
+    case 'payout.failed':
+      if (payment.status !== 'failed') {
+        await ledgerService.reversePayout(payment.user, payment.amount, payment.currency, `payout_reversal:${payment._id}`);
+
+        payment.status = 'failed';
+        payment.failureReason = event.failureReason;
+        await payment.save();
+      }
+      return;
+
+    default:
+      // Event types we do not act on
+      return;
+  }
+};
+
+/**
+ * Process a verified webhook event. Events that were already processed are
+ * skipped, and a failed event is processed again when it is redelivered.
+ * @param {String} providerName - Provider name
+ * @param {Object} event - Normalized event
+ * @returns {Promise<Object>} { duplicate }
+ */
+const processWebhookEvent = async (providerName, event) => {
+  let record;
+
+  try {
+    record = await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      reference: event.reference,
+      payload: event,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    record = await PaymentEvent.findOne({ provider: providerName, eventId: event.id });
+    if (record.processedAt) {
+      return { duplicate: true };
+    }
+  }
+
+  try {
+    await reconcileEvent(providerName, event);
+  } catch (error) {
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+
+  record.processedAt = new Date();
+  record.error = undefined;
+  await record.save();
+
+  return { duplicate: false };
+};
+
+/**
+ * Request a payout for an admin to approve. The amount leaves the user's
+ * balance right away and is credited back if the request is cancelled or
+ * rejected. A request the balance does not cover is kept as failed.
+ * @param {Object} user - User withdrawing
+ * @param {Number} amount - Amount in minor units
+ * @param {String} currency - Currency of the balance
+ * @param {String} destination - Bank or provider account to pay to
+ * @returns {Promise<Object>} Payout request
+ */
+const requestPayout = async (user, amount, currency, destination) => {
+  await assertPayoutMinimum(amount, currency);
+
+  // Stored first, so money never leaves the balance without a request to show for it
+  const request = new PayoutRequest({ user: user._id, amount, currency, destination });
+  await request.save();
+
+  let transaction;
+  try {
+    transaction = await ledgerService.payOut(user, amount, currency, `payout_request:${request._id}`);
+  } catch (error) {
+    await PayoutRequest.updateOne(
+      { _id: request._id, status: 'requested' },
+      { $set: { status: 'failed', note: error.message } }
+    );
+    throw error;
+  }
+
+  request.ledgerTransaction = transaction._id;
+  await request.save();
+
+  return request;
+};
+
+/**
+ * Close a payout request without paying it and credit the amount back
+ * @param {String} requestId - Payout request ID
+ * @param {Array} from - Statuses the request may be closed from
+ * @param {Object} changes - Status and review fields to set
+ * @returns {Promise<Object>} Payout request
+ */
+const closePayoutRequest = async (requestId, from, changes) => {
+  // Only one change can move the request on
+  const request = await PayoutRequest.findOneAndUpdate(
+    { _id: requestId, status: { $in: from } },
+    { $set: changes },
+    { new: true }
+  );
+
+  if (!request) {
+    const existing = await PayoutRequest.findById(requestId);
+    throw existing
+      ? new ApiError(`Payout request cannot be ${changes.status} when its status is ${existing.status}`, 400)
+      : new ApiError('Payout request not found', 404);
+  }
+
+  const reversal = await ledgerService.reversePayout(
+    request.user,
+    request.amount,
+    request.currency,
+    `payout_request_reversal:${request._id}`
+  );
+  request.reversalTransaction = reversal._id;
+  await request.save();
+
+  return request;
+};
+
+/**
+ * Cancel a payout request that has not been reviewed yet
+ * @param {String} requestId - Payout request ID
+ * @returns {Promise<Object>} Payout request
+ */
+const cancelPayoutRequest = (requestId) => {
+  return closePayoutRequest(requestId, ['requested'], { status: 'cancelled' });
+};
+
+/**
+ * Approve or reject a payout request. Rejecting credits the amount back.
+ * @param {String} requestId - Payout request ID
+ * @param {String} status - approved or rejected
+ * @param {Object} admin - Admin reviewing the request
+ * @param {String} note - Note for the user
+ * @returns {Promise<Object>} Payout request
+ */
+const reviewPayoutRequest = async (requestId, status, admin, note) => {
+  const review = { status, note, reviewedBy: admin._id, reviewedAt: Date.now() };
+
+  // An approved request can still be rejected as long as it is not paid
+  if (status === 'rejected') {
+    return closePayoutRequest(requestId, ['requested', 'approved'], review);
+  }
+
+  const request = await PayoutRequest.findOneAndUpdate(
+    { _id: requestId, status: 'requested' },
+    { $set: review },
+    { new: true }
+  );
+
+  if (!request) {
+    const exists = await PayoutRequest.exists({ _id: requestId });
+    throw exists
+      ? new ApiError('This payout request has already been reviewed', 400)
+      : new ApiError('Payout request not found', 404);
+  }
+
+  return request;
+};
+
+/**
+ * Record that the money of an approved payout request has been sent
+ * @param {String} requestId - Payout request ID
+ * @param {Object} admin - Admin who sent the money
+ * @param {String} reference - Reference of the transfer
+ * @returns {Promise<Object>} Payout request
+ */
+const markPayoutPaid = async (requestId, admin, reference) => {
+  const request = await PayoutRequest.findOneAndUpdate(
+    { _id: requestId, status: 'approved' },
+    { $set: { status: 'paid', paidBy: admin._id, paidAt: Date.now(), reference } },
+    { new: true }
+  );
+
+  if (!request) {
+    const exists = await PayoutRequest.exists({ _id: requestId });
+    throw exists
+      ? new ApiError('Only approved payout requests can be marked paid', 400)
+      : new ApiError('Payout request not found', 404);
+  }
+
+  return request;
+};
+
+module.exports = {
+  startMilestoneCheckout,
+  refundMilestone,
+  refundProjectEscrow,
+  requestPayout,
+  cancelPayoutRequest,
+  reviewPayoutRequest,
+  markPayoutPaid,
+  processWebhookEvent,
+};
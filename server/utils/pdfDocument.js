@@ -0,0 +1,137 @@
+/**
+ * Minimal PDF writer for generated documents such as invoices. It supports
+ * text in the standard Helvetica and Courier fonts, lines and several
+ * A4 pages, which is all our documents need.
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Standard fonts every PDF reader has, so nothing needs embedding
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  mono: 'Courier',
+  monoBold: 'Courier-Bold',
+};
+
+/**
+ * Escape text for a PDF string. The fonts use WinAnsiEncoding, so anything
+ * outside Latin-1 is replaced.
+ * @param {String} text - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeText = (text) => {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+};
+
+/**
+ * Width of a text in Courier, whose glyphs are all 600/1000 of the font size
+ * @param {String} text - Text
+ * @param {Number} size - Font size
+ * @returns {Number} Width in points
+ */
+const monoWidth = (text, size) => String(text).length * size * 0.6;
+
+/**
+ * Create a PDF document. Coordinates are in points from the top left corner
+ * of the current page.
+ * @returns {Object} Document with text, line, addPage and toBuffer
+ */
+const createPdf = () => {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  const fontNames = Object.keys(FONTS);
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    /**
+     * Draw text
+     * @param {String} text - Text
+     * @param {Number} x - Left edge, or right edge when align is 'right' (mono fonts only)
+     * @param {Number} y - Baseline from the top
+     * @param {Object} options - font (regular, bold, mono, monoBold), size and align
+     */
+    text(text, x, y, { font = 'regular', size = 10, align = 'left' } = {}) {
+      const left = align === 'right' ? x - monoWidth(text, size) : x;
+      const name = `F${fontNames.indexOf(font) + 1}`;
+
+      current().push(
+        `BT /${name} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapeText(text)}) Tj ET`
+      );
+    },
+
+    /**
+     * Draw a line
+     * @param {Number} x1 - Start x
+     * @param {Number} y1 - Start y from the top
+     * @param {Number} x2 - End x
+     * @param {Number} y2 - End y from the top
+     * @param {Number} width - Line width
+     */
+    line(x1, y1, x2, y2, width = 0.5) {
+      current().push(`${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+    },
+
+    addPage() {
+      pages.push([]);
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} PDF file
+     */
+    toBuffer() {
+      // Objects: 1 catalog, 2 page tree, one per font, then a page and its content per page
+      const objects = [];
+      const fontIds = fontNames.map((key, index) => 3 + index);
+      const firstPageId = 3 + fontNames.length;
+      const pageIds = pages.map((page, index) => firstPageId + index * 2);
+
+      objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+      objects.push(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+      fontNames.forEach((key) => {
+        objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key]} /Encoding /WinAnsiEncoding >>`);
+      });
+
+      const fontResources = fontIds.map((id, index) => `/F${index + 1} ${id} 0 R`).join(' ');
+
+      pages.forEach((operations, index) => {
+        const content = operations.join('\n');
+
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${pageIds[index] + 1} 0 R >>`
+        );
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      });
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+
+      objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(output, 'latin1'));
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    },
+  };
+};
+
+module.exports = {
+  createPdf,
+  monoWidth,
+};
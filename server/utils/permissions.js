@@ -0,0 +1,466 @@
+const Dispute = require('../models/dispute.model');
+const Project = require('../models/project.model');
+const Task = require('../models/task.model');
+const Team = require('../models/team.model');
+const Timesheet = require('../models/timesheet.model');
+
+/**
+ * Team member permissions, as stored on Team.members[].permissions
+ */
+const TEAM_PERMISSIONS = ['canInvite', 'canRemove', 'canEditTeam', 'canManageProjects'];
+
+/**
+ * Get a string ID from a user, document, populated reference or raw ID
+ * @param {Object|String} value - Value to read the ID from
+ * @returns {String|null} ID
+ */
+const idOf = (value) => {
+  if (!value) return null;
+  return String(value._id || value.id || value);
+};
+
+/**
+ * Check whether two values refer to the same document
+ * @param {Object|String} a - First value
+ * @param {Object|String} b - Second value
+ * @returns {Boolean} True if the IDs match
+ */
+const sameId = (a, b) => {
+  const first = idOf(a);
+  return first !== null && first === idOf(b);
+};
+
+/**
+ * Find the membership of a user in a team
+ * @param {Object} user - User (or user ID)
+ * @param {Object} team - Team document with members
+ * @returns {Object|undefined} Member entry
+ */
+const getTeamMember = (user, team) => {
+  if (!team || !team.members) return undefined;
+  return team.members.find((member) => sameId(member.user, user));
+};
+
+/**
+ * Team leaders are the creator and members with the leader role. They hold
+ * every team permission regardless of their permission flags.
+ * @param {Object} user - User (or user ID)
+ * @param {Object} team - Team document
+ * @returns {Boolean} True if the user leads the team
+ */
+const isTeamLeader = (user, team) => {
+  if (!team) return false;
+  if (sameId(team.creator, user)) return true;
+
+  const member = getTeamMember(user, team);
+  return Boolean(member && member.role === 'leader');
+};
+
+/**
+ * Check a team permission flag for a user
+ * @param {Object} user - User (or user ID)
+ * @param {Object} team - Team document
+ * @param {String} permission - canInvite, canRemove, canEditTeam or canManageProjects
+ * @returns {Boolean} True if the user holds the permission
+ */
+const hasTeamPermission = (user, team, permission) => {
+  if (isTeamLeader(user, team)) return true;
+
+  const member = getTeamMember(user, team);
+  return Boolean(member && member.permissions && member.permissions[permission]);
+};
+
+/**
+ * Members who lead the team
+ * @param {Object} team - Team document
+ * @returns {Array} Member entries
+ */
+const getTeamLeaders = (team) => {
+  return team.members.filter((member) => isTeamLeader(member.user, team));
+};
+
+/**
+ * Build a full permissions object from request input, ignoring unknown keys
+ * @param {Object} input - Requested permissions
+ * @param {Boolean} grantAll - Grant every permission (for leaders)
+ * @returns {Object} Permissions object
+ */
+const normalizeTeamPermissions = (input = {}, grantAll = false) => {
+  return TEAM_PERMISSIONS.reduce((permissions, permission) => {
+    permissions[permission] = grantAll || input[permission] === true || input[permission] === 'true';
+    return permissions;
+  }, {});
+};
+
+const isProjectClient = (user, project) => sameId(project.client, user);
+
+const isAssignedFreelancer = (user, project) => {
+  return (project.assignedFreelancers || []).some((freelancer) => sameId(freelancer, user));
+};
+
+// The assigned team must be populated with its members for team checks to pass
+const isProjectTeamMember = (user, project) => {
+  return Boolean(getTeamMember(user, project.assignedTeam)) || isTeamLeader(user, project.assignedTeam);
+};
+
+const isProjectTeamManager = (user, project) => {
+  return Boolean(project.assignedTeam && project.assignedTeam.members) &&
+    hasTeamPermission(user, project.assignedTeam, 'canManageProjects');
+};
+
+/**
+ * Anyone working on the project: the client, assigned freelancers and
+ * members of the assigned team
+ * @param {Object} user - User (or user ID)
+ * @param {Object} project - Project document
+ * @returns {Boolean} True if the user takes part in the project
+ */
+const isProjectParticipant = (user, project) => {
+  return isProjectClient(user, project) || isAssignedFreelancer(user, project) || isProjectTeamMember(user, project);
+};
+
+// People who organise the work: the client, freelancers and team members allowed to manage projects
+const canManageProjectWork = (user, project) => {
+  return isProjectClient(user, project) || isAssignedFreelancer(user, project) || isProjectTeamManager(user, project);
+};
+
+/**
+ * Invitation of a user to a project, to them or to one of their teams
+ * @param {Object} user - User with teams
+ * @param {Object} project - Project document
+ * @param {Array} statuses - Invitation statuses that count
+ * @returns {Object|undefined} Invitation
+ */
+const findInvitation = (user, project, statuses = ['pending', 'accepted']) => {
+  return (project.invitations || []).find(
+    (invitation) =>
+      statuses.includes(invitation.status) &&
+      (sameId(invitation.user, user) ||
+        (invitation.team && (user.teams || []).some((team) => sameId(team, invitation.team))))
+  );
+};
+
+/**
+ * Who can see a project. Public projects are open to everyone once
+ * published, invite-only projects to the people invited, and private
+ * projects only to those taking part. Admins see every project.
+ * @param {Object|null} user - User, null for visitors
+ * @param {Object} project - Project document, the assigned team populated
+ * @returns {Boolean} True if the user can see the project
+ */
+const canViewProject = (user, project) => {
+  if (user && (user.role === 'admin' || isProjectParticipant(user, project))) return true;
+  if (project.status === 'draft') return false;
+
+  switch (project.visibility) {
+    case 'invite_only':
+      return Boolean(user && findInvitation(user, project));
+    case 'private':
+      return false;
+    default:
+      return true;
+  }
+};
+
+const isTaskAssignee = (user, task) => (task.assignedTo || []).some((assignee) => sameId(assignee, user));
+
+const isTaskCreator = (user, task) => sameId(task.creator, user);
+
+/**
+ * Policies by action. Each check receives the user, the resource and an
+ * optional context (e.g. the comment or attachment being deleted); tasks
+ * and disputes must have their project populated.
+ */
+const policies = {
+  'project:update': {
+    description: 'update this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:delete': {
+    description: 'delete this project',
+    check: (user, project) => isProjectClient(user, project) || user.role === 'admin',
+  },
+  'project:view': {
+    description: 'view this project',
+    check: (user, project) => canViewProject(user, project),
+  },
+  'project:submit_proposal': {
+    description: 'submit a proposal for this project',
+    check: (user, project) => {
+      if (user.role !== 'student' || !canViewProject(user, project)) return false;
+      if (project.visibility === 'invite_only') return Boolean(findInvitation(user, project, ['accepted']));
+      return project.visibility === 'public';
+    },
+  },
+  'project:invite': {
+    description: 'invite students and teams to this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:manage_proposals': {
+    description: 'manage proposals for this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:manage_milestones': {
+    description: 'manage milestones of this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:submit_milestone': {
+    description: 'submit milestones of this project',
+    check: (user, project) => isAssignedFreelancer(user, project) || isProjectTeamManager(user, project),
+  },
+  'project:manage_contracts': {
+    description: 'manage hourly contracts of this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:complete': {
+    description: 'complete this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:review': {
+    description: 'review this project',
+    check: (user, project) => isProjectParticipant(user, project),
+  },
+  'project:assign_team': {
+    description: 'assign a team to this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:view_tasks': {
+    description: 'view tasks for this project',
+    check: (user, project) => isProjectParticipant(user, project),
+  },
+  'project:fund': {
+    description: 'fund or refund milestones of this project',
+    check: (user, project) => isProjectClient(user, project),
+  },
+  'project:view_payments': {
+    description: 'view payments of this project',
+    check: (user, project) => isProjectParticipant(user, project) || user.role === 'admin',
+  },
+  'project:view_invoices': {
+    description: 'view invoices of this project',
+    check: (user, project) => isProjectParticipant(user, project) || user.role === 'admin',
+  },
+  'project:open_dispute': {
+    description: 'open a dispute on this project',
+    check: (user, project) =>
+      isProjectClient(user, project) || isAssignedFreelancer(user, project) || isProjectTeamManager(user, project),
+  },
+  'project:create_task': {
+    description: 'create tasks for this project',
+    check: (user, project) => canManageProjectWork(user, project),
+  },
+
+  'task:view': {
+    description: 'view this task',
+    check: (user, task) => isProjectParticipant(user, task.project) || isTaskAssignee(user, task),
+  },
+  'task:update': {
+    description: 'update this task',
+    check: (user, task) => canManageProjectWork(user, task.project) || isTaskCreator(user, task) || isTaskAssignee(user, task),
+  },
+  'task:delete': {
+    description: 'delete this task',
+    check: (user, task) =>
+      isProjectClient(user, task.project) || isProjectTeamManager(user, task.project) || isTaskCreator(user, task),
+  },
+  'task:manage': {
+    description: 'modify this task',
+    check: (user, task) => canManageProjectWork(user, task.project),
+  },
+  'task:assign': {
+    description: 'change the assignees of this task',
+    check: (user, task) => canManageProjectWork(user, task.project),
+  },
+  'task:comment': {
+    description: 'comment on this task',
+    check: (user, task) => isProjectParticipant(user, task.project) || isTaskAssignee(user, task),
+  },
+  'task:delete_comment': {
+    description: 'delete this comment',
+    check: (user, task, { comment }) => sameId(comment.user, user),
+  },
+  'task:attach': {
+    description: 'add attachments to this task',
+    check: (user, task) => isProjectParticipant(user, task.project) || isTaskAssignee(user, task),
+  },
+  'task:delete_attachment': {
+    description: 'delete this attachment',
+    check: (user, task, { attachment }) =>
+      canManageProjectWork(user, task.project) || sameId(attachment.uploadedBy, user),
+  },
+  'task:update_progress': {
+    description: 'update progress for this task',
+    check: (user, task) => canManageProjectWork(user, task.project) || isTaskAssignee(user, task),
+  },
+  'task:track_time': {
+    description: 'track time for this task',
+    check: (user, task) => isTaskAssignee(user, task),
+  },
+
+  'timesheet:view': {
+    description: 'view this timesheet',
+    check: (user, timesheet) =>
+      sameId(timesheet.freelancer, user) || isProjectClient(user, timesheet.project) || user.role === 'admin',
+  },
+  'timesheet:edit': {
+    description: 'change this timesheet',
+    check: (user, timesheet) => sameId(timesheet.freelancer, user),
+  },
+  'timesheet:review': {
+    description: 'review this timesheet',
+    check: (user, timesheet) => isProjectClient(user, timesheet.project),
+  },
+  'dispute:view': {
+    description: 'view this dispute',
+    check: (user, dispute) => isProjectParticipant(user, dispute.project) || user.role === 'admin',
+  },
+  'dispute:participate': {
+    description: 'take part in this dispute',
+    check: (user, dispute) =>
+      isProjectClient(user, dispute.project) ||
+      isAssignedFreelancer(user, dispute.project) ||
+      isProjectTeamManager(user, dispute.project) ||
+      user.role === 'admin',
+  },
+  'dispute:withdraw': {
+    description: 'withdraw this dispute',
+    check: (user, dispute) => sameId(dispute.openedBy, user),
+  },
+
+  'team:view_private': {
+    description: 'view this team',
+    check: (user, team) => Boolean(getTeamMember(user, team)) || isTeamLeader(user, team),
+  },
+  'team:update': {
+    description: 'update this team',
+    check: (user, team) => hasTeamPermission(user, team, 'canEditTeam'),
+  },
+  'team:delete': {
+    description: 'delete this team',
+    check: (user, team) => sameId(team.creator, user),
+  },
+  'team:transfer': {
+    description: 'transfer ownership of this team',
+    check: (user, team) => sameId(team.creator, user),
+  },
+  'team:invite': {
+    description: 'invite users to this team',
+    check: (user, team) => hasTeamPermission(user, team, 'canInvite'),
+  },
+  'team:remove_member': {
+    description: 'remove members from this team',
+    check: (user, team) => hasTeamPermission(user, team, 'canRemove'),
+  },
+  'team:update_member': {
+    description: 'update member roles in this team',
+    check: (user, team) => isTeamLeader(user, team),
+  },
+  'team:add_document': {
+    description: 'add documents to this team',
+    check: (user, team) => Boolean(getTeamMember(user, team)),
+  },
+  'team:delete_document': {
+    description: 'delete this document',
+    check: (user, team, { document }) =>
+      hasTeamPermission(user, team, 'canEditTeam') || sameId(document.uploadedBy, user),
+  },
+  'team:manage_projects': {
+    description: 'manage projects of this team',
+    check: (user, team) => hasTeamPermission(user, team, 'canManageProjects'),
+  },
+};
+
+/**
+ * Check whether a user may perform an action on a resource
+ * @param {Object} user - Authenticated user
+ * @param {String} action - Action, e.g. 'task:update'
+ * @param {Object} resource - Project, task or dispute (with project populated) or team
+ * @param {Object} context - Extra details the policy needs
+ * @returns {Boolean} True if allowed
+ */
+const can = (user, action, resource, context = {}) => {
+  const policy = policies[action];
+
+  if (!policy) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+  if (!user || !resource) return false;
+
+  return Boolean(policy.check(user, resource, context));
+};
+
+/**
+ * Error message for a refused action
+ * @param {String} action - Action
+ * @returns {String} Message
+ */
+const deniedMessage = (action) => {
+  return `Not authorized to ${policies[action] ? policies[action].description : 'perform this action'}`;
+};
+
+// Team fields the project and task policies need
+const TEAM_POLICY_FIELDS = 'name creator members';
+
+/**
+ * Load a resource with everything its policies need
+ * @param {String} type - project, task, team, dispute or timesheet
+ * @param {String} id - Resource ID
+ * @returns {Promise<Object|null>} Document
+ */
+const findResource = (type, id) => {
+  switch (type) {
+    case 'project':
+      return Project.findById(id).populate('assignedTeam', TEAM_POLICY_FIELDS);
+    case 'task':
+      return Task.findById(id).populate({
+        path: 'project',
+        populate: { path: 'assignedTeam', select: TEAM_POLICY_FIELDS },
+      });
+    case 'team':
+      return Team.findById(id);
+    case 'dispute':
+      return Dispute.findById(id).populate({
+        path: 'project',
+        select: 'title client assignedFreelancers assignedTeam revenueSplit milestones status paymentStatus currency',
+        populate: { path: 'assignedTeam', select: TEAM_POLICY_FIELDS },
+      });
+    case 'timesheet':
+      return Timesheet.findById(id).populate('project', 'title client status billingType');
+    default:
+      throw new Error(`Unknown resource type: ${type}`);
+  }
+};
+
+/**
+ * IDs of projects the user takes part in, directly or through a team
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Project IDs
+ */
+const findParticipatingProjectIds = async (userId) => {
+  const teams = await Team.find({ $or: [{ 'members.user': userId }, { creator: userId }] }).select('_id');
+
+  const projects = await Project.find({
+    $or: [
+      { client: userId },
+      { assignedFreelancers: userId },
+      { assignedTeam: { $in: teams.map((team) => team._id) } },
+    ],
+  }).select('_id');
+
+  return projects.map((project) => project._id);
+};
+
+module.exports = {
+  TEAM_PERMISSIONS,
+  can,
+  canViewProject,
+  deniedMessage,
+  findResource,
+  findParticipatingProjectIds,
+  findInvitation,
+  getTeamMember,
+  getTeamLeaders,
+  isTeamLeader,
+  isProjectParticipant,
+  normalizeTeamPermissions,
+};
@@ -0,0 +1,171 @@
+const Team = require('../models/team.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const { ApiError } = require('./errorHandler');
+const { can, getTeamLeaders } = require('./permissions');
+
+const idOf = (value) => String(value._id || value);
+
+// Invitations that still give access to the project
+const ACTIVE_STATUSES = ['pending', 'accepted'];
+
+const notify = async (recipients, project, actor, title, content) => {
+  for (const recipient of recipients) {
+    if (idOf(recipient) === idOf(actor)) continue;
+
+    const notification = new Notification({
+      recipient,
+      type: 'project',
+      title,
+      content,
+      project: project._id,
+      createdBy: actor._id,
+      link: `/projects/${project._id}`,
+    });
+
+    await notification.save();
+
+    // Add notification to the user's notifications
+    await User.findByIdAndUpdate(recipient, {
+      $push: { notifications: notification._id },
+    });
+  }
+};
+
+const findActive = (project, field, id) =>
+  project.invitations.find(
+    (invitation) => invitation[field] && idOf(invitation[field]) === idOf(id) && ACTIVE_STATUSES.includes(invitation.status)
+  );
+
+/**
+ * Invite students and teams to an invite-only project. Those already
+ * invited are skipped. The project is saved.
+ * @param {Object} project - Project document
+ * @param {Object} user - Client inviting
+ * @param {Object} invitees - users and teams (IDs), and an optional message
+ * @returns {Promise<Array>} New invitations
+ */
+const invite = async (project, user, { users = [], teams = [], message }) => {
+  if (project.visibility !== 'invite_only') {
+    throw new ApiError('Only invite-only projects take invitations', 400);
+  }
+  if (!['draft', 'open'].includes(project.status)) {
+    throw new ApiError(`Invitations cannot be sent when the project is ${project.status}`, 400);
+  }
+
+  const students = await User.find({ _id: { $in: users }, role: 'student', isActive: true }).select('_id');
+  if (students.length !== new Set(users.map(String)).size) {
+    throw new ApiError('Only active students can be invited', 400);
+  }
+
+  const invitedTeams = await Team.find({ _id: { $in: teams } }).select('name creator members');
+  if (invitedTeams.length !== new Set(teams.map(String)).size) {
+    throw new ApiError('Team not found', 404);
+  }
+
+  const created = [];
+  students
+    .filter((student) => !findActive(project, 'user', student._id))
+    .forEach((student) => {
+      project.invitations.push({ user: student._id, message, invitedBy: user._id });
+      created.push(project.invitations[project.invitations.length - 1]);
+    });
+  invitedTeams
+    .filter((team) => !findActive(project, 'team', team._id))
+    .forEach((team) => {
+      project.invitations.push({ team: team._id, message, invitedBy: user._id });
+      created.push(project.invitations[project.invitations.length - 1]);
+    });
+
+  await project.save();
+
+  // Team invitations go to the team's leaders, who answer for the team
+  const recipients = created.flatMap((invitation) => {
+    if (invitation.user) return [invitation.user];
+
+    const team = invitedTeams.find((item) => idOf(item) === idOf(invitation.team));
+    return getTeamLeaders(team).map((member) => member.user);
+  });
+
+  await notify(
+    recipients,
+    project,
+    user,
+    'Project Invitation',
+    `${user.name} invited you to send a proposal for the project: ${project.title}`
+  );
+
+  return created;
+};
+
+/**
+ * Accept or decline an invitation. Team invitations are answered by a
+ * member who manages the team's projects.
+ * @param {Object} project - Project document
+ * @param {String} invitationId - Invitation ID
+ * @param {Object} user - User responding
+ * @param {Boolean} accept - True to accept, false to decline
+ * @returns {Promise<Object>} Invitation
+ */
+const respond = async (project, invitationId, user, accept) => {
+  const invitation = project.invitations.id(invitationId);
+  if (!invitation) {
+    throw new ApiError('Invitation not found', 404);
+  }
+
+  if (invitation.team) {
+    const team = await Team.findById(invitation.team).select('name creator members');
+    if (!team || !can(user, 'team:manage_projects', team)) {
+      throw new ApiError("Only members who manage the team's projects can answer this invitation", 403);
+    }
+  } else if (idOf(invitation.user) !== idOf(user)) {
+    throw new ApiError('This invitation is not for you', 403);
+  }
+
+  if (invitation.status !== 'pending') {
+    throw new ApiError(`This invitation is already ${invitation.status}`, 400);
+  }
+
+  invitation.status = accept ? 'accepted' : 'declined';
+  invitation.respondedBy = user._id;
+  invitation.respondedAt = Date.now();
+  await project.save();
+
+  await notify(
+    [project.client],
+    project,
+    user,
+    accept ? 'Invitation Accepted' : 'Invitation Declined',
+    `${user.name} ${accept ? 'accepted' : 'declined'} your invitation to the project: ${project.title}`
+  );
+
+  return invitation;
+};
+
+/**
+ * Withdraw an invitation, so the invitee can no longer see the project.
+ * Proposals already sent stay.
+ * @param {Object} project - Project document
+ * @param {String} invitationId - Invitation ID
+ * @returns {Promise<Object>} Invitation
+ */
+const revoke = async (project, invitationId) => {
+  const invitation = project.invitations.id(invitationId);
+  if (!invitation) {
+    throw new ApiError('Invitation not found', 404);
+  }
+  if (!ACTIVE_STATUSES.includes(invitation.status)) {
+    throw new ApiError(`This invitation is already ${invitation.status}`, 400);
+  }
+
+  invitation.status = 'revoked';
+  await project.save();
+
+  return invitation;
+};
+
+module.exports = {
+  invite,
+  respond,
+  revoke,
+};
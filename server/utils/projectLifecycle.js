@@ -0,0 +1,238 @@
+const Project = require('../models/project.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const savedSearchService = require('./savedSearchService');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Statuses a project can move to from each status. Completed and
+ * cancelled projects are final.
+ */
+const TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['draft', 'in_progress', 'closed', 'cancelled'],
+  in_progress: ['review', 'completed', 'cancelled'],
+  review: ['in_progress', 'completed', 'cancelled'],
+  closed: ['open', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Transitions the client makes with PUT /api/projects/:id. Work starts
+// when someone is hired and ends when the project is completed.
+const CLIENT_TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['draft', 'closed', 'cancelled'],
+  closed: ['open', 'cancelled'],
+};
+
+const isHired = (project) =>
+  Boolean(project.assignedTeam) || (project.assignedFreelancers || []).length > 0;
+
+/**
+ * Check that a project may move to a status
+ * @param {Object} project - Project document
+ * @param {String} status - New status
+ * @param {Object} options - byClient to allow only the client's transitions,
+ *   deadline when it changes along with the status
+ */
+const assertTransition = (project, status, { byClient = false, deadline = project.deadline } = {}) => {
+  const allowed = (byClient ? CLIENT_TRANSITIONS : TRANSITIONS)[project.status] || [];
+  if (!allowed.includes(status)) {
+    throw new ApiError(`Project cannot go from ${project.status} to ${status}`, 400);
+  }
+
+  if (status === 'open' && new Date(deadline) <= new Date()) {
+    throw new ApiError('Set a deadline in the future before opening the project', 400);
+  }
+  if (status === 'draft' && (project.proposals || []).length > 0) {
+    throw new ApiError('A project with proposals cannot go back to draft', 400);
+  }
+  if (status === 'closed' && isHired(project)) {
+    throw new ApiError('A project somebody was hired for cannot be closed', 400);
+  }
+};
+
+/**
+ * Fields that change along with a status
+ * @param {String} status - New status
+ * @param {String} closeReason - Why the project closed, for closed
+ * @returns {Object} Update
+ */
+const statusUpdate = (status, closeReason = 'client') => {
+  const update = { status };
+
+  if (status === 'open') {
+    update.publishedAt = Date.now();
+    update.publishAt = null;
+    update.closedAt = null;
+    update.closeReason = null;
+  }
+  if (status === 'closed') {
+    update.closedAt = Date.now();
+    update.closeReason = closeReason;
+  }
+
+  return update;
+};
+
+/**
+ * Check a move to a status and get the fields to update with it
+ * @param {Object} project - Project document
+ * @param {String} status - New status
+ * @param {Object} options - As for assertTransition
+ * @returns {Object} Update
+ */
+const transitionUpdate = (project, status, options) => {
+  assertTransition(project, status, options);
+  return statusUpdate(status);
+};
+
+/**
+ * Move a project to a status. The project is not saved.
+ * @param {Object} project - Project document
+ * @param {String} status - New status
+ * @returns {Object} Project
+ */
+const transition = (project, status) => {
+  project.set(transitionUpdate(project, status));
+  return project;
+};
+
+/**
+ * Publish a draft now, or schedule it to be published at publishAt. The
+ * project is not saved.
+ * @param {Object} project - Draft project document
+ * @param {Date} publishAt - Time to publish, now if missing or past
+ * @returns {Object} Project
+ */
+const publish = (project, publishAt) => {
+  if (project.status !== 'draft') {
+    throw new ApiError('Only drafts can be published', 400);
+  }
+
+  if (publishAt && new Date(publishAt) > new Date()) {
+    if (new Date(publishAt) >= new Date(project.deadline)) {
+      throw new ApiError('The project must be published before its deadline', 400);
+    }
+    project.publishAt = publishAt;
+    return project;
+  }
+
+  return transition(project, 'open');
+};
+
+const notifyClient = async (project, title, content) => {
+  const notification = new Notification({
+    recipient: project.client,
+    type: 'project',
+    title,
+    content,
+    project: project._id,
+    link: `/projects/${project._id}`,
+  });
+
+  await notification.save();
+
+  // Add notification to the user's notifications
+  await User.findByIdAndUpdate(project.client, {
+    $push: { notifications: notification._id },
+  });
+};
+
+/**
+ * Alert saved searches about a project that was opened. The project is
+ * open either way, so failed alerts are only logged.
+ * @param {Object} project - Open project
+ */
+const announce = async (project) => {
+  try {
+    await savedSearchService.alertMatches(project);
+  } catch (error) {
+    console.error('Saved search alerts error:', error);
+  }
+};
+
+/**
+ * Publish the drafts whose scheduled time has come. A draft whose deadline
+ * passed in the meantime stays a draft and the client is told.
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of projects published
+ */
+const publishScheduledProjects = async (now = new Date()) => {
+  const projects = await Project.find({ status: 'draft', publishAt: { $lte: now } });
+
+  let published = 0;
+  for (const project of projects) {
+    if (new Date(project.deadline) <= now) {
+      const cleared = await Project.updateOne(
+        { _id: project._id, status: 'draft', publishAt: project.publishAt },
+        { $set: { publishAt: null } }
+      );
+      if (cleared.modifiedCount > 0) {
+        await notifyClient(
+          project,
+          'Project Not Published',
+          `Your project "${project.title}" was not published because its deadline has passed. Set a new deadline and publish it again.`
+        );
+      }
+      continue;
+    }
+
+    // Only the instance that makes the change goes on
+    const opened = await Project.findOneAndUpdate(
+      { _id: project._id, status: 'draft', publishAt: project.publishAt },
+      { $set: statusUpdate('open') },
+      { new: true }
+    );
+    if (!opened) continue;
+
+    published += 1;
+    await notifyClient(opened, 'Project Published', `Your project "${opened.title}" is now open for proposals.`);
+    await announce(opened);
+  }
+
+  return published;
+};
+
+/**
+ * Close open projects past their deadline that nobody was hired for
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of projects closed
+ */
+const expireProjects = async (now = new Date()) => {
+  const query = {
+    status: 'open',
+    deadline: { $lte: now },
+    assignedTeam: null,
+    'assignedFreelancers.0': { $exists: false },
+  };
+  const projects = await Project.find(query).select('title client');
+
+  let expired = 0;
+  for (const project of projects) {
+    const closed = await Project.updateOne({ ...query, _id: project._id }, { $set: statusUpdate('closed', 'expired') });
+    if (closed.modifiedCount === 0) continue;
+
+    expired += 1;
+    await notifyClient(
+      project,
+      'Project Closed',
+      `Your project "${project.title}" was closed because its deadline passed before anybody was hired. You can set a new deadline and open it again.`
+    );
+  }
+
+  return expired;
+};
+
+module.exports = {
+  TRANSITIONS,
+  CLIENT_TRANSITIONS,
+  assertTransition,
+  transitionUpdate,
+  transition,
+  publish,
+  announce,
+  publishScheduledProjects,
+  expireProjects,
+};
@@ -0,0 +1,244 @@
+const config = require('../config/config');
+const { currencyExponent } = require('./money');
+
+// Upper bounds of the budget facet buckets, in major units
+const BUDGET_BUCKETS = [500, 1000, 5000, 10000];
+
+// Characters of description shown around the first match
+const SNIPPET_LENGTH = 160;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  budget_high: { budget: -1 },
+  budget_low: { budget: 1 },
+  deadline: { deadline: 1 },
+  relevance: { score: { $meta: 'textScore' } },
+};
+
+// Endings dropped before highlighting, roughly what the text index stems
+const SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ies', 'ers', 'er', 'es', 'ed', 'ly', 's'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const suffix = SUFFIXES.find((ending) => lower.endsWith(ending) && lower.length - ending.length >= 3);
+  return suffix ? lower.slice(0, -suffix.length) : lower;
+};
+
+/**
+ * Split a search the way the text index reads it: words, "quoted phrases",
+ * and words or phrases excluded with a leading minus
+ * @param {String} search - Search text
+ * @returns {Object} terms, phrases and excluded
+ */
+const parseSearch = (search = '') => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+
+  let match;
+  while ((match = pattern.exec(search)) !== null) {
+    const negated = Boolean(match[1] || match[3]);
+    const text = (match[2] !== undefined ? match[2] : match[4]).trim();
+    if (!text) continue;
+
+    if (negated) {
+      parsed.excluded.push(text);
+    } else if (match[2] !== undefined) {
+      parsed.phrases.push(text);
+    } else {
+      // The index splits words at punctuation, e.g. "(react" is "react"
+      parsed.terms.push(...text.split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Build the project query for the search filters
+ * @param {Object} filters - search, category, skills, minBudget, maxBudget, currency and status
+ * @returns {Object} MongoDB query
+ */
+const buildProjectQuery = ({ search, category, skills, minBudget, maxBudget, currency, status }) => {
+  const query = {};
+
+  // Ranked full-text search over title, description and skills, with
+  // stemming, "phrases" and -exclusions
+  if (search && search.trim()) {
+    query.$text = { $search: search.trim() };
+  }
+
+  // Filter by category
+  if (category) {
+    query.category = category;
+  }
+
+  // Filter by skills
+  if (skills) {
+    const skillsArray = Array.isArray(skills) ? skills : skills.split(',');
+    query.skills = { $in: skillsArray };
+  }
+
+  // Filter by budget range. Budgets only compare within one currency, the
+  // platform currency unless another is asked for.
+  if (minBudget || maxBudget) {
+    query.currency = currency || config.payments.currency;
+    query.budget = {};
+    if (minBudget) query.budget.$gte = Number(minBudget);
+    if (maxBudget) query.budget.$lte = Number(maxBudget);
+  }
+
+  // Filter by status, by default only open projects. Drafts are not listed.
+  query.status = status && status !== 'draft' ? status : 'open';
+
+  // Only show public projects
+  query.visibility = 'public';
+
+  return query;
+};
+
+/**
+ * Sort for a search. Searches are ranked by relevance unless another sort
+ * is asked for; relevance needs a search.
+ * @param {String} sort - Sort option
+ * @param {Boolean} searching - Whether the query has a text search
+ * @returns {Object} Sort options
+ */
+const buildSort = (sort, searching) => {
+  if (sort === 'relevance' || (!sort && searching)) {
+    return searching ? SORT_OPTIONS.relevance : SORT_OPTIONS.newest;
+  }
+
+  return SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+};
+
+/**
+ * Find where the search matches a text
+ * @param {String} text - Text
+ * @param {Array} patterns - Regular expressions of the terms and phrases
+ * @returns {Array} Matches as [start, end] offsets, in order
+ */
+const findMatches = (text, patterns) => {
+  const matches = [];
+
+  patterns.forEach((pattern) => {
+    for (const match of text.matchAll(pattern)) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  // Drop matches inside earlier ones
+  return matches
+    .sort((a, b) => a[0] - b[0] || b[1] - a[1])
+    .filter((match, index, all) => index === 0 || match[0] >= all[index - 1][1]);
+};
+
+/**
+ * Where a project matches a search, to highlight in the results. Long
+ * descriptions are cut to a snippet around the first match.
+ * @param {Object} project - Project
+ * @param {Object} parsed - Parsed search from parseSearch
+ * @returns {Array} Highlights as { field, text, matches: [[start, end]] }
+ */
+const highlight = (project, parsed) => {
+  const patterns = [
+    ...parsed.terms.map((term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(stem(term))}[\\p{L}\\p{N}]*`, 'giu')),
+    ...parsed.phrases.map((phrase) => new RegExp(phrase.split(/\s+/).map(escapeRegex).join('\\s+'), 'giu')),
+  ];
+  if (patterns.length === 0) return [];
+
+  const highlights = [];
+  const add = (field, text) => {
+    const matches = findMatches(text, patterns);
+    if (matches.length > 0) highlights.push({ field, text, matches });
+  };
+
+  add('title', project.title || '');
+
+  const description = project.description || '';
+  const first = findMatches(description, patterns)[0];
+  if (first) {
+    const start = Math.max(0, first[0] - SNIPPET_LENGTH / 4);
+    const end = Math.min(description.length, start + SNIPPET_LENGTH);
+    const snippet = `${start > 0 ? '…' : ''}${description.slice(start, end)}${end < description.length ? '…' : ''}`;
+    add('description', snippet);
+  }
+
+  (project.skills || []).forEach((skill) => add('skills', skill));
+
+  return highlights;
+};
+
+/**
+ * Count the projects of a query by category, skill, budget and duration
+ * @param {Object} query - Project query from buildProjectQuery
+ * @param {String} currency - Currency of the budget buckets
+ * @returns {Array} Aggregation pipeline
+ */
+const facetPipeline = (query, currency = config.payments.currency) => {
+  const unit = 10 ** currencyExponent(currency);
+  const count = { $sum: 1 };
+  const byCount = { count: -1, _id: 1 };
+
+  return [
+    { $match: query },
+    {
+      $facet: {
+        categories: [{ $group: { _id: '$category', count } }, { $sort: byCount }],
+        skills: [{ $unwind: '$skills' }, { $group: { _id: '$skills', count } }, { $sort: byCount }, { $limit: 20 }],
+        durations: [{ $group: { _id: '$duration', count } }, { $sort: byCount }],
+        budgets: [
+          { $match: { currency } },
+          {
+            $bucket: {
+              groupBy: '$budget',
+              boundaries: [0, ...BUDGET_BUCKETS.map((bound) => bound * unit)],
+              default: 'more',
+              output: { count },
+            },
+          },
+        ],
+      },
+    },
+  ];
+};
+
+/**
+ * Turn the facet aggregation result into value and count lists
+ * @param {Object} result - First document of the facet aggregation
+ * @param {String} currency - Currency of the budget buckets
+ * @returns {Object} Facets
+ */
+const formatFacets = (result, currency = config.payments.currency) => {
+  const unit = 10 ** currencyExponent(currency);
+  const list = (items) => items.map((item) => ({ value: item._id, count: item.count }));
+  const lastBound = BUDGET_BUCKETS[BUDGET_BUCKETS.length - 1] * unit;
+
+  return {
+    categories: list(result.categories),
+    skills: list(result.skills),
+    durations: list(result.durations),
+    // Bucket bounds in minor units; max is exclusive, and null for the last
+    budgets: {
+      currency,
+      buckets: result.budgets.map((bucket) => {
+        if (bucket._id === 'more') return { min: lastBound, max: null, count: bucket.count };
+
+        const index = BUDGET_BUCKETS.findIndex((bound) => bound * unit > bucket._id);
+        return { min: bucket._id, max: BUDGET_BUCKETS[index] * unit, count: bucket.count };
+      }),
+    },
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  parseSearch,
+  buildProjectQuery,
+  buildSort,
+  highlight,
+  facetPipeline,
+  formatFacets,
+};
@@ -0,0 +1,186 @@
+const Project = require('../models/project.model');
+
+// Points a project gets for each thing it has in common with the student
+const WEIGHTS = {
+  skill: 10, // Skill on the student's profile
+  historySkill: 3, // Skill of a project they won, completed or saved
+  completedCategory: 8,
+  acceptedCategory: 5,
+  savedCategory: 3,
+  budget: 4, // Budget in the range the student usually works for
+};
+
+// Budgets this far below or above the student's range still count
+const BUDGET_TOLERANCE = 0.5;
+
+// Newest matching open projects that are scored
+const CANDIDATE_LIMIT = 200;
+
+const normalize = (skill) => String(skill).trim().toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * What the recommendations go by: the student's skills and the projects
+ * they won, completed and saved
+ * @param {Object} history - skills, and accepted, completed and saved projects
+ * @returns {Object} Profile
+ */
+const buildProfile = ({ skills = [], accepted = [], completed = [], saved = [] }) => {
+  const profile = {
+    skills: new Map(),
+    historySkills: new Set(),
+    categories: { completed: new Set(), accepted: new Set(), saved: new Set() },
+    budgets: new Map(),
+  };
+
+  skills.forEach((skill) => profile.skills.set(normalize(skill), skill));
+
+  [...accepted, ...completed, ...saved].forEach((project) => {
+    (project.skills || []).forEach((skill) => {
+      if (!profile.skills.has(normalize(skill))) profile.historySkills.add(normalize(skill));
+    });
+  });
+
+  completed.forEach((project) => profile.categories.completed.add(project.category));
+  accepted.forEach((project) => profile.categories.accepted.add(project.category));
+  saved.forEach((project) => profile.categories.saved.add(project.category));
+
+  // Budget range per currency of the projects they worked on
+  [...accepted, ...completed].forEach((project) => {
+    if (!(project.budget > 0)) return;
+
+    const range = profile.budgets.get(project.currency);
+    profile.budgets.set(
+      project.currency,
+      range
+        ? { min: Math.min(range.min, project.budget), max: Math.max(range.max, project.budget) }
+        : { min: project.budget, max: project.budget }
+    );
+  });
+
+  return profile;
+};
+
+/**
+ * Score an open project for a student. The same project and profile always
+ * give the same score and reasons.
+ * @param {Object} project - Project with skills, category, budget and currency
+ * @param {Object} profile - Profile from buildProfile
+ * @returns {Object} score and reasons
+ */
+const scoreProject = (project, profile) => {
+  let score = 0;
+  const reasons = [];
+
+  const skills = project.skills || [];
+  const matched = skills.filter((skill) => profile.skills.has(normalize(skill)));
+  if (matched.length > 0) {
+    score += matched.length * WEIGHTS.skill;
+    reasons.push(`matches ${matched.join(', ')}`);
+  }
+
+  const familiar = skills.filter((skill) => profile.historySkills.has(normalize(skill)));
+  if (familiar.length > 0) {
+    score += familiar.length * WEIGHTS.historySkill;
+    reasons.push(`uses ${familiar.join(', ')} from your past projects`);
+  }
+
+  // Only the strongest reason for the category counts
+  const { completed, accepted, saved } = profile.categories;
+  if (completed.has(project.category)) {
+    score += WEIGHTS.completedCategory;
+    reasons.push(`like projects you completed in ${project.category}`);
+  } else if (accepted.has(project.category)) {
+    score += WEIGHTS.acceptedCategory;
+    reasons.push(`like projects you were hired for in ${project.category}`);
+  } else if (saved.has(project.category)) {
+    score += WEIGHTS.savedCategory;
+    reasons.push(`like projects you saved in ${project.category}`);
+  }
+
+  const range = profile.budgets.get(project.currency);
+  if (
+    range &&
+    project.budget >= range.min * (1 - BUDGET_TOLERANCE) &&
+    project.budget <= range.max * (1 + BUDGET_TOLERANCE)
+  ) {
+    score += WEIGHTS.budget;
+    reasons.push('budget in your usual range');
+  }
+
+  return { score, reasons };
+};
+
+/**
+ * Order projects by score. Ties go to the newer project, then by ID, so
+ * the order is stable between requests.
+ * @param {Array} projects - Projects
+ * @param {Object} profile - Profile from buildProfile
+ * @returns {Array} Projects with score, reasons and explanation, best first
+ */
+const rankProjects = (projects, profile) =>
+  projects
+    .map((project) => {
+      const { score, reasons } = scoreProject(project, profile);
+      return { project, score, reasons, explanation: reasons.join('; ') };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.project.createdAt) - new Date(a.project.createdAt) ||
+        String(a.project._id).localeCompare(String(b.project._id))
+    );
+
+/**
+ * Projects to recommend to a student: open public projects they have not
+ * bid on, best match first
+ * @param {Object} user - Student with skills and savedProjects
+ * @returns {Promise<Array>} Ranked projects from rankProjects
+ */
+const getRecommendations = async (user) => {
+  const historyFields = 'skills category budget currency';
+  const [accepted, completed, saved] = await Promise.all([
+    Project.find({ proposals: { $elemMatch: { freelancer: user._id, status: 'accepted' } } }).select(historyFields),
+    Project.find({
+      status: 'completed',
+      $or: [{ assignedFreelancers: user._id }, { assignedTeam: { $in: user.teams || [] } }],
+    }).select(historyFields),
+    Project.find({ _id: { $in: user.savedProjects || [] } }).select(historyFields),
+  ]);
+
+  const profile = buildProfile({ skills: user.skills, accepted, completed, saved });
+
+  const query = {
+    status: 'open',
+    visibility: 'public',
+    'proposals.freelancer': { $ne: user._id },
+    assignedFreelancers: { $ne: user._id },
+  };
+
+  // Only projects with something in common, when there is anything to go by
+  const skills = [...profile.skills.keys(), ...profile.historySkills];
+  const categories = [...profile.categories.completed, ...profile.categories.accepted, ...profile.categories.saved];
+  if (skills.length > 0 || categories.length > 0) {
+    query.$or = [
+      { skills: { $in: skills.map((skill) => new RegExp(`^${escapeRegex(skill)}$`, 'i')) } },
+      { category: { $in: categories } },
+    ];
+  }
+
+  const candidates = await Project.find(query)
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .populate('client', 'name avatar')
+    .select('-proposals');
+
+  return rankProjects(candidates, profile);
+};
+
+module.exports = {
+  WEIGHTS,
+  buildProfile,
+  scoreProject,
+  rankProjects,
+  getRecommendations,
+};
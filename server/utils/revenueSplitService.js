@@ -0,0 +1,359 @@
+const Project = require('../models/project.model');
+const Task = require('../models/task.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const ledgerService = require('./ledgerService');
+const projectLifecycle = require('./projectLifecycle');
+const { ApiError } = require('./errorHandler');
+const { splitByWeights } = require('./money');
+
+const idOf = (value) => String(value._id || value);
+
+const SPLIT_METHODS = ['equal', 'role', 'custom', 'hours'];
+
+const notify = async (recipients, project, actor, title, content) => {
+  for (const recipient of recipients) {
+    if (idOf(recipient) === idOf(actor)) continue;
+
+    const notification = new Notification({
+      recipient,
+      type: 'project',
+      title,
+      content,
+      team: project.assignedTeam ? idOf(project.assignedTeam) : undefined,
+      project: project._id,
+      createdBy: actor._id,
+      link: `/projects/${project._id}`,
+    });
+
+    await notification.save();
+
+    // Add notification to the user's notifications
+    await User.findByIdAndUpdate(recipient, {
+      $push: { notifications: notification._id },
+    });
+  }
+};
+
+const splitMembers = (project) => project.revenueSplit.members.map((member) => member.user);
+
+/**
+ * Check the terms of a split against the team's members
+ * @param {Object} team - Team document
+ * @param {Object} terms - method, roleWeights and shares
+ */
+const validateTerms = (team, { method, roleWeights = [], shares = [] }) => {
+  if (!SPLIT_METHODS.includes(method)) {
+    throw new ApiError(`Split method must be one of ${SPLIT_METHODS.join(', ')}`, 400);
+  }
+
+  if (method === 'role') {
+    const weights = new Map(roleWeights.map((item) => [item.role, Number(item.weight)]));
+    if ([...weights.values()].some((weight) => !(weight >= 0))) {
+      throw new ApiError('Role weights cannot be negative', 400);
+    }
+    if (!team.members.some((member) => weights.get(member.role) > 0)) {
+      throw new ApiError('At least one member must have a role with a weight above 0', 400);
+    }
+  }
+
+  if (method === 'custom') {
+    const memberIds = team.members.map((member) => idOf(member.user));
+    const shareIds = shares.map((share) => idOf(share.user));
+
+    if (shareIds.length !== memberIds.length || memberIds.some((id) => !shareIds.includes(id))) {
+      throw new ApiError('A custom split needs a percentage for every team member', 400);
+    }
+    if (shares.some((share) => !(Number(share.percent) >= 0))) {
+      throw new ApiError('Percentages cannot be negative', 400);
+    }
+
+    const total = shares.reduce((sum, share) => sum + Number(share.percent), 0);
+    if (Math.abs(total - 100) > 0.01) {
+      throw new ApiError('Percentages must add up to 100', 400);
+    }
+  }
+};
+
+/**
+ * Start work on the project once every member accepted the split
+ * @param {Object} project - Project document
+ * @returns {Boolean} True if work started
+ */
+const startWhenAccepted = (project) => {
+  const split = project.revenueSplit;
+  if (split.status !== 'pending' || !split.members.every((member) => member.accepted)) {
+    return false;
+  }
+
+  split.status = 'accepted';
+  split.acceptedAt = Date.now();
+  projectLifecycle.transition(project, 'in_progress');
+  project.startDate = Date.now();
+
+  return true;
+};
+
+/**
+ * Propose how the assigned team splits the project's milestone payments.
+ * Every current member has to accept it; the member proposing accepts
+ * right away, so a team of one starts at once. The project is not saved.
+ * @param {Object} project - Project document
+ * @param {Object} team - Assigned team with its members
+ * @param {Object} user - User proposing the split
+ * @param {Object} terms - method (equal by default), roleWeights and shares ({ user, percent })
+ * @returns {Object} Split agreement
+ */
+const proposeSplit = (project, team, user, { method = 'equal', roleWeights = [], shares = [] } = {}) => {
+  if (project.status !== 'open') {
+    throw new ApiError('The revenue split cannot be changed once work has started', 400);
+  }
+
+  validateTerms(team, { method, roleWeights, shares });
+
+  const now = Date.now();
+  const percentOf = (member) => {
+    const share = shares.find((item) => idOf(item.user) === idOf(member.user));
+    return share ? Number(share.percent) : undefined;
+  };
+
+  project.revenueSplit = {
+    method,
+    roleWeights: method === 'role' ? roleWeights : [],
+    members: team.members.map((member) => {
+      const accepted = idOf(member.user) === idOf(user);
+      return {
+        user: member.user,
+        role: member.role,
+        percent: method === 'custom' ? percentOf(member) : undefined,
+        accepted,
+        respondedAt: accepted ? now : undefined,
+      };
+    }),
+    status: 'pending',
+    proposedBy: user._id,
+    proposedAt: now,
+  };
+
+  startWhenAccepted(project);
+
+  return project.revenueSplit;
+};
+
+/**
+ * Save a revised split and send it to the members to accept, or tell the
+ * client work started if nobody else has to accept it
+ * @param {Object} project - Project document with a proposed split
+ * @param {Object} team - Assigned team
+ * @param {Object} user - User who proposed the split
+ * @returns {Promise<Object>} Split agreement
+ */
+const announceSplit = async (project, team, user) => {
+  await project.save();
+
+  if (project.revenueSplit.status === 'accepted') {
+    await notify(
+      [project.client],
+      project,
+      user,
+      'Work Started',
+      `The team ${team.name} has started on your project: ${project.title}`
+    );
+  } else {
+    await notify(
+      splitMembers(project),
+      project,
+      user,
+      'Revenue Split Proposed',
+      `Please review and accept how ${team.name} will split the payments for the project: ${project.title}`
+    );
+  }
+
+  return project.revenueSplit;
+};
+
+/**
+ * Accept or decline the split as a member. Work on the project starts when
+ * the last member accepts. A declined split has to be proposed again.
+ * @param {Object} project - Project document with a pending split
+ * @param {Object} team - Assigned team
+ * @param {Object} user - Member responding
+ * @param {Boolean} accept - True to accept, false to decline
+ * @returns {Promise<Object>} Project as it is after the response
+ */
+const respondToSplit = async (project, team, user, accept) => {
+  const split = project.revenueSplit;
+  if (!split || split.status !== 'pending') {
+    throw new ApiError('There is no revenue split waiting for a response', 400);
+  }
+
+  const member = split.members.find((item) => idOf(item.user) === idOf(user));
+  if (!member) {
+    throw new ApiError('You are not part of this revenue split', 403);
+  }
+
+  // Only the member's own response is written, and only while this split is
+  // still pending, so members answering at the same time do not undo each other
+  const pendingSplit = {
+    _id: project._id,
+    'revenueSplit.status': 'pending',
+    'revenueSplit.proposedAt': split.proposedAt,
+  };
+  const response = {
+    'revenueSplit.members.$.accepted': accept,
+    'revenueSplit.members.$.respondedAt': Date.now(),
+  };
+  if (!accept) {
+    response['revenueSplit.status'] = 'declined';
+  }
+
+  const result = await Project.updateOne(
+    { ...pendingSplit, 'revenueSplit.members.user': member.user },
+    { $set: response }
+  );
+  if (result.modifiedCount === 0) {
+    throw new ApiError('There is no revenue split waiting for a response', 400);
+  }
+
+  // Decide on the responses stored, not the ones this request loaded
+  const current = await Project.findById(project._id);
+
+  if (!accept) {
+    await notify(
+      [split.proposedBy],
+      current,
+      user,
+      'Revenue Split Declined',
+      `${user.name} declined the revenue split of ${team.name} for the project: ${current.title}`
+    );
+    return current;
+  }
+
+  const { status } = current;
+  if (!startWhenAccepted(current)) {
+    return current;
+  }
+
+  // Only one of the last members accepting at the same time starts the work
+  const start = await Project.updateOne({ ...pendingSplit, status }, {
+    $set: {
+      status: current.status,
+      startDate: current.startDate,
+      'revenueSplit.status': current.revenueSplit.status,
+      'revenueSplit.acceptedAt': current.revenueSplit.acceptedAt,
+    },
+  });
+
+  if (start.modifiedCount > 0) {
+    await notify(
+      [...splitMembers(current), current.client],
+      current,
+      user,
+      'Work Started',
+      `Every member of ${team.name} accepted the revenue split, and work on the project "${current.title}" has started.`
+    );
+  }
+
+  return current;
+};
+
+/**
+ * Make sure the team's split is accepted before its payments are released.
+ * Team projects from before split agreements have none and are paid to the
+ * team account only.
+ * @param {Object} project - Project document
+ */
+const assertSplitAccepted = (project) => {
+  const split = project.revenueSplit;
+  if (project.assignedTeam && split && split.status && split.status !== 'accepted') {
+    throw new ApiError('Every team member has to accept the revenue split first', 400);
+  }
+};
+
+/**
+ * Hours each member tracked on the project's tasks
+ * @param {Object} project - Project document
+ * @returns {Promise<Map>} Hours by user ID
+ */
+const getTrackedHours = async (project) => {
+  const totals = await Task.aggregate([
+    { $match: { project: project._id } },
+    { $unwind: '$timeTracking' },
+    { $match: { 'timeTracking.endTime': { $ne: null } } },
+    { $group: { _id: '$timeTracking.user', hours: { $sum: '$timeTracking.duration' } } },
+  ]);
+
+  return new Map(totals.map((item) => [idOf(item._id), item.hours]));
+};
+
+/**
+ * Work out each member's share of an amount under the project's split
+ * @param {Object} project - Project document with an accepted split
+ * @param {Number} amount - Amount in minor units
+ * @returns {Promise<Array>} Shares as { user, amount }
+ */
+const computeShares = async (project, amount) => {
+  const { method, roleWeights, members } = project.revenueSplit;
+
+  let weights;
+  switch (method) {
+    case 'role': {
+      const byRole = new Map(roleWeights.map((item) => [item.role, item.weight]));
+      weights = members.map((member) => byRole.get(member.role) || 0);
+      break;
+    }
+    case 'custom':
+      weights = members.map((member) => member.percent || 0);
+      break;
+    case 'hours': {
+      // All hours tracked on the project so far
+      const hours = await getTrackedHours(project);
+      weights = members.map((member) => hours.get(idOf(member.user)) || 0);
+      break;
+    }
+    default:
+      weights = members.map(() => 1);
+  }
+
+  // Nobody has a weight yet (e.g. no time tracked): split equally
+  if (!weights.some((weight) => weight > 0)) {
+    weights = members.map(() => 1);
+  }
+
+  const shares = splitByWeights(amount, weights);
+
+  return members.map((member, index) => ({ user: member.user, amount: shares[index] }));
+};
+
+/**
+ * Pass a milestone payment the team received on to its members under the
+ * accepted split. Paying the same release again changes nothing.
+ * @param {Object} project - Project document
+ * @param {Object} release - milestone_release transaction
+ * @param {Object} user - User releasing the payment
+ * @returns {Promise<Object|null>} Distribution transaction, or null without an accepted split
+ */
+const payTeamMembers = async (project, release, user) => {
+  const split = project.revenueSplit;
+  if (!release || !project.assignedTeam || !split || split.status !== 'accepted') return null;
+
+  const teamKey = ledgerService.accounts.team(project.assignedTeam, project.currency).key;
+  const received = release.entries
+    .filter((entry) => entry.account === teamKey)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  if (received <= 0) return null;
+
+  const shares = await computeShares(project, received);
+
+  return ledgerService.distributeTeamPayment(project, release, shares, user);
+};
+
+module.exports = {
+  SPLIT_METHODS,
+  proposeSplit,
+  announceSplit,
+  respondToSplit,
+  assertSplitAccepted,
+  computeShares,
+  payTeamMembers,
+};
@@ -0,0 +1,166 @@
+const Project = require('../models/project.model');
+const SavedSearch = require('../models/savedSearch.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const emailService = require('./emailService');
+const { buildProjectQuery } = require('./projectSearch');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Time between digests
+const DIGEST_INTERVALS = {
+  daily: DAY,
+  weekly: 7 * DAY,
+};
+
+const FREQUENCIES = ['instant', ...Object.keys(DIGEST_INTERVALS)];
+
+// Projects listed by name in a digest, the rest are counted
+const DIGEST_LIST_LIMIT = 10;
+
+const { escapeHtml } = emailService;
+
+const notify = async (search, title, content, link) => {
+  const notification = new Notification({
+    recipient: search.user,
+    type: 'project',
+    title,
+    content,
+    link,
+  });
+
+  await notification.save();
+
+  // Add notification to the user's notifications
+  await User.findByIdAndUpdate(search.user, {
+    $push: { notifications: notification._id },
+  });
+};
+
+const sendEmail = async (search, subject, message, link) => {
+  const user = await User.findById(search.user).select('name email isActive');
+  if (!user || !user.isActive) return;
+
+  try {
+    await emailService.sendNotificationEmail(
+      user.email,
+      user.name,
+      subject,
+      message,
+      `${process.env.CLIENT_URL}${link}`,
+      'View Projects'
+    );
+  } catch (emailError) {
+    console.error('Failed to send saved search email:', emailError);
+  }
+};
+
+/**
+ * Check a project against the filters of a saved search, the same way
+ * GET /api/projects would
+ * @param {Object} search - Saved search
+ * @param {Object} project - Project
+ * @returns {Promise<Boolean>} True if the project matches
+ */
+const matches = async (search, project) =>
+  Boolean(await Project.exists({ ...buildProjectQuery(search.filters || {}), _id: project._id }));
+
+/**
+ * Alert the saved searches a newly opened project matches. Instant searches
+ * notify and email their owner now, the others keep the project for their
+ * next digest. Only open public projects match.
+ * @param {Object} project - Project that was created or opened
+ * @returns {Promise<Number>} Number of matching searches
+ */
+const alertMatches = async (project) => {
+  if (project.status !== 'open' || project.visibility !== 'public') return 0;
+
+  // Narrow down in the database, the full filters are checked per search
+  const searches = await SavedSearch.find({
+    user: { $ne: project.client._id || project.client },
+    'filters.category': { $in: [null, '', project.category] },
+  });
+
+  let matched = 0;
+  for (const search of searches) {
+    if (!(await matches(search, project))) continue;
+    matched += 1;
+
+    if (search.frequency === 'instant') {
+      const link = `/projects/${project._id}`;
+      await notify(search, 'New Project Match', `"${project.title}" matches your saved search "${search.name}".`, link);
+      await sendEmail(
+        search,
+        'New Project Match',
+        `The new project "${escapeHtml(project.title)}" matches your saved search "${escapeHtml(search.name)}".`,
+        link
+      );
+      await SavedSearch.updateOne({ _id: search._id }, { $set: { lastMatchedAt: Date.now() } });
+    } else {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $addToSet: { pendingMatches: project._id }, $set: { lastMatchedAt: Date.now() } }
+      );
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * Send the digests that are due: one notification and email per saved
+ * search listing the projects it matched since its last digest that are
+ * still open
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of digests sent
+ */
+const sendDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVALS)) {
+    const searches = await SavedSearch.find({
+      frequency,
+      'pendingMatches.0': { $exists: true },
+      lastDigestAt: { $lte: new Date(now.getTime() - interval) },
+    });
+
+    for (const search of searches) {
+      const pending = [...search.pendingMatches];
+      const projects = await Project.find({ _id: { $in: pending }, status: 'open', visibility: 'public' })
+        .select('title')
+        .sort({ createdAt: -1 });
+
+      // Projects closed in the meantime are left out
+      if (projects.length > 0) {
+        const link = '/projects';
+        const count = `${projects.length} new project${projects.length === 1 ? '' : 's'}`;
+        const listed = projects.slice(0, DIGEST_LIST_LIMIT);
+        const more = projects.length > listed.length ? `<br>and ${projects.length - listed.length} more` : '';
+
+        await notify(search, `${count} for "${search.name}"`, `${count} matched your saved search "${search.name}".`, link);
+        await sendEmail(
+          search,
+          `Your ${frequency} project digest`,
+          `${count} matched your saved search "${escapeHtml(search.name)}":<br>` +
+            listed.map((project) => escapeHtml(project.title)).join('<br>') +
+            more,
+          link
+        );
+        sent += 1;
+      }
+
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $pullAll: { pendingMatches: pending }, $set: { lastDigestAt: now } }
+      );
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  FREQUENCIES,
+  alertMatches,
+  sendDigests,
+};
@@ -0,0 +1,262 @@
+const Task = require('../models/task.model');
+const Timesheet = require('../models/timesheet.model');
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const ledgerService = require('./ledgerService');
+const { ApiError } = require('./errorHandler');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const idOf = (value) => String(value._id || value);
+
+/**
+ * Start of the week a date falls in: Monday 00:00 UTC
+ * @param {Date} date - Date
+ * @returns {Date} Week start
+ */
+const weekStartOf = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+const formatWeek = (weekStart) => new Date(weekStart).toISOString().slice(0, 10);
+
+/**
+ * Hourly contract of a freelancer on a project
+ * @param {Object} project - Project document
+ * @param {String} freelancerId - Freelancer ID
+ * @returns {Object|undefined} Contract with hourlyRate and weeklyHourCap
+ */
+const getContract = (project, freelancerId) => {
+  if (project.billingType !== 'hourly') return undefined;
+
+  return (project.hourlyContracts || []).find((contract) => idOf(contract.freelancer) === idOf(freelancerId));
+};
+
+const notify = async (recipient, timesheet, project, actor, title, content) => {
+  const notification = new Notification({
+    recipient,
+    type: 'payment',
+    title,
+    content,
+    project: project._id,
+    createdBy: actor._id,
+    link: `/timesheets/${timesheet._id}`,
+  });
+
+  await notification.save();
+
+  // Add notification to the user's notifications
+  await User.findByIdAndUpdate(recipient, {
+    $push: { notifications: notification._id },
+  });
+};
+
+const recordTransition = (timesheet, status, user, note) => {
+  timesheet.status = status;
+  timesheet.history.push({ status, note, changedBy: user._id });
+};
+
+/**
+ * Add a tracked session of a task to the freelancer's timesheet for the
+ * week the session started in. Sessions on fixed price projects, or of
+ * users without an hourly contract, are not billed.
+ * @param {Object} task - Task document with its project populated
+ * @param {Object} session - Finished Task.timeTracking entry
+ * @returns {Promise<Object|null>} Timesheet, or null when the session is not billed
+ */
+const recordSession = async (task, session) => {
+  const project = task.project;
+  const contract = project && getContract(project, session.user);
+  if (!contract) return null;
+
+  const weekStart = weekStartOf(session.startTime);
+
+  const timesheet = await Timesheet.findOneAndUpdate(
+    { project: project._id, freelancer: idOf(session.user), weekStart },
+    {
+      $setOnInsert: {
+        hourlyRate: contract.hourlyRate,
+        currency: project.currency,
+        weeklyHourCap: contract.weeklyHourCap,
+        history: [{ status: 'open', changedBy: idOf(session.user) }],
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (!['open', 'disputed'].includes(timesheet.status)) {
+    throw new ApiError(`The timesheet for the week of ${formatWeek(weekStart)} is already ${timesheet.status}`, 400);
+  }
+
+  // Already billed
+  if (timesheet.entries.some((entry) => String(entry.session) === String(session._id))) {
+    return timesheet;
+  }
+
+  timesheet.entries.push({
+    task: task._id,
+    taskTitle: task.title,
+    session: session._id,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    minutes: Math.round((new Date(session.endTime) - new Date(session.startTime)) / 60000),
+    source: session.source,
+    notes: session.notes,
+  });
+
+  await timesheet.save();
+
+  return timesheet;
+};
+
+/**
+ * Submit a timesheet for the client to review, once its week is over
+ * @param {Object} timesheet - Timesheet with its project populated
+ * @param {Object} user - Freelancer
+ * @returns {Promise<Object>} Timesheet
+ */
+const submitTimesheet = async (timesheet, user) => {
+  if (!['open', 'disputed'].includes(timesheet.status)) {
+    throw new ApiError(`Timesheet cannot be submitted when its status is ${timesheet.status}`, 400);
+  }
+  if (timesheet.weekStart.getTime() + WEEK > Date.now()) {
+    throw new ApiError('Timesheets can be submitted once their week is over', 400);
+  }
+
+  // A timer started in the week still belongs on this timesheet when it stops
+  const running = await Task.exists({
+    project: timesheet.project._id,
+    timeTracking: {
+      $elemMatch: {
+        user: timesheet.freelancer,
+        endTime: null,
+        startTime: { $gte: timesheet.weekStart, $lt: new Date(timesheet.weekStart.getTime() + WEEK) },
+      },
+    },
+  });
+  if (running) {
+    throw new ApiError('Stop the timer started in this week before submitting its timesheet', 400);
+  }
+
+  recordTransition(timesheet, 'submitted', user);
+  timesheet.submittedAt = Date.now();
+  await timesheet.save();
+
+  const manual =
+    timesheet.manualMinutes > 0 ? `, ${(timesheet.manualMinutes / 60).toFixed(2)} of them entered manually` : '';
+
+  await notify(
+    idOf(timesheet.project.client),
+    timesheet,
+    timesheet.project,
+    user,
+    'Timesheet Submitted',
+    `${user.name} submitted ${(timesheet.billableMinutes / 60).toFixed(2)} billable hours${manual} ` +
+      `for the week of ${formatWeek(timesheet.weekStart)} on project "${timesheet.project.title}".`
+  );
+
+  return timesheet;
+};
+
+/**
+ * Approve a submitted timesheet: the client is charged for the billable
+ * hours and the freelancer is paid, less the platform fee
+ * @param {Object} timesheet - Timesheet with its project populated
+ * @param {Object} user - Client
+ * @returns {Promise<Object>} Timesheet
+ */
+const approveTimesheet = async (timesheet, user) => {
+  if (timesheet.status !== 'submitted') {
+    throw new ApiError('Only submitted timesheets can be approved', 400);
+  }
+
+  // Charge first, so a failed charge leaves the timesheet submitted
+  const transaction = await ledgerService.chargeTimesheet(timesheet, timesheet.project, user);
+
+  recordTransition(timesheet, 'approved', user);
+  timesheet.reviewedBy = user._id;
+  timesheet.reviewedAt = Date.now();
+  timesheet.comment = undefined;
+  if (transaction) timesheet.ledgerTransaction = transaction._id;
+  await timesheet.save();
+
+  await notify(
+    idOf(timesheet.freelancer),
+    timesheet,
+    timesheet.project,
+    user,
+    'Timesheet Approved',
+    `Your timesheet for the week of ${formatWeek(timesheet.weekStart)} on project "${timesheet.project.title}" ` +
+      `was approved and ${(timesheet.billableMinutes / 60).toFixed(2)} hours were billed.`
+  );
+
+  return timesheet;
+};
+
+/**
+ * Dispute a submitted timesheet. The freelancer can remove entries and
+ * submit it again.
+ * @param {Object} timesheet - Timesheet with its project populated
+ * @param {Object} user - Client
+ * @param {String} comment - What is disputed
+ * @returns {Promise<Object>} Timesheet
+ */
+const disputeTimesheet = async (timesheet, user, comment) => {
+  if (timesheet.status !== 'submitted') {
+    throw new ApiError('Only submitted timesheets can be disputed', 400);
+  }
+
+  recordTransition(timesheet, 'disputed', user, comment);
+  timesheet.reviewedBy = user._id;
+  timesheet.reviewedAt = Date.now();
+  timesheet.comment = comment;
+  await timesheet.save();
+
+  await notify(
+    idOf(timesheet.freelancer),
+    timesheet,
+    timesheet.project,
+    user,
+    'Timesheet Disputed',
+    `The client disputed your timesheet for the week of ${formatWeek(timesheet.weekStart)} ` +
+      `on project "${timesheet.project.title}": ${comment}`
+  );
+
+  return timesheet;
+};
+
+/**
+ * Remove an entry from a timesheet that is open or disputed, so it is not
+ * billed. The tracked time stays on the task.
+ * @param {Object} timesheet - Timesheet
+ * @param {String} entryId - Entry ID
+ * @returns {Promise<Object>} Timesheet
+ */
+const removeEntry = async (timesheet, entryId) => {
+  if (!['open', 'disputed'].includes(timesheet.status)) {
+    throw new ApiError(`Entries cannot be removed when the timesheet is ${timesheet.status}`, 400);
+  }
+
+  const entry = timesheet.entries.id(entryId);
+  if (!entry) {
+    throw new ApiError('Timesheet entry not found', 404);
+  }
+
+  entry.deleteOne();
+  await timesheet.save();
+
+  return timesheet;
+};
+
+module.exports = {
+  weekStartOf,
+  getContract,
+  recordSession,
+  submitTimesheet,
+  approveTimesheet,
+  disputeTimesheet,
+  removeEntry,
+};
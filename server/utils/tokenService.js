@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { ApiError } = require('./errorHandler');
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// Rotated refresh tokens remembered per session to recognise reuse
+const PREVIOUS_REFRESH_TOKENS = 100;
+
+/**
+ * Read a duration setting: a number of milliseconds, or a timespan like
+ * JWT_EXPIRES_IN takes ("30d", "12h", "15m", "45s")
+ * @param {Number|String} value - Setting value
+ * @returns {Number} Milliseconds
+ */
+const toMilliseconds = (value) => {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+
+  if (!match) {
+    throw new Error(`Invalid duration setting: ${value}`);
+  }
+
+  return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]);
+};
+
+/**
+ * Hash a refresh token for storage or lookup
+ * @param {String} token - Raw refresh token
+ * @returns {String} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {String} Signed JWT
+ */
+const signAccessToken = (user, session) => {
+  return jwt.sign({ id: user._id, sid: session._id }, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+  });
+};
+
+/**
+ * Generate a new opaque refresh token for a session
+ * The session id prefix lets us find the session without storing the raw token
+ * @param {Object} session - Session document
+ * @returns {String} Raw refresh token
+ */
+const generateRefreshToken = (session) => {
+  return `${session._id}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+/**
+ * Get the client IP and user agent from a request
+ * @param {Object} req - Express request object
+ * @returns {Object} Client details
+ */
+const getClientInfo = (req) => {
+  if (!req) return {};
+
+  return {
+    ip: req.ip || (req.connection && req.connection.remoteAddress),
+    userAgent: req.get ? req.get('user-agent') : undefined,
+  };
+};
+
+/**
+ * Start a new login session for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (used for device details)
+ * @returns {Promise<Object>} Session, access token and refresh token
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: Date.now() + toMilliseconds(config.refreshToken.expiresIn),
+    ...getClientInfo(req),
+  });
+
+  const refreshToken = generateRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken,
+  };
+};
+
+/**
+ * Start a short-lived session in which an admin acts as another user
+ * The access token carries the admin's ID and there is no refresh token,
+ * so the session simply ends when the token expires.
+ * @param {Object} admin - Admin user document
+ * @param {Object} user - User to impersonate
+ * @param {Object} req - Express request object (used for device details)
+ * @returns {Promise<Object>} Session and access token
+ */
+const createImpersonationSession = async (admin, user, req) => {
+  const expiresIn = toMilliseconds(config.impersonation.expiresIn);
+  const session = new Session({
+    user: user._id,
+    impersonator: admin._id,
+    // Never handed out, so the session cannot be refreshed
+    refreshTokenHash: hashToken(crypto.randomBytes(40).toString('hex')),
+    expiresAt: Date.now() + expiresIn,
+    ...getClientInfo(req),
+  });
+
+  await session.save();
+
+  const accessToken = jwt.sign(
+    { id: user._id, sid: session._id, imp: admin._id },
+    config.jwt.secret,
+    { expiresIn: Math.floor(expiresIn / 1000) }
+  );
+
+  return { session, accessToken };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Presenting an already rotated refresh token revokes the whole session,
+ * since it means the token was copied. Any other wrong token is refused
+ * without touching the session. The token is swapped atomically, so of two
+ * requests racing with the same token only one gets a new token.
+ * @param {String} refreshToken - Raw refresh token
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} User, session, access token and refresh token
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(sessionId);
+
+  if (!session || !session.isActive()) {
+    throw new ApiError('Session has expired or been revoked', 401);
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    throw new ApiError('User account is deactivated', 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken(session);
+  const clientInfo = getClientInfo(req);
+  const update = { refreshTokenHash: hashToken(newRefreshToken), lastSeenAt: Date.now() };
+  if (clientInfo.ip) update.ip = clientInfo.ip;
+  if (clientInfo.userAgent) update.userAgent = clientInfo.userAgent;
+
+  // Only swaps the token if it is still the current one
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: update,
+      $push: { previousRefreshTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_REFRESH_TOKENS } },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    if (await Session.exists({ _id: session._id, previousRefreshTokenHashes: presentedHash })) {
+      await revokeSession(session._id, 'token_reuse');
+      throw new ApiError('Refresh token has already been used', 401);
+    }
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: signAccessToken(user, session),
+    refreshToken: newRefreshToken,
+  };
+};
+
+/**
+ * Verify an access token and make sure its session is still active
+ * @param {String} token - Access token
+ * @returns {Promise<Object>} User (without password) and session
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  // Tokens issued before sessions existed cannot be revoked, so refuse them
+  if (!decoded.sid) {
+    throw new ApiError('Session has expired or been revoked', 401);
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    throw new ApiError('Session has expired or been revoked', 401);
+  }
+
+  // Impersonation tokens must match the impersonation session they belong to
+  if (String(session.impersonator || '') !== String(decoded.imp || '')) {
+    throw new ApiError('Session has expired or been revoked', 401);
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  return { user, session };
+};
+
+/**
+ * Sign a short-lived challenge token proving the password step of a
+ * two-factor login succeeded. It carries no session, so protect rejects it.
+ * Its ID is stored on the user so the challenge can only be used once, and
+ * a newer challenge replaces the previous one.
+ * @param {Object} user - User document
+ * @returns {Promise<String>} Signed JWT
+ */
+const signTwoFactorChallenge = async (user) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.challengeId': challengeId } });
+
+  return jwt.sign({ id: user._id, purpose: '2fa_login' }, config.jwt.secret, {
+    expiresIn: config.twoFactor.challengeExpiresIn,
+    jwtid: challengeId,
+  });
+};
+
+/**
+ * Verify a two-factor challenge token and use it up. The first attempt
+ * consumes the challenge whether its code is right or not, so every guess
+ * needs the password again.
+ * @param {String} token - Challenge token
+ * @returns {Promise<String>} User ID the challenge was issued for
+ */
+const consumeTwoFactorChallenge = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.purpose !== '2fa_login' || !decoded.jti) {
+      throw new Error('Wrong token purpose');
+    }
+  } catch (error) {
+    throw new ApiError('Invalid or expired two-factor challenge', 401);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: decoded.id, 'twoFactor.challengeId': decoded.jti },
+    { $unset: { 'twoFactor.challengeId': 1 } }
+  );
+  if (!user) {
+    throw new ApiError('Invalid or expired two-factor challenge', 401);
+  }
+
+  return decoded.id;
+};
+
+/**
+ * Drop live Socket.io connections of the given sessions
+ * Required lazily because the socket handlers depend on this module
+ * @param {Array} sessionIds - Session IDs
+ */
+const disconnectSessions = (sessionIds) => {
+  const { disconnectSession } = require('../socket/socketHandlers');
+  sessionIds.forEach((sessionId) => disconnectSession(sessionId.toString()));
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise} Update result
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+
+  disconnectSessions([sessionId]);
+
+  return result;
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {Object} options - Options
+ * @param {String} options.except - Session ID to keep signed in
+ * @returns {Promise} Update result
+ */
+const revokeUserSessions = async (userId, reason, options = {}) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (options.except) {
+    query._id = { $ne: options.except };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  const sessionIds = sessions.map((session) => session._id);
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+
+  disconnectSessions(sessionIds);
+
+  return result;
+};
+
+/**
+ * Record that a session was used, at most once a minute
+ * @param {Object} session - Session document
+ * @returns {Promise} Update result
+ */
+const touchSession = async (session) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt < 60 * 1000) {
+    return null;
+  }
+
+  session.lastSeenAt = Date.now();
+  return Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: session.lastSeenAt } });
+};
+
+/**
+ * Build a short device description from a user agent string
+ * @param {String} userAgent - User agent header
+ * @returns {String} Device description, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+  ];
+  const systems = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux'],
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return userAgent.slice(0, 50);
+
+  return [browser ? browser[1] : 'Unknown browser', system ? system[1] : 'unknown OS'].join(' on ');
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  consumeTwoFactorChallenge,
+  revokeSession,
+  revokeUserSessions,
+  touchSession,
+  describeDevice,
+};
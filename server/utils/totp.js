@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (RFC 4648, padding and spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 encoded secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the code for a given time step (RFC 4226 HOTP)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} counter - Time step counter
+ * @returns {String} Zero-padded code
+ */
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to, allowing for clock drift
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of time steps accepted before and after now
+ * @returns {Number|null} Time step counter of the code, or null if it is invalid
+ */
+const findCodeStep = (secret, code, window = 1) => {
+  if (!secret || !code) return null;
+
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (let step = -window; step <= window; step++) {
+    const expected = Buffer.from(generateCode(secret, counter + step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return counter + step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} accountName - Account label, usually the user's email
+ * @param {String} issuer - Issuer shown in the app
+ * @returns {String} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer = 'Cyber Hunter') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  findCodeStep,
+  buildOtpauthUri,
+};
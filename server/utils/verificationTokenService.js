@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const VerificationToken = require('../models/verificationToken.model');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Issue a new single-use token for a user
+ * Any unused token with the same purpose is invalidated, so only the
+ * most recent email link works.
+ * @param {String} userId - User ID
+ * @param {String} purpose - verify_email, reset_password, change_email or team_invite
+ * @param {Object} options - Options
+ * @param {Number} options.expiresIn - Lifetime in milliseconds
+ * @param {Object} options.data - Purpose specific details stored with the token
+ * @param {Boolean} options.keepExisting - Keep earlier unused tokens valid
+ * @returns {Promise<String>} Raw token to send to the user
+ */
+const issueToken = async (userId, purpose, options = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  if (userId && !options.keepExisting) {
+    await VerificationToken.deleteMany({ user: userId, purpose, usedAt: { $exists: false } });
+  }
+
+  await VerificationToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: Date.now() + Number(options.expiresIn),
+    data: options.data || {},
+  });
+
+  return token;
+};
+
+/**
+ * Consume a token, marking it used so it cannot be replayed
+ * @param {String} token - Raw token from the email link
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object|null>} Token document, or null if invalid, used or expired
+ */
+const consumeToken = async (token, purpose) => {
+  if (!token) return null;
+
+  return VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() },
+    },
+    { $set: { usedAt: Date.now() } },
+    { new: true }
+  );
+};
+
+/**
+ * Invalidate all unused tokens of a user for a purpose
+ * @param {String} userId - User ID
+ * @param {String} purpose - Token purpose
+ * @returns {Promise} Delete result
+ */
+const revokeTokens = async (userId, purpose) => {
+  return VerificationToken.deleteMany({ user: userId, purpose, usedAt: { $exists: false } });
+};
+
+module.exports = {
+  issueToken,
+  consumeToken,
+  revokeTokens,
+};